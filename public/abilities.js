@@ -0,0 +1,156 @@
+import { ABILITY_CONFIG, STATUS_EFFECT_CONFIG } from '../shared/constants.js';
+import { getStatusEffect } from './statusEffects.js';
+
+/**
+ * What each ability tag of a unit type (UNIT_ABILITIES) does.
+ *
+ * Passive abilities are always in effect and change the rules for the unit through hooks,
+ * which status effects (see statusEffects.js) share. Each gets the value so far and
+ * { stacks, targetIsBase }:
+ *   moveCost(cost)         movement points to step onto a cell
+ *   movement(movement)     movement points per move
+ *   sight(sight)           vision radius
+ *   damageDealt(damage)    damage the unit's attacks deal
+ *   damageTaken(damage)    damage attacks on the unit deal
+ * and inflicts names a status effect the unit's attacks leave on units they hit and do not destroy.
+ *
+ * Active abilities are used with a useAbility action, { type: 'useAbility', unitId, ability, targetId? },
+ * during the action phase (see GameState.useAbility). Using one spends actionCost of the unit's
+ * actions and one of the player's. target says what the ability is used on:
+ *   null       the unit itself
+ *   'enemy'    an orthogonally adjacent enemy unit or base: the ability is an attack dealing
+ *              damageMultiplier times the usual damage
+ *   'ownBase'  the player's own base, orthogonally adjacent
+ * getError(gameState, unit, target) checks the ability's own rules and effect(gameState, unit, target)
+ * carries it out. status names the status effect the ability puts on the unit for its duration,
+ * and inflicts the one an attack ability leaves on an enemy unit it is used on.
+ */
+export const ABILITIES = {
+    attack: {
+        name: 'Attack',
+        description: 'Attacks adjacent enemies',
+        active: false
+    },
+    gather: {
+        name: 'Gather',
+        description: 'Gathers from resource nodes and carries the resources back to base',
+        active: false
+    },
+    fast_move: {
+        name: 'Fast Move',
+        description: 'Crosses any terrain at one movement point per cell',
+        active: false,
+        moveCost: () => 1
+    },
+    siege: {
+        name: 'Siege',
+        description: `Deals ${ABILITY_CONFIG.SIEGE_DAMAGE_MULTIPLIER}x damage to bases and slows units it hits`,
+        active: false,
+        inflicts: 'slowed',
+        damageDealt: (damage, { targetIsBase }) => (targetIsBase ? damage * ABILITY_CONFIG.SIEGE_DAMAGE_MULTIPLIER : damage)
+    },
+    scout: {
+        name: 'Lookout',
+        description: `+${STATUS_EFFECT_CONFIG.LOOKOUT_SIGHT_BONUS} sight until your next turn`,
+        active: true,
+        actionCost: 1,
+        target: null,
+        status: 'lookout'
+    },
+    defend: {
+        name: 'Defend',
+        description: 'Takes half damage until your next turn',
+        active: true,
+        actionCost: 1,
+        target: null,
+        status: 'fortified'
+    },
+    heavy_attack: {
+        name: 'Heavy Attack',
+        description: `Spends both of the unit's actions on one attack dealing ${ABILITY_CONFIG.HEAVY_ATTACK_MULTIPLIER}x damage that stuns a unit`,
+        active: true,
+        actionCost: 2,
+        target: 'enemy',
+        damageMultiplier: ABILITY_CONFIG.HEAVY_ATTACK_MULTIPLIER,
+        inflicts: 'stunned'
+    },
+    build: {
+        name: 'Repair',
+        description: `Restores ${ABILITY_CONFIG.REPAIR_AMOUNT} health to your base next to the unit`,
+        active: true,
+        actionCost: 1,
+        target: 'ownBase',
+        getError: (gameState, unit, base) => (base.health >= base.maxHealth ? 'Base is not damaged' : null),
+        effect: (gameState, unit, base) => gameState.repairBase(unit, base, ABILITY_CONFIG.REPAIR_AMOUNT)
+    }
+};
+
+/**
+ * @returns {Object|null} the handler for an ability tag
+ */
+export function getAbility(abilityId) {
+    return Object.prototype.hasOwnProperty.call(ABILITIES, abilityId) ? ABILITIES[abilityId] : null;
+}
+
+/**
+ * Ids of the unit's abilities that can be used as actions, in the order its type lists them
+ */
+export function getActiveAbilities(unit) {
+    const stats = unit.getStats();
+    return stats ? stats.abilities.filter(abilityId => (getAbility(abilityId) || {}).active) : [];
+}
+
+/**
+ * Whatever changes the rules for the unit now: its passive abilities, then its status effects
+ * @returns {Array<{handler: Object, stacks: number}>}
+ */
+function getModifiers(unit) {
+    const stats = unit.getStats();
+    const passive = (stats ? stats.abilities : [])
+        .map(getAbility)
+        .filter(ability => ability && !ability.active)
+        .map(handler => ({ handler, stacks: 1 }));
+    const effects = Array.from(unit.statusEffects, ([effectId, { stacks }]) => ({ handler: getStatusEffect(effectId), stacks }));
+    return [...passive, ...effects];
+}
+
+function applyHooks(unit, hook, value, context = {}) {
+    return getModifiers(unit).reduce(
+        (total, { handler, stacks }) => (handler[hook] ? handler[hook](total, { ...context, stacks }) : total),
+        value
+    );
+}
+
+export function getMoveCost(unit, cost) {
+    return applyHooks(unit, 'moveCost', cost);
+}
+
+export function getMovement(unit) {
+    const stats = unit.getStats();
+    return applyHooks(unit, 'movement', stats ? stats.movement : 0);
+}
+
+export function getSight(unit) {
+    const stats = unit.getStats();
+    return applyHooks(unit, 'sight', stats ? stats.sight : 0);
+}
+
+/**
+ * Status effects the unit's attacks leave on the units they hit, from its passive abilities
+ * @returns {string[]}
+ */
+export function getInflictedEffects(unit) {
+    const stats = unit.getStats();
+    return (stats ? stats.abilities : [])
+        .map(getAbility)
+        .filter(ability => ability && !ability.active && ability.inflicts)
+        .map(ability => ability.inflicts);
+}
+
+/**
+ * Damage of an attack after the attacker's and, for units, the target's modifiers
+ */
+export function modifyDamage(attacker, target, damage, targetIsBase) {
+    const dealt = applyHooks(attacker, 'damageDealt', damage, { targetIsBase });
+    return targetIsBase ? dealt : applyHooks(target, 'damageTaken', dealt);
+}
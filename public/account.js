@@ -0,0 +1,158 @@
+/**
+ * Client for the accounts API. The session lives in an HttpOnly cookie, so the browser
+ * sends it with every request to the server, including the online play WebSocket.
+ */
+export class AccountClient {
+    constructor(apiBase = '/api/accounts') {
+        this.apiBase = apiBase;
+    }
+
+    /**
+     * @returns {Promise<{success: boolean, data?: *, error?: string}>}
+     */
+    async request(method, path, body = null) {
+        try {
+            const response = await fetch(`${this.apiBase}${path}`, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = response.status === 204 ? null : await response.json();
+            if (!response.ok) {
+                return { success: false, error: (data && data.error) || `Server responded with ${response.status}` };
+            }
+            return { success: true, data };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    register(username, password) {
+        return this.request('POST', '/register', { username, password });
+    }
+
+    login(username, password) {
+        return this.request('POST', '/login', { username, password });
+    }
+
+    logout() {
+        return this.request('POST', '/logout');
+    }
+
+    /**
+     * @returns {Promise<Object|null>} the signed-in user, or null for guests
+     */
+    async getCurrentUser() {
+        const result = await this.request('GET', '/me');
+        return result.success ? result.data : null;
+    }
+
+    getMatchHistory() {
+        return this.request('GET', '/me/matches');
+    }
+}
+
+const RESULT_LABELS = { win: 'Won', loss: 'Lost', draw: 'Draw' };
+
+// Unrated games (outside matchmaking) have no rating change
+function formatRatingChange(change) {
+    if (change === null) {
+        return '-';
+    }
+    return change > 0 ? `+${change}` : String(change);
+}
+
+/**
+ * The account page: sign in or register, then the signed-in player's match history
+ */
+class AccountPage {
+    constructor() {
+        this.client = new AccountClient();
+        this.setupEventListeners();
+        this.refresh();
+    }
+
+    setupEventListeners() {
+        document.getElementById('accountForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.submit(event.submitter && event.submitter.id === 'registerBtn' ? 'register' : 'login');
+        });
+        document.getElementById('logoutBtn').addEventListener('click', async () => {
+            await this.client.logout();
+            this.refresh();
+        });
+    }
+
+    async submit(mode) {
+        const username = document.getElementById('usernameInput').value.trim();
+        const password = document.getElementById('passwordInput').value;
+        const result = mode === 'register'
+            ? await this.client.register(username, password)
+            : await this.client.login(username, password);
+        if (!result.success) {
+            this.setMessage(result.error);
+            return;
+        }
+        document.getElementById('passwordInput').value = '';
+        this.setMessage('');
+        this.refresh();
+    }
+
+    setMessage(message) {
+        document.getElementById('accountMessage').textContent = message;
+    }
+
+    async refresh() {
+        const user = await this.client.getCurrentUser();
+        document.getElementById('signedOut').classList.toggle('hidden', !!user);
+        document.getElementById('signedIn').classList.toggle('hidden', !user);
+        if (!user) {
+            return;
+        }
+
+        document.getElementById('accountName').textContent = user.username;
+        document.getElementById('accountRating').textContent = user.rating;
+        const result = await this.client.getMatchHistory();
+        if (!result.success) {
+            this.setMessage(`Cannot load match history: ${result.error}`);
+            return;
+        }
+        this.renderHistory(result.data);
+    }
+
+    renderHistory(matches) {
+        const body = document.getElementById('historyBody');
+        body.replaceChildren();
+        document.getElementById('historyEmpty').classList.toggle('hidden', matches.length > 0);
+
+        matches.forEach(match => {
+            const row = document.createElement('tr');
+            row.className = match.result;
+            const opponentResources = match.opponentStats ? match.opponentStats.resourcesGathered : '-';
+            const cells = [
+                new Date(match.finishedAt).toLocaleString(),
+                match.opponent || 'Guest',
+                RESULT_LABELS[match.result],
+                formatRatingChange(match.ratingChange),
+                match.turns,
+                `${match.stats.resourcesGathered} / ${opponentResources}`,
+                match.stats.unitsCreated,
+                match.stats.unitsDestroyed
+            ];
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+    }
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        if (document.getElementById('accountForm')) {
+            window.accountPage = new AccountPage();
+        }
+    });
+}
@@ -0,0 +1,285 @@
+import { GAME_STATES } from '../shared/constants.js';
+import { Pathfinder } from './pathfinding.js';
+import { OrderQueue } from './orderQueue.js';
+import { getAbility } from './abilities.js';
+
+/**
+ * Validates and applies player actions against the shared game rules.
+ * Used by the browser for hot-seat play and by the server as the authority for online matches.
+ *
+ * Actions are plain objects so they can be sent over the network and stored:
+ *   { type: 'move', unitId, x, y }
+ *   { type: 'attack', attackerId, targetId }   (targetId may be a unit or a base)
+ *   { type: 'createUnit', unitType, x, y }
+ *   { type: 'gather', unitId }
+ *   { type: 'deposit', unitId }
+ *   { type: 'useAbility', unitId, ability, targetId? }   (see abilities.js)
+ *   { type: 'nextPhase' }
+ *   { type: 'endTurn' }
+ *   { type: 'timeExpired' }   the clock of the current turn or phase has run out (see TurnManager.expireTime)
+ *   { type: 'cancelOrders' }  simultaneous play: take back the orders given so far
+ *
+ * In simultaneous play every player acts at once: moves, attacks, abilities, gathering and
+ * depositing are queued as orders (see OrderQueue), and nextPhase or endTurn says the player is done
+ * with the phase.
+ */
+export class ActionProcessor {
+    constructor(gameState, turnManager, resourceManager) {
+        this.gameState = gameState;
+        this.turnManager = turnManager;
+        this.resourceManager = resourceManager;
+        this.pathfinder = new Pathfinder(gameState, resourceManager);
+    }
+
+    /**
+     * @param {number} playerId - player submitting the action
+     * @param {Object} action
+     * @returns {{success: boolean, reason?: string}}
+     */
+    process(playerId, action) {
+        if (!action || typeof action.type !== 'string') {
+            return { success: false, reason: 'Invalid action' };
+        }
+        if (this.gameState.status !== GAME_STATES.PLAYING) {
+            return { success: false, reason: 'Game is not in progress' };
+        }
+        if (this.gameState.isSimultaneous()) {
+            return this.processSimultaneous(playerId, action);
+        }
+        if (playerId !== this.gameState.currentPlayer) {
+            return { success: false, reason: 'Not your turn' };
+        }
+
+        switch (action.type) {
+        case 'move':
+            return this.processMove(playerId, action);
+        case 'attack':
+            return this.processAttack(playerId, action);
+        case 'createUnit':
+            return this.processCreateUnit(playerId, action);
+        case 'gather':
+            return this.processGather(playerId, action);
+        case 'deposit':
+            return this.processDeposit(playerId, action);
+        case 'useAbility':
+            return this.processUseAbility(playerId, action);
+        case 'nextPhase':
+            this.turnManager.nextPhase();
+            return { success: true };
+        case 'endTurn':
+            this.turnManager.endTurn();
+            return { success: true };
+        case 'timeExpired':
+            return this.processTimeExpired();
+        default:
+            return { success: false, reason: `Unknown action type: ${action.type}` };
+        }
+    }
+
+    processSimultaneous(playerId, action) {
+        // The clock is shared, so whoever notices it run out may say so
+        if (action.type === 'timeExpired') {
+            return this.processTimeExpired();
+        }
+        if (!this.gameState.players.has(playerId)) {
+            return { success: false, reason: 'Not your turn' };
+        }
+        if (this.gameState.orders.isReady(playerId)) {
+            return { success: false, reason: 'Waiting for the other player' };
+        }
+
+        switch (action.type) {
+        case 'move':
+        case 'attack':
+        case 'gather':
+        case 'deposit':
+        case 'useAbility':
+            return this.processOrder(playerId, action);
+        case 'cancelOrders':
+            return this.processCancelOrders(playerId);
+        case 'createUnit':
+            return this.processCreateUnit(playerId, action);
+        case 'nextPhase':
+        case 'endTurn':
+            this.turnManager.finishPhase(playerId);
+            return { success: true };
+        default:
+            return { success: false, reason: `Unknown action type: ${action.type}` };
+        }
+    }
+
+    /**
+     * Queue an order for the end of the action phase. Only what the order itself says is
+     * checked here; whether it can be carried out depends on the other players' orders.
+     * Moves, attacks and abilities count against the player's actions, every order against
+     * the unit's, abilities by their action cost.
+     */
+    processOrder(playerId, order) {
+        if (this.gameState.currentPhase !== 'action') {
+            return { success: false, reason: 'Orders can only be given during the action phase' };
+        }
+        if (order.type === 'move' && (!Number.isInteger(order.x) || !Number.isInteger(order.y))) {
+            return { success: false, reason: 'Invalid target position' };
+        }
+        const { unit, error } = this.getOwnedUnit(playerId, OrderQueue.getUnitId(order));
+        if (error) {
+            return { success: false, reason: error };
+        }
+        const ability = order.type === 'useAbility' ? getAbility(order.ability) : null;
+        if (order.type === 'useAbility' && (!ability || !unit.hasAbility(order.ability))) {
+            return { success: false, reason: 'Unit does not have that ability' };
+        }
+        if (ability && !ability.active) {
+            return { success: false, reason: `${ability.name} is always in effect` };
+        }
+        const targeted = order.type === 'attack' || (ability && ability.target);
+        if (targeted && !this.gameState.units.has(order.targetId) && !this.gameState.bases.has(order.targetId)) {
+            return { success: false, reason: 'Target not found' };
+        }
+
+        const { orders } = this.gameState;
+        const spendsAction = queued => ['move', 'attack', 'useAbility'].includes(queued.type);
+        const actionOrders = orders.getOrders(playerId).filter(spendsAction);
+        if (spendsAction(order) && actionOrders.length >= this.gameState.players.get(playerId).actionsRemaining) {
+            return { success: false, reason: 'No actions remaining' };
+        }
+        if (orders.countUnitActions(playerId, unit.id) + OrderQueue.getActionCost(order) > unit.maxActions - unit.actionsUsed) {
+            return { success: false, reason: 'Unit has no actions left' };
+        }
+
+        this.gameState.queueOrder(playerId, order);
+        return { success: true, queued: true };
+    }
+
+    processCancelOrders(playerId) {
+        if (this.gameState.currentPhase !== 'action') {
+            return { success: false, reason: 'Orders can only be given during the action phase' };
+        }
+        this.gameState.clearOrders(playerId);
+        return { success: true };
+    }
+
+    /**
+     * Only accepted once the clock really is at zero, so it cannot be used to skip ahead
+     */
+    processTimeExpired() {
+        const { remaining } = this.gameState.clock;
+        if (remaining === null) {
+            return { success: false, reason: 'This game is untimed' };
+        }
+        if (remaining > 0) {
+            return { success: false, reason: 'Time has not run out' };
+        }
+        this.turnManager.expireTime();
+        return { success: true };
+    }
+
+    getOwnedUnit(playerId, unitId) {
+        const unit = this.gameState.units.get(unitId);
+        if (!unit) {
+            return { error: 'Unit not found' };
+        }
+        if (unit.playerId !== playerId) {
+            return { error: 'Unit belongs to another player' };
+        }
+        return { unit };
+    }
+
+    processMove(playerId, { unitId, x, y }) {
+        if (!Number.isInteger(x) || !Number.isInteger(y)) {
+            return { success: false, reason: 'Invalid target position' };
+        }
+        const { unit, error } = this.getOwnedUnit(playerId, unitId);
+        if (error) {
+            return { success: false, reason: error };
+        }
+        if (this.gameState.currentPhase !== 'action') {
+            return { success: false, reason: 'Units can only move during the action phase' };
+        }
+        if (this.gameState.getCurrentPlayer().actionsRemaining <= 0) {
+            return { success: false, reason: 'No actions remaining' };
+        }
+        if (!unit.canAct()) {
+            return { success: false, reason: 'Unit has no actions left' };
+        }
+        const moveError = this.pathfinder.getMoveError(unit, x, y);
+        if (moveError) {
+            return { success: false, reason: moveError };
+        }
+        if (!this.gameState.moveUnit(unit.id, x, y)) {
+            return { success: false, reason: 'Invalid move' };
+        }
+
+        this.turnManager.usePlayerAction();
+        return { success: true };
+    }
+
+    processAttack(playerId, { attackerId, targetId }) {
+        const { error } = this.getOwnedUnit(playerId, attackerId);
+        if (error) {
+            return { success: false, reason: error };
+        }
+
+        const result = this.gameState.bases.has(targetId)
+            ? this.gameState.attackBase(attackerId, targetId)
+            : this.gameState.attackUnit(attackerId, targetId);
+        if (result.success) {
+            this.turnManager.usePlayerAction();
+        }
+        return result;
+    }
+
+    processUseAbility(playerId, { unitId, ability, targetId }) {
+        const { error } = this.getOwnedUnit(playerId, unitId);
+        if (error) {
+            return { success: false, reason: error };
+        }
+
+        const result = this.gameState.useAbility(unitId, ability, targetId);
+        if (result.success) {
+            this.turnManager.usePlayerAction();
+        }
+        return result;
+    }
+
+    processCreateUnit(playerId, { unitType, x, y }) {
+        if (!Number.isInteger(x) || !Number.isInteger(y)) {
+            return { success: false, reason: 'Invalid target position' };
+        }
+        if (this.gameState.currentPhase !== 'build') {
+            return { success: false, reason: 'Units can only be created during the build phase' };
+        }
+
+        if (!this.gameState.canProduceAt(playerId, x, y)) {
+            return { success: false, reason: 'Units must be built on an empty cell next to your base' };
+        }
+
+        const unit = this.gameState.createUnit(unitType, playerId, x, y);
+        if (!unit) {
+            return { success: false, reason: 'Insufficient energy' };
+        }
+        return { success: true, unitId: unit.id };
+    }
+
+    processGather(playerId, { unitId }) {
+        const { error } = this.getOwnedUnit(playerId, unitId);
+        if (error) {
+            return { success: false, reason: error };
+        }
+        if (this.gameState.currentPhase !== 'action') {
+            return { success: false, reason: 'Workers can only gather during the action phase' };
+        }
+        return this.resourceManager.gatherResources(unitId);
+    }
+
+    processDeposit(playerId, { unitId }) {
+        const { error } = this.getOwnedUnit(playerId, unitId);
+        if (error) {
+            return { success: false, reason: error };
+        }
+        if (this.gameState.currentPhase !== 'action') {
+            return { success: false, reason: 'Workers can only deposit during the action phase' };
+        }
+        return this.resourceManager.depositResources(unitId);
+    }
+}
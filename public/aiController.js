@@ -0,0 +1,134 @@
+import { GAME_STATES } from '../shared/constants.js';
+import { AIPlayer, Simulation } from './aiPlayer.js';
+
+/**
+ * Plays one seat of a local game with an AIPlayer. Each decision is requested from a
+ * Web Worker when a factory is given, otherwise computed inline on a timer (tests,
+ * browsers without module workers). Decisions are submitted like a human's clicks.
+ */
+export class AIController {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.playerId=2]
+     * @param {string} [options.difficulty='easy']
+     * @param {Function} [options.createWorker] - returns a Worker running aiWorker.js
+     * @param {number} [options.delay=400] - pause between actions so moves can be followed
+     */
+    constructor(options = {}) {
+        this.playerId = options.playerId || 2;
+        this.difficulty = options.difficulty || 'easy';
+        this.delay = options.delay !== undefined ? options.delay : 400;
+        this.ai = new AIPlayer(this.playerId, this.difficulty);
+
+        this.worker = options.createWorker ? options.createWorker() : null;
+        if (this.worker) {
+            this.worker.onmessage = (event) => this.handleDecision(event.data);
+        }
+
+        this.gameState = null;
+        this.resourceManager = null;
+        this.submitAction = null;
+        this.requestId = 0;
+        this.pending = null;
+        this.scheduleTimeout = null;
+
+        this.handleEvent = (event) => {
+            if (['gameStarted', 'turnStarted', 'phaseChanged'].includes(event)) {
+                this.schedule();
+            }
+        };
+    }
+
+    /**
+     * Start playing the seat in this game
+     * @param {Function} submitAction - (action) => result, applied as the AI's player
+     */
+    attach(gameState, resourceManager, submitAction) {
+        this.detach();
+        this.gameState = gameState;
+        this.resourceManager = resourceManager;
+        this.submitAction = submitAction;
+        this.gameState.on('*', this.handleEvent);
+        this.schedule();
+    }
+
+    detach() {
+        if (this.gameState) {
+            this.gameState.off('*', this.handleEvent);
+        }
+        clearTimeout(this.scheduleTimeout);
+        this.scheduleTimeout = null;
+        this.pending = null;
+        this.gameState = null;
+        this.resourceManager = null;
+        this.submitAction = null;
+    }
+
+    destroy() {
+        this.detach();
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    isAITurn() {
+        return !!this.gameState && this.gameState.status === GAME_STATES.PLAYING &&
+            this.gameState.currentPlayer === this.playerId;
+    }
+
+    /**
+     * Turn, phase and player the decision was made for; a decision for a stale key is dropped
+     */
+    getStateKey() {
+        return `${this.gameState.turnNumber}:${this.gameState.currentPlayer}:${this.gameState.currentPhase}`;
+    }
+
+    schedule() {
+        if (!this.isAITurn() || this.pending || this.scheduleTimeout) {
+            return;
+        }
+        this.scheduleTimeout = setTimeout(() => {
+            this.scheduleTimeout = null;
+            this.requestDecision();
+        }, this.delay);
+    }
+
+    requestDecision() {
+        if (!this.isAITurn() || this.pending) {
+            return;
+        }
+
+        const request = {
+            requestId: ++this.requestId,
+            state: Simulation.snapshot(this),
+            playerId: this.playerId,
+            difficulty: this.difficulty
+        };
+        this.pending = { requestId: request.requestId, key: this.getStateKey() };
+
+        if (this.worker) {
+            this.worker.postMessage(request);
+        } else {
+            this.handleDecision({ requestId: request.requestId, action: this.ai.chooseAction(request.state) });
+        }
+    }
+
+    handleDecision({ requestId, action }) {
+        if (!this.pending || this.pending.requestId !== requestId) {
+            return;
+        }
+
+        const stale = this.pending.key !== this.getStateKey();
+        this.pending = null;
+
+        if (!stale && action && this.isAITurn()) {
+            const result = this.submitAction(action);
+            // Never get stuck on a rejected action: give up the rest of the phase instead
+            if (!result.success && this.isAITurn()) {
+                this.submitAction(this.ai.getEndPhaseAction(this.gameState.currentPhase));
+            }
+        }
+        this.schedule();
+    }
+}
@@ -0,0 +1,268 @@
+import { GAME_CONFIG, GAME_STATES } from '../shared/constants.js';
+import { GameState } from './gameState.js';
+import { ResourceManager } from './resourceManager.js';
+import { TurnManager } from './turnManager.js';
+import { VictoryManager } from './victoryManager.js';
+import { ActionProcessor } from './actionProcessor.js';
+import { Pathfinder } from './pathfinding.js';
+
+// Heuristic weights used by AIPlayer.evaluate
+const WEIGHTS = {
+    ENERGY: 1,
+    RESOURCES_GATHERED: 0.5,
+    CARGO: 0.6,
+    UNIT_VALUE: 1.5,
+    EARLY_WORKER_VALUE: 4, // the first few workers are worth building before anything else
+    EXTRA_WORKER_VALUE: 0.5,
+    BASE_DAMAGE: 3,
+    ADVANCE: 2,
+    WORKER_ON_NODE: 10,
+    WORKER_TRAVEL: 2,
+    RETURN_TRIP: 20, // a full worker still has to walk home, so depositing beats standing by the base
+    WIN: 1000000
+};
+const EARLY_WORKERS = 3;
+const MAX_DISTANCE = GAME_CONFIG.GRID_SIZE * 2;
+
+/**
+ * Difficulty levels. Each one picks the next action for a simulation of the current state;
+ * add an entry here to plug in a new level.
+ */
+export const AI_DIFFICULTIES = {
+    // Greedy: the single action that most improves the heuristic right now
+    easy: (ai, state) => ai.search(state, { depth: 1, beamWidth: 1 }),
+    // Beam search over sequences of up to three actions within the current phase
+    hard: (ai, state) => ai.search(state, { depth: 3, beamWidth: 4 })
+};
+
+/**
+ * A throwaway copy of the rule objects that actions can be tried against
+ */
+export class Simulation {
+    /**
+     * @param {{gameState: Object, resourceManager: Object}} state - serialized game state
+     */
+    constructor(state) {
+        this.gameState = GameState.deserialize(state.gameState);
+        this.resourceManager = ResourceManager.deserialize(state.resourceManager, this.gameState);
+        this.turnManager = new TurnManager(this.gameState, { resourceManager: this.resourceManager, useTimers: false });
+        this.victoryManager = new VictoryManager(this.gameState, this.turnManager);
+        this.actionProcessor = new ActionProcessor(this.gameState, this.turnManager, this.resourceManager);
+    }
+
+    static snapshot({ gameState, resourceManager }) {
+        return {
+            gameState: gameState.serialize(),
+            resourceManager: resourceManager.serialize()
+        };
+    }
+
+    snapshot() {
+        return Simulation.snapshot(this);
+    }
+
+    apply(playerId, action) {
+        return this.actionProcessor.process(playerId, action).success;
+    }
+}
+
+/**
+ * Computer opponent. It only sees serialized state and only acts through the same
+ * ActionProcessor actions a human player submits, so it can run in a Web Worker,
+ * on the server or headlessly in tests.
+ */
+export class AIPlayer {
+    /**
+     * @param {number} [playerId=2]
+     * @param {string} [difficulty='easy'] - a key of AI_DIFFICULTIES
+     */
+    constructor(playerId = 2, difficulty = 'easy') {
+        if (!AI_DIFFICULTIES[difficulty]) {
+            throw new Error(`Unknown AI difficulty: ${difficulty}`);
+        }
+        this.playerId = playerId;
+        this.difficulty = difficulty;
+    }
+
+    /**
+     * Decide the next action for the current phase. Ending the phase (or, in the
+     * build phase, the turn) is chosen once nothing else improves the position.
+     * @param {{gameState: Object, resourceManager: Object}} state - serialized game state
+     * @returns {Object|null} an action, or null when it is not this player's turn
+     */
+    chooseAction(state) {
+        const { gameState } = state;
+        if (gameState.status !== GAME_STATES.PLAYING || gameState.currentPlayer !== this.playerId) {
+            return null;
+        }
+        return AI_DIFFICULTIES[this.difficulty](this, state);
+    }
+
+    getEndPhaseAction(phase) {
+        return phase === 'build' ? { type: 'endTurn' } : { type: 'nextPhase' };
+    }
+
+    /**
+     * Beam search over action sequences that stay within the current phase
+     * @returns {Object} the first action of the best sequence found
+     */
+    search(state, { depth, beamWidth }) {
+        const root = new Simulation(state);
+        const phase = root.gameState.currentPhase;
+        let best = { action: this.getEndPhaseAction(phase), score: this.evaluate(root) };
+        let frontier = [{ state, first: null }];
+
+        for (let level = 0; level < depth && frontier.length > 0; level++) {
+            const children = [];
+
+            frontier.forEach(node => {
+                const parent = level === 0 ? root : new Simulation(node.state);
+                this.getCandidateActions(parent).forEach(action => {
+                    const simulation = new Simulation(node.state);
+                    if (!simulation.apply(this.playerId, action)) {
+                        return;
+                    }
+
+                    const child = {
+                        state: simulation.snapshot(),
+                        first: node.first || action,
+                        score: this.evaluate(simulation),
+                        open: simulation.gameState.currentPhase === phase &&
+                            simulation.gameState.currentPlayer === this.playerId &&
+                            simulation.gameState.status === GAME_STATES.PLAYING
+                    };
+                    children.push(child);
+                    if (child.score > best.score) {
+                        best = { action: child.first, score: child.score };
+                    }
+                });
+            });
+
+            frontier = children
+                .filter(child => child.open)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, beamWidth);
+        }
+
+        return best.action;
+    }
+
+    /**
+     * Every action worth trying for this player in the current phase
+     */
+    getCandidateActions({ gameState, resourceManager }) {
+        const actions = [];
+        const player = gameState.players.get(this.playerId);
+        const base = gameState.getPlayerBase(this.playerId);
+        const units = gameState.getPlayerUnits(this.playerId).filter(unit => unit.canAct());
+
+        // Workers load and unload during the action phase, even once the player's actions are spent
+        const workers = gameState.currentPhase === 'action' ? units.filter(unit => unit.getCarryCapacity() > 0) : [];
+        workers.forEach(unit => {
+            if (unit.cargo > 0 && base && gameState.isAdjacent(unit.position, base.position)) {
+                actions.push({ type: 'deposit', unitId: unit.id });
+            }
+            if (!unit.isFullyLoaded() && resourceManager.getCooldownRemaining(unit.id) === 0 &&
+                resourceManager.getGatheringPotential(unit.position.x, unit.position.y, unit.type) > 0) {
+                actions.push({ type: 'gather', unitId: unit.id });
+            }
+        });
+
+        if (gameState.currentPhase === 'action' && player.actionsRemaining > 0) {
+            const pathfinder = new Pathfinder(gameState, resourceManager);
+            const targets = [...gameState.units.values(), ...gameState.bases.values()]
+                .filter(target => target.playerId !== this.playerId && !(target.isDestroyed && target.isDestroyed()));
+
+            units.forEach(unit => {
+                targets
+                    .filter(target => gameState.isAdjacent(unit.position, target.position))
+                    .forEach(target => actions.push({ type: 'attack', attackerId: unit.id, targetId: target.id }));
+                pathfinder.getReachableCells(unit)
+                    .forEach(cell => actions.push({ type: 'move', unitId: unit.id, x: cell.x, y: cell.y }));
+            });
+        }
+
+        if (gameState.currentPhase === 'build') {
+            const affordable = gameState.getUnitTypes().filter(type => type.cost <= player.energy);
+            gameState.getProductionCells(this.playerId).forEach(cell => {
+                affordable.forEach(type => {
+                    actions.push({ type: 'createUnit', unitType: type.id, x: cell.x, y: cell.y });
+                });
+            });
+        }
+
+        return actions;
+    }
+
+    /**
+     * Heuristic value of the position for this player; higher is better
+     */
+    evaluate({ gameState, resourceManager }) {
+        if (gameState.status === GAME_STATES.ENDED) {
+            if (gameState.winner === null) {
+                return 0;
+            }
+            return gameState.winner === this.playerId ? WEIGHTS.WIN : -WEIGHTS.WIN;
+        }
+
+        const player = gameState.players.get(this.playerId);
+        let score = player.energy * WEIGHTS.ENERGY + player.resourcesGathered * WEIGHTS.RESOURCES_GATHERED;
+
+        gameState.bases.forEach(base => {
+            const damage = (base.maxHealth - base.health) * WEIGHTS.BASE_DAMAGE;
+            score += base.playerId === this.playerId ? -damage : damage;
+        });
+
+        const enemyTargets = [...gameState.units.values(), ...gameState.bases.values()]
+            .filter(target => target.playerId !== this.playerId);
+        const ownBase = gameState.getPlayerBase(this.playerId);
+        let workers = 0;
+
+        gameState.units.forEach(unit => {
+            const stats = unit.getStats();
+            const condition = 0.5 + 0.5 * unit.health / unit.maxHealth;
+
+            if (unit.playerId !== this.playerId) {
+                score -= stats.cost * WEIGHTS.UNIT_VALUE * condition;
+                return;
+            }
+
+            if (unit.getCarryCapacity() > 0) {
+                workers++;
+                const weight = workers <= EARLY_WORKERS ? WEIGHTS.EARLY_WORKER_VALUE : WEIGHTS.EXTRA_WORKER_VALUE;
+                score += stats.cost * weight * condition + this.evaluateWorker(unit, ownBase, resourceManager);
+            } else {
+                const distance = AIPlayer.nearestDistance(unit.position, enemyTargets.map(target => target.position));
+                score += stats.cost * WEIGHTS.UNIT_VALUE * condition + (MAX_DISTANCE - distance) * WEIGHTS.ADVANCE;
+            }
+        });
+
+        return score;
+    }
+
+    /**
+     * Workers head for a node while they have room and back to base once full
+     */
+    evaluateWorker(unit, base, resourceManager) {
+        const score = unit.cargo * WEIGHTS.CARGO;
+
+        if (unit.isFullyLoaded() && base) {
+            const distance = AIPlayer.distance(unit.position, base.position);
+            return score - distance * WEIGHTS.WORKER_TRAVEL - WEIGHTS.RETURN_TRIP;
+        }
+        if (resourceManager.getGatheringPotential(unit.position.x, unit.position.y, unit.type) > 0) {
+            return score + WEIGHTS.WORKER_ON_NODE;
+        }
+
+        const nodes = resourceManager.resourceNodes.filter(node => node.value > 0);
+        return score - AIPlayer.nearestDistance(unit.position, nodes) * WEIGHTS.WORKER_TRAVEL;
+    }
+
+    static distance(a, b) {
+        return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+    }
+
+    static nearestDistance(from, positions) {
+        return positions.reduce((nearest, position) => Math.min(nearest, AIPlayer.distance(from, position)), MAX_DISTANCE);
+    }
+}
@@ -0,0 +1,16 @@
+import { AIPlayer } from './aiPlayer.js';
+
+/**
+ * Web Worker entry point for the AI opponent, so the search never blocks rendering.
+ * Request: { requestId, state, playerId, difficulty }   Response: { requestId, action }
+ */
+export function handleAIRequest({ requestId, state, playerId, difficulty }) {
+    const ai = new AIPlayer(playerId, difficulty);
+    return { requestId, action: ai.chooseAction(state) };
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.onmessage = (event) => {
+        self.postMessage(handleAIRequest(event.data));
+    };
+}
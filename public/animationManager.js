@@ -0,0 +1,66 @@
+/**
+ * Short-lived canvas effects (hit flashes, damage numbers, destruction bursts).
+ * Animations are positioned in grid cells and drawn on top of the board each frame.
+ */
+export class AnimationManager {
+    constructor() {
+        this.animations = [];
+    }
+
+    add(type, position, options = {}) {
+        this.animations.push({
+            type,
+            position: { ...position },
+            text: options.text || '',
+            color: options.color || '#F44336',
+            start: performance.now(),
+            duration: options.duration || 600
+        });
+    }
+
+    hasActiveAnimations() {
+        return this.animations.length > 0;
+    }
+
+    /**
+     * Drop finished animations
+     * @returns {boolean} true while anything is still animating
+     */
+    update(now = performance.now()) {
+        this.animations = this.animations.filter(animation => now - animation.start < animation.duration);
+        return this.hasActiveAnimations();
+    }
+
+    draw(ctx, cellSize, now = performance.now()) {
+        this.animations.forEach(animation => {
+            const progress = Math.min(1, (now - animation.start) / animation.duration);
+            const centerX = animation.position.x * cellSize + cellSize / 2;
+            const centerY = animation.position.y * cellSize + cellSize / 2;
+
+            ctx.save();
+            ctx.globalAlpha = 1 - progress;
+
+            if (animation.type === 'hit') {
+                // Red flash over the struck cell
+                ctx.fillStyle = animation.color;
+                ctx.fillRect(animation.position.x * cellSize, animation.position.y * cellSize, cellSize, cellSize);
+            } else if (animation.type === 'damage') {
+                // Damage number floating upwards
+                ctx.fillStyle = animation.color;
+                ctx.font = 'bold 14px Arial';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(animation.text, centerX, centerY - cellSize * 0.3 - progress * cellSize * 0.5);
+            } else if (animation.type === 'destroyed') {
+                // Expanding ring where the unit fell
+                ctx.strokeStyle = animation.color;
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.arc(centerX, centerY, cellSize * (0.2 + progress * 0.5), 0, 2 * Math.PI);
+                ctx.stroke();
+            }
+
+            ctx.restore();
+        });
+    }
+}
@@ -0,0 +1,213 @@
+/**
+ * Reversible player actions. execute() runs the action through the ActionProcessor,
+ * recording what it needs to put things back; undo() restores that and emits
+ * 'actionUndone' so mirrors and replays can follow.
+ */
+class Command {
+    constructor(action) {
+        this.action = action;
+        this.before = null;
+    }
+
+    execute(history, playerId) {
+        const { gameState } = history;
+        const player = gameState.players.get(playerId);
+        this.playerId = playerId;
+        this.before = {
+            actionsRemaining: player.actionsRemaining,
+            phase: gameState.currentPhase,
+            clock: { remaining: gameState.clock.remaining, banks: gameState.clock.banks && { ...gameState.clock.banks } }
+        };
+        this.capture(history);
+        return history.actionProcessor.process(playerId, this.action);
+    }
+
+    capture() {}
+
+    /**
+     * Put the player's action counter, phase and clock back. Spending the last action
+     * may have moved the turn on to the build phase, or armed the timer that does,
+     * and a new phase may have restarted the clock.
+     */
+    restoreTurn(history, details) {
+        const { gameState, turnManager } = history;
+        const player = gameState.players.get(this.playerId);
+
+        player.actionsRemaining = this.before.actionsRemaining;
+        turnManager.clearPhaseAdvance();
+        if (gameState.currentPhase !== this.before.phase) {
+            gameState.currentPhase = this.before.phase;
+            turnManager.currentPhaseIndex = turnManager.phases.indexOf(this.before.phase);
+        }
+        const { clock } = this.before;
+        gameState.clock = { remaining: clock.remaining, banks: clock.banks && { ...clock.banks } };
+        // The running timer counts down the phase it was started for
+        if (clock.remaining !== null) {
+            turnManager.startTimer();
+        }
+
+        gameState.emit('actionUndone', {
+            type: this.action.type,
+            player: this.playerId,
+            actionsRemaining: player.actionsRemaining,
+            phase: gameState.currentPhase,
+            clock: { remaining: clock.remaining, banks: clock.banks && { ...clock.banks } },
+            ...details
+        });
+    }
+}
+
+class MoveUnitCommand extends Command {
+    capture({ gameState }) {
+        const unit = gameState.units.get(this.action.unitId);
+        this.unitBefore = unit ? { position: { ...unit.position }, actionsUsed: unit.actionsUsed } : null;
+    }
+
+    undo(history) {
+        const { gameState } = history;
+        const unit = gameState.units.get(this.action.unitId);
+        const { position, actionsUsed } = this.unitBefore;
+
+        gameState.board[unit.position.x][unit.position.y] = null;
+        gameState.board[position.x][position.y] = unit.id;
+        unit.moveTo(position.x, position.y);
+        unit.actionsUsed = actionsUsed;
+
+        this.restoreTurn(history, { unit: unit.serialize() });
+    }
+}
+
+class CreateUnitCommand extends Command {
+    execute(history, playerId) {
+        const result = super.execute(history, playerId);
+        this.unitId = result.unitId;
+        return result;
+    }
+
+    undo(history) {
+        const { gameState } = history;
+        const unit = gameState.units.get(this.unitId);
+        const player = gameState.players.get(this.playerId);
+        const refund = unit.getStats().cost;
+
+        gameState.removeUnit(unit.id);
+        player.addEnergy(refund);
+        player.stats.unitsCreated--;
+        // Keep unit ids deterministic: the next unit built reuses this id
+        if (unit.id === `unit_${gameState.nextUnitId - 1}`) {
+            gameState.nextUnitId--;
+        }
+
+        this.restoreTurn(history, { removedUnitId: unit.id, refund, nextUnitId: gameState.nextUnitId });
+    }
+}
+
+class NextPhaseCommand extends Command {
+    undo(history) {
+        this.restoreTurn(history, {});
+    }
+}
+
+const COMMANDS = {
+    move: MoveUnitCommand,
+    createUnit: CreateUnitCommand,
+    nextPhase: NextPhaseCommand
+};
+
+/**
+ * Undo/redo for the current player's turn. Moves, unit creation and phase changes
+ * can be taken back; anything else (attacks, abilities, gathering, ending the turn) commits the
+ * turn so far and clears the history. The history also clears on every new turn.
+ * Simultaneous turns keep no history: orders are taken back with a cancelOrders action.
+ */
+export class CommandHistory {
+    constructor(gameState, turnManager, actionProcessor) {
+        this.gameState = gameState;
+        this.turnManager = turnManager;
+        this.actionProcessor = actionProcessor;
+        this.undoStack = [];
+        this.redoStack = [];
+
+        this.handleTurnStarted = () => this.clear();
+        this.gameState.on('turnStarted', this.handleTurnStarted);
+    }
+
+    static isUndoable(action) {
+        return !!action && Object.prototype.hasOwnProperty.call(COMMANDS, action.type);
+    }
+
+    isRecording() {
+        return !this.gameState.isSimultaneous();
+    }
+
+    /**
+     * Process an action, remembering it if it can be undone
+     * @returns {{success: boolean, reason?: string}} the ActionProcessor result
+     */
+    execute(playerId, action) {
+        if (!this.isRecording() || !CommandHistory.isUndoable(action)) {
+            const result = this.actionProcessor.process(playerId, action);
+            if (result.success) {
+                this.clear();
+            }
+            return result;
+        }
+
+        const command = new COMMANDS[action.type](action);
+        const turnNumber = this.gameState.turnNumber;
+        const result = command.execute(this, playerId);
+        // Leaving the build phase ends the turn, which cannot be taken back
+        if (result.success && this.gameState.turnNumber === turnNumber) {
+            this.undoStack.push(command);
+            this.redoStack = [];
+        }
+        return result;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) {
+            return { success: false, reason: 'Nothing to undo' };
+        }
+
+        command.undo(this);
+        this.redoStack.push(command);
+        return { success: true, action: command.action };
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) {
+            return { success: false, reason: 'Nothing to redo' };
+        }
+
+        const result = command.execute(this, command.playerId);
+        if (!result.success) {
+            this.redoStack = [];
+            return result;
+        }
+        this.undoStack.push(command);
+        return { ...result, action: command.action };
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    destroy() {
+        this.clear();
+        if (this.gameState) {
+            this.gameState.off('turnStarted', this.handleTurnStarted);
+        }
+        this.gameState = null;
+    }
+}
@@ -0,0 +1,243 @@
+import { GAME_STATES } from '../shared/constants.js';
+import { Player, Unit } from './gameState.js';
+
+/**
+ * Applies GameState events produced elsewhere (the server) to a local mirror of the state.
+ * Event payloads arrive JSON-serialized, so units are plain objects rather than Unit instances.
+ * After the state is updated the event is re-emitted on the mirror so UI listeners still fire.
+ */
+export function applyGameEvent(gameState, resourceManager, event, data) {
+    switch (event) {
+    case 'gameStarted':
+        gameState.status = GAME_STATES.PLAYING;
+        break;
+
+    case 'turnEnded':
+        gameState.currentPlayer = data.nextPlayer;
+        gameState.turnNumber = data.turnNumber;
+        break;
+
+    case 'turnStarted': {
+        gameState.currentPlayer = data.player;
+        gameState.turnNumber = data.turnNumber;
+        gameState.currentPhase = data.phase;
+        gameState.players.forEach(player => {
+            player.isActive = player.id === data.player;
+        });
+        gameState.orders.clear();
+        // A simultaneous round is everyone's turn
+        const players = gameState.isSimultaneous() ? Array.from(gameState.players.keys()) : [data.player];
+        players.forEach(playerId => {
+            gameState.players.get(playerId).resetActions(gameState.settings.maxActions);
+            gameState.getPlayerUnits(playerId).forEach(unit => unit.startTurn());
+        });
+        break;
+    }
+
+    case 'phaseChanged':
+        gameState.currentPhase = data.phase;
+        gameState.currentPlayer = data.player;
+        gameState.orders.clear();
+        break;
+
+    case 'orderQueued':
+        gameState.orders.add(data.player, data.order);
+        break;
+
+    case 'ordersCleared':
+        gameState.orders.clearOrders(data.player);
+        break;
+
+    case 'playerReady':
+        gameState.orders.setReady(data.player);
+        gameState.currentPlayer = data.nextPlayer;
+        break;
+
+    case 'turnClockStarted':
+        gameState.clock = { remaining: data.remaining, banks: data.banks && { ...data.banks } };
+        break;
+
+    case 'actionUsed':
+        gameState.players.get(data.player).actionsRemaining = data.actionsRemaining;
+        break;
+
+    case 'resourcePhaseComplete': {
+        gameState.players.get(data.player).addEnergy(data.energyGained);
+        break;
+    }
+
+    case 'resourceNodeRegenerated':
+        setNodeValue(resourceManager, data.nodeId, data.newValue);
+        break;
+
+    case 'resourcesGathered': {
+        setNodeValue(resourceManager, data.nodeId, data.nodeValue);
+        const unit = gameState.units.get(data.unitId);
+        if (unit) {
+            unit.cargo = data.cargo;
+            if (!data.automatic) {
+                unit.useAction();
+            }
+        }
+        break;
+    }
+
+    case 'resourcesDeposited': {
+        const player = gameState.players.get(data.playerId);
+        player.addEnergy(data.amount);
+        player.resourcesGathered += data.amount;
+        const unit = gameState.units.get(data.unitId);
+        if (unit) {
+            unit.cargo = 0;
+            unit.useAction();
+        }
+        break;
+    }
+
+    case 'unitCreated': {
+        const unit = Unit.deserialize(data.unit, gameState.ruleset);
+        const player = gameState.players.get(unit.playerId);
+        gameState.units.set(unit.id, unit);
+        gameState.board[unit.position.x][unit.position.y] = unit.id;
+        player.addUnit(unit.id);
+        player.spendEnergy(unit.getStats().cost);
+        player.stats.unitsCreated++;
+        gameState.nextUnitId++;
+        break;
+    }
+
+    case 'unitMoved': {
+        const unit = gameState.units.get(data.unit.id);
+        gameState.board[data.from.x][data.from.y] = null;
+        gameState.board[data.to.x][data.to.y] = unit.id;
+        unit.moveTo(data.to.x, data.to.y);
+        unit.actionsUsed = data.unit.actionsUsed;
+        break;
+    }
+
+    case 'unitAttacked': {
+        const target = gameState.units.get(data.target.id);
+        const attacker = gameState.units.get(data.attacker.id);
+        if (target) {
+            target.health = data.targetHealth;
+        }
+        if (attacker) {
+            attacker.actionsUsed = data.attacker.actionsUsed;
+        }
+        gameState.players.get(data.attacker.playerId).stats.damageDealt += data.damage;
+        break;
+    }
+
+    case 'abilityUsed': {
+        const unit = gameState.units.get(data.unit.id);
+        if (unit) {
+            unit.actionsUsed = data.unit.actionsUsed;
+        }
+        break;
+    }
+
+    case 'statusEffectApplied': {
+        const unit = gameState.units.get(data.unit.id);
+        if (unit) {
+            unit.statusEffects = Unit.deserialize(data.unit, gameState.ruleset).statusEffects;
+        }
+        break;
+    }
+
+    case 'baseRepaired':
+        gameState.bases.get(data.base.id).health = data.baseHealth;
+        break;
+
+    case 'unitDestroyed': {
+        const attacker = gameState.units.get(data.destroyedBy);
+        if (attacker) {
+            gameState.players.get(attacker.playerId).stats.unitsDestroyed++;
+        }
+        gameState.players.get(data.unit.playerId).stats.unitsLost++;
+        break;
+    }
+
+    case 'baseAttacked': {
+        const base = gameState.bases.get(data.base.id);
+        const attacker = gameState.units.get(data.attacker.id);
+        if (base) {
+            base.health = data.baseHealth;
+        }
+        if (attacker) {
+            attacker.actionsUsed = data.attacker.actionsUsed;
+        }
+        gameState.players.get(data.attacker.playerId).stats.damageDealt += data.damage;
+        break;
+    }
+
+    case 'unitRemoved': {
+        const unit = gameState.units.get(data.unit.id);
+        if (unit) {
+            gameState.board[unit.position.x][unit.position.y] = null;
+            gameState.units.delete(unit.id);
+            gameState.players.get(unit.playerId).removeUnit(unit.id);
+        }
+        break;
+    }
+
+    case 'actionUndone': {
+        // Removing an undone unit arrives separately as unitRemoved
+        const player = gameState.players.get(data.player);
+        player.actionsRemaining = data.actionsRemaining;
+        gameState.currentPhase = data.phase;
+        gameState.clock = { remaining: data.clock.remaining, banks: data.clock.banks && { ...data.clock.banks } };
+        if (data.unit) {
+            const unit = gameState.units.get(data.unit.id);
+            gameState.board[unit.position.x][unit.position.y] = null;
+            gameState.board[data.unit.position.x][data.unit.position.y] = unit.id;
+            unit.moveTo(data.unit.position.x, data.unit.position.y);
+            unit.actionsUsed = data.unit.actionsUsed;
+        }
+        if (data.removedUnitId) {
+            player.addEnergy(data.refund);
+            player.stats.unitsCreated--;
+            gameState.nextUnitId = data.nextUnitId;
+        }
+        break;
+    }
+
+    case 'fogSync': {
+        // Online matches with fog of war: the visible part of the authoritative state
+        gameState.units.forEach(unit => {
+            gameState.board[unit.position.x][unit.position.y] = null;
+        });
+        gameState.units = new Map(data.units.map(unitData => [unitData.id, Unit.deserialize(unitData, gameState.ruleset)]));
+        gameState.units.forEach(unit => {
+            gameState.board[unit.position.x][unit.position.y] = unit.id;
+        });
+        data.players.forEach(playerData => {
+            gameState.players.set(playerData.id, Player.deserialize(playerData));
+        });
+        data.resourceNodes.forEach(node => setNodeValue(resourceManager, node.id, node.value));
+        gameState.nextUnitId = data.nextUnitId;
+        break;
+    }
+
+    case 'gameEnded':
+        gameState.status = GAME_STATES.ENDED;
+        gameState.winner = data.winner;
+        gameState.endReason = data.reason;
+        gameState.players.forEach(player => {
+            player.isActive = false;
+        });
+        break;
+
+    default:
+        // Informational events (timer ticks, phase announcements) carry no state
+        break;
+    }
+
+    gameState.emit(event, data);
+}
+
+function setNodeValue(resourceManager, nodeId, value) {
+    const node = resourceManager.resourceNodes.find(candidate => candidate.id === nodeId);
+    if (node) {
+        node.value = value;
+    }
+}
@@ -0,0 +1,224 @@
+import { VISION_CONFIG } from '../shared/constants.js';
+import { GameState } from './gameState.js';
+import { getSight } from './abilities.js';
+
+// Simultaneous play: the orders a player gives are kept from everyone else
+const PRIVATE_ORDER_EVENTS = ['orderQueued', 'ordersCleared', 'orderFailed'];
+
+// Events that can change what a player sees
+const VISION_EVENTS = [
+    'gameStarted', 'turnStarted', 'unitCreated', 'unitMoved', 'unitRemoved',
+    'baseDestroyed', 'actionUndone', 'fogSync', 'statusEffectApplied'
+];
+
+/**
+ * Fog of war. Each player sees the cells within sight of their units and base;
+ * cells seen once stay explored. Enemy units and resource node values are only
+ * known inside vision.
+ */
+export class FogOfWar {
+    constructor(gameState) {
+        this.gameState = gameState;
+        this.visible = new Map(); // playerId -> Set of "x,y"
+        this.explored = new Map();
+
+        this.handleVisionEvent = () => this.update();
+        VISION_EVENTS.forEach(event => this.gameState.on(event, this.handleVisionEvent));
+        this.update();
+    }
+
+    static key(x, y) {
+        return `${x},${y}`;
+    }
+
+    /**
+     * Cells within sight of the player's units and living base
+     * @returns {Set<string>} "x,y" keys
+     */
+    static getVisibleCells(gameState, playerId) {
+        const cells = new Set();
+        const sources = gameState.getPlayerUnits(playerId)
+            .map(unit => ({ position: unit.position, sight: getSight(unit) }));
+        gameState.bases.forEach(base => {
+            if (base.playerId === playerId && !base.isDestroyed()) {
+                sources.push({ position: base.position, sight: VISION_CONFIG.BASE_SIGHT });
+            }
+        });
+
+        const size = gameState.size;
+        sources.forEach(({ position, sight }) => {
+            for (let x = Math.max(0, position.x - sight); x <= Math.min(size - 1, position.x + sight); x++) {
+                for (let y = Math.max(0, position.y - sight); y <= Math.min(size - 1, position.y + sight); y++) {
+                    const dx = x - position.x;
+                    const dy = y - position.y;
+                    if (dx * dx + dy * dy <= sight * sight) {
+                        cells.add(FogOfWar.key(x, y));
+                    }
+                }
+            }
+        });
+        return cells;
+    }
+
+    update() {
+        this.gameState.players.forEach(player => {
+            const visible = FogOfWar.getVisibleCells(this.gameState, player.id);
+            if (!this.explored.has(player.id)) {
+                this.explored.set(player.id, new Set());
+            }
+            const explored = this.explored.get(player.id);
+            visible.forEach(key => explored.add(key));
+            this.visible.set(player.id, visible);
+        });
+    }
+
+    isVisible(playerId, x, y) {
+        const visible = this.visible.get(playerId);
+        return !!visible && visible.has(FogOfWar.key(x, y));
+    }
+
+    isExplored(playerId, x, y) {
+        const explored = this.explored.get(playerId);
+        return !!explored && explored.has(FogOfWar.key(x, y));
+    }
+
+    isUnitVisible(playerId, unit) {
+        return unit.playerId === playerId || this.isVisible(playerId, unit.position.x, unit.position.y);
+    }
+
+    destroy() {
+        if (this.gameState) {
+            VISION_EVENTS.forEach(event => this.gameState.off(event, this.handleVisionEvent));
+        }
+        this.gameState = null;
+    }
+}
+
+/**
+ * The part of a serialized state { gameState, resourceManager } a player may see:
+ * enemy units outside vision are removed, hidden resource node values become null and
+ * only the player's own simultaneous orders are kept.
+ * A null playerId gives the seatless view, which shows no units, nodes or orders.
+ */
+export function filterStateForPlayer(state, playerId) {
+    const gameState = GameState.deserialize(state.gameState);
+    const visible = playerId === null ? new Set() : FogOfWar.getVisibleCells(gameState, playerId);
+    const isVisible = ({ x, y }) => visible.has(FogOfWar.key(x, y));
+
+    const units = state.gameState.units.filter(unit => unit.playerId === playerId || isVisible(unit.position));
+    const unitIds = new Set(units.map(unit => unit.id));
+
+    return {
+        ...state,
+        gameState: {
+            ...state.gameState,
+            players: state.gameState.players.map(player => ({
+                ...player,
+                unitsOwned: player.unitsOwned.filter(unitId => unitIds.has(unitId))
+            })),
+            units,
+            // States saved before simultaneous turns have no orders
+            ...(state.gameState.orders && {
+                orders: {
+                    ...state.gameState.orders,
+                    orders: state.gameState.orders.orders.filter(([ownerId]) => ownerId === playerId)
+                }
+            })
+        },
+        resourceManager: {
+            ...state.resourceManager,
+            resourceNodes: state.resourceManager.resourceNodes.map(node => ({
+                ...node,
+                value: isVisible(node) ? node.value : null
+            })),
+            gatheringCooldowns: (state.resourceManager.gatheringCooldowns || [])
+                .filter(([unitId]) => unitIds.has(unitId))
+        }
+    };
+}
+
+/**
+ * Events from one action as a player may see them. Events about enemy units the player
+ * could not see both before and after the action are dropped, a destroyed unit or base
+ * does not name an attacker the player never saw, and a final 'fogSync'
+ * carries the visible part of the resulting state so a mirror ends up matching
+ * filterStateForPlayer(after, playerId).
+ * @param {Array<{event, data}>} events
+ * @param {Object} before - serialized state before the action
+ * @param {Object} after - serialized state after the action
+ */
+export function filterEventsForPlayer(events, playerId, before, after) {
+    const visibleBefore = filterStateForPlayer(before, playerId);
+    const visibleAfter = filterStateForPlayer(after, playerId);
+
+    const existedBefore = new Set(before.gameState.units.map(unit => unit.id));
+    const existsAfter = new Set(after.gameState.units.map(unit => unit.id));
+    const seenBefore = new Set(visibleBefore.gameState.units.map(unit => unit.id));
+    const seenAfter = new Set(visibleAfter.gameState.units.map(unit => unit.id));
+    const isFollowed = unitId =>
+        (seenBefore.has(unitId) || !existedBefore.has(unitId)) &&
+        (seenAfter.has(unitId) || !existsAfter.has(unitId));
+    const isSeen = unitId => seenBefore.has(unitId) || seenAfter.has(unitId);
+
+    const visibleNodes = new Set(visibleAfter.resourceManager.resourceNodes
+        .filter(node => node.value !== null)
+        .map(node => node.id));
+
+    const filtered = events.flatMap(({ event, data }) => {
+        if (PRIVATE_ORDER_EVENTS.includes(event) && data.player !== playerId) {
+            return [];
+        }
+        if (!getEventUnitIds(event, data).every(isFollowed)) {
+            return [];
+        }
+        const isNodeEvent = event === 'resourceNodeRegenerated' || event === 'resourcesGathered';
+        if (isNodeEvent && !visibleNodes.has(data.nodeId)) {
+            return [];
+        }
+        if ((event === 'unitDestroyed' || event === 'baseDestroyed') && !isSeen(data.destroyedBy)) {
+            return [{ event, data: { ...data, destroyedBy: null } }];
+        }
+        if (event === 'resourcePhaseComplete' && data.harvests) {
+            return [{
+                event,
+                data: { ...data, harvests: data.harvests.filter(harvest => visibleNodes.has(harvest.nodeId)) }
+            }];
+        }
+        return [{ event, data }];
+    });
+
+    filtered.push({
+        event: 'fogSync',
+        data: {
+            player: playerId,
+            nextUnitId: visibleAfter.gameState.nextUnitId,
+            players: visibleAfter.gameState.players,
+            units: visibleAfter.gameState.units,
+            resourceNodes: visibleAfter.resourceManager.resourceNodes
+        }
+    });
+    return filtered;
+}
+
+function getEventUnitIds(event, data) {
+    switch (event) {
+    case 'unitCreated':
+    case 'unitMoved':
+    case 'unitRemoved':
+    case 'unitDestroyed':
+        return [data.unit.id];
+    case 'unitAttacked':
+        return [data.attacker.id, data.target.id];
+    case 'baseAttacked':
+        return [data.attacker.id];
+    case 'abilityUsed':
+    case 'statusEffectApplied':
+    case 'baseRepaired':
+        return [data.unit.id];
+    case 'resourcesGathered':
+    case 'resourcesDeposited':
+        return [data.unitId];
+    default:
+        return [];
+    }
+}
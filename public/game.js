@@ -5,34 +5,104 @@ import {
     RESOURCE_CONFIG, 
     GAME_STATES,
     PLAYER_COLORS,
-    UNIT_TYPES,
-    UNIT_CHARACTERS
+    BASE_CHARACTER,
+    TERRAIN_GLYPHS,
+    TIME_CONTROLS,
+    TURN_MODES
 } from '../shared/constants.js';
 
 import { GameState } from './gameState.js';
 import { TurnManager } from './turnManager.js';
 import { ResourceManager } from './resourceManager.js';
 import { PersistenceManager } from './persistence.js';
+import { ActionProcessor } from './actionProcessor.js';
+import { OrderQueue } from './orderQueue.js';
+import { NetworkClient } from './networkClient.js';
+import { LobbyScreen, TIME_CONTROL_PRESETS, formatTimeControl, formatTurnMode } from './lobby.js';
+import { applyGameEvent } from './eventApplier.js';
+import { AnimationManager } from './animationManager.js';
+import { VictoryManager } from './victoryManager.js';
+import { Pathfinder } from './pathfinding.js';
+import { AIController } from './aiController.js';
+import { ReplayRecorder, ReplayPlayer } from './replay.js';
+import { CommandHistory } from './commandHistory.js';
+import { FogOfWar } from './fogOfWar.js';
+import { createDefaultMap, createGameFromMap, parseMap, EDITOR_MAP_KEY } from './mapDefinition.js';
+import { generateMap, generateMapFromSeed } from './mapGenerator.js';
+import { STANDARD_RULESET, fetchRulesets } from './ruleset.js';
+import { getAbility, getActiveAbilities } from './abilities.js';
+import { getStatusEffect } from './statusEffects.js';
+
+// How often the ranked queue is polled while waiting for an opponent
+const MATCHMAKING_POLL_MS = 2000;
+// The turn clock is highlighted once this little time is left
+const CLOCK_LOW_MS = 10000;
 
 class Game {
     constructor() {
         this.canvas = document.getElementById('gameCanvas');
         this.ctx = this.canvas.getContext('2d');
-        this.gridSize = GAME_CONFIG.GRID_SIZE; // 25x25
-        this.cellSize = GAME_CONFIG.CELL_SIZE; // 32 pixels per cell
+        this.cellSize = GAME_CONFIG.CELL_SIZE; // 32 pixels per cell, less on large maps
         
         // UI state
         this.selectedCell = null;
         this.hoveredCell = null;
         this.selectedUnit = null;
+        // Ability of the selected unit waiting for a target to be clicked
+        this.targetingAbility = null;
+
+        // Online play: set while connected to a server-hosted match
+        this.network = null;
+        this.localPlayerId = null;
+        // Online the server's clock, counted down locally between its updates
+        this.onlineClock = null;
+        this.clockTimer = null;
+        // Set while waiting in the ranked matchmaking queue
+        this.matchmakingTimer = null;
+
+        // Single-player: Player 2 is driven by the AI when an AI opponent is selected
+        this.aiController = null;
+
+        // Every game is recorded; while a replay is open it is drawn instead of the live game
+        this.recorder = null;
+        this.replay = null;
+        this.liveContext = null;
+
+        // Combat effects drawn over the board
+        this.animationManager = new AnimationManager();
+        this.animationFrame = null;
         
+        // New games are set up from this map definition
+        this.map = this.loadStartupMap();
+        // Rule sets new games can be played with; the server's are loaded in init
+        this.rulesets = [STANDARD_RULESET];
+
         // Initialize game state management
-        this.gameState = new GameState();
-        this.turnManager = new TurnManager(this.gameState);
-        this.resourceManager = new ResourceManager(this.gameState);
+        const { gameState, resourceManager } = createGameFromMap(this.map, this.getSelectedSettings(), this.getSelectedRuleset());
+        this.attachGameState(gameState, resourceManager);
         this.persistenceManager = new PersistenceManager();
+
+        // Online rooms are found and created in the lobby, shown in front of the board on arrival
+        // unless the page was opened to play a particular map
+        this.lobby = document.getElementById('lobbyOverlay') ? new LobbyScreen({
+            onEnter: ({ room, playerId, seatToken }) => this.enterRoom(room, playerId, seatToken),
+            onPlayLocally: () => {
+                if (this.network) {
+                    this.newGame();
+                }
+            },
+            getCurrentMap: () => this.map
+        }) : null;
         
         this.init();
+
+        // A refreshed tab goes straight back to the match it was playing
+        const onlineSession = NetworkClient.loadSession();
+        if (onlineSession) {
+            this.resumeOnlineSession(onlineSession);
+        } else if (this.lobby && !new URLSearchParams(window.location.search).has('map')) {
+            this.lobby.open();
+        }
     }
     
     init() {
@@ -41,9 +111,92 @@ class Game {
         this.updateCanvasSize();
         this.render();
         this.updateUI();
+        this.loadRulesets();
         console.log('Grid Strategy Game initialized with state management');
     }
 
+    /**
+     * Offer the server's rule sets for new games and rooms
+     */
+    async loadRulesets() {
+        this.rulesets = await fetchRulesets();
+        ['rulesetSelect', 'roomRulesetSelect'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (!select) {
+                return;
+            }
+            const selected = select.value;
+            select.replaceChildren(...this.rulesets.map(ruleset => {
+                const option = document.createElement('option');
+                option.value = ruleset.id;
+                option.textContent = `${ruleset.name} rules`;
+                return option;
+            }));
+            if (this.rulesets.some(ruleset => ruleset.id === selected)) {
+                select.value = selected;
+            }
+        });
+    }
+
+    attachGameState(gameState, resourceManager = new ResourceManager(gameState)) {
+        this.exitReplay();
+        if (this.recorder) {
+            this.recorder.stop();
+        }
+        if (this.turnManager) {
+            this.turnManager.destroy();
+        }
+        if (this.history) {
+            this.history.destroy();
+        }
+        if (this.fog) {
+            this.fog.destroy();
+        }
+        if (this.victoryManager) {
+            this.victoryManager.destroy();
+        }
+
+        this.gameState = gameState;
+        this.resourceManager = resourceManager;
+        // Online the server runs the clock and phase changes and decides the winner;
+        // the local copy only mirrors them
+        this.turnManager = new TurnManager(gameState, { resourceManager, useTimers: !this.network });
+        this.victoryManager = this.network ? null : new VictoryManager(gameState, this.turnManager);
+        this.actionProcessor = new ActionProcessor(gameState, this.turnManager, resourceManager);
+        this.history = new CommandHistory(gameState, this.turnManager, this.actionProcessor);
+        this.pathfinder = new Pathfinder(gameState, resourceManager);
+        this.fog = new FogOfWar(gameState);
+        this.recorder = new ReplayRecorder(gameState, resourceManager);
+        this.hideResults();
+        this.setupAI();
+    }
+
+    /**
+     * Hand Player 2 to the AI when an AI opponent is selected (local games only)
+     */
+    setupAI() {
+        if (this.aiController) {
+            this.aiController.destroy();
+            this.aiController = null;
+        }
+
+        const opponentSelect = document.getElementById('opponentSelect');
+        const difficulty = opponentSelect ? opponentSelect.value : 'human';
+        if (this.network || difficulty === 'human') {
+            return;
+        }
+
+        this.aiController = new AIController({
+            playerId: 2,
+            difficulty,
+            createWorker: typeof Worker !== 'undefined'
+                ? () => new Worker('aiWorker.js', { type: 'module' })
+                : null
+        });
+        this.aiController.attach(this.gameState, this.resourceManager,
+            action => this.actionProcessor.process(this.aiController.playerId, action));
+    }
+
     setupGameEventListeners() {
         // Listen to game state events
         this.gameState.on('gameStarted', () => {
@@ -61,6 +214,33 @@ class Game {
             console.log(`Phase changed to ${data.phase} for Player ${data.player}`);
         });
 
+        this.gameState.on('orderQueued', () => {
+            this.render();
+            this.updateUI();
+        });
+        this.gameState.on('ordersCleared', () => {
+            this.render();
+            this.updateUI();
+        });
+        this.gameState.on('orderFailed', (data) => {
+            this.updateStatus(`Player ${data.player}'s ${data.order.type} order failed: ${data.reason}`);
+        });
+        this.gameState.on('playerReady', (data) => {
+            this.selectedUnit = null;
+            this.selectedCell = null;
+            this.render();
+            this.updateUI();
+            if (data.waiting.length > 0) {
+                this.updateStatus(`Player ${data.player} is ready - waiting for Player ${data.waiting.join(', ')}`);
+            }
+        });
+
+        this.gameState.on('turnClockStarted', () => this.updateClock());
+        this.gameState.on('turnTimerTick', () => this.updateClock());
+        this.gameState.on('turnTimeExpired', (data) => {
+            this.updateStatus(`Player ${data.player} ran out of time`);
+        });
+
         this.gameState.on('unitCreated', (data) => {
             this.render();
             console.log(`Unit created: ${data.unit.type} at (${data.unit.position.x}, ${data.unit.position.y})`);
@@ -76,6 +256,70 @@ class Game {
             this.updateUI();
             console.log(`Player ${data.playerId} gathered ${data.amount} resources`);
         });
+
+        this.gameState.on('resourcePhaseComplete', (data) => {
+            this.render();
+            this.updateUI();
+            this.updateStatus(this.formatHarvestSummary(data));
+        });
+
+        this.gameState.on('resourcesDeposited', (data) => {
+            this.render();
+            this.updateUI();
+            console.log(`Player ${data.playerId} deposited ${data.amount} resources`);
+        });
+
+        this.gameState.on('unitAttacked', (data) => {
+            this.animationManager.add('hit', data.target.position, { duration: 300 });
+            this.animationManager.add('damage', data.target.position, { text: `-${data.damage}`, duration: 900 });
+            this.startAnimationLoop();
+            this.updateUI();
+            console.log(`Unit ${data.attacker.id} hit ${data.target.id} for ${data.damage} damage`);
+        });
+
+        this.gameState.on('baseAttacked', (data) => {
+            this.animationManager.add('hit', data.base.position, { duration: 300 });
+            this.animationManager.add('damage', data.base.position, { text: `-${data.damage}`, duration: 900 });
+            this.startAnimationLoop();
+            console.log(`Base of Player ${data.base.playerId} hit for ${data.damage} damage`);
+        });
+
+        this.gameState.on('abilityUsed', (data) => {
+            this.render();
+            this.updateUI();
+            console.log(`Unit ${data.unit.id} used ${data.ability}`);
+        });
+
+        this.gameState.on('statusEffectApplied', (data) => {
+            this.render();
+            this.updateUI();
+            console.log(`Unit ${data.unit.id} is ${data.effect} for ${data.turns} turn(s)`);
+        });
+
+        this.gameState.on('baseRepaired', (data) => {
+            this.animationManager.add('damage', data.base.position, { text: `+${data.amount}`, duration: 900 });
+            this.startAnimationLoop();
+            console.log(`Base of Player ${data.base.playerId} repaired by ${data.amount}`);
+        });
+
+        this.gameState.on('unitDestroyed', (data) => {
+            if (this.selectedUnit && this.selectedUnit.id === data.unit.id) {
+                this.selectedUnit = null;
+            }
+            this.animationManager.add('destroyed', data.position, { duration: 800 });
+            this.startAnimationLoop();
+            this.updateUI();
+            console.log(`Unit ${data.unit.id} destroyed at (${data.position.x}, ${data.position.y})`);
+        });
+
+        this.gameState.on('gameEnded', (data) => {
+            this.selectedUnit = null;
+            this.selectedCell = null;
+            this.render();
+            this.updateUI();
+            this.showResults();
+            console.log(`Game ended: ${data.reason}, winner ${data.winner === null ? 'none' : `Player ${data.winner}`}`);
+        });
     }
     
     setupEventListeners() {
@@ -102,20 +346,192 @@ class Game {
             gatherBtn.addEventListener('click', () => this.gatherResources());
         }
 
-        const saveBtn = document.getElementById('saveBtn');
-        if (saveBtn) {
-            saveBtn.addEventListener('click', () => this.saveGame());
+        const depositBtn = document.getElementById('depositBtn');
+        if (depositBtn) {
+            depositBtn.addEventListener('click', () => this.depositResources());
+        }
+
+        const saveButtons = {
+            savesBtn: () => this.openSaveBrowser(),
+            saveCreateBtn: () => this.createSave(),
+            importLocalSaveBtn: () => this.importLocalSave(),
+            savesCloseBtn: () => this.closeSaveBrowser()
+        };
+        Object.entries(saveButtons).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        const saveNameInput = document.getElementById('saveNameInput');
+        if (saveNameInput) {
+            saveNameInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') {
+                    this.createSave();
+                }
+            });
+        }
+
+        const lobbyBtn = document.getElementById('lobbyBtn');
+        if (lobbyBtn) {
+            lobbyBtn.addEventListener('click', () => this.lobby && this.lobby.open());
+        }
+
+        const rankedBtn = document.getElementById('rankedBtn');
+        if (rankedBtn) {
+            rankedBtn.addEventListener('click', () => this.toggleRankedQueue());
+        }
+
+        const replayButtons = {
+            replayBtn: () => this.enterReplay(this.recorder.getLog()),
+            exportReplayBtn: () => this.exportReplay(),
+            importReplayBtn: () => document.getElementById('replayFileInput').click(),
+            replayBackBtn: () => this.replay && this.replay.stepBack(),
+            replayStepBtn: () => this.replay && this.replay.step(),
+            replayPlayBtn: () => this.toggleReplayPlayback(),
+            replayExitBtn: () => this.exitReplay()
+        };
+        Object.entries(replayButtons).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        const replaySeek = document.getElementById('replaySeek');
+        if (replaySeek) {
+            replaySeek.addEventListener('input', () => {
+                if (this.replay) {
+                    this.replay.pause();
+                    this.replay.seek(Number(replaySeek.value));
+                }
+            });
+        }
+
+        const replayFileInput = document.getElementById('replayFileInput');
+        if (replayFileInput) {
+            replayFileInput.addEventListener('change', () => {
+                const [file] = replayFileInput.files;
+                if (file) {
+                    file.text().then(json => this.importReplay(json));
+                }
+                replayFileInput.value = '';
+            });
+        }
+
+        const loadMapBtn = document.getElementById('loadMapBtn');
+        const mapFileInput = document.getElementById('mapFileInput');
+        if (loadMapBtn && mapFileInput) {
+            loadMapBtn.addEventListener('click', () => mapFileInput.click());
+            mapFileInput.addEventListener('change', () => {
+                const [file] = mapFileInput.files;
+                if (file) {
+                    file.text().then(json => this.loadMap(json));
+                }
+                mapFileInput.value = '';
+            });
+        }
+
+        const mapSelect = document.getElementById('mapSelect');
+        if (mapSelect) {
+            mapSelect.addEventListener('change', () => this.newGameOnSelectedMap());
+        }
+
+        // A typed seed regenerates that map; clearing the seed or changing the size rolls a new one
+        const mapSeedInput = document.getElementById('mapSeedInput');
+        const mapSizeSelect = document.getElementById('mapSizeSelect');
+        if (mapSeedInput && mapSizeSelect) {
+            const useGeneratedMap = () => {
+                mapSelect.value = 'generated';
+                this.newGameOnSelectedMap();
+            };
+            mapSeedInput.addEventListener('change', useGeneratedMap);
+            mapSizeSelect.addEventListener('change', () => {
+                mapSeedInput.value = '';
+                useGeneratedMap();
+            });
+        }
+
+        const opponentSelect = document.getElementById('opponentSelect');
+        if (opponentSelect) {
+            opponentSelect.addEventListener('change', () => this.newGame());
+        }
+
+        const timeControlSelect = document.getElementById('timeControlSelect');
+        if (timeControlSelect) {
+            timeControlSelect.addEventListener('change', () => this.newGame());
+        }
+
+        const turnModeSelect = document.getElementById('turnModeSelect');
+        if (turnModeSelect) {
+            turnModeSelect.addEventListener('change', () => this.newGame());
+        }
+
+        const rulesetSelect = document.getElementById('rulesetSelect');
+        if (rulesetSelect) {
+            rulesetSelect.addEventListener('change', () => this.newGame());
+        }
+
+        const productionCancelBtn = document.getElementById('productionCancelBtn');
+        if (productionCancelBtn) {
+            productionCancelBtn.addEventListener('click', () => this.hideProductionMenu());
         }
 
-        const loadBtn = document.getElementById('loadBtn');
-        if (loadBtn) {
-            loadBtn.addEventListener('click', () => this.loadGame());
+        const clearOrdersBtn = document.getElementById('clearOrdersBtn');
+        if (clearOrdersBtn) {
+            clearOrdersBtn.addEventListener('click', () => this.clearOrders());
+        }
+
+        const resultsNewGameBtn = document.getElementById('resultsNewGameBtn');
+        if (resultsNewGameBtn) {
+            resultsNewGameBtn.addEventListener('click', () => this.newGame());
+        }
+
+        const resultsCloseBtn = document.getElementById('resultsCloseBtn');
+        if (resultsCloseBtn) {
+            resultsCloseBtn.addEventListener('click', () => this.hideResults());
         }
         
+        const undoBtn = document.getElementById('undoBtn');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.undo());
+        }
+
+        const redoBtn = document.getElementById('redoBtn');
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => this.redo());
+        }
+
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
         window.addEventListener('resize', () => this.updateCanvasSize());
     }
     
+    handleKeyDown(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') {
+            return;
+        }
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) {
+            return;
+        }
+
+        event.preventDefault();
+        if (event.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
+        }
+    }
+
+    get gridSize() {
+        return this.gameState.size;
+    }
+
+    /**
+     * Fit the canvas to the board; cells shrink on maps too large for the default cell size
+     */
     updateCanvasSize() {
+        this.cellSize = Math.min(GAME_CONFIG.CELL_SIZE, Math.floor(GAME_CONFIG.MAX_BOARD_PIXELS / this.gridSize));
         const totalSize = this.gridSize * this.cellSize;
         this.canvas.width = totalSize;
         this.canvas.height = totalSize;
@@ -129,31 +545,70 @@ class Game {
     }
 
     handleCellClick(x, y) {
+        if (this.replay) {
+            this.updateStatus('Exit the replay to keep playing');
+            return;
+        }
+
         const unit = this.gameState.getUnitAt(x, y);
-        
-        if (this.selectedUnit) {
-            // Try to move selected unit
-            if (this.selectedUnit.playerId === this.gameState.currentPlayer) {
-                const moved = this.gameState.moveUnit(this.selectedUnit.id, x, y);
-                if (moved) {
-                    this.turnManager.usePlayerAction();
+        const base = this.gameState.getBaseAt(x, y);
+        const terrain = this.gameState.getTerrainAt(x, y);
+        let statusMessage = `Selected cell: (${x}, ${y})${terrain ? ` - ${terrain.name}` : ''}`;
+
+        if (this.targetingAbility && this.selectedUnit) {
+            // The click picks the target of the ability chosen from the ability bar
+            const abilityId = this.targetingAbility;
+            this.targetingAbility = null;
+            const target = unit || base;
+            if (target) {
+                this.useAbility(abilityId, target.id);
+            } else {
+                this.updateStatus(`${getAbility(abilityId).name} cancelled`);
+                this.updateUI();
+            }
+            return;
+        }
+
+        if (this.selectedUnit && base && base.playerId === this.selectedUnit.playerId &&
+            this.selectedUnit.cargo > 0 && this.isControllable(this.selectedUnit)) {
+            // Clicking its own base with a loaded worker unloads the cargo
+            this.depositResources();
+            return;
+        } else if (this.selectedUnit) {
+            // Attack an enemy unit or base on the clicked cell, otherwise try to move there
+            if (this.isControllable(this.selectedUnit)) {
+                const target = unit || base;
+                const isAttack = target && target.playerId !== this.selectedUnit.playerId;
+                const result = this.submitAction(isAttack
+                    ? { type: 'attack', attackerId: this.selectedUnit.id, targetId: target.id }
+                    : { type: 'move', unitId: this.selectedUnit.id, x, y });
+                if (!result.success) {
+                    statusMessage = `Cannot ${isAttack ? 'attack' : 'move'}: ${result.reason}`;
+                } else if (result.queued) {
+                    statusMessage = `${isAttack ? 'Attack' : 'Move'} order given`;
+                }
+                if (result.success) {
                     this.selectedUnit = null;
                     this.selectedCell = null;
-                } else if (unit && unit.playerId === this.gameState.currentPlayer) {
+                } else if (unit && this.isControllable(unit)) {
                     // Select different unit
                     this.selectedUnit = unit;
                     this.selectedCell = { x, y };
                 }
             }
-        } else if (unit && unit.playerId === this.gameState.currentPlayer) {
+        } else if (unit && this.isControllable(unit)) {
             // Select unit
             this.selectedUnit = unit;
             this.selectedCell = { x, y };
         } else {
-            // Try to create unit (if in build phase)
-            if (this.gameState.currentPhase === 'build' && this.gameState.isPositionEmpty(x, y)) {
+            // Try to create unit (if in build phase, next to the player's base)
+            const isBuilding = this.gameState.currentPhase === 'build' && this.isLocalTurn();
+            if (isBuilding && this.gameState.canProduceAt(this.getActingPlayerId(), x, y)) {
                 this.showUnitCreationDialog(x, y);
             } else {
+                if (isBuilding && this.gameState.isPositionEmpty(x, y)) {
+                    statusMessage = 'Units must be built next to your base';
+                }
                 this.selectedCell = { x, y };
                 this.selectedUnit = null;
             }
@@ -161,21 +616,129 @@ class Game {
         
         this.render();
         this.updateUI();
-        this.updateStatus(`Selected cell: (${x}, ${y})`);
+        this.updateStatus(statusMessage);
     }
 
-    showUnitCreationDialog(x, y) {
-        const player = this.gameState.getCurrentPlayer();
-        const unitTypes = ['worker', 'scout', 'infantry', 'heavy'];
-        
-        // Simple dialog for unit creation
-        const unitType = prompt('Create unit type (worker/scout/infantry/heavy):');
-        if (unitType && unitTypes.includes(unitType.toLowerCase())) {
-            const unit = this.gameState.createUnit(unitType.toLowerCase(), player.id, x, y);
-            if (!unit) {
-                alert('Cannot create unit - insufficient energy or invalid position');
-            }
+    /**
+     * Whether the player on turn is controlled from this browser (always true in hot-seat play).
+     * Online in simultaneous play both seats have their turn until they are ready.
+     */
+    isLocalTurn() {
+        if (this.replay) {
+            return false;
+        }
+        if (this.isAIPlayer(this.gameState.currentPlayer)) {
+            return false;
+        }
+        return !this.network || this.gameState.isPlayerToAct(this.localPlayerId);
+    }
+
+    /**
+     * The player this browser gives orders for: the local seat online, otherwise the player on turn
+     */
+    getActingPlayerId() {
+        return this.network ? this.localPlayerId : this.gameState.currentPlayer;
+    }
+
+    /**
+     * Whose vision the board is drawn with: the local seat online, the human against
+     * the AI, the player on turn in hot-seat play. Replays show everything (null).
+     */
+    getViewerId() {
+        if (this.replay) {
+            return null;
+        }
+        if (this.network) {
+            return this.localPlayerId;
+        }
+        if (this.aiController) {
+            const human = Array.from(this.gameState.players.keys()).find(id => !this.isAIPlayer(id));
+            return human ?? null;
+        }
+        return this.gameState.currentPlayer;
+    }
+
+    isCellVisible(x, y) {
+        const viewerId = this.getViewerId();
+        return viewerId === null || this.fog.isVisible(viewerId, x, y);
+    }
+
+    isControllable(unit) {
+        return unit.playerId === this.getActingPlayerId() && this.isLocalTurn();
+    }
+
+    /**
+     * Run an action locally, or send it to the server when playing online.
+     * Online results are pending: the state changes arrive later as server events.
+     */
+    submitAction(action) {
+        if (this.network) {
+            this.network.sendAction(action);
+            return { success: true, pending: true };
         }
+        return this.history.execute(this.gameState.currentPlayer, action);
+    }
+
+    /**
+     * Take back the last move, unit build or phase change made this turn
+     */
+    undo() {
+        this.applyHistory(() => this.history.undo(), 'Undid');
+    }
+
+    redo() {
+        this.applyHistory(() => this.history.redo(), 'Redid');
+    }
+
+    applyHistory(step, verb) {
+        if (this.network) {
+            this.updateStatus('Undo is not available in online matches');
+            return;
+        }
+        if (!this.isLocalTurn() || this.isGameOver()) {
+            return;
+        }
+
+        const result = step();
+        this.selectedUnit = null;
+        this.selectedCell = null;
+        this.render();
+        this.updateUI();
+        this.updateStatus(result.success ? `${verb} ${result.action.type}` : result.reason);
+    }
+
+    /**
+     * Production menu for a cell next to the base: one button per unit type of the game's
+     * rule set, disabled while the player cannot afford it
+     */
+    showUnitCreationDialog(x, y) {
+        const overlay = document.getElementById('productionOverlay');
+        const menu = document.getElementById('productionMenu');
+        const player = this.gameState.players.get(this.getActingPlayerId());
+
+        document.getElementById('productionInfo').textContent = `At (${x}, ${y}) with ${player.energy} energy`;
+        menu.replaceChildren(...this.gameState.getUnitTypes().map(unitType => {
+            const button = document.createElement('button');
+            button.textContent = `${unitType.glyph} ${unitType.name} (${unitType.cost})`;
+            button.title = `Health ${unitType.health}, attack ${unitType.attack}, ` +
+                `movement ${unitType.movement}, sight ${unitType.sight}`;
+            button.disabled = unitType.cost > player.energy;
+            button.addEventListener('click', () => {
+                this.hideProductionMenu();
+                const result = this.submitAction({ type: 'createUnit', unitType: unitType.id, x, y });
+                if (!result.success) {
+                    this.updateStatus(`Cannot create unit: ${result.reason}`);
+                }
+                this.render();
+                this.updateUI();
+            });
+            return button;
+        }));
+        overlay.classList.remove('hidden');
+    }
+
+    hideProductionMenu() {
+        document.getElementById('productionOverlay').classList.add('hidden');
     }
     
     handleMouseMove(event) {
@@ -224,13 +787,36 @@ class Game {
     }
     
     render() {
+        // Loaded games and replays may be on a different map size
+        if (this.canvas.width !== this.gridSize * this.cellSize) {
+            this.updateCanvasSize();
+        }
         this.clearCanvas();
         this.drawGrid();
         this.drawHover();
         this.drawSelection();
         this.drawResourceNodes();
+        this.drawProductionCells();
+        this.drawBases();
         this.drawUnits();
+        this.drawOrders();
+        this.drawFog();
         this.drawUnitSelection();
+        this.drawAttackTargets();
+        this.animationManager.draw(this.ctx, this.cellSize);
+    }
+
+    startAnimationLoop() {
+        if (this.animationFrame) {
+            return;
+        }
+
+        const step = () => {
+            const active = this.animationManager.update();
+            this.render();
+            this.animationFrame = active ? requestAnimationFrame(step) : null;
+        };
+        this.animationFrame = requestAnimationFrame(step);
     }
     
     clearCanvas() {
@@ -238,12 +824,11 @@ class Game {
     }
     
     drawGrid() {
-        // Draw alternating chess-like pattern first
+        // Fill each cell with its terrain, marking rough ground with a glyph
         for (let x = 0; x < this.gridSize; x++) {
             for (let y = 0; y < this.gridSize; y++) {
-                // Determine if this square should be light or dark
-                const isLight = (x + y) % 2 === 0;
-                this.ctx.fillStyle = isLight ? UI_COLORS.GRID_LIGHT : UI_COLORS.GRID_DARK;
+                const terrain = this.gameState.getTerrainAt(x, y);
+                this.ctx.fillStyle = terrain ? terrain.color : UI_COLORS.GRID_LIGHT;
                 
                 this.ctx.fillRect(
                     x * this.cellSize,
@@ -251,6 +836,15 @@ class Game {
                     this.cellSize,
                     this.cellSize
                 );
+
+                const glyph = terrain && TERRAIN_GLYPHS[terrain.id];
+                if (glyph) {
+                    this.ctx.font = `${this.cellSize * 0.4}px serif`;
+                    this.ctx.textAlign = 'center';
+                    this.ctx.textBaseline = 'middle';
+                    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+                    this.ctx.fillText(glyph, (x + 0.5) * this.cellSize, (y + 0.5) * this.cellSize);
+                }
             }
         }
         
@@ -314,13 +908,15 @@ class Game {
         const resourceInfo = this.resourceManager.getResourceNodeInfo();
         resourceInfo.forEach(nodeInfo => {
             const node = nodeInfo.position;
+            // Node positions are always known, their values only inside vision
+            const isHidden = nodeInfo.value === null || !this.isCellVisible(node.x, node.y);
             // Draw resource node as a filled circle
             const centerX = node.x * this.cellSize + this.cellSize / 2;
             const centerY = node.y * this.cellSize + this.cellSize / 2;
             const radius = this.cellSize * 0.3;
             
             // Color based on resource availability
-            const efficiency = nodeInfo.efficiency;
+            const efficiency = isHidden ? 0 : nodeInfo.efficiency;
             const alpha = 0.3 + (efficiency * 0.7); // More transparent when depleted
             this.ctx.fillStyle = `rgba(50, 205, 50, ${alpha})`;
             this.ctx.beginPath();
@@ -338,21 +934,73 @@ class Game {
             this.ctx.textAlign = 'center';
             this.ctx.textBaseline = 'middle';
             this.ctx.fillText(
-                nodeInfo.value.toString(),
+                isHidden ? '?' : nodeInfo.value.toString(),
                 centerX,
                 centerY
             );
         });
     }
 
+    drawBases() {
+        this.gameState.bases.forEach(base => {
+            const x = base.position.x * this.cellSize;
+            const y = base.position.y * this.cellSize;
+            const color = PLAYER_COLORS[base.playerId] || '#666666';
+
+            // Tinted cell with the base glyph; destroyed bases are faded out
+            const alpha = base.isDestroyed() ? 0.3 : 1;
+            this.ctx.globalAlpha = alpha * 0.25;
+            this.ctx.fillStyle = color;
+            this.ctx.fillRect(x, y, this.cellSize, this.cellSize);
+            this.ctx.globalAlpha = alpha;
+
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(x + 1, y + 1, this.cellSize - 2, this.cellSize - 2);
+
+            const fontSize = this.cellSize * 0.7;
+            this.ctx.font = `${fontSize}px serif`;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillStyle = color;
+            this.ctx.fillText(BASE_CHARACTER, x + this.cellSize / 2, y + this.cellSize / 2 + 2);
+            this.ctx.globalAlpha = 1;
+
+            this.drawUnitHealthBar(base, x + this.cellSize / 2, y + 2);
+        });
+    }
+
+    drawProductionCells() {
+        if (this.gameState.currentPhase !== 'build' || !this.isLocalTurn()) {
+            return;
+        }
+
+        // Green borders show where the current player can build
+        this.ctx.strokeStyle = UI_COLORS.RESOURCE_NODE;
+        this.ctx.lineWidth = 2;
+        this.gameState.getProductionCells(this.gameState.currentPlayer).forEach(cell => {
+            this.ctx.strokeRect(
+                cell.x * this.cellSize + 2,
+                cell.y * this.cellSize + 2,
+                this.cellSize - 4,
+                this.cellSize - 4
+            );
+        });
+    }
+
     drawUnits() {
+        const viewerId = this.getViewerId();
         Array.from(this.gameState.units.values()).forEach(unit => {
+            if (viewerId !== null && !this.fog.isUnitVisible(viewerId, unit)) {
+                return;
+            }
+
             const centerX = unit.position.x * this.cellSize + this.cellSize / 2;
             const centerY = unit.position.y * this.cellSize + this.cellSize / 2;
             
             // Get player color and Unicode character
             const color = PLAYER_COLORS[unit.playerId] || '#666666';
-            const character = UNIT_CHARACTERS[unit.type] || '?';
+            const character = unit.getStats() ? unit.getStats().glyph : '?';
             
             // Set font for Unicode character rendering
             const fontSize = this.cellSize * 0.6; // Slightly smaller than full cell
@@ -388,7 +1036,74 @@ class Game {
             } else if (unit.actionsUsed > 0) {
                 this.drawActionIndicator(indicatorX, indicatorY, 'partial');
             }
+
+            if (unit.cargo > 0) {
+                this.drawCarryIndicator(unit, centerX - fontSize / 2, centerY + fontSize / 2);
+            }
+
+            if (unit.statusEffects.size > 0) {
+                this.drawStatusEffectIcons(unit, centerX + fontSize / 2, centerY + fontSize / 2);
+            }
+        });
+    }
+
+    /**
+     * One small icon per status effect, right to left from the unit's lower right corner,
+     * with the stack count for stacked effects
+     */
+    drawStatusEffectIcons(unit, right, bottom) {
+        const size = Math.max(8, this.cellSize * 0.3);
+        this.ctx.font = `${size}px sans-serif`;
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'bottom';
+
+        let x = right;
+        unit.statusEffects.forEach(({ stacks }, effectId) => {
+            const effect = getStatusEffect(effectId);
+            const label = stacks > 1 ? `${effect.icon}${stacks}` : effect.icon;
+            this.ctx.fillStyle = effect.color;
+            this.ctx.fillText(label, x, bottom);
+            x -= this.ctx.measureText(label).width + 1;
         });
+
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+    }
+
+    /**
+     * Shade cells outside the viewer's vision: explored ground lightly, unexplored heavily
+     */
+    drawFog() {
+        const viewerId = this.getViewerId();
+        if (viewerId === null) {
+            return;
+        }
+
+        for (let x = 0; x < this.gridSize; x++) {
+            for (let y = 0; y < this.gridSize; y++) {
+                if (this.fog.isVisible(viewerId, x, y)) {
+                    continue;
+                }
+                this.ctx.fillStyle = this.fog.isExplored(viewerId, x, y) ? UI_COLORS.FOG_EXPLORED : UI_COLORS.FOG_UNEXPLORED;
+                this.ctx.fillRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
+            }
+        }
+    }
+
+    /**
+     * Gold pip with a fill level showing how loaded a worker is
+     */
+    drawCarryIndicator(unit, x, y) {
+        const size = 8;
+        const fill = Math.min(1, unit.cargo / unit.getCarryCapacity());
+
+        this.ctx.fillStyle = '#333333';
+        this.ctx.fillRect(x - size / 2, y - size, size, size);
+        this.ctx.fillStyle = '#FFC107';
+        this.ctx.fillRect(x - size / 2, y - size * fill, size, size * fill);
+        this.ctx.strokeStyle = '#FFC107';
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(x - size / 2, y - size, size, size);
     }
 
     drawUnitHealthBar(unit, centerX, y) {
@@ -417,28 +1132,148 @@ class Game {
         this.ctx.fill();
     }
 
-    drawUnitSelection() {
-        if (this.selectedUnit) {
-            const centerX = this.selectedUnit.position.x * this.cellSize + this.cellSize / 2;
-            const centerY = this.selectedUnit.position.y * this.cellSize + this.cellSize / 2;
-            const radius = this.cellSize * 0.4;
-            
-            // Draw selection ring
-            this.ctx.strokeStyle = '#FFD700';
-            this.ctx.lineWidth = 3;
-            this.ctx.setLineDash([5, 5]);
+    /**
+     * Cells the selected unit could move to right now, or none outside its owner's action phase
+     */
+    /**
+     * Simultaneous play: the orders the viewer has given so far, as arrows from each unit to
+     * where it is going (blue) or what it will attack (red). A unit's later orders start
+     * where its earlier moves leave it.
+     */
+    drawOrders() {
+        const viewerId = this.getViewerId();
+        if (!this.gameState.isSimultaneous() || viewerId === null) {
+            return;
+        }
+
+        const toCenter = value => value * this.cellSize + this.cellSize / 2;
+        const plannedPositions = new Map();
+        this.ctx.lineWidth = 2;
+        this.gameState.orders.getOrders(viewerId).forEach(order => {
+            const unitId = OrderQueue.getUnitId(order);
+            const unit = this.gameState.units.get(unitId);
+            if (!unit) {
+                return;
+            }
+            const from = plannedPositions.get(unitId) || unit.position;
+            let to = null;
+            if (order.type === 'move') {
+                to = { x: order.x, y: order.y };
+                plannedPositions.set(unitId, to);
+            } else if (order.type === 'attack') {
+                const target = this.gameState.units.get(order.targetId) || this.gameState.bases.get(order.targetId);
+                to = target ? target.position : null;
+            }
+
+            this.ctx.strokeStyle = order.type === 'attack' ? '#F44336' : '#2196F3';
+            this.ctx.fillStyle = this.ctx.strokeStyle;
+            this.ctx.setLineDash([4, 4]);
             this.ctx.beginPath();
-            this.ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+            this.ctx.moveTo(toCenter(from.x), toCenter(from.y));
+            if (to) {
+                this.ctx.lineTo(toCenter(to.x), toCenter(to.y));
+            }
             this.ctx.stroke();
             this.ctx.setLineDash([]);
-        }
+
+            // Gathering and depositing are marked on the unit itself
+            const mark = to || from;
+            this.ctx.beginPath();
+            this.ctx.arc(toCenter(mark.x), toCenter(mark.y), this.cellSize * 0.12, 0, 2 * Math.PI);
+            this.ctx.fill();
+        });
+    }
+
+    getSelectedUnitMoves() {
+        const unit = this.selectedUnit;
+        if (!unit || this.gameState.currentPhase !== 'action' || !this.isControllable(unit) ||
+            !unit.canAct() || this.gameState.players.get(unit.playerId).actionsRemaining <= 0) {
+            return [];
+        }
+        return this.pathfinder.getReachableCells(unit);
+    }
+
+    drawUnitSelection() {
+        if (this.selectedUnit) {
+            // Movement range
+            const reachable = this.getSelectedUnitMoves();
+            this.ctx.fillStyle = 'rgba(33, 150, 243, 0.2)';
+            reachable.forEach(cell => {
+                this.ctx.fillRect(cell.x * this.cellSize, cell.y * this.cellSize, this.cellSize, this.cellSize);
+            });
+
+            // Path preview to the hovered cell
+            const hovered = this.hoveredCell;
+            if (hovered && reachable.some(cell => cell.x === hovered.x && cell.y === hovered.y)) {
+                const path = this.pathfinder.findPath(this.selectedUnit, hovered.x, hovered.y);
+                const toCenter = value => value * this.cellSize + this.cellSize / 2;
+
+                this.ctx.strokeStyle = '#2196F3';
+                this.ctx.lineWidth = 3;
+                this.ctx.beginPath();
+                this.ctx.moveTo(toCenter(this.selectedUnit.position.x), toCenter(this.selectedUnit.position.y));
+                path.forEach(step => this.ctx.lineTo(toCenter(step.x), toCenter(step.y)));
+                this.ctx.stroke();
+
+                this.ctx.fillStyle = '#2196F3';
+                this.ctx.beginPath();
+                this.ctx.arc(toCenter(hovered.x), toCenter(hovered.y), this.cellSize * 0.12, 0, 2 * Math.PI);
+                this.ctx.fill();
+            }
+
+            const centerX = this.selectedUnit.position.x * this.cellSize + this.cellSize / 2;
+            const centerY = this.selectedUnit.position.y * this.cellSize + this.cellSize / 2;
+            const radius = this.cellSize * 0.4;
+            
+            // Draw selection ring
+            this.ctx.strokeStyle = '#FFD700';
+            this.ctx.lineWidth = 3;
+            this.ctx.setLineDash([5, 5]);
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
+    }
+    
+    drawAttackTargets() {
+        if (!this.selectedUnit || this.gameState.currentPhase !== 'action' || !this.selectedUnit.canAct()) {
+            return;
+        }
+
+        // Outline enemy units and bases the selected unit can strike this turn
+        this.ctx.strokeStyle = '#F44336';
+        this.ctx.lineWidth = 2;
+        const targets = [...this.gameState.units.values(), ...this.gameState.bases.values()];
+        targets.forEach(target => {
+            if (target.playerId !== this.selectedUnit.playerId &&
+                this.isCellVisible(target.position.x, target.position.y) &&
+                this.gameState.isAdjacent(target.position, this.selectedUnit.position)) {
+                this.ctx.strokeRect(
+                    target.position.x * this.cellSize + 2,
+                    target.position.y * this.cellSize + 2,
+                    this.cellSize - 4,
+                    this.cellSize - 4
+                );
+            }
+        });
     }
     
-    newGame() {
+    /**
+     * Start a new local game
+     * @param {Object} [options]
+     * @param {Object} [options.map] - map definition to play on from now on; defaults to the current map
+     */
+    newGame({ map = null } = {}) {
+        this.leaveOnlineGame();
+        if (map) {
+            this.map = map;
+        }
+        this.updateMapControls();
+
         // Reset state management
-        this.gameState = new GameState();
-        this.turnManager = new TurnManager(this.gameState);
-        this.resourceManager = new ResourceManager(this.gameState);
+        const { gameState, resourceManager } = createGameFromMap(this.map, this.getSelectedSettings(), this.getSelectedRuleset());
+        this.attachGameState(gameState, resourceManager);
         
         // Reset UI state
         this.selectedCell = null;
@@ -466,13 +1301,264 @@ class Game {
     updateUI() {
         this.updatePlayerDisplay();
         this.updateGameInfo();
+        this.updateAbilityButtons();
+        this.updateHistoryButtons();
+        this.updateOrderButtons();
+        this.updateClock();
+    }
+
+    /**
+     * Time control and turn mode chosen for new local games. Games against the AI
+     * always alternate.
+     */
+    getSelectedSettings() {
+        const timeControlSelect = document.getElementById('timeControlSelect');
+        const turnModeSelect = document.getElementById('turnModeSelect');
+        const opponentSelect = document.getElementById('opponentSelect');
+        const againstAI = !!opponentSelect && opponentSelect.value !== 'human';
+        return {
+            timeControl: timeControlSelect ? TIME_CONTROL_PRESETS[timeControlSelect.value] : undefined,
+            turnMode: turnModeSelect && !againstAI ? turnModeSelect.value : TURN_MODES.ALTERNATING
+        };
+    }
+
+    /**
+     * Rule set chosen for new local games
+     */
+    getSelectedRuleset() {
+        const rulesetSelect = document.getElementById('rulesetSelect');
+        const selected = rulesetSelect && this.rulesets.find(ruleset => ruleset.id === rulesetSelect.value);
+        return selected || STANDARD_RULESET;
+    }
+
+    /**
+     * Time the current turn or phase has left, null when it is untimed
+     */
+    getClockRemaining() {
+        if (!this.network) {
+            return this.gameState.clock.remaining;
+        }
+        if (!this.onlineClock) {
+            return null;
+        }
+        const { remaining, paused, receivedAt } = this.onlineClock;
+        return paused ? remaining : Math.max(0, remaining - (Date.now() - receivedAt));
+    }
+
+    /**
+     * Countdown for the turn or phase being played; with a chess clock, both players' time
+     */
+    updateClock() {
+        const clockElement = document.getElementById('turnClock');
+        if (!clockElement) {
+            return;
+        }
+
+        const remaining = this.getClockRemaining();
+        const hidden = remaining === null || this.isGameOver() || !!this.replay;
+        clockElement.classList.toggle('hidden', hidden);
+        if (hidden) {
+            return;
+        }
+
+        const { currentPlayer, clock, settings } = this.gameState;
+        let text = `Time: ${Game.formatClock(remaining)}`;
+        if (settings.timeControl.mode === TIME_CONTROLS.CHESS) {
+            text = Array.from(this.gameState.players.keys())
+                .map(id => `P${id} ${Game.formatClock(id === currentPlayer ? remaining : clock.banks[id])}`)
+                .join(' | ');
+        }
+        clockElement.textContent = this.onlineClock && this.onlineClock.paused ? `${text} (paused)` : text;
+        clockElement.classList.toggle('low', remaining <= CLOCK_LOW_MS);
+    }
+
+    /**
+     * Show the clock the server sent, or none for untimed matches
+     * @param {{remaining: number, paused: boolean}|null} clock
+     */
+    setOnlineClock(clock) {
+        clearInterval(this.clockTimer);
+        this.clockTimer = null;
+        this.onlineClock = clock ? { remaining: clock.remaining, paused: clock.paused, receivedAt: Date.now() } : null;
+        if (clock && !clock.paused) {
+            this.clockTimer = setInterval(() => this.updateClock(), 1000);
+        }
+        this.updateClock();
+    }
+
+    static formatClock(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    updateHistoryButtons() {
+        const canUse = !this.network && this.isLocalTurn() && !this.isGameOver();
+        const undoBtn = document.getElementById('undoBtn');
+        if (undoBtn) {
+            undoBtn.disabled = !(canUse && this.history.canUndo());
+        }
+        const redoBtn = document.getElementById('redoBtn');
+        if (redoBtn) {
+            redoBtn.disabled = !(canUse && this.history.canRedo());
+        }
+    }
+
+    /**
+     * In the simultaneous action phase Next Phase hands in the orders, and they can be cleared
+     */
+    updateOrderButtons() {
+        const isPlanning = this.gameState.isSimultaneous() && this.gameState.currentPhase === 'action' &&
+            !this.isGameOver();
+        const nextPhaseBtn = document.getElementById('nextPhaseBtn');
+        if (nextPhaseBtn) {
+            nextPhaseBtn.textContent = isPlanning ? 'Submit Orders' : 'Next Phase';
+        }
+        const clearOrdersBtn = document.getElementById('clearOrdersBtn');
+        if (clearOrdersBtn) {
+            clearOrdersBtn.classList.toggle('hidden', !isPlanning);
+            clearOrdersBtn.disabled = !this.isLocalTurn() ||
+                this.gameState.orders.getOrders(this.getActingPlayerId()).length === 0;
+        }
+    }
+
+    /**
+     * One button for each ability the selected unit can use as an action
+     */
+    updateAbilityButtons() {
+        const abilityBar = document.getElementById('abilityBar');
+        if (!abilityBar) {
+            return;
+        }
+        const unit = this.selectedUnit;
+        const abilities = unit && this.isControllable(unit) ? getActiveAbilities(unit) : [];
+        if (abilities.length === 0) {
+            this.targetingAbility = null;
+        }
+
+        abilityBar.classList.toggle('hidden', abilities.length === 0);
+        abilityBar.replaceChildren(...abilities.map(abilityId => {
+            const ability = getAbility(abilityId);
+            const button = document.createElement('button');
+            const inEffect = !!ability.status && unit.hasStatusEffect(ability.status);
+            button.textContent = inEffect ? `${ability.name} (active)` : ability.name;
+            button.title = `${ability.description} - ${ability.actionCost} action${ability.actionCost === 1 ? '' : 's'}`;
+            button.classList.toggle('targeting', this.targetingAbility === abilityId);
+            button.disabled = this.gameState.currentPhase !== 'action' || inEffect ||
+                unit.maxActions - unit.actionsUsed < ability.actionCost;
+            button.addEventListener('click', () => this.chooseAbility(abilityId));
+            return button;
+        }));
+    }
+
+    /**
+     * Abilities used on the unit itself go ahead at once, repairs pick the adjacent base,
+     * and attacks wait for the enemy to be clicked
+     */
+    chooseAbility(abilityId) {
+        const unit = this.selectedUnit;
+        const ability = getAbility(abilityId);
+        if (ability.target === 'enemy') {
+            this.targetingAbility = abilityId;
+            this.updateStatus(`${ability.name}: click an adjacent enemy`);
+            this.updateUI();
+        } else if (ability.target === 'ownBase') {
+            const base = this.gameState.getPlayerBase(unit.playerId);
+            this.useAbility(abilityId, base ? base.id : null);
+        } else {
+            this.useAbility(abilityId);
+        }
+    }
+
+    useAbility(abilityId, targetId = null) {
+        const { name } = getAbility(abilityId);
+        const action = { type: 'useAbility', unitId: this.selectedUnit.id, ability: abilityId };
+        if (targetId) {
+            action.targetId = targetId;
+        }
+        const result = this.submitAction(action);
+        if (result.pending) {
+            this.updateStatus(`${name} request sent`);
+        } else if (result.queued) {
+            this.updateStatus(`${name} order given`);
+        } else if (result.success) {
+            const details = result.damage !== undefined ? ` for ${result.damage} damage` : '';
+            this.updateStatus(`${name} used${details}`);
+        } else {
+            this.updateStatus(`Cannot use ${name}: ${result.reason}`);
+        }
+        this.render();
+        this.updateUI();
     }
 
     updatePlayerDisplay() {
         const playerElement = document.getElementById('currentPlayer');
-        if (playerElement) {
+        if (!playerElement) {
+            return;
+        }
+        if (this.isGameOver()) {
+            playerElement.textContent = this.getResultTitle();
+        } else if (this.gameState.isSimultaneous()) {
+            const playerId = this.getActingPlayerId();
+            const activity = this.gameState.currentPhase === 'build' ? 'Building' : 'Planning';
+            playerElement.textContent = this.gameState.isPlayerToAct(playerId)
+                ? `Player ${playerId} ${activity}`
+                : `Waiting for Player ${this.gameState.getWaitingPlayers().join(', ')}`;
+        } else {
             const currentPlayer = this.gameState.getCurrentPlayer();
-            playerElement.textContent = `Player ${currentPlayer.id}'s Turn`;
+            playerElement.textContent = `Player ${currentPlayer.id}${this.isAIPlayer(currentPlayer.id) ? ' (AI)' : ''}'s Turn`;
+        }
+    }
+
+    isAIPlayer(playerId) {
+        return !!this.aiController && this.aiController.playerId === playerId;
+    }
+
+    isGameOver() {
+        return this.gameState.status === GAME_STATES.ENDED;
+    }
+
+    getResultTitle() {
+        return this.gameState.winner === null ? 'Draw' : `Player ${this.gameState.winner} Wins`;
+    }
+
+    /**
+     * Results overlay with the winner, how the game was decided and per-player statistics
+     */
+    showResults() {
+        const overlay = document.getElementById('resultsOverlay');
+        if (!overlay) {
+            return;
+        }
+
+        const reasons = {
+            base_destroyed: 'The enemy base was destroyed',
+            elimination: 'All enemy units were destroyed',
+            turn_limit: `Turn limit reached after turn ${this.gameState.turnNumber - 1} - decided on resources gathered`,
+            time_forfeit: 'The other player ran out of time on their clock'
+        };
+
+        document.getElementById('resultsTitle').textContent = this.getResultTitle();
+        document.getElementById('resultsReason').textContent = reasons[this.gameState.endReason] || '';
+        document.getElementById('resultsBody').innerHTML = this.gameState.getPlayerStats().map(stats => `
+            <tr class="${stats.playerId === this.gameState.winner ? 'winner' : ''}">
+                <td>${stats.name}</td>
+                <td>${stats.resourcesGathered}</td>
+                <td>${stats.energy}</td>
+                <td>${stats.unitsCreated}</td>
+                <td>${stats.unitsLost}</td>
+                <td>${stats.unitsDestroyed}</td>
+                <td>${stats.damageDealt}</td>
+            </tr>
+        `).join('');
+
+        overlay.classList.remove('hidden');
+        this.updateStatus('Game over');
+    }
+
+    hideResults() {
+        const overlay = document.getElementById('resultsOverlay');
+        if (overlay) {
+            overlay.classList.add('hidden');
         }
     }
 
@@ -484,7 +1570,7 @@ class Game {
         }
 
         // Update player info
-        const player = this.gameState.getCurrentPlayer();
+        const player = this.gameState.players.get(this.getActingPlayerId()) || this.gameState.getCurrentPlayer();
         const energyElement = document.getElementById('playerEnergy');
         if (energyElement) {
             energyElement.textContent = `Energy: ${player.energy}`;
@@ -492,7 +1578,12 @@ class Game {
 
         const actionsElement = document.getElementById('playerActions');
         if (actionsElement) {
-            actionsElement.textContent = `Actions: ${player.actionsRemaining}`;
+            // Moves and attacks already ordered will spend actions
+            const orders = this.gameState.orders.getOrders(player.id);
+            const ordered = orders.filter(order => order.type === 'move' || order.type === 'attack').length;
+            actionsElement.textContent = this.gameState.isSimultaneous() && this.gameState.currentPhase === 'action'
+                ? `Actions: ${player.actionsRemaining - ordered} (${orders.length} order${orders.length === 1 ? '' : 's'} given)`
+                : `Actions: ${player.actionsRemaining}`;
         }
 
         const unitsElement = document.getElementById('playerUnits');
@@ -511,10 +1602,20 @@ class Game {
         if (selectedUnitElement) {
             if (this.selectedUnit) {
                 const stats = this.selectedUnit.getStats();
+                const capacity = this.selectedUnit.getCarryCapacity();
+                const cargo = capacity > 0 ? `<br>Cargo: ${this.selectedUnit.cargo}/${capacity}` : '';
+                const { x, y } = this.selectedUnit.position;
+                const terrain = this.gameState.getTerrainAt(x, y);
+                const cover = terrain.damageModifier < 1 ? ` (-${Math.round((1 - terrain.damageModifier) * 100)}% damage)` : '';
+                const effects = Array.from(this.selectedUnit.statusEffects, ([effectId, { turns, stacks }]) => {
+                    const effect = getStatusEffect(effectId);
+                    return `${effect.icon} ${effect.name}${stacks > 1 ? ` x${stacks}` : ''} (${turns} turn${turns === 1 ? '' : 's'})`;
+                });
                 selectedUnitElement.innerHTML = `
                     <strong>${stats.name}</strong><br>
                     Health: ${this.selectedUnit.health}/${this.selectedUnit.maxHealth}<br>
-                    Actions: ${this.selectedUnit.actionsUsed}/${this.selectedUnit.maxActions}
+                    Actions: ${this.selectedUnit.actionsUsed}/${this.selectedUnit.maxActions}${cargo}<br>
+                    Terrain: ${terrain.name}${cover}${effects.length > 0 ? `<br>Effects: ${effects.join(', ')}` : ''}
                 `;
             } else {
                 selectedUnitElement.innerHTML = 'No unit selected';
@@ -522,6 +1623,21 @@ class Game {
         }
     }
     
+    /**
+     * One-line summary of the resource phase, e.g. "Player 1 +15 energy | Harvest: (12,12) +10 (2 workers)"
+     */
+    formatHarvestSummary({ player, energyGained, harvests = [] }) {
+        const income = `Player ${player} +${energyGained} energy`;
+        if (harvests.length === 0) {
+            return `${income} | No workers harvesting`;
+        }
+
+        const nodes = harvests.map(harvest =>
+            `(${harvest.x},${harvest.y}) +${harvest.amount} (${harvest.workers} worker${harvest.workers === 1 ? '' : 's'})`
+        );
+        return `${income} | Harvest: ${nodes.join(', ')}`;
+    }
+
     updateStatus(message) {
         const statusElement = document.getElementById('gameStatus');
         if (statusElement) {
@@ -530,53 +1646,659 @@ class Game {
     }
 
     endTurn() {
-        this.turnManager.forceEndTurn();
+        if (this.isGameOver()) {
+            this.updateStatus('The game is over');
+            return;
+        }
+        if (!this.isLocalTurn()) {
+            this.updateStatus('Waiting for the other player');
+            return;
+        }
+
+        // In simultaneous play ending the turn only says this player is done
+        if (this.network || this.gameState.isSimultaneous()) {
+            this.submitAction({ type: 'endTurn' });
+        } else {
+            this.turnManager.forceEndTurn();
+        }
         this.selectedUnit = null;
         this.selectedCell = null;
         this.updateUI();
     }
 
     nextPhase() {
-        this.turnManager.nextPhase();
+        if (this.isGameOver()) {
+            this.updateStatus('The game is over');
+            return;
+        }
+        if (!this.isLocalTurn()) {
+            this.updateStatus('Waiting for the other player');
+            return;
+        }
+
+        const result = this.submitAction({ type: 'nextPhase' });
+        if (!result.success) {
+            this.updateStatus(`Cannot change phase: ${result.reason}`);
+        }
+        this.updateUI();
+    }
+
+    /**
+     * Simultaneous play: take back the orders given so far this action phase
+     */
+    clearOrders() {
+        if (!this.isLocalTurn()) {
+            this.updateStatus('Waiting for the other player');
+            return;
+        }
+        const result = this.submitAction({ type: 'cancelOrders' });
+        this.updateStatus(result.success ? 'Orders cleared' : `Cannot clear orders: ${result.reason}`);
+        this.render();
         this.updateUI();
     }
 
     gatherResources() {
-        if (this.selectedUnit && this.selectedUnit.type === 'worker') {
-            const result = this.resourceManager.gatherResources(this.selectedUnit.id);
-            if (result.success) {
-                this.updateStatus(`Gathered ${result.amount} resources`);
+        if (this.selectedUnit && this.selectedUnit.getCarryCapacity() > 0) {
+            const result = this.submitAction({
+                type: 'gather',
+                unitId: this.selectedUnit.id
+            });
+            if (result.pending) {
+                this.updateStatus('Gather request sent');
+            } else if (result.queued) {
+                this.updateStatus('Gather order given');
+            } else if (result.success) {
+                this.updateStatus(`Gathered ${result.amount} resources (carrying ${result.cargo})`);
             } else {
                 this.updateStatus(`Cannot gather: ${result.reason}`);
             }
             this.updateUI();
         } else {
-            this.updateStatus('Select a worker unit to gather resources');
+            this.updateStatus('Select a unit that carries resources to gather');
         }
     }
 
-    saveGame() {
-        const result = this.persistenceManager.saveGame(this.gameState, this.resourceManager);
-        if (result.success) {
-            this.updateStatus('Game saved successfully');
+    depositResources() {
+        if (this.selectedUnit && this.selectedUnit.getCarryCapacity() > 0) {
+            const result = this.submitAction({
+                type: 'deposit',
+                unitId: this.selectedUnit.id
+            });
+            if (result.pending) {
+                this.updateStatus('Deposit request sent');
+            } else if (result.queued) {
+                this.updateStatus('Deposit order given');
+            } else if (result.success) {
+                this.updateStatus(`Deposited ${result.amount} resources at base`);
+            } else {
+                this.updateStatus(`Cannot deposit: ${result.reason}`);
+            }
+            this.render();
+            this.updateUI();
         } else {
-            this.updateStatus(`Save failed: ${result.error}`);
+            this.updateStatus('Select a unit that carries resources to deposit');
         }
     }
 
-    loadGame() {
-        const result = this.persistenceManager.loadGame();
-        if (result.success) {
-            this.gameState = result.gameState;
-            this.turnManager = new TurnManager(this.gameState);
-            this.resourceManager = result.resourceManager;
-            
+    /**
+     * Open a recorded game in the replay viewer. The live game keeps running underneath
+     * and is shown again on exit.
+     */
+    enterReplay(log) {
+        let replay;
+        try {
+            replay = new ReplayPlayer(log, { onUpdate: () => this.showReplayFrame() });
+        } catch (error) {
+            this.updateStatus(`Cannot open replay: ${error.message}`);
+            return;
+        }
+
+        this.exitReplay();
+        this.liveContext = { gameState: this.gameState, resourceManager: this.resourceManager };
+        this.replay = replay;
+        this.selectedUnit = null;
+        this.selectedCell = null;
+        document.getElementById('replayControls').classList.remove('hidden');
+        this.showReplayFrame();
+    }
+
+    exitReplay() {
+        if (!this.replay) {
+            return;
+        }
+
+        this.replay.destroy();
+        this.replay = null;
+        this.gameState = this.liveContext.gameState;
+        this.resourceManager = this.liveContext.resourceManager;
+        this.liveContext = null;
+
+        document.getElementById('replayControls').classList.add('hidden');
+        this.render();
+        this.updateUI();
+        this.updateStatus('Back to the live game');
+    }
+
+    toggleReplayPlayback() {
+        if (!this.replay) {
+            return;
+        }
+        if (this.replay.isPlaying()) {
+            this.replay.pause();
+        } else {
+            if (this.replay.isAtEnd()) {
+                this.replay.seek(0);
+            }
+            this.replay.play();
+        }
+    }
+
+    showReplayFrame() {
+        const replay = this.replay;
+        if (!replay) {
+            return;
+        }
+
+        this.gameState = replay.gameState;
+        this.resourceManager = replay.resourceManager;
+
+        const seek = document.getElementById('replaySeek');
+        seek.max = replay.length;
+        seek.value = replay.position;
+        const current = replay.getCurrentEvent();
+        document.getElementById('replayPosition').textContent =
+            `${replay.position} / ${replay.length}${current ? ` - ${current.event}` : ''}`;
+        document.getElementById('replayPlayBtn').innerHTML = replay.isPlaying() ? '&#9208;' : '&#9654;';
+
+        this.render();
+        this.updateUI();
+        this.updateStatus(`Replay - turn ${replay.gameState.turnNumber}, ${replay.gameState.currentPhase} phase`);
+    }
+
+    exportReplay() {
+        const json = JSON.stringify(this.recorder.getLog(), null, 2);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = `replay-${this.recorder.gameId}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        this.updateStatus('Replay exported');
+    }
+
+    importReplay(json) {
+        try {
+            this.enterReplay(JSON.parse(json));
+        } catch (error) {
+            this.updateStatus(`Cannot open replay: ${error.message}`);
+        }
+    }
+
+    /**
+     * The map new games start on: the one handed over by the map editor, else the standard map
+     */
+    loadStartupMap() {
+        if (new URLSearchParams(window.location.search).get('map') === 'editor') {
+            try {
+                const map = parseMap(localStorage.getItem(EDITOR_MAP_KEY));
+                this.selectCustomMap();
+                return map;
+            } catch (error) {
+                console.warn('Could not load the map from the editor:', error.message);
+            }
+        }
+        return createDefaultMap();
+    }
+
+    /**
+     * The map the map controls describe: the standard map, or a generated one from
+     * the seed typed in (a fresh seed at the chosen size if there is none)
+     * @throws {Error} if the seed string names an unsupported size or symmetry
+     */
+    createSelectedMap() {
+        const mapSelect = document.getElementById('mapSelect');
+        if (mapSelect.value === 'custom') {
+            return this.map;
+        }
+        if (mapSelect.value !== 'generated') {
+            return createDefaultMap();
+        }
+
+        const seedString = document.getElementById('mapSeedInput').value.trim();
+        if (seedString) {
+            return generateMapFromSeed(seedString);
+        }
+        return generateMap({ size: Number(document.getElementById('mapSizeSelect').value) });
+    }
+
+    selectCustomMap() {
+        const mapSelect = document.getElementById('mapSelect');
+        if (mapSelect) {
+            mapSelect.value = 'custom';
+        }
+    }
+
+    newGameOnSelectedMap() {
+        let map;
+        try {
+            map = this.createSelectedMap();
+        } catch (error) {
+            this.updateStatus(`Cannot generate map: ${error.message}`);
+            return;
+        }
+        this.newGame({ map });
+        this.updateStatus(map.seed ? `New game started on map seed ${map.seed}` : `New game started on ${map.name}`);
+    }
+
+    /**
+     * Show the current map in the map controls; generated maps show their seed so it can be shared
+     */
+    updateMapControls() {
+        const mapSelect = document.getElementById('mapSelect');
+        const mapSeedInput = document.getElementById('mapSeedInput');
+        const mapSizeSelect = document.getElementById('mapSizeSelect');
+        if (!mapSelect || !mapSeedInput || !mapSizeSelect) {
+            return;
+        }
+
+        if (this.map.seed) {
+            mapSelect.value = 'generated';
+            mapSeedInput.value = this.map.seed;
+            mapSizeSelect.value = String(this.map.size);
+        } else {
+            mapSeedInput.value = '';
+        }
+    }
+
+    /**
+     * Switch to a map from a JSON file and start a new game on it
+     */
+    loadMap(json) {
+        let map;
+        try {
+            map = parseMap(json);
+        } catch (error) {
+            this.updateStatus(`Cannot load map: ${error.message}`);
+            return;
+        }
+        this.selectCustomMap();
+        this.newGame({ map });
+        this.updateStatus(`New game started on ${map.name}`);
+    }
+
+    /**
+     * The save browser: named save slots kept on the server
+     */
+    async openSaveBrowser() {
+        const overlay = document.getElementById('savesOverlay');
+        if (!overlay) {
+            return;
+        }
+        overlay.classList.remove('hidden');
+        document.getElementById('importLocalSaveBtn').classList.toggle('hidden', !this.persistenceManager.hasSavedGame());
+        this.setSaveBrowserMessage('');
+        await this.refreshSaveBrowser();
+    }
+
+    closeSaveBrowser() {
+        const overlay = document.getElementById('savesOverlay');
+        if (overlay) {
+            overlay.classList.add('hidden');
+        }
+    }
+
+    setSaveBrowserMessage(message) {
+        document.getElementById('savesMessage').textContent = message;
+    }
+
+    async refreshSaveBrowser() {
+        const body = document.getElementById('savesBody');
+        const result = await this.persistenceManager.listSlots();
+        body.replaceChildren();
+        if (!result.success) {
+            this.setSaveBrowserMessage(`Cannot list saves: ${result.error}`);
+            return;
+        }
+        if (result.saves.length === 0) {
+            this.setSaveBrowserMessage('No saved games yet');
+        }
+        result.saves.forEach(save => body.appendChild(this.createSaveRow(save)));
+    }
+
+    createSaveRow(save) {
+        const { turnNumber, status, size } = save.summary;
+        const row = document.createElement('tr');
+        const cells = [
+            save.name,
+            status === GAME_STATES.ENDED ? 'Finished' : `Turn ${turnNumber}`,
+            `${size} x ${size}`,
+            new Date(save.updatedAt).toLocaleString()
+        ];
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+
+        const actions = document.createElement('td');
+        actions.className = 'save-actions';
+        const buttons = {
+            Load: () => this.loadSave(save),
+            Overwrite: () => this.overwriteSave(save),
+            Delete: () => this.deleteSave(save)
+        };
+        Object.entries(buttons).forEach(([label, handler]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
+        });
+        row.appendChild(actions);
+        return row;
+    }
+
+    /**
+     * @returns {string|null} why the current game cannot be saved right now
+     */
+    getSaveBlocker() {
+        if (this.network) {
+            return 'Online matches are saved by the server';
+        }
+        if (this.replay) {
+            return 'Exit the replay before saving';
+        }
+        return null;
+    }
+
+    async createSave() {
+        const blocker = this.getSaveBlocker();
+        if (blocker) {
+            this.setSaveBrowserMessage(blocker);
+            return;
+        }
+
+        const input = document.getElementById('saveNameInput');
+        const result = await this.persistenceManager.createSlot(input.value, this.gameState, this.resourceManager);
+        if (!result.success) {
+            this.setSaveBrowserMessage(`Save failed: ${result.error}`);
+            return;
+        }
+        input.value = '';
+        this.setSaveBrowserMessage(`Saved "${result.save.name}"`);
+        this.updateStatus('Game saved successfully');
+        await this.refreshSaveBrowser();
+    }
+
+    async overwriteSave(save) {
+        const blocker = this.getSaveBlocker();
+        if (blocker) {
+            this.setSaveBrowserMessage(blocker);
+            return;
+        }
+        if (!confirm(`Overwrite "${save.name}" with the current game?`)) {
+            return;
+        }
+
+        const result = await this.persistenceManager.overwriteSlot(save.id, this.gameState, this.resourceManager);
+        if (!result.success) {
+            this.setSaveBrowserMessage(`Save failed: ${result.error}`);
+            return;
+        }
+        this.setSaveBrowserMessage(`Saved "${save.name}"`);
+        this.updateStatus('Game saved successfully');
+        await this.refreshSaveBrowser();
+    }
+
+    async deleteSave(save) {
+        if (!confirm(`Delete "${save.name}"?`)) {
+            return;
+        }
+
+        const result = await this.persistenceManager.deleteSlot(save.id);
+        this.setSaveBrowserMessage(result.success ? `Deleted "${save.name}"` : `Delete failed: ${result.error}`);
+        await this.refreshSaveBrowser();
+    }
+
+    async loadSave(save) {
+        if (this.network) {
+            this.setSaveBrowserMessage('Leave the online match before loading a save');
+            return;
+        }
+
+        const result = await this.persistenceManager.loadSlot(save.id);
+        if (!result.success) {
+            this.setSaveBrowserMessage(`Load failed: ${result.error}`);
+            return;
+        }
+
+        this.closeSaveBrowser();
+        this.attachGameState(result.gameState, result.resourceManager);
+        this.setupGameEventListeners();
+        this.render();
+        this.updateUI();
+        this.updateStatus(`Loaded "${result.name}"`);
+        if (this.isGameOver()) {
+            this.showResults();
+        }
+    }
+
+    /**
+     * Move the single save older versions kept in this browser into a server slot
+     */
+    async importLocalSave() {
+        const input = document.getElementById('saveNameInput');
+        const name = input.value.trim() || 'Browser save';
+        const result = await this.persistenceManager.importLocalSave(name);
+        if (!result.success) {
+            this.setSaveBrowserMessage(`Import failed: ${result.error}`);
+            return;
+        }
+        input.value = '';
+        document.getElementById('importLocalSaveBtn').classList.add('hidden');
+        this.setSaveBrowserMessage(`Imported the browser save as "${result.save.name}"`);
+        await this.refreshSaveBrowser();
+    }
+
+    /**
+     * Play in (or, with no seat, watch) a lobby room's match
+     * @param {number|null} playerId - null to watch as a spectator
+     * @param {string|null} [seatToken] - what a guest holds their seat with
+     */
+    async enterRoom(room, playerId, seatToken = null) {
+        try {
+            await this.connectToMatch(room.matchId, playerId, seatToken);
+        } catch (error) {
+            this.updateStatus(`Online play unavailable: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {number|null} playerId - the seat to take, or null to spectate
+     * @param {string} [resumeToken] - proves the seat is ours when taking it back
+     */
+    async connectToMatch(matchId, playerId, resumeToken = null) {
+        this.leaveOnlineGame();
+        const network = new NetworkClient();
+        this.setupNetworkListeners(network);
+        await network.connect();
+        this.network = network;
+        if (playerId === null) {
+            network.spectate(matchId);
+        } else {
+            network.join(matchId, playerId, resumeToken);
+        }
+        this.updateStatus(`Connecting to match ${matchId}...`);
+    }
+
+    async resumeOnlineSession({ matchId, playerId, resumeToken }) {
+        try {
+            await this.connectToMatch(matchId, playerId, resumeToken);
+        } catch (error) {
+            // Keep the seat for the next refresh; the server may just be restarting
+            NetworkClient.saveSession({ matchId, playerId, resumeToken });
+            this.updateStatus(`Cannot rejoin match ${matchId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Join the ranked queue, or leave it if already waiting. Ranked play needs an account.
+     */
+    async toggleRankedQueue() {
+        const rankedBtn = document.getElementById('rankedBtn');
+        if (this.matchmakingTimer) {
+            this.stopMatchmakingPoll();
+            rankedBtn.textContent = 'Ranked Match';
+            await fetch('/api/matchmaking', { method: 'DELETE' }).catch(() => {});
+            this.updateStatus('Left the ranked queue');
+            return;
+        }
+
+        const status = await this.requestMatchmaking('POST');
+        if (status) {
+            rankedBtn.textContent = 'Cancel Ranked';
+            this.handleMatchmakingStatus(status);
+        }
+    }
+
+    /**
+     * @returns {Promise<Object|null>} the queue status, or null after reporting an error
+     */
+    async requestMatchmaking(method) {
+        try {
+            const response = await fetch('/api/matchmaking', { method });
+            const data = await response.json();
+            if (!response.ok) {
+                const reason = response.status === 401 ? 'sign in on the Account page first' : data.error;
+                throw new Error(reason || `Server responded with ${response.status}`);
+            }
+            return data;
+        } catch (error) {
+            this.stopMatchmakingPoll();
+            document.getElementById('rankedBtn').textContent = 'Ranked Match';
+            this.updateStatus(`Ranked play unavailable: ${error.message}`);
+            return null;
+        }
+    }
+
+    async handleMatchmakingStatus(status) {
+        if (status.status === 'matched') {
+            this.stopMatchmakingPoll();
+            document.getElementById('rankedBtn').textContent = 'Ranked Match';
+            try {
+                await this.connectToMatch(status.matchId, status.playerId);
+                this.updateStatus(`Ranked match against ${status.opponent} - connecting...`);
+            } catch (error) {
+                this.updateStatus(`Online play unavailable: ${error.message}`);
+            }
+            return;
+        }
+        if (status.status === 'idle') {
+            this.stopMatchmakingPoll();
+            document.getElementById('rankedBtn').textContent = 'Ranked Match';
+            return;
+        }
+
+        this.updateStatus(`Searching for an opponent near ${status.rating} (±${status.range})...`);
+        this.matchmakingTimer = setTimeout(async () => {
+            const next = await this.requestMatchmaking('GET');
+            if (next && this.matchmakingTimer) {
+                this.handleMatchmakingStatus(next);
+            }
+        }, MATCHMAKING_POLL_MS);
+    }
+
+    stopMatchmakingPoll() {
+        clearTimeout(this.matchmakingTimer);
+        this.matchmakingTimer = null;
+    }
+
+    setupNetworkListeners(network) {
+        network.on('joined', (message) => {
+            NetworkClient.saveSession({
+                matchId: message.matchId,
+                playerId: message.playerId,
+                resumeToken: message.resumeToken
+            });
+            this.setOnlineClock(message.clock);
+            // A resumed connection keeps the board it has; the missed events follow
+            if (message.resumed) {
+                this.updateStatus(`Reconnected - ${Game.describeOnlineMatch(message)}`);
+                return;
+            }
+
+            this.localPlayerId = message.playerId;
+            const gameState = GameState.deserialize(message.state.gameState);
+            this.attachGameState(gameState, ResourceManager.deserialize(message.state.resourceManager, gameState));
+            this.selectedCell = null;
+            this.selectedUnit = null;
+
             this.setupGameEventListeners();
             this.render();
             this.updateUI();
-            this.updateStatus('Game loaded successfully');
-        } else {
-            this.updateStatus(`Load failed: ${result.error}`);
+            this.updateStatus(Game.describeOnlineMatch(message));
+        });
+
+        network.on('events', (message) => {
+            message.events.forEach(({ event, data }) => {
+                applyGameEvent(this.gameState, this.resourceManager, event, data);
+            });
+            this.render();
+            this.updateUI();
+        });
+
+        network.on('clock', (message) => this.setOnlineClock(message));
+
+        network.on('actionRejected', (message) => {
+            this.updateStatus(`Action rejected: ${message.reason}`);
+        });
+
+        network.on('error', (message) => {
+            // Failing to get into the match means there is nothing to rejoin after a refresh
+            if (network.matchId === null) {
+                NetworkClient.clearSession();
+            }
+            this.updateStatus(`Server error: ${message.reason}`);
+        });
+
+        network.on('reconnecting', ({ attempt }) => {
+            this.updateStatus(`Connection lost - reconnecting (attempt ${attempt})...`);
+        });
+
+        network.on('presence', ({ playerId, connected }) => {
+            this.updateStatus(connected
+                ? `Player ${playerId} is connected`
+                : `Player ${playerId} lost their connection - waiting for them to return`);
+        });
+
+        network.on('disconnected', () => {
+            if (this.network === network) {
+                this.network = null;
+                this.setOnlineClock(null);
+                this.updateStatus('Disconnected from online match');
+            }
+        });
+    }
+
+    /**
+     * Status line for a match just joined, with the room code to share if it has a room
+     */
+    static describeOnlineMatch({ matchId, playerId, room }) {
+        const where = room ? `Room ${room.name} (code ${room.code})` : `Online match ${matchId}`;
+        const rules = room
+            ? ` - time control ${formatTimeControl(room.options.timeControl)}, ` +
+                `${formatTurnMode(room.options.turnMode).toLowerCase()} turns, ${room.options.maxActions} actions per turn`
+            : '';
+        const seat = playerId === null ? 'watching' : `you are Player ${playerId}`;
+        return `${where} - ${seat}${rules}`;
+    }
+
+    leaveOnlineGame() {
+        NetworkClient.clearSession();
+        if (this.network) {
+            const network = this.network;
+            this.network = null;
+            this.localPlayerId = null;
+            network.disconnect();
+            this.setOnlineClock(null);
         }
     }
 }
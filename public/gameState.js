@@ -0,0 +1,1127 @@
+// Import constants from shared modules
+import {
+    GAME_CONFIG,
+    GAME_STATES,
+    BASE_CONFIG,
+    TURN_CONFIG,
+    TIME_CONTROLS,
+    TURN_MODES,
+    TERRAIN_TYPES,
+    TERRAIN_CONFIG
+} from '../shared/constants.js';
+import { OrderQueue } from './orderQueue.js';
+import { STANDARD_RULESET, getUnitType } from './ruleset.js';
+import { getAbility, getInflictedEffects, modifyDamage } from './abilities.js';
+import { getStatusEffect, stackStatusEffect } from './statusEffects.js';
+
+/**
+ * Player state: energy, owned units and per-turn action allowance
+ */
+export class Player {
+    constructor(id, name) {
+        this.id = id;
+        this.name = name;
+        this.energy = GAME_CONFIG.STARTING_ENERGY;
+        this.resourcesGathered = 0;
+        this.unitsOwned = new Set();
+        this.actionsRemaining = TURN_CONFIG.MAX_ACTIONS;
+        this.isActive = false;
+        this.stats = Player.createStats();
+    }
+
+    /**
+     * Match statistics shown on the results screen
+     */
+    static createStats() {
+        return { unitsCreated: 0, unitsLost: 0, unitsDestroyed: 0, damageDealt: 0 };
+    }
+
+    addEnergy(amount) {
+        this.energy += amount;
+    }
+
+    spendEnergy(amount) {
+        if (this.energy < amount) {
+            return false;
+        }
+        this.energy -= amount;
+        return true;
+    }
+
+    addUnit(unitId) {
+        this.unitsOwned.add(unitId);
+    }
+
+    removeUnit(unitId) {
+        this.unitsOwned.delete(unitId);
+    }
+
+    useAction() {
+        if (this.actionsRemaining <= 0) {
+            return false;
+        }
+        this.actionsRemaining--;
+        return true;
+    }
+
+    resetActions(maxActions = TURN_CONFIG.MAX_ACTIONS) {
+        this.actionsRemaining = maxActions;
+    }
+
+    serialize() {
+        return {
+            id: this.id,
+            name: this.name,
+            energy: this.energy,
+            resourcesGathered: this.resourcesGathered,
+            unitsOwned: Array.from(this.unitsOwned),
+            actionsRemaining: this.actionsRemaining,
+            isActive: this.isActive,
+            stats: { ...this.stats }
+        };
+    }
+
+    static deserialize(data) {
+        const player = new Player(data.id, data.name);
+        player.energy = data.energy;
+        player.resourcesGathered = data.resourcesGathered || 0;
+        player.unitsOwned = new Set(data.unitsOwned || []);
+        player.actionsRemaining = data.actionsRemaining;
+        player.isActive = !!data.isActive;
+        player.stats = { ...Player.createStats(), ...data.stats };
+        return player;
+    }
+}
+
+/**
+ * A single unit on the board. Stats come from its type in the game's rule set (see ruleset.js).
+ */
+export class Unit {
+    constructor(type, playerId, x, y, id = null, ruleset = STANDARD_RULESET) {
+        const stats = Unit.getTypeStats(type, ruleset);
+
+        this.id = id || `unit_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+        this.type = type;
+        this.playerId = playerId;
+        this.position = { x, y };
+        this.health = stats ? stats.health : 1;
+        this.maxHealth = this.health;
+        this.actionsUsed = 0;
+        this.maxActions = 2;
+        this.cargo = 0;
+        this.unitType = stats;
+        // Status effect id -> { turns, stacks } (see statusEffects.js)
+        this.statusEffects = new Map();
+    }
+
+    static getTypeStats(type, ruleset = STANDARD_RULESET) {
+        return getUnitType(ruleset, type);
+    }
+
+    getStats() {
+        return this.unitType;
+    }
+
+    /**
+     * Whether the unit's type lists the ability (see UNIT_ABILITIES)
+     */
+    hasAbility(ability) {
+        return !!this.unitType && this.unitType.abilities.includes(ability);
+    }
+
+    /**
+     * Resources this unit can carry back to base (0 for units that do not gather)
+     */
+    getCarryCapacity() {
+        const stats = this.getStats();
+        return stats && stats.carryCapacity ? stats.carryCapacity : 0;
+    }
+
+    isFullyLoaded() {
+        return this.cargo >= this.getCarryCapacity();
+    }
+
+    moveTo(x, y) {
+        this.position = { x, y };
+    }
+
+    /**
+     * Apply damage to the unit
+     * @returns {boolean} true if the unit was destroyed
+     */
+    takeDamage(amount) {
+        this.health = Math.max(0, this.health - amount);
+        return this.health === 0;
+    }
+
+    heal(amount) {
+        this.health = Math.min(this.maxHealth, this.health + amount);
+    }
+
+    canAct() {
+        return this.actionsUsed < this.maxActions;
+    }
+
+    useAction(count = 1) {
+        this.actionsUsed += count;
+    }
+
+    resetActions() {
+        this.actionsUsed = 0;
+    }
+
+    hasStatusEffect(effectId) {
+        return this.statusEffects.has(effectId);
+    }
+
+    /**
+     * Put a status effect on the unit, stacking with one it already has by the effect's rule
+     * @param {number} [turns] - defaults to the effect's own duration
+     * @returns {{turns: number, stacks: number}} the effect now on the unit
+     */
+    addStatusEffect(effectId, turns = getStatusEffect(effectId).turns, stacks = 1) {
+        const state = stackStatusEffect(this.statusEffects.get(effectId) || null, effectId, turns, stacks);
+        this.statusEffects.set(effectId, state);
+        return state;
+    }
+
+    /**
+     * The owner's turn begins: actions come back, every status effect ticks down a turn
+     * and those left do what they do at the start of a turn
+     */
+    startTurn() {
+        this.resetActions();
+        this.statusEffects.forEach((state, effectId) => {
+            state.turns--;
+            if (state.turns <= 0) {
+                this.statusEffects.delete(effectId);
+            }
+        });
+        this.statusEffects.forEach((state, effectId) => {
+            const effect = getStatusEffect(effectId);
+            if (effect.onTurnStart) {
+                effect.onTurnStart(this, state.stacks);
+            }
+        });
+    }
+
+    serialize() {
+        return {
+            id: this.id,
+            type: this.type,
+            playerId: this.playerId,
+            position: { ...this.position },
+            health: this.health,
+            maxHealth: this.maxHealth,
+            actionsUsed: this.actionsUsed,
+            maxActions: this.maxActions,
+            cargo: this.cargo,
+            statusEffects: Array.from(this.statusEffects, ([id, state]) => ({ id, ...state }))
+        };
+    }
+
+    // Units in event data are sent and recorded without their type, which the rule set has
+    toJSON() {
+        return this.serialize();
+    }
+
+    static deserialize(data, ruleset = STANDARD_RULESET) {
+        const unit = new Unit(data.type, data.playerId, data.position.x, data.position.y, data.id, ruleset);
+        unit.health = data.health;
+        unit.maxHealth = data.maxHealth;
+        unit.actionsUsed = data.actionsUsed;
+        unit.maxActions = data.maxActions;
+        unit.cargo = data.cargo || 0;
+        unit.statusEffects = new Map((data.statusEffects || []).map(({ id, ...state }) => [id, state]));
+        return unit;
+    }
+}
+
+/**
+ * A player's base: the building units are produced next to
+ */
+export class Base {
+    constructor(playerId, x, y, id = `base_${playerId}`) {
+        this.id = id;
+        this.playerId = playerId;
+        this.position = { x, y };
+        this.health = BASE_CONFIG.HEALTH;
+        this.maxHealth = BASE_CONFIG.HEALTH;
+    }
+
+    /**
+     * @returns {boolean} true if the base was destroyed
+     */
+    takeDamage(amount) {
+        this.health = Math.max(0, this.health - amount);
+        return this.health === 0;
+    }
+
+    isDestroyed() {
+        return this.health === 0;
+    }
+
+    serialize() {
+        return {
+            id: this.id,
+            playerId: this.playerId,
+            position: { ...this.position },
+            health: this.health,
+            maxHealth: this.maxHealth
+        };
+    }
+
+    static deserialize(data) {
+        const base = new Base(data.playerId, data.position.x, data.position.y, data.id);
+        base.health = data.health;
+        base.maxHealth = data.maxHealth;
+        return base;
+    }
+}
+
+/**
+ * Central game state container with a simple event system.
+ * The board is indexed as board[x][y] and stores unit ids; terrain[x][y] holds terrain type ids.
+ */
+export class GameState {
+    /**
+     * Takes a map definition (see mapDefinition.js) or any part of one; what is left out
+     * falls back to the standard 25x25 board on open plains with no starting units.
+     * @param {Object} [map]
+     * @param {number} [map.size]
+     * @param {Array<{playerId: number, x: number, y: number}>} [map.bases]
+     * @param {Array<{x: number, y: number, type: string}>} [map.terrain] - non-plains cells
+     * @param {Array<{type: string, playerId: number, x: number, y: number}>} [map.units]
+     * @param {Object} [map.settings] - rule options chosen for this game, see GameState.createSettings
+     * @param {Object} [map.ruleset] - the unit types to play with (see ruleset.js), standard by default
+     */
+    constructor({
+        size = GAME_CONFIG.GRID_SIZE,
+        bases = null,
+        terrain = [],
+        units = [],
+        settings = {},
+        ruleset = STANDARD_RULESET
+    } = {}) {
+        this.gameId = `game_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+        this.status = GAME_STATES.READY;
+        this.currentPlayer = 1;
+        this.currentPhase = 'resource';
+        this.turnNumber = 1;
+        this.nextUnitId = 1;
+        this.winner = null;
+        this.endReason = null;
+        this.settings = GameState.createSettings(settings);
+        this.ruleset = ruleset;
+
+        this.players = new Map();
+        for (let id = 1; id <= GAME_CONFIG.MAX_PLAYERS; id++) {
+            this.players.set(id, new Player(id, `Player ${id}`));
+        }
+        this.resetClock();
+        // Simultaneous turns only
+        this.orders = new OrderQueue();
+
+        this.size = size;
+        this.units = new Map();
+        this.board = GameState.createEmptyBoard(size);
+        this.terrain = GameState.createTerrain(size, terrain);
+
+        // Bases are not stored on the board, but their cells are never empty
+        this.bases = new Map();
+        const spawns = bases || Object.entries(BASE_CONFIG.POSITIONS)
+            .map(([playerId, position]) => ({ playerId: Number(playerId), ...position }));
+        spawns.forEach(({ playerId, x, y }) => {
+            const base = new Base(playerId, x, y);
+            this.bases.set(base.id, base);
+        });
+
+        // Starting units are placed for free and do not count as built
+        units.forEach(({ type, playerId, x, y }) => {
+            const unit = new Unit(type, playerId, x, y, `unit_${this.nextUnitId++}`, this.ruleset);
+            this.units.set(unit.id, unit);
+            this.board[x][y] = unit.id;
+            this.players.get(playerId).addUnit(unit.id);
+        });
+
+        this.eventListeners = new Map();
+    }
+
+    /**
+     * Per-game rule options. timeControl is filled in by GameState.createTimeControl;
+     * a turnTimeLimit in milliseconds (null for untimed) is shorthand for a per-turn limit,
+     * and is all that settings saved before time controls have. turnMode is one of TURN_MODES.
+     * A chess clock runs for one player at a time, so simultaneous games given one get the
+     * default per-turn limit instead.
+     */
+    static createSettings({
+        maxActions = TURN_CONFIG.MAX_ACTIONS,
+        timeControl,
+        turnTimeLimit,
+        turnMode = TURN_MODES.ALTERNATING
+    } = {}) {
+        if (!timeControl && turnTimeLimit !== undefined) {
+            timeControl = turnTimeLimit === null
+                ? { mode: TIME_CONTROLS.UNTIMED }
+                : { mode: TIME_CONTROLS.TURN, turnTime: turnTimeLimit };
+        }
+        if (!Object.values(TURN_MODES).includes(turnMode)) {
+            turnMode = TURN_MODES.ALTERNATING;
+        }
+        if (turnMode === TURN_MODES.SIMULTANEOUS && timeControl && timeControl.mode === TIME_CONTROLS.CHESS) {
+            timeControl = { mode: TIME_CONTROLS.TURN };
+        }
+        return { maxActions, timeControl: GameState.createTimeControl(timeControl), turnMode };
+    }
+
+    /**
+     * A time control with only the fields its mode uses, defaults filled in (all times in ms):
+     *   { mode: 'untimed' }
+     *   { mode: 'turn', turnTime }
+     *   { mode: 'phase', phaseTimes: { resource, action, build } }
+     *   { mode: 'chess', bank, increment }   bank per player, increment added after each of their turns
+     */
+    static createTimeControl({
+        mode = TIME_CONTROLS.TURN,
+        turnTime = TURN_CONFIG.TIME_LIMIT,
+        phaseTimes = {},
+        bank = TURN_CONFIG.CLOCK_BANK,
+        increment = TURN_CONFIG.CLOCK_INCREMENT
+    } = {}) {
+        switch (mode) {
+        case TIME_CONTROLS.UNTIMED:
+            return { mode };
+        case TIME_CONTROLS.PHASE:
+            return { mode, phaseTimes: { ...TURN_CONFIG.PHASE_TIME_LIMITS, ...phaseTimes } };
+        case TIME_CONTROLS.CHESS:
+            return { mode, bank, increment };
+        default:
+            return { mode: TIME_CONTROLS.TURN, turnTime };
+        }
+    }
+
+    /**
+     * Clock state: remaining is the time the current turn or phase has left (null when untimed),
+     * banks each player's chess clock as it stood at the start of the turn (null without one)
+     */
+    resetClock() {
+        const { timeControl } = this.settings;
+        const banks = timeControl.mode === TIME_CONTROLS.CHESS
+            ? Object.fromEntries(Array.from(this.players.keys()).map(id => [id, timeControl.bank]))
+            : null;
+        this.clock = { remaining: null, banks };
+        this.clock.remaining = this.getPeriodTime();
+    }
+
+    /**
+     * Time the current player gets for the turn or phase being played
+     * @returns {number|null} milliseconds, or null when untimed
+     */
+    getPeriodTime() {
+        const { timeControl } = this.settings;
+        switch (timeControl.mode) {
+        case TIME_CONTROLS.TURN:
+            return timeControl.turnTime;
+        case TIME_CONTROLS.PHASE:
+            return timeControl.phaseTimes[this.currentPhase];
+        case TIME_CONTROLS.CHESS:
+            return this.clock.banks[this.currentPlayer];
+        default:
+            return null;
+        }
+    }
+
+    static createEmptyBoard(size) {
+        return Array.from({ length: size }, () => Array(size).fill(null));
+    }
+
+    static createTerrain(size, cells = []) {
+        const terrain = Array.from({ length: size }, () => Array(size).fill(TERRAIN_CONFIG.DEFAULT_TERRAIN));
+        cells.forEach(({ x, y, type }) => {
+            if (x >= 0 && x < size && y >= 0 && y < size && GameState.getTerrainType(type)) {
+                terrain[x][y] = type;
+            }
+        });
+        return terrain;
+    }
+
+    static getTerrainType(type) {
+        return Object.values(TERRAIN_TYPES).find(terrainType => terrainType.id === type) || null;
+    }
+
+    // Event system. Listeners registered for '*' receive every event as (event, data),
+    // before the event's own listeners, so recorders see an event ahead of the events it triggers.
+    on(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    off(event, callback) {
+        const listeners = this.eventListeners.get(event);
+        if (listeners) {
+            const index = listeners.indexOf(callback);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+
+    emit(event, data) {
+        const wildcardListeners = this.eventListeners.get('*');
+        if (wildcardListeners) {
+            wildcardListeners.slice().forEach(callback => callback(event, data));
+        }
+
+        const listeners = this.eventListeners.get(event);
+        if (listeners) {
+            listeners.slice().forEach(callback => callback(data));
+        }
+    }
+
+    // Game flow
+    startGame() {
+        this.status = GAME_STATES.PLAYING;
+        this.players.forEach(player => {
+            player.isActive = player.id === this.currentPlayer;
+        });
+        this.emit('gameStarted', { gameId: this.gameId, player: this.currentPlayer });
+    }
+
+    /**
+     * Finish the game. A null winner is a draw.
+     */
+    endGame(winner, reason) {
+        if (this.status === GAME_STATES.ENDED) {
+            return false;
+        }
+
+        this.status = GAME_STATES.ENDED;
+        this.winner = winner;
+        this.endReason = reason;
+        this.players.forEach(player => {
+            player.isActive = false;
+        });
+
+        this.emit('gameEnded', {
+            winner,
+            reason,
+            turnNumber: this.turnNumber,
+            stats: this.getPlayerStats()
+        });
+        return true;
+    }
+
+    getPlayerStats() {
+        return Array.from(this.players.values()).map(player => ({
+            playerId: player.id,
+            name: player.name,
+            energy: player.energy,
+            resourcesGathered: player.resourcesGathered,
+            unitsRemaining: player.unitsOwned.size,
+            ...player.stats
+        }));
+    }
+
+    getCurrentPlayer() {
+        return this.players.get(this.currentPlayer);
+    }
+
+    isSimultaneous() {
+        return this.settings.turnMode === TURN_MODES.SIMULTANEOUS;
+    }
+
+    /**
+     * Whether the player may act now: the player on turn, or in simultaneous play
+     * any player who is not yet done with the current phase
+     */
+    isPlayerToAct(playerId) {
+        if (this.isSimultaneous()) {
+            return this.players.has(playerId) && !this.orders.isReady(playerId);
+        }
+        return playerId === this.currentPlayer;
+    }
+
+    /**
+     * Simultaneous play: players not yet done with the current phase, lowest id first
+     */
+    getWaitingPlayers() {
+        return Array.from(this.players.keys()).filter(id => !this.orders.isReady(id));
+    }
+
+    /**
+     * Simultaneous play: add an order for the action phase. Nothing happens on the board
+     * until the orders are resolved.
+     */
+    queueOrder(playerId, order) {
+        const queued = this.orders.add(playerId, order);
+        this.emit('orderQueued', { player: playerId, order: queued });
+        return queued;
+    }
+
+    clearOrders(playerId) {
+        this.orders.clearOrders(playerId);
+        this.emit('ordersCleared', { player: playerId });
+    }
+
+    /**
+     * Simultaneous play: the player is done with the current phase. The player on turn
+     * becomes the first who is still busy, which in hot-seat play is whoever plans next.
+     * @returns {number[]} players still busy
+     */
+    setPlayerReady(playerId) {
+        this.orders.setReady(playerId);
+        const waiting = this.getWaitingPlayers();
+        if (waiting.length > 0) {
+            this.currentPlayer = waiting[0];
+        }
+        this.emit('playerReady', {
+            player: playerId,
+            phase: this.currentPhase,
+            nextPlayer: this.currentPlayer,
+            waiting
+        });
+        return waiting;
+    }
+
+    /**
+     * Pass the turn to the next player. A simultaneous round always starts with the first.
+     * @returns {number} the player whose turn it now is
+     */
+    endTurn() {
+        const previousPlayer = this.currentPlayer;
+        const nextPlayer = this.isSimultaneous() ? 1 : previousPlayer % this.players.size + 1;
+
+        this.currentPlayer = nextPlayer;
+        this.turnNumber++;
+        this.players.forEach(player => {
+            player.isActive = player.id === nextPlayer;
+        });
+
+        this.emit('turnEnded', {
+            previousPlayer,
+            nextPlayer,
+            turnNumber: this.turnNumber
+        });
+        return nextPlayer;
+    }
+
+    // Board queries
+    isValidPosition(x, y) {
+        return x >= 0 && x < this.size && y >= 0 && y < this.size;
+    }
+
+    /**
+     * Whether a unit could stand on the cell: on the board, passable and not taken by a unit or base
+     */
+    isPositionEmpty(x, y) {
+        return this.isValidPosition(x, y) && this.isPassable(x, y) &&
+            this.board[x][y] === null && !this.getBaseAt(x, y);
+    }
+
+    // Terrain
+    getTerrainAt(x, y) {
+        if (!this.isValidPosition(x, y)) {
+            return null;
+        }
+        return GameState.getTerrainType(this.terrain[x][y]);
+    }
+
+    setTerrain(x, y, type) {
+        if (!this.isValidPosition(x, y) || !GameState.getTerrainType(type)) {
+            return false;
+        }
+        this.terrain[x][y] = type;
+        return true;
+    }
+
+    isPassable(x, y) {
+        const terrain = this.getTerrainAt(x, y);
+        return !!terrain && terrain.passable;
+    }
+
+    /**
+     * Movement points needed to step onto the cell (null if it cannot be entered)
+     */
+    getMovementCost(x, y) {
+        const terrain = this.getTerrainAt(x, y);
+        return terrain && terrain.passable ? terrain.movementCost : null;
+    }
+
+    getUnitAt(x, y) {
+        if (!this.isValidPosition(x, y)) {
+            return null;
+        }
+        const unitId = this.board[x][y];
+        return unitId ? this.units.get(unitId) || null : null;
+    }
+
+    getPlayerUnits(playerId) {
+        return Array.from(this.units.values()).filter(unit => unit.playerId === playerId);
+    }
+
+    getBaseAt(x, y) {
+        return Array.from(this.bases.values())
+            .find(base => base.position.x === x && base.position.y === y) || null;
+    }
+
+    getPlayerBase(playerId) {
+        return Array.from(this.bases.values()).find(base => base.playerId === playerId) || null;
+    }
+
+    // Production: units are built on empty cells orthogonally adjacent to the owner's base
+    canProduceAt(playerId, x, y) {
+        const base = this.getPlayerBase(playerId);
+        return !!base && !base.isDestroyed() && this.isPositionEmpty(x, y) &&
+            this.isAdjacent(base.position, { x, y });
+    }
+
+    getProductionCells(playerId) {
+        const base = this.getPlayerBase(playerId);
+        if (!base) {
+            return [];
+        }
+
+        const { x, y } = base.position;
+        return [{ x, y: y - 1 }, { x: x + 1, y }, { x, y: y + 1 }, { x: x - 1, y }]
+            .filter(cell => this.canProduceAt(playerId, cell.x, cell.y));
+    }
+
+    /**
+     * The unit types of this game's rule set, in production menu order
+     */
+    getUnitTypes() {
+        return this.ruleset.units;
+    }
+
+    getUnitType(type) {
+        return getUnitType(this.ruleset, type);
+    }
+
+    // Unit management
+    createUnit(type, playerId, x, y) {
+        const stats = this.getUnitType(type);
+        const player = this.players.get(playerId);
+
+        if (!stats || !player || !this.isPositionEmpty(x, y)) {
+            return null;
+        }
+
+        if (!player.spendEnergy(stats.cost)) {
+            return null;
+        }
+
+        const unit = new Unit(type, playerId, x, y, `unit_${this.nextUnitId++}`, this.ruleset);
+        this.units.set(unit.id, unit);
+        this.board[x][y] = unit.id;
+        player.addUnit(unit.id);
+        player.stats.unitsCreated++;
+
+        this.emit('unitCreated', { unit });
+        return unit;
+    }
+
+    moveUnit(unitId, x, y) {
+        const unit = this.units.get(unitId);
+        if (!unit || !unit.canAct() || !this.isPositionEmpty(x, y)) {
+            return false;
+        }
+
+        const from = { ...unit.position };
+        this.board[from.x][from.y] = null;
+        this.board[x][y] = unit.id;
+        unit.moveTo(x, y);
+        unit.useAction();
+
+        this.emit('unitMoved', { unit, from, to: { x, y } });
+        return true;
+    }
+
+    removeUnit(unitId) {
+        const unit = this.units.get(unitId);
+        if (!unit) {
+            return false;
+        }
+
+        this.board[unit.position.x][unit.position.y] = null;
+        this.units.delete(unitId);
+
+        const player = this.players.get(unit.playerId);
+        if (player) {
+            player.removeUnit(unitId);
+        }
+
+        this.emit('unitRemoved', { unit });
+        return true;
+    }
+
+    // Combat
+    isAdjacent(a, b) {
+        return Math.abs(a.x - b.x) + Math.abs(a.y - b.y) === 1;
+    }
+
+    /**
+     * Damage is deterministic: the attacker's attack stat, reduced by the terrain the target
+     * stands on and changed by the abilities in effect on either side (see abilities.js)
+     * @param {number} [multiplier] - for attacks made with an ability, e.g. a heavy attack
+     */
+    calculateDamage(attacker, target, multiplier = 1) {
+        const attack = attacker.getStats().attack * multiplier;
+        if (!target) {
+            return attack;
+        }
+        const terrain = this.getTerrainAt(target.position.x, target.position.y);
+        const damage = terrain ? attack * terrain.damageModifier : attack;
+        return Math.round(modifyDamage(attacker, target, damage, this.bases.has(target.id)));
+    }
+
+    /**
+     * Melee attack against an orthogonally adjacent enemy during the action phase.
+     * Spends one of the attacker's actions; the caller spends the player's action.
+     * @returns {{success: boolean, reason?: string, damage?: number, destroyed?: boolean}}
+     */
+    attackUnit(attackerId, targetId) {
+        const attacker = this.units.get(attackerId);
+        const target = this.units.get(targetId);
+
+        if (!attacker || !target) {
+            return { success: false, reason: 'Unit not found' };
+        }
+        const invalidReason = this.validateAttack(attacker, target);
+        if (invalidReason) {
+            return { success: false, reason: invalidReason };
+        }
+
+        return { success: true, ...this.landStrike(attacker, target, this.calculateDamage(attacker, target)) };
+    }
+
+    /**
+     * Deal an attack's damage to a unit or base, taking a destroyed unit off the board
+     * @param {number} [actionCost] - attacker actions the strike spends
+     * @returns {{damage: number, destroyed: boolean}}
+     */
+    landStrike(attacker, target, damage, actionCost = 1) {
+        if (this.bases.has(target.id)) {
+            return { damage, destroyed: this.strikeBase(attacker, target, damage, actionCost) };
+        }
+        const destroyed = this.strikeUnit(attacker, target, damage, actionCost);
+        if (destroyed) {
+            this.destroyUnit(target, attacker);
+        }
+        return { damage, destroyed };
+    }
+
+    /**
+     * Deal an attack's damage to a unit. A unit brought to zero health stays on the board
+     * until destroyUnit takes it off.
+     * @returns {boolean} true if the unit is down to zero health
+     */
+    strikeUnit(attacker, target, damage, actionCost = 1) {
+        const destroyed = target.takeDamage(damage);
+        attacker.useAction(actionCost);
+        this.players.get(attacker.playerId).stats.damageDealt += damage;
+
+        this.emit('unitAttacked', {
+            attacker,
+            target,
+            damage,
+            targetHealth: target.health
+        });
+        if (!destroyed) {
+            getInflictedEffects(attacker).forEach(effectId => this.applyStatusEffect(target, effectId));
+        }
+        return destroyed;
+    }
+
+    destroyUnit(target, attacker) {
+        const position = { ...target.position };
+        this.players.get(attacker.playerId).stats.unitsDestroyed++;
+        this.players.get(target.playerId).stats.unitsLost++;
+        this.removeUnit(target.id);
+        this.emit('unitDestroyed', {
+            unit: target,
+            position,
+            destroyedBy: attacker.id
+        });
+    }
+
+    /**
+     * Melee attack against an orthogonally adjacent enemy base. Same rules as attackUnit.
+     */
+    attackBase(attackerId, baseId) {
+        const attacker = this.units.get(attackerId);
+        const base = this.bases.get(baseId);
+
+        if (!attacker || !base) {
+            return { success: false, reason: 'Unit not found' };
+        }
+        if (base.isDestroyed()) {
+            return { success: false, reason: 'Base is already destroyed' };
+        }
+        const invalidReason = this.validateAttack(attacker, base);
+        if (invalidReason) {
+            return { success: false, reason: invalidReason };
+        }
+
+        return { success: true, ...this.landStrike(attacker, base, this.calculateDamage(attacker, base)) };
+    }
+
+    /**
+     * Deal an attack's damage to a base
+     * @returns {boolean} true if the base was destroyed
+     */
+    strikeBase(attacker, base, damage, actionCost = 1) {
+        const destroyed = base.takeDamage(damage);
+        attacker.useAction(actionCost);
+        this.players.get(attacker.playerId).stats.damageDealt += damage;
+
+        this.emit('baseAttacked', {
+            attacker,
+            base,
+            damage,
+            baseHealth: base.health
+        });
+
+        if (destroyed) {
+            this.emit('baseDestroyed', { base, destroyedBy: attacker.id });
+        }
+        return destroyed;
+    }
+
+    /**
+     * Shared attack rules for units and bases
+     * @returns {string|null} reason the attack is not allowed
+     */
+    validateAttack(attacker, target) {
+        // Simultaneous orders are carried out for every player at once
+        if (!this.isSimultaneous() && attacker.playerId !== this.currentPlayer) {
+            return 'Attacker belongs to another player';
+        }
+        if (target.playerId === attacker.playerId) {
+            return 'Cannot attack your own unit';
+        }
+        if (this.currentPhase !== 'action') {
+            return 'Units can only attack during the action phase';
+        }
+        if (this.players.get(attacker.playerId).actionsRemaining <= 0) {
+            return 'No actions remaining';
+        }
+        if (!attacker.canAct()) {
+            return 'Unit has no actions left';
+        }
+        if (!this.isAdjacent(attacker.position, target.position)) {
+            return 'Target is not adjacent';
+        }
+        return null;
+    }
+
+    // Abilities (see abilities.js)
+
+    /**
+     * Use an active ability during the action phase. Spends the ability's action cost
+     * from the unit; the caller spends the player's action, as for attacks.
+     * @param {string|null} [targetId] - unit or base, for abilities used on one
+     * @returns {{success: boolean, reason?: string, damage?: number, destroyed?: boolean, amount?: number}}
+     */
+    useAbility(unitId, abilityId, targetId = null) {
+        const unit = this.units.get(unitId);
+        if (!unit) {
+            return { success: false, reason: 'Unit not found' };
+        }
+        const target = targetId ? this.units.get(targetId) || this.bases.get(targetId) || null : null;
+        const invalidReason = this.validateAbility(unit, abilityId, target);
+        if (invalidReason) {
+            return { success: false, reason: invalidReason };
+        }
+
+        const ability = getAbility(abilityId);
+        this.beginAbility(unit, abilityId, target);
+        if (ability.target === 'enemy') {
+            const damage = this.calculateDamage(unit, target, ability.damageMultiplier);
+            return { success: true, ...this.landStrike(unit, target, damage, 0) };
+        }
+        return { success: true, ...(ability.effect ? ability.effect(this, unit, target) : {}) };
+    }
+
+    /**
+     * Rules every active ability shares, then the ability's own
+     * @param {Unit|Base|null} target
+     * @returns {string|null} reason the ability cannot be used
+     */
+    validateAbility(unit, abilityId, target) {
+        const ability = getAbility(abilityId);
+        if (!ability || !unit.hasAbility(abilityId)) {
+            return 'Unit does not have that ability';
+        }
+        if (!ability.active) {
+            return `${ability.name} is always in effect`;
+        }
+        // Simultaneous orders are carried out for every player at once
+        if (!this.isSimultaneous() && unit.playerId !== this.currentPlayer) {
+            return 'Unit belongs to another player';
+        }
+        if (this.currentPhase !== 'action') {
+            return 'Abilities can only be used during the action phase';
+        }
+        if (this.players.get(unit.playerId).actionsRemaining <= 0) {
+            return 'No actions remaining';
+        }
+        if (unit.maxActions - unit.actionsUsed < ability.actionCost) {
+            return ability.actionCost === 1
+                ? 'Unit has no actions left'
+                : `${ability.name} needs ${ability.actionCost} of the unit's actions`;
+        }
+        if (ability.status && unit.hasStatusEffect(ability.status)) {
+            return `${ability.name} is already in effect`;
+        }
+
+        if (ability.target === 'enemy') {
+            if (!target) {
+                return 'Target not found';
+            }
+            if (target.playerId === unit.playerId) {
+                return 'Cannot attack your own unit';
+            }
+            if (this.bases.has(target.id) && target.isDestroyed()) {
+                return 'Base is already destroyed';
+            }
+        } else if (ability.target === 'ownBase' &&
+            (!target || !this.bases.has(target.id) || target.playerId !== unit.playerId)) {
+            return 'Target must be your own base';
+        }
+        if (ability.target && !this.isAdjacent(unit.position, target.position)) {
+            return 'Target is not adjacent';
+        }
+        return ability.getError ? ability.getError(this, unit, target) : null;
+    }
+
+    /**
+     * Spend what an ability costs the unit and put its status effects on the unit and its
+     * target. The ability's effect follows.
+     */
+    beginAbility(unit, abilityId, target) {
+        const ability = getAbility(abilityId);
+        unit.useAction(ability.actionCost);
+        this.emit('abilityUsed', { unit, ability: abilityId, targetId: target ? target.id : null });
+        if (ability.status) {
+            this.applyStatusEffect(unit, ability.status);
+        }
+        if (ability.inflicts && target && this.units.has(target.id)) {
+            this.applyStatusEffect(target, ability.inflicts);
+        }
+    }
+
+    // Status effects (see statusEffects.js)
+
+    /**
+     * Put a status effect on a unit; they tick down as its owner's turns start (Unit.startTurn)
+     * @param {number} [turns] - defaults to the effect's own duration
+     * @returns {{turns: number, stacks: number}|null} the effect now on the unit, or null for unknown effects
+     */
+    applyStatusEffect(unit, effectId, turns = undefined, stacks = 1) {
+        if (!getStatusEffect(effectId)) {
+            return null;
+        }
+        const state = unit.addStatusEffect(effectId, turns, stacks);
+        this.emit('statusEffectApplied', { unit, effect: effectId, ...state });
+        return state;
+    }
+
+    /**
+     * Restore health to a base, up to its maximum
+     * @returns {{amount: number}} health restored
+     */
+    repairBase(unit, base, amount) {
+        const repaired = Math.min(amount, base.maxHealth - base.health);
+        base.health += repaired;
+        this.emit('baseRepaired', { unit, base, amount: repaired, baseHealth: base.health });
+        return { amount: repaired };
+    }
+
+    // Persistence
+    serialize() {
+        return {
+            gameId: this.gameId,
+            status: this.status,
+            currentPlayer: this.currentPlayer,
+            currentPhase: this.currentPhase,
+            turnNumber: this.turnNumber,
+            nextUnitId: this.nextUnitId,
+            size: this.size,
+            winner: this.winner,
+            endReason: this.endReason,
+            settings: JSON.parse(JSON.stringify(this.settings)),
+            ruleset: this.ruleset,
+            clock: { remaining: this.clock.remaining, banks: this.clock.banks && { ...this.clock.banks } },
+            orders: this.orders.serialize(),
+            players: Array.from(this.players.values()).map(player => player.serialize()),
+            units: Array.from(this.units.values()).map(unit => unit.serialize()),
+            bases: Array.from(this.bases.values()).map(base => base.serialize()),
+            terrain: this.serializeTerrain()
+        };
+    }
+
+    /**
+     * Terrain is stored sparsely: only cells that are not plains
+     */
+    serializeTerrain() {
+        const cells = [];
+        this.terrain.forEach((column, x) => {
+            column.forEach((type, y) => {
+                if (type !== TERRAIN_CONFIG.DEFAULT_TERRAIN) {
+                    cells.push({ x, y, type });
+                }
+            });
+        });
+        return cells;
+    }
+
+    static deserialize(data) {
+        // States saved before maps existed are the standard size, before terrain all plains,
+        // and before settings or rule sets used the default rules
+        const gameState = new GameState({
+            size: data.size || GAME_CONFIG.GRID_SIZE,
+            terrain: data.terrain || [],
+            settings: data.settings,
+            ruleset: data.ruleset || STANDARD_RULESET
+        });
+        gameState.gameId = data.gameId;
+        gameState.status = data.status;
+        gameState.currentPlayer = data.currentPlayer;
+        gameState.currentPhase = data.currentPhase;
+        gameState.turnNumber = data.turnNumber;
+        gameState.nextUnitId = data.nextUnitId || data.units.length + 1;
+        gameState.winner = data.winner ?? null;
+        gameState.endReason = data.endReason ?? null;
+
+        gameState.players = new Map();
+        data.players.forEach(playerData => {
+            gameState.players.set(playerData.id, Player.deserialize(playerData));
+        });
+
+        data.units.forEach(unitData => {
+            const unit = Unit.deserialize(unitData, gameState.ruleset);
+            gameState.units.set(unit.id, unit);
+            gameState.board[unit.position.x][unit.position.y] = unit.id;
+        });
+
+        // States saved before bases existed keep the default bases
+        if (data.bases) {
+            gameState.bases = new Map(data.bases.map(baseData => {
+                const base = Base.deserialize(baseData);
+                return [base.id, base];
+            }));
+        }
+
+        // States saved before clocks were kept give the turn or phase in progress its full time
+        if (data.clock) {
+            gameState.clock = { remaining: data.clock.remaining, banks: data.clock.banks && { ...data.clock.banks } };
+        } else {
+            gameState.resetClock();
+        }
+        gameState.orders = OrderQueue.deserialize(data.orders);
+
+        return gameState;
+    }
+}
@@ -0,0 +1,62 @@
+import { AccountClient } from './account.js';
+
+/**
+ * The leaderboard page: rated players by rating, with the signed-in player highlighted
+ */
+class LeaderboardPage {
+    constructor(apiUrl = '/api/leaderboard') {
+        this.apiUrl = apiUrl;
+        this.accountClient = new AccountClient();
+        this.refresh();
+    }
+
+    async refresh() {
+        const [user, players] = await Promise.all([
+            this.accountClient.getCurrentUser(),
+            this.fetchLeaderboard()
+        ]);
+        if (players) {
+            this.render(players, user);
+        }
+    }
+
+    /**
+     * @returns {Promise<Array|null>} null after reporting an error
+     */
+    async fetchLeaderboard() {
+        try {
+            const response = await fetch(this.apiUrl);
+            if (!response.ok) {
+                throw new Error(`Server responded with ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            document.getElementById('leaderboardMessage').textContent = `Cannot load the leaderboard: ${error.message}`;
+            return null;
+        }
+    }
+
+    render(players, user) {
+        const body = document.getElementById('leaderboardBody');
+        body.replaceChildren();
+        document.getElementById('leaderboardEmpty').classList.toggle('hidden', players.length > 0);
+
+        players.forEach(player => {
+            const row = document.createElement('tr');
+            if (user && user.id === player.id) {
+                row.className = 'current-user';
+            }
+            [player.rank, player.username, player.rating, player.games, player.wins, player.losses, player.draws]
+                .forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+            body.appendChild(row);
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.leaderboardPage = new LeaderboardPage();
+});
@@ -0,0 +1,262 @@
+import { TIME_CONTROLS, TURN_MODES } from '../shared/constants.js';
+
+// How often the open games list refreshes while the lobby is showing
+const LOBBY_REFRESH_MS = 5000;
+
+/**
+ * Time controls offered when setting up a game, by their value in the time control selects
+ * (see GameState.createTimeControl; per-phase limits use the defaults)
+ */
+export const TIME_CONTROL_PRESETS = {
+    untimed: { mode: TIME_CONTROLS.UNTIMED },
+    turn30: { mode: TIME_CONTROLS.TURN, turnTime: 30000 },
+    turn60: { mode: TIME_CONTROLS.TURN, turnTime: 60000 },
+    turn120: { mode: TIME_CONTROLS.TURN, turnTime: 120000 },
+    turn300: { mode: TIME_CONTROLS.TURN, turnTime: 300000 },
+    phase: { mode: TIME_CONTROLS.PHASE },
+    chess10: { mode: TIME_CONTROLS.CHESS, bank: 600000, increment: 0 },
+    fischer5: { mode: TIME_CONTROLS.CHESS, bank: 300000, increment: 10000 }
+};
+
+/**
+ * Client for the lobby rooms API
+ */
+export class LobbyClient {
+    constructor(apiBase = '/api/rooms') {
+        this.apiBase = apiBase;
+    }
+
+    /**
+     * @returns {Promise<{success: boolean, data?: *, error?: string}>}
+     */
+    async request(method, path, body = null) {
+        try {
+            const response = await fetch(`${this.apiBase}${path}`, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                return { success: false, error: (data && data.error) || `Server responded with ${response.status}` };
+            }
+            return { success: true, data };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    listRooms() {
+        return this.request('GET', '');
+    }
+
+    /**
+     * @param {Object} options - { name, map?, timeControl?, turnMode?, ruleset?, maxActions?, allowSpectators? }
+     */
+    createRoom(options) {
+        return this.request('POST', '', options);
+    }
+
+    joinRoom(code) {
+        return this.request('POST', `/${encodeURIComponent(code)}/join`);
+    }
+
+    spectateRoom(code) {
+        return this.request('POST', `/${encodeURIComponent(code)}/spectate`);
+    }
+}
+
+/**
+ * Short text for a time limit in milliseconds
+ */
+export function formatDuration(ms) {
+    const seconds = ms / 1000;
+    return seconds % 60 === 0 ? `${seconds / 60} min` : `${seconds} s`;
+}
+
+/**
+ * Short text for a time control, e.g. '2 min per turn' or '5 min + 10 s'
+ */
+export function formatTimeControl(timeControl) {
+    switch (timeControl.mode) {
+    case TIME_CONTROLS.TURN:
+        return `${formatDuration(timeControl.turnTime)} per turn`;
+    case TIME_CONTROLS.PHASE:
+        return `${Object.values(timeControl.phaseTimes).map(formatDuration).join(' / ')} per phase`;
+    case TIME_CONTROLS.CHESS:
+        return timeControl.increment
+            ? `${formatDuration(timeControl.bank)} + ${formatDuration(timeControl.increment)}`
+            : `${formatDuration(timeControl.bank)} clock`;
+    default:
+        return 'None';
+    }
+}
+
+/**
+ * Short text for how players take their turns
+ */
+export function formatTurnMode(turnMode) {
+    return turnMode === TURN_MODES.SIMULTANEOUS ? 'Simultaneous' : 'Alternating';
+}
+
+/**
+ * The lobby overlay shown in front of the board: open games, join or watch by code,
+ * and a form to create a room. Entering a room is left to the game through onEnter.
+ */
+export class LobbyScreen {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onEnter - called with ({ room, playerId, seatToken }); playerId is null when
+     *   watching, seatToken set for guests
+     * @param {Function} options.onPlayLocally - called when the player closes the lobby to play on this device
+     * @param {Function} options.getCurrentMap - the map definition new local games use
+     * @param {LobbyClient} [options.client]
+     */
+    constructor({ onEnter, onPlayLocally, getCurrentMap, client = new LobbyClient() }) {
+        this.onEnter = onEnter;
+        this.onPlayLocally = onPlayLocally;
+        this.getCurrentMap = getCurrentMap;
+        this.client = client;
+        this.overlay = document.getElementById('lobbyOverlay');
+        this.refreshTimer = null;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('createRoomForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.createRoom();
+        });
+        document.getElementById('joinRoomBtn').addEventListener('click', () => this.enterByCode(false));
+        document.getElementById('spectateRoomBtn').addEventListener('click', () => this.enterByCode(true));
+        document.getElementById('roomCodeInput').addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                this.enterByCode(false);
+            }
+        });
+        document.getElementById('lobbyRefreshBtn').addEventListener('click', () => this.refresh());
+        document.getElementById('playLocalBtn').addEventListener('click', () => {
+            this.close();
+            this.onPlayLocally();
+        });
+    }
+
+    isOpen() {
+        return !this.overlay.classList.contains('hidden');
+    }
+
+    open() {
+        this.overlay.classList.remove('hidden');
+        this.setMessage('');
+        this.refresh();
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = setInterval(() => this.refresh(), LOBBY_REFRESH_MS);
+    }
+
+    close() {
+        this.overlay.classList.add('hidden');
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    setMessage(message) {
+        document.getElementById('lobbyMessage').textContent = message;
+    }
+
+    async refresh() {
+        const result = await this.client.listRooms();
+        if (!result.success) {
+            this.setMessage(`Cannot load open games: ${result.error}`);
+            return;
+        }
+        this.renderRooms(result.data);
+    }
+
+    renderRooms(rooms) {
+        const body = document.getElementById('lobbyRoomsBody');
+        body.replaceChildren();
+        document.getElementById('lobbyEmpty').classList.toggle('hidden', rooms.length > 0);
+
+        rooms.forEach(room => {
+            const row = document.createElement('tr');
+            const { options } = room;
+            [
+                `${room.name} (${room.code})`,
+                room.host || 'Guest',
+                `${options.mapName} ${options.size}x${options.size}`,
+                formatTimeControl(options.timeControl),
+                formatTurnMode(options.turnMode),
+                options.ruleset,
+                options.maxActions
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            actions.className = 'save-actions';
+            actions.appendChild(this.createButton('Join', () => this.enter(room.code, false)));
+            if (options.allowSpectators) {
+                actions.appendChild(this.createButton('Watch', () => this.enter(room.code, true)));
+            }
+            row.appendChild(actions);
+            body.appendChild(row);
+        });
+    }
+
+    createButton(label, handler) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', handler);
+        return button;
+    }
+
+    /**
+     * Room options from the create form
+     */
+    readRoomOptions() {
+        const options = {
+            name: document.getElementById('roomNameInput').value.trim(),
+            timeControl: TIME_CONTROL_PRESETS[document.getElementById('roomTimeSelect').value],
+            turnMode: document.getElementById('roomTurnModeSelect').value,
+            ruleset: document.getElementById('roomRulesetSelect').value,
+            maxActions: Number(document.getElementById('roomActionsSelect').value),
+            allowSpectators: document.getElementById('roomSpectatorsInput').checked
+        };
+        if (document.getElementById('roomMapSelect').value === 'current') {
+            options.map = this.getCurrentMap();
+        }
+        return options;
+    }
+
+    async createRoom() {
+        const result = await this.client.createRoom(this.readRoomOptions());
+        if (!result.success) {
+            this.setMessage(`Cannot create room: ${result.error}`);
+            return;
+        }
+        this.close();
+        this.onEnter(result.data);
+    }
+
+    enterByCode(spectate) {
+        const code = document.getElementById('roomCodeInput').value.trim();
+        if (!code) {
+            this.setMessage('Enter a room code');
+            return;
+        }
+        this.enter(code, spectate);
+    }
+
+    async enter(code, spectate) {
+        const result = spectate ? await this.client.spectateRoom(code) : await this.client.joinRoom(code);
+        if (!result.success) {
+            this.setMessage(result.error);
+            this.refresh();
+            return;
+        }
+        this.close();
+        this.onEnter(spectate ? { room: result.data.room, playerId: null, seatToken: null } : result.data);
+    }
+}
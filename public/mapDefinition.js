@@ -0,0 +1,208 @@
+import {
+    GAME_CONFIG,
+    BASE_CONFIG,
+    RESOURCE_CONFIG,
+    TERRAIN_CONFIG,
+    MAP_CONFIG
+} from '../shared/constants.js';
+import { GameState, Unit } from './gameState.js';
+import { ResourceManager } from './resourceManager.js';
+import { STANDARD_RULESET } from './ruleset.js';
+
+export const MAP_VERSION = MAP_CONFIG.VERSION;
+
+// localStorage key the map editor hands its map to the game through ("Play This Map")
+export const EDITOR_MAP_KEY = 'gridGameEditorMap';
+
+/**
+ * Map definitions are plain JSON:
+ *   {
+ *     version: 1,
+ *     name: 'Standard',
+ *     size: 25,                                     // the board is size x size
+ *     bases: [{ playerId, x, y }],                  // one per player
+ *     resourceNodes: [{ x, y, value, regenerationRate }],
+ *     terrain: [{ x, y, type }],                    // cells that are not plains
+ *     units: [{ type, playerId, x, y }]             // starting units
+ *   }
+ */
+
+/**
+ * The standard map: the default node layout and terrain on a 25x25 board
+ */
+export function createDefaultMap() {
+    return {
+        version: MAP_VERSION,
+        name: 'Standard',
+        size: GAME_CONFIG.GRID_SIZE,
+        bases: Object.entries(BASE_CONFIG.POSITIONS)
+            .map(([playerId, position]) => ({ playerId: Number(playerId), ...position })),
+        resourceNodes: RESOURCE_CONFIG.NODE_LAYOUT.map(node => ({ ...node })),
+        terrain: TERRAIN_CONFIG.DEFAULT_LAYOUT.map(cell => ({ ...cell })),
+        units: []
+    };
+}
+
+/**
+ * An open board with the bases in opposite corners and nothing else
+ */
+export function createEmptyMap(size = GAME_CONFIG.GRID_SIZE, name = 'Untitled') {
+    return {
+        version: MAP_VERSION,
+        name,
+        size,
+        bases: [
+            { playerId: 1, x: 1, y: 1 },
+            { playerId: 2, x: size - 2, y: size - 2 }
+        ],
+        resourceNodes: [],
+        terrain: [],
+        units: []
+    };
+}
+
+/**
+ * Check a map definition against the schema and the board rules
+ * @param {Object} [ruleset] - the rule set starting units must come from
+ * @returns {string[]} every problem found; empty when the map is valid
+ */
+export function validateMap(map, ruleset = STANDARD_RULESET) {
+    if (!map || typeof map !== 'object') {
+        return ['Map must be an object'];
+    }
+    if (map.version !== MAP_VERSION) {
+        return [`Unsupported map version: ${map.version}`];
+    }
+
+    const errors = [];
+    if (typeof map.name !== 'string' || map.name.trim() === '') {
+        errors.push('Map needs a name');
+    }
+    if (!Number.isInteger(map.size) || map.size < MAP_CONFIG.MIN_SIZE || map.size > MAP_CONFIG.MAX_SIZE) {
+        errors.push(`Map size must be a whole number from ${MAP_CONFIG.MIN_SIZE} to ${MAP_CONFIG.MAX_SIZE}`);
+        return errors;
+    }
+    const lists = ['bases', 'resourceNodes', 'terrain', 'units'];
+    lists.filter(list => !Array.isArray(map[list])).forEach(list => errors.push(`${list} must be a list`));
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    const inBounds = ({ x, y }) => Number.isInteger(x) && Number.isInteger(y) &&
+        x >= 0 && x < map.size && y >= 0 && y < map.size;
+    const label = (kind, { x, y }) => `${kind} at (${x}, ${y})`;
+
+    const terrain = GameState.createTerrain(map.size);
+    map.terrain.forEach(cell => {
+        if (!inBounds(cell)) {
+            errors.push(`${label('Terrain', cell)} is outside the board`);
+        } else if (!GameState.getTerrainType(cell.type)) {
+            errors.push(`${label('Terrain', cell)} has unknown type: ${cell.type}`);
+        } else {
+            terrain[cell.x][cell.y] = cell.type;
+        }
+    });
+
+    // Bases, nodes and units each need a cell of their own on passable ground
+    const occupied = new Map();
+    const place = (kind, item) => {
+        if (!inBounds(item)) {
+            errors.push(`${label(kind, item)} is outside the board`);
+            return false;
+        }
+        if (!GameState.getTerrainType(terrain[item.x][item.y]).passable) {
+            errors.push(`${label(kind, item)} is on impassable terrain`);
+        }
+        const key = `${item.x},${item.y}`;
+        if (occupied.has(key)) {
+            errors.push(`${label(kind, item)} overlaps a ${occupied.get(key).toLowerCase()}`);
+        } else {
+            occupied.set(key, kind);
+        }
+        return true;
+    };
+
+    for (let playerId = 1; playerId <= GAME_CONFIG.MAX_PLAYERS; playerId++) {
+        const count = map.bases.filter(base => base.playerId === playerId).length;
+        if (count !== 1) {
+            errors.push(`Player ${playerId} needs exactly one base`);
+        }
+    }
+    map.bases.forEach(base => {
+        if (!isPlayerId(base.playerId)) {
+            errors.push(`${label('Base', base)} belongs to unknown player: ${base.playerId}`);
+        }
+        place('Base', base);
+    });
+
+    map.resourceNodes.forEach(node => {
+        if (!Number.isInteger(node.value) || node.value <= 0) {
+            errors.push(`${label('Resource node', node)} needs a positive whole value`);
+        }
+        if (!Number.isInteger(node.regenerationRate) || node.regenerationRate < 0) {
+            errors.push(`${label('Resource node', node)} needs a regeneration rate of 0 or more`);
+        }
+        place('Resource node', node);
+    });
+
+    map.units.forEach(unit => {
+        if (!Unit.getTypeStats(unit.type, ruleset)) {
+            errors.push(`${label('Unit', unit)} has unknown type: ${unit.type}`);
+        }
+        if (!isPlayerId(unit.playerId)) {
+            errors.push(`${label('Unit', unit)} belongs to unknown player: ${unit.playerId}`);
+        }
+        place('Unit', unit);
+    });
+
+    // Every base needs at least one free neighbouring cell to build on
+    map.bases.filter(inBounds).forEach(base => {
+        const canBuild = [[0, -1], [1, 0], [0, 1], [-1, 0]].some(([dx, dy]) => {
+            const cell = { x: base.x + dx, y: base.y + dy };
+            return inBounds(cell) && GameState.getTerrainType(terrain[cell.x][cell.y]).passable &&
+                !occupied.has(`${cell.x},${cell.y}`);
+        });
+        if (!canBuild) {
+            errors.push(`${label('Base', base)} has no free cell next to it to build on`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Parse and validate a map from JSON text or an already-parsed object
+ * @throws {Error} if the map is malformed or invalid
+ */
+export function parseMap(json, ruleset = STANDARD_RULESET) {
+    let map = json;
+    if (typeof json === 'string') {
+        try {
+            map = JSON.parse(json);
+        } catch (error) {
+            throw new Error('Map file is not valid JSON');
+        }
+    }
+
+    const errors = validateMap(map, ruleset);
+    if (errors.length > 0) {
+        throw new Error(`Invalid map: ${errors[0]}`);
+    }
+    return map;
+}
+
+/**
+ * Fresh game objects set up from a map definition
+ * @param {Object} [settings] - rule options, see GameState.createSettings
+ * @param {Object} [ruleset] - the unit types to play with, see ruleset.js
+ * @returns {{gameState: GameState, resourceManager: ResourceManager}}
+ */
+export function createGameFromMap(map, settings = {}, ruleset = STANDARD_RULESET) {
+    const gameState = new GameState({ ...map, settings, ruleset });
+    const resourceManager = new ResourceManager(gameState, map);
+    return { gameState, resourceManager };
+}
+
+function isPlayerId(playerId) {
+    return Number.isInteger(playerId) && playerId >= 1 && playerId <= GAME_CONFIG.MAX_PLAYERS;
+}
@@ -0,0 +1,464 @@
+import {
+    GAME_CONFIG,
+    MAP_CONFIG,
+    TERRAIN_CONFIG,
+    TERRAIN_TYPES,
+    PLAYER_COLORS,
+    BASE_CHARACTER,
+    TERRAIN_GLYPHS
+} from '../shared/constants.js';
+import { GameState } from './gameState.js';
+import { createDefaultMap, createEmptyMap, validateMap, parseMap, EDITOR_MAP_KEY } from './mapDefinition.js';
+import { STANDARD_RULESET, fetchRulesets, getUnitType } from './ruleset.js';
+
+/**
+ * Editing operations on a map definition. The active tool decides what a click does:
+ *   { kind: 'terrain', type }            paint terrain
+ *   { kind: 'node' }                     place a resource node (or update the one there)
+ *   { kind: 'base', playerId }           move that player's base
+ *   { kind: 'unit', type, playerId }     place a starting unit
+ *   { kind: 'erase' }                    remove a unit or node, else reset terrain to plains
+ * Starting units come from the editor's rule set.
+ */
+export class MapEditor {
+    constructor(map = createDefaultMap(), ruleset = STANDARD_RULESET) {
+        this.map = JSON.parse(JSON.stringify(map));
+        this.ruleset = ruleset;
+        this.tool = { kind: 'terrain', type: 'forest' };
+        this.nodeSettings = { value: 20, regenerationRate: 3 };
+    }
+
+    static fromJSON(json, ruleset = STANDARD_RULESET) {
+        return new MapEditor(parseMap(json, ruleset), ruleset);
+    }
+
+    toJSON() {
+        return JSON.stringify(this.map, null, 2);
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+    }
+
+    setRuleset(ruleset) {
+        this.ruleset = ruleset;
+    }
+
+    /**
+     * Unit types starting units can be placed as, in the rule set's order
+     */
+    getUnitTypes() {
+        return this.ruleset.units;
+    }
+
+    getErrors() {
+        return validateMap(this.map, this.ruleset);
+    }
+
+    isInside(x, y) {
+        return x >= 0 && x < this.map.size && y >= 0 && y < this.map.size;
+    }
+
+    getTerrainAt(x, y) {
+        const cell = this.map.terrain.find(entry => entry.x === x && entry.y === y);
+        return cell ? cell.type : TERRAIN_CONFIG.DEFAULT_TERRAIN;
+    }
+
+    /**
+     * The base, node or unit on a cell
+     * @returns {{kind: string, item: Object}|null}
+     */
+    getItemAt(x, y) {
+        const at = entry => entry.x === x && entry.y === y;
+        const base = this.map.bases.find(at);
+        if (base) {
+            return { kind: 'base', item: base };
+        }
+        const node = this.map.resourceNodes.find(at);
+        if (node) {
+            return { kind: 'node', item: node };
+        }
+        const unit = this.map.units.find(at);
+        return unit ? { kind: 'unit', item: unit } : null;
+    }
+
+    /**
+     * Use the active tool on a cell
+     * @returns {{success: boolean, reason?: string}}
+     */
+    applyAt(x, y) {
+        if (!this.isInside(x, y)) {
+            return { success: false, reason: 'Cell is outside the map' };
+        }
+
+        const existing = this.getItemAt(x, y);
+        switch (this.tool.kind) {
+        case 'terrain':
+            return this.paintTerrain(x, y, this.tool.type, existing);
+        case 'node':
+            return this.placeNode(x, y, existing);
+        case 'base':
+            return this.moveBase(x, y, this.tool.playerId, existing);
+        case 'unit':
+            return this.placeUnit(x, y, existing);
+        case 'erase':
+            return this.erase(x, y, existing);
+        default:
+            return { success: false, reason: `Unknown tool: ${this.tool.kind}` };
+        }
+    }
+
+    paintTerrain(x, y, type, existing) {
+        const terrain = GameState.getTerrainType(type);
+        if (!terrain) {
+            return { success: false, reason: `Unknown terrain: ${type}` };
+        }
+        if (!terrain.passable && existing) {
+            return { success: false, reason: `${terrain.name} cannot be placed under a ${existing.kind}` };
+        }
+
+        this.map.terrain = this.map.terrain.filter(cell => cell.x !== x || cell.y !== y);
+        if (type !== TERRAIN_CONFIG.DEFAULT_TERRAIN) {
+            this.map.terrain.push({ x, y, type });
+        }
+        return { success: true };
+    }
+
+    placeNode(x, y, existing) {
+        const { value, regenerationRate } = this.nodeSettings;
+        if (existing && existing.kind === 'node') {
+            Object.assign(existing.item, { value, regenerationRate });
+            return { success: true };
+        }
+        if (existing) {
+            return { success: false, reason: 'Cell is occupied' };
+        }
+        if (!this.isPassable(x, y)) {
+            return { success: false, reason: 'Cell is impassable' };
+        }
+
+        this.map.resourceNodes.push({ x, y, value, regenerationRate });
+        return { success: true };
+    }
+
+    moveBase(x, y, playerId, existing) {
+        if (existing) {
+            return { success: false, reason: 'Cell is occupied' };
+        }
+        if (!this.isPassable(x, y)) {
+            return { success: false, reason: 'Cell is impassable' };
+        }
+
+        this.map.bases = this.map.bases.filter(base => base.playerId !== playerId);
+        this.map.bases.push({ playerId, x, y });
+        this.map.bases.sort((a, b) => a.playerId - b.playerId);
+        return { success: true };
+    }
+
+    placeUnit(x, y, existing) {
+        const { type, playerId } = this.tool;
+        if (existing && existing.kind !== 'unit') {
+            return { success: false, reason: 'Cell is occupied' };
+        }
+        if (!this.isPassable(x, y)) {
+            return { success: false, reason: 'Cell is impassable' };
+        }
+
+        this.map.units = this.map.units.filter(unit => unit.x !== x || unit.y !== y);
+        this.map.units.push({ type, playerId, x, y });
+        return { success: true };
+    }
+
+    erase(x, y, existing) {
+        if (existing && existing.kind === 'base') {
+            return { success: false, reason: 'Bases can only be moved' };
+        }
+        if (existing) {
+            const list = existing.kind === 'node' ? 'resourceNodes' : 'units';
+            this.map[list] = this.map[list].filter(entry => entry !== existing.item);
+            return { success: true };
+        }
+        return this.paintTerrain(x, y, TERRAIN_CONFIG.DEFAULT_TERRAIN, null);
+    }
+
+    isPassable(x, y) {
+        return GameState.getTerrainType(this.getTerrainAt(x, y)).passable;
+    }
+
+    /**
+     * Change the board size. Whatever falls outside is dropped, except bases,
+     * which move back into the nearest corner of the board.
+     */
+    resize(size) {
+        if (!Number.isInteger(size) || size < MAP_CONFIG.MIN_SIZE || size > MAP_CONFIG.MAX_SIZE) {
+            return { success: false, reason: `Map size must be from ${MAP_CONFIG.MIN_SIZE} to ${MAP_CONFIG.MAX_SIZE}` };
+        }
+
+        this.map.size = size;
+        const inside = entry => this.isInside(entry.x, entry.y);
+        this.map.terrain = this.map.terrain.filter(inside);
+        this.map.resourceNodes = this.map.resourceNodes.filter(inside);
+        this.map.units = this.map.units.filter(inside);
+        this.map.bases.forEach(base => {
+            base.x = Math.min(base.x, size - 2);
+            base.y = Math.min(base.y, size - 2);
+        });
+        return { success: true };
+    }
+}
+
+/**
+ * The map editor page: a canvas, a tool palette and import/export controls
+ */
+class MapEditorPage {
+    constructor() {
+        this.canvas = document.getElementById('mapEditorCanvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.editor = new MapEditor();
+        this.painting = false;
+        this.rulesets = [STANDARD_RULESET];
+
+        this.buildPalette();
+        this.setupEventListeners();
+        this.refresh();
+        this.loadRulesets();
+    }
+
+    /**
+     * Offer the server's rule sets for the map's starting units
+     */
+    async loadRulesets() {
+        this.rulesets = await fetchRulesets();
+        const select = document.getElementById('editorRulesetSelect');
+        select.replaceChildren(...this.rulesets.map(ruleset => {
+            const option = document.createElement('option');
+            option.value = ruleset.id;
+            option.textContent = `${ruleset.name} rules`;
+            return option;
+        }));
+        select.value = this.editor.ruleset.id;
+    }
+
+    get cellSize() {
+        return Math.min(GAME_CONFIG.CELL_SIZE, Math.floor(GAME_CONFIG.MAX_BOARD_PIXELS / this.editor.map.size));
+    }
+
+    /**
+     * One button per tool, unit tools for the editor's rule set. The active tool stays
+     * selected if it is still there.
+     */
+    buildPalette() {
+        const tools = [
+            ...Object.values(TERRAIN_TYPES).map(terrain => ({
+                label: terrain.name, tool: { kind: 'terrain', type: terrain.id }
+            })),
+            { label: 'Resource Node', tool: { kind: 'node' } },
+            ...[1, 2].map(playerId => ({ label: `Base P${playerId}`, tool: { kind: 'base', playerId } })),
+            ...[1, 2].flatMap(playerId => this.editor.getUnitTypes().map(unitType => ({
+                label: `${unitType.glyph} ${unitType.name} P${playerId}`, tool: { kind: 'unit', type: unitType.id, playerId }
+            }))),
+            { label: 'Erase', tool: { kind: 'erase' } }
+        ];
+
+        const palette = document.getElementById('toolPalette');
+        const buttons = tools.map(({ label, tool }) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.addEventListener('click', () => {
+                this.editor.setTool(tool);
+                buttons.forEach(other => other.classList.remove('active'));
+                button.classList.add('active');
+            });
+            return button;
+        });
+        palette.replaceChildren(...buttons);
+
+        const active = tools.findIndex(({ tool }) => JSON.stringify(tool) === JSON.stringify(this.editor.tool));
+        buttons[Math.max(0, active)].click();
+    }
+
+    setupEventListeners() {
+        this.canvas.addEventListener('mousedown', (event) => {
+            this.painting = true;
+            this.paint(event);
+        });
+        this.canvas.addEventListener('mousemove', (event) => {
+            // Dragging paints terrain; other tools place one thing per click
+            if (this.painting && this.editor.tool.kind === 'terrain') {
+                this.paint(event);
+            }
+        });
+        window.addEventListener('mouseup', () => {
+            this.painting = false;
+        });
+
+        const nodeValue = document.getElementById('nodeValue');
+        const nodeRegen = document.getElementById('nodeRegen');
+        const updateNodeSettings = () => {
+            this.editor.nodeSettings = {
+                value: Number(nodeValue.value),
+                regenerationRate: Number(nodeRegen.value)
+            };
+        };
+        nodeValue.addEventListener('change', updateNodeSettings);
+        nodeRegen.addEventListener('change', updateNodeSettings);
+
+        document.getElementById('editorRulesetSelect').addEventListener('change', (event) => {
+            this.editor.setRuleset(this.rulesets.find(ruleset => ruleset.id === event.target.value) || STANDARD_RULESET);
+            this.buildPalette();
+            this.refresh();
+        });
+
+        document.getElementById('mapName').addEventListener('input', (event) => {
+            this.editor.map.name = event.target.value;
+            this.refresh();
+        });
+        document.getElementById('mapSize').addEventListener('change', (event) => {
+            this.report(this.editor.resize(Number(event.target.value)));
+        });
+
+        document.getElementById('newMapBtn').addEventListener('click', () => {
+            this.load(new MapEditor(createEmptyMap(this.editor.map.size)));
+        });
+        document.getElementById('standardMapBtn').addEventListener('click', () => this.load(new MapEditor()));
+        document.getElementById('exportMapBtn').addEventListener('click', () => this.exportMap());
+        document.getElementById('importMapBtn').addEventListener('click', () => {
+            document.getElementById('mapFileInput').click();
+        });
+        document.getElementById('mapFileInput').addEventListener('change', (event) => {
+            const [file] = event.target.files;
+            if (file) {
+                file.text().then(json => this.importMap(json));
+            }
+            event.target.value = '';
+        });
+        document.getElementById('playMapBtn').addEventListener('click', () => this.playMap());
+    }
+
+    paint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scale = this.canvas.width / rect.width;
+        const x = Math.floor((event.clientX - rect.left) * scale / this.cellSize);
+        const y = Math.floor((event.clientY - rect.top) * scale / this.cellSize);
+        this.report(this.editor.applyAt(x, y));
+    }
+
+    report(result) {
+        document.getElementById('editorStatus').textContent = result.success ? '' : result.reason;
+        this.refresh();
+    }
+
+    load(editor) {
+        editor.setTool(this.editor.tool);
+        editor.setRuleset(this.editor.ruleset);
+        editor.nodeSettings = this.editor.nodeSettings;
+        this.editor = editor;
+        this.refresh();
+    }
+
+    importMap(json) {
+        try {
+            this.load(MapEditor.fromJSON(json, this.editor.ruleset));
+            document.getElementById('editorStatus').textContent = `Imported ${this.editor.map.name}`;
+        } catch (error) {
+            document.getElementById('editorStatus').textContent = error.message;
+        }
+    }
+
+    exportMap() {
+        const blob = new Blob([this.editor.toJSON()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.editor.map.name.replace(/\s+/g, '-').toLowerCase() || 'map'}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    playMap() {
+        const errors = this.editor.getErrors();
+        if (errors.length > 0) {
+            document.getElementById('editorStatus').textContent = 'Fix the map errors before playing it';
+            return;
+        }
+        localStorage.setItem(EDITOR_MAP_KEY, this.editor.toJSON());
+        window.location.href = 'index.html?map=editor';
+    }
+
+    refresh() {
+        const { map } = this.editor;
+        // Leave the fields alone while they are being typed in
+        ['mapName', 'mapSize'].forEach(id => {
+            const input = document.getElementById(id);
+            if (document.activeElement !== input) {
+                input.value = id === 'mapName' ? map.name : map.size;
+            }
+        });
+
+        const errors = this.editor.getErrors();
+        const list = document.getElementById('mapErrors');
+        list.innerHTML = '';
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            list.appendChild(item);
+        });
+        document.getElementById('mapValidity').textContent = errors.length === 0 ? 'Map is valid' : 'Map has errors:';
+
+        this.draw();
+    }
+
+    draw() {
+        const { map } = this.editor;
+        const size = this.cellSize;
+        this.canvas.width = map.size * size;
+        this.canvas.height = map.size * size;
+        const ctx = this.ctx;
+        const center = value => value * size + size / 2;
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (let x = 0; x < map.size; x++) {
+            for (let y = 0; y < map.size; y++) {
+                const terrain = GameState.getTerrainType(this.editor.getTerrainAt(x, y));
+                ctx.fillStyle = terrain.color;
+                ctx.fillRect(x * size, y * size, size, size);
+                if (TERRAIN_GLYPHS[terrain.id]) {
+                    ctx.font = `${size * 0.4}px serif`;
+                    ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+                    ctx.fillText(TERRAIN_GLYPHS[terrain.id], center(x), center(y));
+                }
+                ctx.strokeStyle = 'rgba(0, 0, 0, 0.1)';
+                ctx.strokeRect(x * size, y * size, size, size);
+            }
+        }
+
+        map.resourceNodes.forEach(node => {
+            ctx.fillStyle = 'rgba(50, 205, 50, 0.8)';
+            ctx.beginPath();
+            ctx.arc(center(node.x), center(node.y), size * 0.35, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.fillStyle = '#000000';
+            ctx.font = `${Math.max(8, size * 0.35)}px Arial`;
+            ctx.fillText(String(node.value), center(node.x), center(node.y));
+        });
+
+        const drawGlyph = (glyph, playerId, x, y) => {
+            ctx.font = `${size * 0.7}px serif`;
+            ctx.fillStyle = PLAYER_COLORS[playerId] || '#666666';
+            ctx.fillText(glyph, center(x), center(y));
+        };
+        map.bases.forEach(base => drawGlyph(BASE_CHARACTER, base.playerId, base.x, base.y));
+        map.units.forEach(unit => {
+            const unitType = getUnitType(this.editor.ruleset, unit.type);
+            drawGlyph(unitType ? unitType.glyph : '?', unit.playerId, unit.x, unit.y);
+        });
+    }
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        if (document.getElementById('mapEditorCanvas')) {
+            window.mapEditor = new MapEditorPage();
+        }
+    });
+}
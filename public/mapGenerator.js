@@ -0,0 +1,266 @@
+import { GAME_CONFIG, MAP_CONFIG, MAP_GENERATOR_CONFIG, TERRAIN_CONFIG } from '../shared/constants.js';
+import { GameState } from './gameState.js';
+import { MAP_VERSION } from './mapDefinition.js';
+
+/**
+ * Seeded procedural maps. Everything placed for player 1 is mirrored or rotated onto
+ * player 2's half, so both players get the same terrain, the same node values and the
+ * same distances from their base. The same seed string always produces the same map.
+ *
+ * Seed strings are "<size>-<symmetry>-<seed>", e.g. "31-mirror-k3x9qa"; a bare seed
+ * uses the standard size and the default symmetry.
+ */
+
+const SEED_PATTERN = /^(\d+)-([a-z]+)-(.+)$/;
+
+export function createSeed() {
+    return Math.random().toString(36).slice(2, 8).padEnd(6, '0');
+}
+
+export function toSeedString({ seed, size = GAME_CONFIG.GRID_SIZE, symmetry = MAP_GENERATOR_CONFIG.DEFAULT_SYMMETRY }) {
+    return `${size}-${symmetry}-${seed}`;
+}
+
+/**
+ * @returns {{seed: string, size: number, symmetry: string}}
+ */
+export function parseSeedString(seedString) {
+    const text = String(seedString).trim();
+    const match = text.match(SEED_PATTERN);
+    if (!match) {
+        return { seed: text, size: GAME_CONFIG.GRID_SIZE, symmetry: MAP_GENERATOR_CONFIG.DEFAULT_SYMMETRY };
+    }
+    return { seed: match[3], size: Number(match[1]), symmetry: match[2] };
+}
+
+/**
+ * Deterministic random numbers in [0, 1) from a seed string (mulberry32)
+ */
+export function createRandom(seed) {
+    let state = hashSeed(String(seed));
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * The cell a placement for player 1 maps to for player 2
+ */
+export function getMirrorCell(x, y, size, symmetry) {
+    return symmetry === 'mirror'
+        ? { x: size - 1 - y, y: size - 1 - x } // reflect across the diagonal between the bases
+        : { x: size - 1 - x, y: size - 1 - y }; // rotate half a turn about the center
+}
+
+/**
+ * Generate a map definition
+ * @param {Object} [options]
+ * @param {string} [options.seed] - random if omitted
+ * @param {number} [options.size]
+ * @param {string} [options.symmetry] - 'rotate' or 'mirror'
+ * @throws {Error} if the size or symmetry is not supported
+ */
+export function generateMap({
+    seed = createSeed(),
+    size = GAME_CONFIG.GRID_SIZE,
+    symmetry = MAP_GENERATOR_CONFIG.DEFAULT_SYMMETRY
+} = {}) {
+    if (!Number.isInteger(size) || size < MAP_CONFIG.MIN_SIZE || size > MAP_CONFIG.MAX_SIZE) {
+        throw new Error(`Map size must be a whole number from ${MAP_CONFIG.MIN_SIZE} to ${MAP_CONFIG.MAX_SIZE}`);
+    }
+    if (!MAP_GENERATOR_CONFIG.SYMMETRIES.includes(symmetry)) {
+        throw new Error(`Unknown symmetry: ${symmetry}`);
+    }
+
+    const seedString = toSeedString({ seed, size, symmetry });
+    const random = createRandom(seedString);
+
+    // Retries draw from the same stream, so they are as repeatable as the first attempt;
+    // the last attempt leaves out water, which is the only terrain that can wall a base in
+    let map;
+    for (let attempt = 1; attempt <= MAP_GENERATOR_CONFIG.MAX_ATTEMPTS; attempt++) {
+        const allowWater = attempt < MAP_GENERATOR_CONFIG.MAX_ATTEMPTS;
+        map = buildMap(random, size, symmetry, allowWater);
+        if (isConnected(map)) {
+            break;
+        }
+    }
+
+    return {
+        version: MAP_VERSION,
+        name: `Generated ${seedString}`,
+        seed: seedString,
+        ...map
+    };
+}
+
+/**
+ * Generate the map a seed string describes
+ */
+export function generateMapFromSeed(seedString) {
+    return generateMap(parseSeedString(seedString));
+}
+
+function buildMap(random, size, symmetry, allowWater) {
+    const mirror = (x, y) => getMirrorCell(x, y, size, symmetry);
+    const bases = [{ playerId: 1, x: 1, y: 1 }, { playerId: 2, ...mirror(1, 1) }];
+    const [base1, base2] = bases;
+
+    const terrain = GameState.createTerrain(size);
+    placeTerrain(random, terrain, size, bases, mirror, allowWater);
+
+    const resourceNodes = placeNodes(random, terrain, size, base1, base2, mirror);
+
+    const cells = [];
+    for (let x = 0; x < size; x++) {
+        for (let y = 0; y < size; y++) {
+            if (terrain[x][y] !== TERRAIN_CONFIG.DEFAULT_TERRAIN) {
+                cells.push({ x, y, type: terrain[x][y] });
+            }
+        }
+    }
+
+    return { size, bases, resourceNodes, terrain: cells, units: [] };
+}
+
+/**
+ * Scatter clusters of terrain, each grown by a short random walk and copied onto
+ * the other half. Cells near either base are kept clear.
+ */
+function placeTerrain(random, terrain, size, bases, mirror, allowWater) {
+    const weights = Object.entries(MAP_GENERATOR_CONFIG.TERRAIN_WEIGHTS)
+        .filter(([type]) => allowWater || GameState.getTerrainType(type).passable);
+    const nearBase = (x, y) => bases.some(base =>
+        Math.max(Math.abs(base.x - x), Math.abs(base.y - y)) <= MAP_GENERATOR_CONFIG.CLEAR_RADIUS);
+
+    const clusters = Math.round(size * size / MAP_GENERATOR_CONFIG.CELLS_PER_CLUSTER);
+    const { MIN, MAX } = MAP_GENERATOR_CONFIG.CLUSTER_SIZE;
+    for (let i = 0; i < clusters; i++) {
+        const type = pickWeighted(random, weights);
+        let x = randomInt(random, 0, size - 1);
+        let y = randomInt(random, 0, size - 1);
+        const length = randomInt(random, MIN, MAX);
+        for (let step = 0; step < length; step++) {
+            if (!nearBase(x, y)) {
+                const other = mirror(x, y);
+                terrain[x][y] = type;
+                terrain[other.x][other.y] = type;
+            }
+            const [dx, dy] = [[0, -1], [1, 0], [0, 1], [-1, 0]][randomInt(random, 0, 3)];
+            x = Math.min(size - 1, Math.max(0, x + dx));
+            y = Math.min(size - 1, Math.max(0, y + dy));
+        }
+    }
+}
+
+/**
+ * Place resource nodes in pairs. Each pair's first node is on player 1's side, in a
+ * distance band that moves outward from the base pair by pair, and is worth more the
+ * further out it is; its partner is the mirror image, so both players get identical
+ * totals at identical distances. Odd-sized boards also get a contested center node.
+ */
+function placeNodes(random, terrain, size, base1, base2, mirror) {
+    const tiers = MAP_GENERATOR_CONFIG.NODE_TIERS;
+    const nodes = [];
+    const isFarFromNodes = (x, y) => nodes.every(node =>
+        distance(node, { x, y }) >= MAP_GENERATOR_CONFIG.NODE_SPACING);
+
+    const count = Math.max(2, Math.round(size * size / MAP_GENERATOR_CONFIG.CELLS_PER_NODE));
+    if (size % 2 === 1) {
+        const center = (size - 1) / 2;
+        terrain[center][center] = TERRAIN_CONFIG.DEFAULT_TERRAIN;
+        nodes.push({ x: center, y: center, ...tiers[tiers.length - 1] });
+    }
+
+    const pairs = Math.floor((count - nodes.length) / 2);
+    const nearest = MAP_GENERATOR_CONFIG.NODE_MIN_BASE_DISTANCE;
+    const furthest = distance(base1, base2) / 2;
+    for (let pair = 0; pair < pairs; pair++) {
+        const bandStart = nearest + (furthest - nearest) * pair / pairs;
+        const bandEnd = nearest + (furthest - nearest) * (pair + 1) / pairs;
+
+        const candidates = [];
+        for (let x = 0; x < size; x++) {
+            for (let y = 0; y < size; y++) {
+                const own = distance(base1, { x, y });
+                const other = mirror(x, y);
+                if (own >= bandStart && own < bandEnd && own < distance(base2, { x, y }) &&
+                    GameState.getTerrainType(terrain[x][y]).passable &&
+                    distance(other, { x, y }) >= MAP_GENERATOR_CONFIG.NODE_SPACING &&
+                    isFarFromNodes(x, y) && isFarFromNodes(other.x, other.y)) {
+                    candidates.push({ x, y });
+                }
+            }
+        }
+        if (candidates.length === 0) {
+            continue;
+        }
+
+        const cell = candidates[randomInt(random, 0, candidates.length - 1)];
+        const tier = tiers[Math.min(tiers.length - 1, Math.floor(pair * tiers.length / pairs))];
+        nodes.push({ ...cell, ...tier }, { ...mirror(cell.x, cell.y), ...tier });
+    }
+
+    return nodes;
+}
+
+/**
+ * Whether units can walk from player 1's base to player 2's and reach every node
+ */
+function isConnected(map) {
+    const terrain = GameState.createTerrain(map.size, map.terrain);
+    const blocked = new Set([...map.bases, ...map.resourceNodes].map(({ x, y }) => `${x},${y}`));
+    const [start, goal] = map.bases;
+
+    const reached = new Set([`${start.x},${start.y}`]);
+    const queue = [start];
+    while (queue.length > 0) {
+        const { x, y } = queue.shift();
+        [[0, -1], [1, 0], [0, 1], [-1, 0]].forEach(([dx, dy]) => {
+            const next = { x: x + dx, y: y + dy };
+            const key = `${next.x},${next.y}`;
+            if (next.x >= 0 && next.x < map.size && next.y >= 0 && next.y < map.size &&
+                !reached.has(key) && !blocked.has(key) &&
+                GameState.getTerrainType(terrain[next.x][next.y]).passable) {
+                reached.add(key);
+                queue.push(next);
+            }
+        });
+    }
+
+    const isReachable = ({ x, y }) => [[0, -1], [1, 0], [0, 1], [-1, 0]]
+        .some(([dx, dy]) => reached.has(`${x + dx},${y + dy}`));
+    return isReachable(goal) && map.resourceNodes.every(isReachable);
+}
+
+function distance(a, b) {
+    return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+}
+
+function randomInt(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+function pickWeighted(random, weights) {
+    const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = random() * total;
+    for (const [type, weight] of weights) {
+        roll -= weight;
+        if (roll < 0) {
+            return type;
+        }
+    }
+    return weights[weights.length - 1][0];
+}
+
+function hashSeed(seed) {
+    let hash = 1779033703 ^ seed.length;
+    for (let i = 0; i < seed.length; i++) {
+        hash = Math.imul(hash ^ seed.charCodeAt(i), 3432918353);
+        hash = (hash << 13) | (hash >>> 19);
+    }
+    return hash >>> 0;
+}
@@ -0,0 +1,177 @@
+// sessionStorage key for the match this tab is playing, so a refresh can rejoin it
+const SESSION_KEY = 'gridGameOnlineSession';
+
+/**
+ * Browser-side WebSocket connection to an online match.
+ * Emits the server messages by type: 'joined', 'events', 'presence', 'clock', 'actionRejected', 'error',
+ * plus 'reconnecting' ({ attempt, delay }) while it tries to get a lost connection back and
+ * 'disconnected' when the connection is closed for good.
+ *
+ * A dropped connection is retried with a growing delay. Once back, the client joins its seat
+ * again with the seat's resume token and the sequence of the last events it applied, so the
+ * server can send just the missed events (see server/multiplayer.js).
+ */
+export class NetworkClient {
+    /**
+     * @param {string} [url]
+     * @param {Object} [options]
+     * @param {number} [options.reconnectDelay=1000] - ms before the first retry; doubles on each failure
+     * @param {number} [options.maxReconnectDelay=10000]
+     * @param {number} [options.maxReconnectAttempts=10]
+     */
+    constructor(url = NetworkClient.defaultUrl(), { reconnectDelay = 1000, maxReconnectDelay = 10000, maxReconnectAttempts = 10 } = {}) {
+        this.url = url;
+        this.socket = null;
+        this.matchId = null;
+        this.playerId = null;
+        this.resumeToken = null;
+        this.lastSequence = null;
+        // The join or spectate message to send again after reconnecting
+        this.target = null;
+        this.reconnectDelay = reconnectDelay;
+        this.maxReconnectDelay = maxReconnectDelay;
+        this.maxReconnectAttempts = maxReconnectAttempts;
+        this.reconnectAttempts = 0;
+        this.reconnectTimeout = null;
+        this.closed = false;
+        this.eventListeners = new Map();
+    }
+
+    static defaultUrl() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${window.location.host}/ws`;
+    }
+
+    /**
+     * The match this tab was last playing, if it has not been left
+     * @returns {{matchId: string, playerId: number|null, resumeToken: string|null}|null}
+     */
+    static loadSession() {
+        try {
+            return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static saveSession(session) {
+        sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    }
+
+    static clearSession() {
+        sessionStorage.removeItem(SESSION_KEY);
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+            this.socket = socket;
+            socket.addEventListener('open', () => resolve(), { once: true });
+            socket.addEventListener('error', () => reject(new Error('Connection failed')), { once: true });
+            socket.addEventListener('message', (event) => this.handleMessage(event.data));
+            socket.addEventListener('close', () => this.handleClose(socket));
+        });
+    }
+
+    handleClose(socket) {
+        if (socket !== this.socket) {
+            return;
+        }
+        this.socket = null;
+        if (this.closed || !this.target) {
+            this.emit('disconnected', { matchId: this.matchId });
+            return;
+        }
+        this.scheduleReconnect();
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            this.closed = true;
+            this.emit('disconnected', { matchId: this.matchId });
+            return;
+        }
+
+        const delay = Math.min(this.maxReconnectDelay, this.reconnectDelay * 2 ** this.reconnectAttempts);
+        this.reconnectAttempts++;
+        this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
+        this.reconnectTimeout = setTimeout(async () => {
+            this.reconnectTimeout = null;
+            try {
+                await this.connect();
+            } catch (error) {
+                // The failed socket's close handler schedules the next attempt
+                return;
+            }
+            this.reconnectAttempts = 0;
+            this.send(this.getRejoinMessage());
+        }, delay);
+    }
+
+    getRejoinMessage() {
+        return { ...this.target, resumeToken: this.resumeToken, lastSequence: this.lastSequence };
+    }
+
+    handleMessage(raw) {
+        const message = JSON.parse(raw);
+        if (message.type === 'joined') {
+            this.matchId = message.matchId;
+            this.playerId = message.playerId;
+            this.resumeToken = message.resumeToken;
+            this.lastSequence = message.sequence;
+        } else if (message.type === 'events') {
+            this.lastSequence = message.sequence;
+        }
+        this.emit(message.type, message);
+    }
+
+    /**
+     * @param {string} [resumeToken] - token from an earlier 'joined', to take the seat back
+     */
+    join(matchId, playerId, resumeToken = null) {
+        this.target = { type: 'join', matchId, playerId };
+        this.resumeToken = resumeToken;
+        this.send({ ...this.target, resumeToken });
+    }
+
+    /**
+     * Watch a match without a seat
+     */
+    spectate(matchId) {
+        this.target = { type: 'spectate', matchId };
+        this.send(this.target);
+    }
+
+    sendAction(action) {
+        this.send({ type: 'action', action });
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    disconnect() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimeout);
+        this.reconnectTimeout = null;
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+
+    on(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    emit(event, data) {
+        const listeners = this.eventListeners.get(event);
+        if (listeners) {
+            listeners.slice().forEach(callback => callback(data));
+        }
+    }
+}
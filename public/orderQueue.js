@@ -0,0 +1,117 @@
+import { getAbility } from './abilities.js';
+
+// Order types and the fields each keeps; they are the action phase actions of the same name
+const ORDER_FIELDS = {
+    move: ['unitId', 'x', 'y'],
+    attack: ['attackerId', 'targetId'],
+    gather: ['unitId'],
+    deposit: ['unitId'],
+    useAbility: ['unitId', 'ability', 'targetId']
+};
+
+/**
+ * Simultaneous turns: the orders each player has given for the action phase and which
+ * players are done with the current phase. Orders wait here without touching the board
+ * until every player is ready; then TurnManager.resolveOrders carries them all out together.
+ * Plain data kept in GameState.orders, so it is saved and sent with the state.
+ */
+export class OrderQueue {
+    constructor() {
+        this.orders = new Map(); // playerId -> orders in the order they were given
+        this.ready = new Set();
+    }
+
+    static isOrderType(type) {
+        return Object.prototype.hasOwnProperty.call(ORDER_FIELDS, type);
+    }
+
+    /**
+     * A copy of the order with only the fields its type uses
+     */
+    static normalize(order) {
+        const normalized = { type: order.type };
+        ORDER_FIELDS[order.type].forEach(field => {
+            if (order[field] !== undefined) {
+                normalized[field] = order[field];
+            }
+        });
+        return normalized;
+    }
+
+    /**
+     * The unit an order is for
+     */
+    static getUnitId(order) {
+        return order.type === 'attack' ? order.attackerId : order.unitId;
+    }
+
+    /**
+     * Unit actions carrying out an order takes: one, or an ability's action cost
+     */
+    static getActionCost(order) {
+        return order.type === 'useAbility' ? getAbility(order.ability).actionCost : 1;
+    }
+
+    /**
+     * @returns {Object} the order as it was queued
+     */
+    add(playerId, order) {
+        if (!this.orders.has(playerId)) {
+            this.orders.set(playerId, []);
+        }
+        const normalized = OrderQueue.normalize(order);
+        this.orders.get(playerId).push(normalized);
+        return normalized;
+    }
+
+    getOrders(playerId) {
+        return this.orders.get(playerId) || [];
+    }
+
+    /**
+     * Unit actions the player's orders for the unit will take
+     */
+    countUnitActions(playerId, unitId) {
+        return this.getOrders(playerId)
+            .filter(order => OrderQueue.getUnitId(order) === unitId)
+            .reduce((total, order) => total + OrderQueue.getActionCost(order), 0);
+    }
+
+    clearOrders(playerId) {
+        this.orders.delete(playerId);
+    }
+
+    setReady(playerId) {
+        this.ready.add(playerId);
+    }
+
+    isReady(playerId) {
+        return this.ready.has(playerId);
+    }
+
+    /**
+     * Forget all orders and readiness, for the start of a new phase
+     */
+    clear() {
+        this.orders.clear();
+        this.ready.clear();
+    }
+
+    serialize() {
+        return {
+            orders: Array.from(this.orders.entries()).map(([playerId, orders]) => [playerId, orders.map(order => ({ ...order }))]),
+            ready: Array.from(this.ready)
+        };
+    }
+
+    static deserialize(data) {
+        const queue = new OrderQueue();
+        if (data) {
+            data.orders.forEach(([playerId, orders]) => {
+                queue.orders.set(playerId, orders.map(order => ({ ...order })));
+            });
+            data.ready.forEach(playerId => queue.ready.add(playerId));
+        }
+        return queue;
+    }
+}
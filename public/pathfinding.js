@@ -0,0 +1,144 @@
+import { getMoveCost, getMovement } from './abilities.js';
+
+const DIRECTIONS = [
+    { x: 0, y: -1 },
+    { x: 1, y: 0 },
+    { x: 0, y: 1 },
+    { x: -1, y: 0 }
+];
+
+/**
+ * Terrain-aware movement search. Units move orthogonally, paying each cell's terrain
+ * movement cost, and cannot pass through units, bases or impassable terrain. Resource
+ * nodes can only be entered by units that gather from them; everything else has to walk around.
+ */
+export class Pathfinder {
+    /**
+     * @param {GameState} gameState
+     * @param {ResourceManager} [resourceManager] - without one, resource nodes do not block movement
+     */
+    constructor(gameState, resourceManager = null) {
+        this.gameState = gameState;
+        this.resourceManager = resourceManager;
+    }
+
+    static key(x, y) {
+        return `${x},${y}`;
+    }
+
+    canEnter(unit, x, y) {
+        if (!this.gameState.isPositionEmpty(x, y)) {
+            return false;
+        }
+        const node = this.resourceManager && this.resourceManager.getResourceNodeAt(x, y);
+        return !node || unit.hasAbility('gather');
+    }
+
+    /**
+     * Movement points spent stepping onto a cell, after the unit's abilities (fast_move).
+     * The first step is capped at the unit's movement, so slow units can always advance
+     * one cell into rough terrain.
+     */
+    getStepCost(unit, from, x, y) {
+        const cost = getMoveCost(unit, this.gameState.getMovementCost(x, y));
+        return from.distance === 0 ? Math.min(cost, getMovement(unit)) : cost;
+    }
+
+    /**
+     * Every cell within the unit's movement points, keyed by "x,y"
+     * @returns {Map<string, {x: number, y: number, distance: number, previous: string|null}>}
+     *   includes the unit's own cell at distance 0; distance is the movement cost to reach the cell
+     */
+    search(unit) {
+        const movement = getMovement(unit);
+        const start = unit.position;
+        const visited = new Map([[Pathfinder.key(start.x, start.y), { ...start, distance: 0, previous: null }]]);
+        const queue = [visited.get(Pathfinder.key(start.x, start.y))];
+
+        while (queue.length > 0) {
+            // Cheapest cell first (Dijkstra). The sort is stable, so on open ground
+            // cells come out in the same order as a breadth-first search.
+            queue.sort((a, b) => a.distance - b.distance);
+            const cell = queue.shift();
+            if (visited.get(Pathfinder.key(cell.x, cell.y)) !== cell) {
+                continue; // superseded by a cheaper route
+            }
+
+            DIRECTIONS.forEach(direction => {
+                const x = cell.x + direction.x;
+                const y = cell.y + direction.y;
+                const key = Pathfinder.key(x, y);
+                if (!this.canEnter(unit, x, y)) {
+                    return;
+                }
+
+                const distance = cell.distance + this.getStepCost(unit, cell, x, y);
+                const known = visited.get(key);
+                if (distance > movement || (known && known.distance <= distance)) {
+                    return;
+                }
+
+                const next = { x, y, distance, previous: Pathfinder.key(cell.x, cell.y) };
+                visited.set(key, next);
+                queue.push(next);
+            });
+        }
+
+        return visited;
+    }
+
+    /**
+     * Cells the unit can move to this action, excluding the cell it stands on
+     * @returns {Array<{x: number, y: number, distance: number}>}
+     */
+    getReachableCells(unit) {
+        return Array.from(this.search(unit).values())
+            .filter(cell => cell.distance > 0)
+            .map(({ x, y, distance }) => ({ x, y, distance }));
+    }
+
+    /**
+     * Shortest path to a target cell
+     * @returns {Array<{x: number, y: number}>|null} the cells stepped through, ending at the target,
+     *   or null if the target is not reachable this action
+     */
+    findPath(unit, x, y) {
+        const visited = this.search(unit);
+        let cell = visited.get(Pathfinder.key(x, y));
+        if (!cell || cell.distance === 0) {
+            return null;
+        }
+
+        const path = [];
+        while (cell.previous !== null) {
+            path.unshift({ x: cell.x, y: cell.y });
+            cell = visited.get(cell.previous);
+        }
+        return path;
+    }
+
+    /**
+     * @returns {string|null} why the unit cannot move to the cell, or null if it can
+     */
+    getMoveError(unit, x, y) {
+        if (!this.gameState.isValidPosition(x, y)) {
+            return 'Target is outside the board';
+        }
+        if (!this.gameState.isPassable(x, y)) {
+            return 'Target cell is impassable';
+        }
+        if (!this.canEnter(unit, x, y)) {
+            return 'Target cell is occupied';
+        }
+
+        const distance = Math.abs(unit.position.x - x) + Math.abs(unit.position.y - y);
+        const movement = getMovement(unit);
+        if (distance > movement) {
+            return `Target is out of range (movement ${movement})`;
+        }
+        if (!this.findPath(unit, x, y)) {
+            return 'No path to target';
+        }
+        return null;
+    }
+}
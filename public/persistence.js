@@ -0,0 +1,260 @@
+import { GameState } from './gameState.js';
+import { ResourceManager } from './resourceManager.js';
+
+export const SAVE_VERSION = 3;
+
+/**
+ * Upgrades from each old save version to the next, applied in order.
+ * Add an entry here whenever SAVE_VERSION goes up - never edit an earlier one.
+ */
+const SAVE_MIGRATIONS = {
+    // Version '1.0' was the single localStorage save, from before boards carried their size,
+    // terrain and bases. Re-serializing through the current classes fills in the defaults.
+    1: data => {
+        const gameState = GameState.deserialize(data.gameState);
+        const resourceManager = ResourceManager.deserialize(data.resourceManager, gameState);
+        return {
+            version: 2,
+            savedAt: data.savedAt,
+            gameState: gameState.serialize(),
+            resourceManager: resourceManager.serialize()
+        };
+    },
+    // Version 2 settings had a turnTimeLimit rather than a time control, and the clock was not
+    // saved. Re-serializing converts the settings and gives the turn in progress its full time.
+    2: data => {
+        const gameState = GameState.deserialize(data.gameState);
+        return {
+            ...data,
+            version: 3,
+            gameState: gameState.serialize()
+        };
+    }
+};
+
+/**
+ * Bring save data of any supported version up to SAVE_VERSION
+ * @throws {Error} if the data is not a save or its version is unknown
+ */
+export function migrateSaveData(saveData) {
+    if (!saveData || !saveData.gameState || !saveData.resourceManager) {
+        throw new Error('Invalid save data');
+    }
+    let version = saveData.version === '1.0' ? 1 : saveData.version;
+    if (!Number.isInteger(version) || version < 1 || version > SAVE_VERSION) {
+        throw new Error(`Unsupported save version: ${saveData.version}`);
+    }
+
+    let data = saveData;
+    while (version < SAVE_VERSION) {
+        data = SAVE_MIGRATIONS[version](data);
+        version++;
+    }
+    return data;
+}
+
+/**
+ * Game saves: named slots kept on the server (/api/saves), plus the older single
+ * localStorage save and user settings. The server keeps a guest's slots under an
+ * anonymous client id this browser makes up once and remembers.
+ */
+export class PersistenceManager {
+    constructor(storageKey = 'gridGameSave', apiBase = '/api/saves') {
+        this.storageKey = storageKey;
+        this.settingsKey = `${storageKey}_settings`;
+        this.clientIdKey = `${storageKey}_clientId`;
+        this.clientId = null;
+        this.apiBase = apiBase;
+        this.version = SAVE_VERSION;
+    }
+
+    isStorageAvailable() {
+        return typeof localStorage !== 'undefined';
+    }
+
+    createSaveData(gameState, resourceManager) {
+        return {
+            version: this.version,
+            savedAt: new Date().toISOString(),
+            gameState: gameState.serialize(),
+            resourceManager: resourceManager.serialize()
+        };
+    }
+
+    restoreSaveData(saveData) {
+        const data = migrateSaveData(saveData);
+        const gameState = GameState.deserialize(data.gameState);
+        const resourceManager = ResourceManager.deserialize(data.resourceManager, gameState);
+        return { gameState, resourceManager };
+    }
+
+    /**
+     * The id the server keeps this browser's slots under while nobody is signed in
+     */
+    getClientId() {
+        if (!this.clientId) {
+            const stored = this.isStorageAvailable() ? localStorage.getItem(this.clientIdKey) : null;
+            this.clientId = stored || crypto.randomUUID();
+            if (!stored && this.isStorageAvailable()) {
+                localStorage.setItem(this.clientIdKey, this.clientId);
+            }
+        }
+        return this.clientId;
+    }
+
+    /**
+     * Send a request to the saves API
+     * @returns {Promise<{success: boolean, data?: *, error?: string}>}
+     */
+    async request(method, path = '', body = null) {
+        try {
+            const response = await fetch(`${this.apiBase}${path}`, {
+                method,
+                headers: {
+                    'X-Client-Id': this.getClientId(),
+                    ...(body && { 'Content-Type': 'application/json' })
+                },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = response.status === 204 ? null : await response.json();
+            if (!response.ok) {
+                return { success: false, error: (data && data.error) || `Server responded with ${response.status}` };
+            }
+            return { success: true, data };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Save slots on the server, most recently saved first
+     */
+    async listSlots() {
+        const result = await this.request('GET');
+        return result.success ? { success: true, saves: result.data } : result;
+    }
+
+    async createSlot(name, gameState, resourceManager) {
+        const result = await this.request('POST', '', {
+            name,
+            data: this.createSaveData(gameState, resourceManager)
+        });
+        return result.success ? { success: true, save: result.data } : result;
+    }
+
+    async overwriteSlot(id, gameState, resourceManager) {
+        const result = await this.request('PUT', `/${id}`, {
+            data: this.createSaveData(gameState, resourceManager)
+        });
+        return result.success ? { success: true, save: result.data } : result;
+    }
+
+    async loadSlot(id) {
+        const result = await this.request('GET', `/${id}`);
+        if (!result.success) {
+            return result;
+        }
+        try {
+            const { gameState, resourceManager } = this.restoreSaveData(result.data.data);
+            return { success: true, name: result.data.name, gameState, resourceManager };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async deleteSlot(id) {
+        return this.request('DELETE', `/${id}`);
+    }
+
+    /**
+     * Move the old single localStorage save into a named server slot
+     */
+    async importLocalSave(name) {
+        if (!this.hasSavedGame()) {
+            return { success: false, error: 'No saved game found' };
+        }
+
+        let data;
+        try {
+            data = migrateSaveData(JSON.parse(localStorage.getItem(this.storageKey)));
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+
+        const result = await this.request('POST', '', { name, data });
+        if (!result.success) {
+            return result;
+        }
+        this.deleteSave();
+        return { success: true, save: result.data };
+    }
+
+    saveGame(gameState, resourceManager) {
+        if (!this.isStorageAvailable()) {
+            return { success: false, error: 'Storage not available' };
+        }
+
+        try {
+            const saveData = this.createSaveData(gameState, resourceManager);
+            localStorage.setItem(this.storageKey, JSON.stringify(saveData));
+            return { success: true, savedAt: saveData.savedAt };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    loadGame() {
+        if (!this.isStorageAvailable()) {
+            return { success: false, error: 'Storage not available' };
+        }
+
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            if (!raw) {
+                return { success: false, error: 'No saved game found' };
+            }
+
+            const { gameState, resourceManager } = this.restoreSaveData(JSON.parse(raw));
+            return { success: true, gameState, resourceManager };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    hasSavedGame() {
+        return this.isStorageAvailable() && !!localStorage.getItem(this.storageKey);
+    }
+
+    deleteSave() {
+        if (this.isStorageAvailable()) {
+            localStorage.removeItem(this.storageKey);
+        }
+    }
+
+    exportGame(gameState, resourceManager) {
+        return JSON.stringify(this.createSaveData(gameState, resourceManager), null, 2);
+    }
+
+    importGame(json) {
+        try {
+            const { gameState, resourceManager } = this.restoreSaveData(JSON.parse(json));
+            return { success: true, gameState, resourceManager };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    saveSettings(settings) {
+        if (this.isStorageAvailable()) {
+            localStorage.setItem(this.settingsKey, JSON.stringify(settings));
+        }
+    }
+
+    loadSettings() {
+        if (!this.isStorageAvailable()) {
+            return {};
+        }
+        const raw = localStorage.getItem(this.settingsKey);
+        return raw ? JSON.parse(raw) : {};
+    }
+}
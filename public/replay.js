@@ -0,0 +1,181 @@
+import { GameState } from './gameState.js';
+import { ResourceManager } from './resourceManager.js';
+import { applyGameEvent } from './eventApplier.js';
+
+export const REPLAY_VERSION = 1;
+
+// Events with no effect on the board; leaving them out keeps logs small
+const IGNORED_EVENTS = new Set(['turnTimerTick']);
+
+/**
+ * Records a game as its starting state plus every GameState event, in order.
+ * Events carry their results (damage dealt, amounts gathered), so replaying the
+ * log rebuilds the same board without re-running any rules.
+ */
+export class ReplayRecorder {
+    constructor(gameState, resourceManager) {
+        this.gameState = gameState;
+        this.gameId = gameState.gameId;
+        this.recordedAt = new Date().toISOString();
+        this.setup = {
+            gameState: gameState.serialize(),
+            resourceManager: resourceManager.serialize()
+        };
+        this.events = [];
+
+        this.handleEvent = (event, data) => {
+            if (!IGNORED_EVENTS.has(event)) {
+                this.events.push({
+                    sequence: this.events.length + 1,
+                    event,
+                    data: JSON.parse(JSON.stringify(data))
+                });
+            }
+        };
+        this.gameState.on('*', this.handleEvent);
+    }
+
+    getLog() {
+        return {
+            version: REPLAY_VERSION,
+            gameId: this.gameId,
+            recordedAt: this.recordedAt,
+            setup: this.setup,
+            events: this.events.slice()
+        };
+    }
+
+    toJSON() {
+        return this.getLog();
+    }
+
+    stop() {
+        if (this.gameState) {
+            this.gameState.off('*', this.handleEvent);
+        }
+        this.gameState = null;
+    }
+}
+
+/**
+ * Steps through a recorded log. position is the number of events applied so far.
+ */
+export class ReplayPlayer {
+    /**
+     * @param {Object} log - from ReplayRecorder.getLog
+     * @param {Object} [options]
+     * @param {Function} [options.onUpdate] - called with the player after every change of position
+     */
+    constructor(log, options = {}) {
+        ReplayPlayer.validate(log);
+        this.log = log;
+        this.onUpdate = options.onUpdate || null;
+        this.playTimer = null;
+        this.reset();
+    }
+
+    static validate(log) {
+        if (!log || !log.setup || !Array.isArray(log.events)) {
+            throw new Error('Invalid replay log');
+        }
+        if (log.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${log.version}`);
+        }
+    }
+
+    static fromJSON(json, options) {
+        return new ReplayPlayer(JSON.parse(json), options);
+    }
+
+    get length() {
+        return this.log.events.length;
+    }
+
+    isAtEnd() {
+        return this.position >= this.length;
+    }
+
+    /**
+     * @returns {boolean} false once the end of the log is reached
+     */
+    step() {
+        if (this.isAtEnd()) {
+            return false;
+        }
+        this.applyNext();
+        this.notify();
+        return true;
+    }
+
+    stepBack() {
+        if (this.position > 0) {
+            this.seek(this.position - 1);
+        }
+    }
+
+    /**
+     * Rebuild the board as it was after the given number of events
+     */
+    seek(position) {
+        const target = Math.max(0, Math.min(this.length, position));
+
+        if (target < this.position) {
+            this.reset();
+        }
+        while (this.position < target) {
+            this.applyNext();
+        }
+
+        this.notify();
+    }
+
+    reset() {
+        this.gameState = GameState.deserialize(this.log.setup.gameState);
+        this.resourceManager = ResourceManager.deserialize(this.log.setup.resourceManager, this.gameState);
+        this.position = 0;
+    }
+
+    applyNext() {
+        // Events are cloned so the log survives the mirror's in-place updates
+        const { event, data } = this.log.events[this.position];
+        applyGameEvent(this.gameState, this.resourceManager, event, JSON.parse(JSON.stringify(data)));
+        this.position++;
+    }
+
+    getCurrentEvent() {
+        return this.position > 0 ? this.log.events[this.position - 1] : null;
+    }
+
+    play(interval = 500) {
+        this.pause();
+        this.playTimer = setInterval(() => {
+            if (!this.step()) {
+                this.pause();
+            }
+        }, interval);
+        this.notify();
+    }
+
+    pause() {
+        if (this.playTimer) {
+            clearInterval(this.playTimer);
+            this.playTimer = null;
+            this.notify();
+        }
+    }
+
+    isPlaying() {
+        return this.playTimer !== null;
+    }
+
+    notify() {
+        if (this.onUpdate) {
+            this.onUpdate(this);
+        }
+    }
+
+    destroy() {
+        this.pause();
+        this.onUpdate = null;
+    }
+}
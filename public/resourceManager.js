@@ -0,0 +1,295 @@
+import { RESOURCE_CONFIG } from '../shared/constants.js';
+
+/**
+ * Resource node placement, gathering and regeneration
+ */
+export class ResourceManager {
+    /**
+     * @param {GameState} gameState
+     * @param {Object} [map] - map definition to take the nodes from; defaults to the standard layout
+     */
+    constructor(gameState, map = null) {
+        this.gameState = gameState;
+        this.gatherAmount = 5;
+        this.gatherRange = 1;
+        this.gatherCooldown = 3000; // 3 seconds between gathers per worker
+        this.gatheringCooldowns = new Map();
+        this.resourceNodes = ResourceManager.createNodes(map ? map.resourceNodes : RESOURCE_CONFIG.NODE_LAYOUT);
+    }
+
+    /**
+     * Live nodes from a layout of { x, y, value, regenerationRate } entries
+     */
+    static createNodes(layout) {
+        return layout.map((node, index) => ({
+            id: `node_${index}`,
+            x: node.x,
+            y: node.y,
+            value: node.value,
+            maxValue: node.value,
+            regenerationRate: node.regenerationRate
+        }));
+    }
+
+    getResourceNodeAt(x, y) {
+        return this.resourceNodes.find(node => node.x === x && node.y === y) || null;
+    }
+
+    getResourceNodesInRange(x, y, range) {
+        return this.resourceNodes.filter(node =>
+            Math.abs(node.x - x) <= range && Math.abs(node.y - y) <= range
+        );
+    }
+
+    getCooldownRemaining(unitId) {
+        const lastGather = this.gatheringCooldowns.get(unitId);
+        if (lastGather === undefined) {
+            return 0;
+        }
+        return Math.max(0, lastGather + this.gatherCooldown - Date.now());
+    }
+
+    /**
+     * Gather resources with a worker from an adjacent node. The resources are loaded
+     * into the worker's cargo and only reach the player once deposited at the base.
+     * @param {string} unitId
+     * @param {Object} [options]
+     * @param {boolean} [options.automatic=false] - resource phase harvest, which does not spend an action
+     * @returns {{success: boolean, amount?: number, reason?: string}}
+     */
+    gatherResources(unitId, options = {}) {
+        const automatic = !!options.automatic;
+        const unit = this.gameState.units.get(unitId);
+        if (!unit || !unit.hasAbility('gather') || (!automatic && !unit.canAct())) {
+            return { success: false, reason: 'Unit cannot gather' };
+        }
+
+        if (unit.isFullyLoaded()) {
+            return { success: false, reason: 'Worker is fully loaded' };
+        }
+
+        const cooldownRemaining = this.getCooldownRemaining(unitId);
+        if (cooldownRemaining > 0) {
+            return { success: false, reason: 'Unit is on gathering cooldown', cooldownRemaining };
+        }
+
+        const nodes = this.getResourceNodesInRange(unit.position.x, unit.position.y, this.gatherRange);
+        if (nodes.length === 0) {
+            return { success: false, reason: 'No resource nodes in range' };
+        }
+
+        // Gather from the richest node in range
+        const node = nodes
+            .filter(candidate => candidate.value > 0)
+            .sort((a, b) => b.value - a.value)[0];
+        if (!node) {
+            return { success: false, reason: 'No resources available at nearby nodes' };
+        }
+
+        const amount = Math.min(this.gatherAmount, node.value, unit.getCarryCapacity() - unit.cargo);
+
+        node.value -= amount;
+        unit.cargo += amount;
+        if (!automatic) {
+            unit.useAction();
+        }
+        this.gatheringCooldowns.set(unitId, Date.now());
+
+        this.gameState.emit('resourcesGathered', {
+            unitId,
+            playerId: unit.playerId,
+            nodeId: node.id,
+            amount,
+            nodeValue: node.value,
+            cargo: unit.cargo,
+            automatic
+        });
+
+        return { success: true, amount, nodeId: node.id, cargo: unit.cargo };
+    }
+
+    /**
+     * Resource phase harvest: every worker of the player standing on or next to a
+     * non-depleted node gathers once. Workers on cooldown or fully loaded are skipped.
+     * @returns {Array<{nodeId: string, x: number, y: number, amount: number, workers: number}>}
+     *   totals per node that was harvested
+     */
+    harvestResources(playerId) {
+        const harvests = new Map();
+
+        this.gameState.getPlayerUnits(playerId)
+            .filter(unit => this.getGatheringPotential(unit.position.x, unit.position.y, unit.type) > 0)
+            .forEach(unit => {
+                const result = this.gatherResources(unit.id, { automatic: true });
+                if (!result.success) {
+                    return;
+                }
+
+                const node = this.resourceNodes.find(candidate => candidate.id === result.nodeId);
+                const harvest = harvests.get(node.id) || { nodeId: node.id, x: node.x, y: node.y, amount: 0, workers: 0 };
+                harvest.amount += result.amount;
+                harvest.workers++;
+                harvests.set(node.id, harvest);
+            });
+
+        return Array.from(harvests.values());
+    }
+
+    /**
+     * Unload a worker's cargo into its owner's energy. The worker must stand
+     * orthogonally next to its own base.
+     * @returns {{success: boolean, amount?: number, reason?: string}}
+     */
+    depositResources(unitId) {
+        const unit = this.gameState.units.get(unitId);
+        if (!unit || unit.getCarryCapacity() === 0 || !unit.canAct()) {
+            return { success: false, reason: 'Unit cannot deposit' };
+        }
+        if (unit.cargo === 0) {
+            return { success: false, reason: 'Worker is not carrying any resources' };
+        }
+
+        const base = this.gameState.getPlayerBase(unit.playerId);
+        if (!base || base.isDestroyed() || !this.gameState.isAdjacent(unit.position, base.position)) {
+            return { success: false, reason: 'Worker must be next to its base to deposit' };
+        }
+
+        const amount = unit.cargo;
+        const player = this.gameState.players.get(unit.playerId);
+
+        player.addEnergy(amount);
+        player.resourcesGathered += amount;
+        unit.cargo = 0;
+        unit.useAction();
+
+        this.gameState.emit('resourcesDeposited', {
+            unitId,
+            playerId: unit.playerId,
+            amount
+        });
+
+        return { success: true, amount };
+    }
+
+    /**
+     * Regenerate every node up to its maximum
+     * @returns {number} total amount regenerated
+     */
+    regenerateResources() {
+        let totalRegenerated = 0;
+
+        this.resourceNodes.forEach(node => {
+            if (node.value < node.maxValue) {
+                const regeneratedAmount = Math.min(node.regenerationRate, node.maxValue - node.value);
+                node.value += regeneratedAmount;
+                totalRegenerated += regeneratedAmount;
+
+                this.gameState.emit('resourceNodeRegenerated', {
+                    nodeId: node.id,
+                    regeneratedAmount,
+                    newValue: node.value
+                });
+            }
+        });
+
+        return totalRegenerated;
+    }
+
+    /**
+     * Value of the nodes a unit of the given type could gather from at (x, y); 0 for types that do not gather
+     */
+    getGatheringPotential(x, y, unitType) {
+        const stats = this.gameState.getUnitType(unitType);
+        if (!stats || !stats.abilities.includes('gather')) {
+            return 0;
+        }
+        return this.getNodeValueInRange(x, y);
+    }
+
+    getNodeValueInRange(x, y) {
+        return this.getResourceNodesInRange(x, y, this.gatherRange)
+            .reduce((total, node) => total + node.value, 0);
+    }
+
+    getOptimalGatheringPositions(nodeId) {
+        const node = this.resourceNodes.find(candidate => candidate.id === nodeId);
+        if (!node) {
+            return [];
+        }
+
+        const positions = [];
+        for (let dx = -this.gatherRange; dx <= this.gatherRange; dx++) {
+            for (let dy = -this.gatherRange; dy <= this.gatherRange; dy++) {
+                const x = node.x + dx;
+                const y = node.y + dy;
+                if ((dx !== 0 || dy !== 0) && this.gameState.isPositionEmpty(x, y)) {
+                    positions.push({ x, y, potential: this.getNodeValueInRange(x, y) });
+                }
+            }
+        }
+
+        return positions.sort((a, b) => b.potential - a.potential);
+    }
+
+    canGatherAtPosition(unitId) {
+        const unit = this.gameState.units.get(unitId);
+        if (!unit) {
+            return false;
+        }
+        return this.getGatheringPotential(unit.position.x, unit.position.y, unit.type) > 0;
+    }
+
+    getResourceNodeInfo() {
+        return this.resourceNodes.map(node => ({
+            id: node.id,
+            position: { x: node.x, y: node.y },
+            value: node.value,
+            maxValue: node.maxValue,
+            regenerationRate: node.regenerationRate,
+            efficiency: node.maxValue > 0 ? node.value / node.maxValue : 0
+        }));
+    }
+
+    getTotalResourcesAvailable() {
+        return this.resourceNodes.reduce((total, node) => total + node.value, 0);
+    }
+
+    calculatePlayerResourceIncome(playerId) {
+        return this.gameState.getPlayerUnits(playerId)
+            .reduce((total, unit) =>
+                total + this.getGatheringPotential(unit.position.x, unit.position.y, unit.type), 0);
+    }
+
+    getResourceStats() {
+        const totalAvailable = this.getTotalResourcesAvailable();
+        const maxPossible = this.resourceNodes.reduce((total, node) => total + node.maxValue, 0);
+        const nodeCount = this.resourceNodes.length;
+
+        return {
+            totalAvailable,
+            maxPossible,
+            efficiency: maxPossible > 0 ? totalAvailable / maxPossible : 0,
+            nodeCount,
+            averageNodeValue: nodeCount > 0 ? totalAvailable / nodeCount : 0,
+            regenerationPerTurn: this.resourceNodes.reduce((total, node) => total + node.regenerationRate, 0)
+        };
+    }
+
+    clearGatheringCooldowns() {
+        this.gatheringCooldowns.clear();
+    }
+
+    serialize() {
+        return {
+            resourceNodes: this.resourceNodes.map(node => ({ ...node })),
+            gatheringCooldowns: Array.from(this.gatheringCooldowns.entries())
+        };
+    }
+
+    static deserialize(data, gameState) {
+        const resourceManager = new ResourceManager(gameState);
+        resourceManager.resourceNodes = data.resourceNodes.map(node => ({ ...node }));
+        resourceManager.gatheringCooldowns = new Map(data.gatheringCooldowns || []);
+        return resourceManager;
+    }
+}
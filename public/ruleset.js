@@ -0,0 +1,169 @@
+import {
+    UNIT_TYPES,
+    UNIT_CHARACTERS,
+    UNIT_ABILITIES,
+    RULESET_CONFIG
+} from '../shared/constants.js';
+
+export const RULESET_VERSION = RULESET_CONFIG.VERSION;
+
+/**
+ * Rule sets are plain JSON naming the unit types a game is played with:
+ *   {
+ *     version: 1,
+ *     id: 'standard',                  // on the server, the file name in rulesets/
+ *     name: 'Standard',
+ *     units: [{
+ *       id: 'worker', name: 'Worker',
+ *       cost, health, attack,          // energy to build, hit points, damage per attack
+ *       movement,                      // movement points per move
+ *       sight,                         // vision radius in cells
+ *       carryCapacity,                 // optional: resources carried per trip, for gatherers
+ *       glyph: '♦',                    // drawn on the board and in the production menu
+ *       abilities: ['build', 'gather'] // from UNIT_ABILITIES
+ *     }]
+ *   }
+ * The order of units is the order of the production menu.
+ */
+
+/**
+ * The standard rule set, made from UNIT_TYPES and UNIT_CHARACTERS
+ */
+export function createStandardRuleset() {
+    return {
+        version: RULESET_VERSION,
+        id: RULESET_CONFIG.DEFAULT_ID,
+        name: 'Standard',
+        units: Object.values(UNIT_TYPES).map(({ abilities, ...stats }) => ({
+            ...stats,
+            glyph: UNIT_CHARACTERS[stats.id],
+            abilities: [...abilities]
+        }))
+    };
+}
+
+// Shared by every game that does not choose a rule set, so never modified
+export const STANDARD_RULESET = deepFreeze(createStandardRuleset());
+
+/**
+ * Check a rule set against the schema
+ * @returns {string[]} every problem found; empty when the rule set is valid
+ */
+export function validateRuleset(ruleset) {
+    if (!ruleset || typeof ruleset !== 'object') {
+        return ['Rule set must be an object'];
+    }
+    if (ruleset.version !== RULESET_VERSION) {
+        return [`Unsupported rule set version: ${ruleset.version}`];
+    }
+
+    const errors = [];
+    if (typeof ruleset.id !== 'string' || !/^[a-z0-9_-]{1,40}$/.test(ruleset.id)) {
+        errors.push('Rule set id must be 1 to 40 lowercase letters, digits, dashes or underscores');
+    }
+    if (typeof ruleset.name !== 'string' || ruleset.name.trim() === '') {
+        errors.push('Rule set needs a name');
+    }
+    if (!Array.isArray(ruleset.units) || ruleset.units.length === 0 ||
+        ruleset.units.length > RULESET_CONFIG.MAX_UNIT_TYPES) {
+        errors.push(`Rule set needs 1 to ${RULESET_CONFIG.MAX_UNIT_TYPES} unit types`);
+        return errors;
+    }
+
+    const seen = new Set();
+    ruleset.units.forEach((unit, index) => {
+        if (!unit || typeof unit !== 'object') {
+            errors.push(`Unit type ${index + 1} must be an object`);
+            return;
+        }
+        if (typeof unit.id !== 'string' || !/^[a-z][a-z0-9_]*$/.test(unit.id)) {
+            errors.push(`Unit type ${index + 1} needs an id of lowercase letters, digits and underscores`);
+            return;
+        }
+        const label = `Unit type ${unit.id}`;
+        if (seen.has(unit.id)) {
+            errors.push(`${label} is listed twice`);
+        }
+        seen.add(unit.id);
+
+        if (typeof unit.name !== 'string' || unit.name.trim() === '') {
+            errors.push(`${label} needs a name`);
+        }
+        Object.entries(RULESET_CONFIG.STAT_LIMITS).forEach(([stat, { MIN, MAX }]) => {
+            // Only gatherers carry anything
+            if (stat === 'carryCapacity' && unit[stat] === undefined) {
+                return;
+            }
+            if (!Number.isInteger(unit[stat]) || unit[stat] < MIN || unit[stat] > MAX) {
+                errors.push(`${label} needs a whole ${stat} from ${MIN} to ${MAX}`);
+            }
+        });
+        if (typeof unit.glyph !== 'string' || Array.from(unit.glyph).length !== 1) {
+            errors.push(`${label} needs a glyph of a single character`);
+        }
+        if (!Array.isArray(unit.abilities)) {
+            errors.push(`${label} needs a list of abilities`);
+            return;
+        }
+        unit.abilities.filter(ability => !UNIT_ABILITIES.includes(ability))
+            .forEach(ability => errors.push(`${label} has unknown ability: ${ability}`));
+        if (unit.abilities.includes('gather') && !(unit.carryCapacity > 0)) {
+            errors.push(`${label} gathers, so needs a carryCapacity above 0`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Parse and validate a rule set from JSON text or an already-parsed object
+ * @throws {Error} if the rule set is malformed or invalid
+ */
+export function parseRuleset(json) {
+    let ruleset = json;
+    if (typeof json === 'string') {
+        try {
+            ruleset = JSON.parse(json);
+        } catch (error) {
+            throw new Error('Rule set file is not valid JSON');
+        }
+    }
+
+    const errors = validateRuleset(ruleset);
+    if (errors.length > 0) {
+        throw new Error(`Invalid rule set: ${errors[0]}`);
+    }
+    return ruleset;
+}
+
+/**
+ * A unit type of a rule set by id
+ * @returns {Object|null}
+ */
+export function getUnitType(ruleset, typeId) {
+    return ruleset.units.find(unitType => unitType.id === typeId) || null;
+}
+
+/**
+ * The rule sets the server offers, or just the standard one when it cannot be reached
+ * @returns {Promise<Object[]>}
+ */
+export async function fetchRulesets(url = '/api/rulesets') {
+    try {
+        const response = await fetch(url);
+        if (response.ok) {
+            return await response.json();
+        }
+    } catch (error) {
+        // Playing without the server
+    }
+    return [createStandardRuleset()];
+}
+
+function deepFreeze(value) {
+    if (value && typeof value === 'object') {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
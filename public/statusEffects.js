@@ -0,0 +1,84 @@
+import { STATUS_EFFECT_CONFIG } from '../shared/constants.js';
+
+/**
+ * Timed buffs and debuffs on units. Abilities, and in time terrain or tech, put them on a
+ * unit with GameState.applyStatusEffect; the unit keeps each as { turns, stacks }.
+ *
+ * turns counts the starts of the owner's turns: every one takes a turn off and the effect
+ * wears off when none are left. So an effect of 1 turn put on during the owner's turn lasts
+ * until their next turn, while one put on by an enemy needs 2 to last through it.
+ *
+ * stacking says what putting an effect on a unit that already has it does:
+ *   'refresh'  stays at one stack and keeps the longer of the two durations
+ *   'stack'    adds the stacks, up to maxStacks, and keeps the longer duration
+ *
+ * Effects change the rules for the unit through the same hooks as passive abilities
+ * (see abilities.js), which get the effect's stacks, and
+ *   onTurnStart(unit, stacks)   once the owner's turn has begun and the unit's actions are back
+ */
+export const STATUS_EFFECTS = {
+    fortified: {
+        name: 'Fortified',
+        description: `Takes ${STATUS_EFFECT_CONFIG.FORTIFIED_DAMAGE_MODIFIER}x damage`,
+        icon: '⛨',
+        color: '#2196F3',
+        turns: 1,
+        stacking: 'refresh',
+        damageTaken: damage => damage * STATUS_EFFECT_CONFIG.FORTIFIED_DAMAGE_MODIFIER
+    },
+    lookout: {
+        name: 'Lookout',
+        description: `+${STATUS_EFFECT_CONFIG.LOOKOUT_SIGHT_BONUS} sight`,
+        icon: '◉',
+        color: '#FFC107',
+        turns: 1,
+        stacking: 'refresh',
+        sight: sight => sight + STATUS_EFFECT_CONFIG.LOOKOUT_SIGHT_BONUS
+    },
+    stunned: {
+        name: 'Stunned',
+        description: 'Cannot act',
+        icon: '✶',
+        color: '#9C27B0',
+        turns: 2,
+        stacking: 'refresh',
+        onTurnStart: unit => {
+            unit.actionsUsed = unit.maxActions;
+        }
+    },
+    slowed: {
+        name: 'Slowed',
+        description: `-${STATUS_EFFECT_CONFIG.SLOWED_MOVEMENT_PENALTY} movement per stack`,
+        icon: '⧗',
+        color: '#795548',
+        turns: 2,
+        stacking: 'stack',
+        maxStacks: STATUS_EFFECT_CONFIG.SLOWED_MAX_STACKS,
+        // Never below one cell, so a slowed unit can still get away
+        movement: (movement, { stacks }) => Math.max(1, movement - stacks * STATUS_EFFECT_CONFIG.SLOWED_MOVEMENT_PENALTY)
+    }
+};
+
+/**
+ * @returns {Object|null} the definition of a status effect
+ */
+export function getStatusEffect(effectId) {
+    return Object.prototype.hasOwnProperty.call(STATUS_EFFECTS, effectId) ? STATUS_EFFECTS[effectId] : null;
+}
+
+/**
+ * A unit's state for an effect once it is put on again, following the effect's stacking rule
+ * @param {{turns: number, stacks: number}|null} current - the effect already on the unit
+ * @returns {{turns: number, stacks: number}}
+ */
+export function stackStatusEffect(current, effectId, turns, stacks) {
+    const effect = getStatusEffect(effectId);
+    const maxStacks = effect.stacking === 'stack' ? effect.maxStacks : 1;
+    if (!current) {
+        return { turns, stacks: Math.min(stacks, maxStacks) };
+    }
+    return {
+        turns: Math.max(current.turns, turns),
+        stacks: Math.min(current.stacks + (effect.stacking === 'stack' ? stacks : 0), maxStacks)
+    };
+}
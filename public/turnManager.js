@@ -0,0 +1,572 @@
+import { GAME_STATES, TURN_CONFIG, TIME_CONTROLS } from '../shared/constants.js';
+import { ResourceManager } from './resourceManager.js';
+import { Pathfinder } from './pathfinding.js';
+import { getAbility } from './abilities.js';
+
+/**
+ * Drives the Resource -> Action -> Build turn cycle and the turn clock.
+ *
+ * The clock lives in gameState.clock so it is saved and sent with the state; how it runs
+ * depends on the game's time control (see GameState.createTimeControl). When a period runs
+ * out a per-turn limit ends the turn, a per-phase limit moves on to the next phase, and an
+ * empty chess clock loses the game on time.
+ *
+ * In simultaneous play (settings.turnMode) a turn is a round all players play at once:
+ * everyone collects resources, then queues action phase orders (see OrderQueue), which are
+ * carried out together once everyone is ready (see resolveOrders), then everyone builds.
+ */
+export class TurnManager {
+    /**
+     * @param {GameState} gameState
+     * @param {Object} [options]
+     * @param {ResourceManager} [options.resourceManager] - shared resource manager (one is created if omitted)
+     * @param {boolean} [options.useTimers=true] - run the turn clock and delayed phase advance;
+     *   disable for headless/server use, where phases advance immediately instead and the
+     *   caller spends time on the clock itself (see spendTime)
+     */
+    constructor(gameState, options = {}) {
+        this.gameState = gameState;
+        this.resourceManager = options.resourceManager || new ResourceManager(gameState);
+        this.pathfinder = new Pathfinder(gameState, this.resourceManager);
+        this.useTimers = options.useTimers !== undefined ? options.useTimers : true;
+
+        this.phases = ['resource', 'action', 'build'];
+        this.currentPhaseIndex = Math.max(0, this.phases.indexOf(gameState.currentPhase));
+        this.turnTimer = null;
+        this.phaseAdvanceTimeout = null;
+
+        this.baseEnergyIncome = 10;
+
+        this.handleGameStarted = () => this.startTurn();
+        this.gameState.on('gameStarted', this.handleGameStarted);
+
+        // A loaded game picks its clock up where it was saved
+        if (gameState.status === GAME_STATES.PLAYING) {
+            this.startTimer();
+        }
+    }
+
+    /**
+     * Time left for the current turn or phase in milliseconds, null when untimed
+     */
+    get timeRemaining() {
+        return this.gameState ? this.gameState.clock.remaining : null;
+    }
+
+    startTurn() {
+        const player = this.gameState.getCurrentPlayer();
+        // A simultaneous round is everyone's turn
+        const players = this.gameState.isSimultaneous()
+            ? Array.from(this.gameState.players.values())
+            : [player];
+
+        this.currentPhaseIndex = 0;
+        this.gameState.currentPhase = this.phases[0];
+        this.gameState.orders.clear();
+
+        // Reset actions for the players and their units
+        players.forEach(({ id }) => {
+            this.gameState.players.get(id).resetActions(this.gameState.settings.maxActions);
+            this.gameState.getPlayerUnits(id).forEach(unit => unit.startTurn());
+        });
+
+        this.gameState.emit('turnStarted', {
+            player: player.id,
+            turnNumber: this.gameState.turnNumber,
+            phase: this.gameState.currentPhase
+        });
+        this.startClock();
+
+        players.forEach(({ id }) => this.executeResourcePhase(id));
+
+        // Nobody has anything to decide in a simultaneous resource phase
+        if (this.gameState.isSimultaneous()) {
+            this.nextPhase();
+        }
+    }
+
+    /**
+     * Base energy income. Workers positioned next to a resource node harvest into their
+     * cargo automatically before the nodes regenerate, and earn energy once they deposit it.
+     */
+    executeResourcePhase(playerId = this.gameState.currentPlayer) {
+        const player = this.gameState.players.get(playerId);
+        const energyGained = this.baseEnergyIncome;
+
+        player.addEnergy(energyGained);
+        const harvests = this.resourceManager.harvestResources(player.id);
+        this.resourceManager.regenerateResources();
+
+        this.gameState.emit('resourcePhaseComplete', {
+            player: player.id,
+            energyGained,
+            harvests
+        });
+    }
+
+    nextPhase() {
+        if (this.currentPhaseIndex >= this.phases.length - 1) {
+            this.endTurn();
+            return;
+        }
+
+        this.currentPhaseIndex++;
+        const phase = this.phases[this.currentPhaseIndex];
+        this.gameState.currentPhase = phase;
+        if (this.gameState.isSimultaneous()) {
+            // Everyone plays the new phase, starting over from the first player
+            this.gameState.orders.clear();
+            this.gameState.currentPlayer = this.gameState.getWaitingPlayers()[0];
+        }
+        const player = this.gameState.getCurrentPlayer();
+
+        this.gameState.emit('phaseChanged', {
+            phase,
+            player: player.id
+        });
+        if (this.gameState.settings.timeControl.mode === TIME_CONTROLS.PHASE) {
+            this.startClock();
+        }
+
+        if (phase === 'action') {
+            this.gameState.emit('actionPhaseStarted', {
+                player: player.id,
+                actionsRemaining: player.actionsRemaining
+            });
+        } else if (phase === 'build') {
+            this.gameState.emit('buildPhaseStarted', {
+                player: player.id,
+                energy: player.energy
+            });
+        }
+    }
+
+    endTurn() {
+        this.stopTimer();
+        this.clearPhaseAdvance();
+        this.settleClock();
+        this.gameState.endTurn();
+
+        // The turn limit may have decided the game
+        if (this.gameState.status === GAME_STATES.ENDED) {
+            return;
+        }
+        this.startTurn();
+    }
+
+    forceEndTurn() {
+        this.gameState.emit('turnForcedEnd', {
+            player: this.gameState.currentPlayer
+        });
+        this.endTurn();
+    }
+
+    /**
+     * Spend one of a player's actions, by default the current player's
+     * @returns {boolean} false when no actions remain
+     */
+    usePlayerAction(playerId = this.gameState.currentPlayer) {
+        const player = this.gameState.players.get(playerId);
+        if (!player.useAction()) {
+            return false;
+        }
+
+        this.gameState.emit('actionUsed', {
+            player: player.id,
+            actionsRemaining: player.actionsRemaining
+        });
+
+        // Move on to the build phase once the action budget is spent. Simultaneous orders
+        // spend actions as they are carried out, when the action phase is over anyway.
+        const isActionPhase = this.gameState.currentPhase === 'action' && !this.gameState.isSimultaneous();
+        if (player.actionsRemaining === 0 && isActionPhase) {
+            if (!this.useTimers) {
+                this.nextPhase();
+                return true;
+            }
+
+            this.clearPhaseAdvance();
+            this.phaseAdvanceTimeout = setTimeout(() => {
+                this.phaseAdvanceTimeout = null;
+                if (this.gameState && this.gameState.currentPhase === 'action') {
+                    this.nextPhase();
+                }
+            }, 500);
+        }
+
+        return true;
+    }
+
+    /**
+     * Simultaneous play: the player is done with the current phase. Once every player is,
+     * the game moves on.
+     */
+    finishPhase(playerId) {
+        if (this.gameState.setPlayerReady(playerId).length === 0) {
+            this.completePhase();
+        }
+    }
+
+    /**
+     * Simultaneous play: end the current phase, carrying out the orders if it is the action phase
+     */
+    completePhase() {
+        if (this.gameState.currentPhase === 'action') {
+            this.resolveOrders();
+            // The orders may have decided the game
+            if (this.gameState.status === GAME_STATES.ENDED) {
+                this.stopTimer();
+                return;
+            }
+        }
+        this.nextPhase();
+    }
+
+    /**
+     * Simultaneous play: carry out the action phase orders of every player together.
+     * Orders resolve in steps: everyone's first order, then everyone's second, and so on.
+     * Within a step moves happen first, then abilities used on the unit itself or a base
+     * (so a unit told to defend does so before the step's attacks land), then attacks,
+     * heavy attacks included, then gathering and depositing.
+     * An order that can no longer be carried out emits 'orderFailed' with the reason and is
+     * dropped; the others spend actions as they would have in an alternating turn.
+     */
+    resolveOrders() {
+        const { orders, players } = this.gameState;
+        const queued = Array.from(players.keys()).map(playerId => ({ playerId, orders: orders.getOrders(playerId) }));
+        const steps = Math.max(0, ...queued.map(entry => entry.orders.length));
+        const moved = new Set();
+
+        for (let step = 0; step < steps && this.gameState.status !== GAME_STATES.ENDED; step++) {
+            const entries = queued
+                .filter(entry => step < entry.orders.length)
+                .map(({ playerId, orders: playerOrders }) => ({ playerId, order: playerOrders[step] }));
+            const ofType = (...types) => entries.filter(({ order }) => types.includes(order.type));
+            const isAttack = ({ order }) => order.type === 'attack' ||
+                (order.type === 'useAbility' && getAbility(order.ability).target === 'enemy');
+
+            this.resolveMoves(ofType('move'), moved);
+            ofType('useAbility').filter(entry => !isAttack(entry)).forEach(entry => this.resolveAbilityOrder(entry));
+            this.resolveAttacks(entries.filter(isAttack), moved);
+            ofType('gather', 'deposit').forEach(entry => this.resolveResourceOrder(entry));
+        }
+    }
+
+    failOrder({ playerId, order }, reason) {
+        this.gameState.emit('orderFailed', { player: playerId, order, reason });
+    }
+
+    /**
+     * Moves of one step happen at once. Paths are judged with all the moving units lifted off
+     * the board. Units ordered onto the same cell all stay where they are; the rest move in
+     * whatever order frees their destinations, and a unit whose destination stays taken
+     * (by a unit that is not moving, or by units trying to swap cells) stays put as well.
+     * @param {Set<string>} moved - collects the ids of units that moved
+     */
+    resolveMoves(entries, moved) {
+        const { gameState } = this;
+        const movers = [];
+        const failures = [];
+        entries.forEach(entry => {
+            const unit = gameState.units.get(entry.order.unitId);
+            if (!unit) {
+                failures.push([entry, 'Unit was destroyed']);
+            } else if (!unit.canAct()) {
+                failures.push([entry, 'Unit has no actions left']);
+            } else {
+                movers.push({ ...entry, unit });
+            }
+        });
+
+        movers.forEach(({ unit }) => {
+            gameState.board[unit.position.x][unit.position.y] = null;
+        });
+        const errors = movers.map(({ unit, order }) => this.pathfinder.getMoveError(unit, order.x, order.y));
+        movers.forEach(({ unit }) => {
+            gameState.board[unit.position.x][unit.position.y] = unit.id;
+        });
+
+        const destinations = new Map();
+        movers.forEach(({ order }) => {
+            const key = `${order.x},${order.y}`;
+            destinations.set(key, (destinations.get(key) || 0) + 1);
+        });
+        let pending = movers.filter((mover, index) => {
+            if (errors[index]) {
+                failures.push([mover, errors[index]]);
+                return false;
+            }
+            if (destinations.get(`${mover.order.x},${mover.order.y}`) > 1) {
+                failures.push([mover, 'Another unit moved to the same cell']);
+                return false;
+            }
+            return true;
+        });
+
+        let progress = true;
+        while (progress) {
+            progress = false;
+            const pendingIds = new Set(pending.map(({ unit }) => unit.id));
+            pending = pending.filter(mover => {
+                const { x, y } = mover.order;
+                const occupant = gameState.board[x][y];
+                if (occupant !== null && pendingIds.has(occupant)) {
+                    return true;
+                }
+                progress = true;
+                pendingIds.delete(mover.unit.id);
+                if (occupant !== null) {
+                    failures.push([mover, 'Target cell is occupied']);
+                } else {
+                    gameState.moveUnit(mover.unit.id, x, y);
+                    moved.add(mover.unit.id);
+                    this.usePlayerAction(mover.playerId);
+                }
+                return false;
+            });
+        }
+        pending.forEach(mover => failures.push([mover, 'Blocked by another moving unit']));
+
+        failures.forEach(([entry, reason]) => this.failOrder(entry, reason));
+    }
+
+    /**
+     * Attacks of one step land at once: they are checked after the step's moves, and units
+     * destroyed in the step only leave the board once every attack has struck, so they
+     * strike back. An attack on a unit that has moved out of reach misses, and one on a
+     * unit another attack of the step has already destroyed is wasted.
+     * Attack abilities (useAbility orders with an enemy target) land with the attacks.
+     * @param {Set<string>} moved - ids of units that moved this round
+     */
+    resolveAttacks(entries, moved) {
+        const { gameState } = this;
+        const strikes = [];
+        entries.forEach(entry => {
+            const { order } = entry;
+            const ability = order.type === 'useAbility' ? order.ability : null;
+            const attackerId = ability ? order.unitId : order.attackerId;
+            const { targetId } = order;
+            const attacker = gameState.units.get(attackerId);
+            const target = gameState.units.get(targetId) || gameState.bases.get(targetId);
+
+            let reason;
+            if (!attacker) {
+                reason = 'Unit was destroyed';
+            } else if (!target || (target.isDestroyed && target.isDestroyed())) {
+                reason = 'Target was destroyed';
+            } else if (moved.has(targetId) && !gameState.isAdjacent(attacker.position, target.position)) {
+                reason = 'Target moved out of reach';
+            } else if (ability) {
+                reason = gameState.validateAbility(attacker, ability, target);
+            } else {
+                reason = gameState.validateAttack(attacker, target);
+            }
+
+            if (reason) {
+                this.failOrder(entry, reason);
+            } else {
+                const damage = gameState.calculateDamage(attacker, target, ability ? getAbility(ability).damageMultiplier : 1);
+                strikes.push({ ...entry, ability, attacker, target, damage });
+            }
+        });
+
+        const destroyed = [];
+        strikes.forEach(strike => {
+            const { attacker, target, damage, playerId } = strike;
+            const isBase = gameState.bases.has(target.id);
+            // A base destroyed by an earlier strike may already have ended the game
+            if (gameState.status === GAME_STATES.ENDED) {
+                return;
+            }
+            if (target.health === 0) {
+                this.failOrder(strike, 'Target was destroyed');
+                return;
+            }
+            // An ability spends its actions up front
+            if (strike.ability) {
+                gameState.beginAbility(attacker, strike.ability, target);
+            }
+            const actionCost = strike.ability ? 0 : 1;
+            if (isBase) {
+                gameState.strikeBase(attacker, target, damage, actionCost);
+            } else if (gameState.strikeUnit(attacker, target, damage, actionCost)) {
+                destroyed.push(strike);
+            }
+            this.usePlayerAction(playerId);
+        });
+        destroyed.forEach(({ target, attacker }) => gameState.destroyUnit(target, attacker));
+    }
+
+    /**
+     * Abilities used on the unit itself or a base, spending the player's action as in alternating turns
+     */
+    resolveAbilityOrder(entry) {
+        const { order } = entry;
+        if (!this.gameState.units.has(order.unitId)) {
+            this.failOrder(entry, 'Unit was destroyed');
+            return;
+        }
+        const result = this.gameState.useAbility(order.unitId, order.ability, order.targetId);
+        if (result.success) {
+            this.usePlayerAction(entry.playerId);
+        } else {
+            this.failOrder(entry, result.reason);
+        }
+    }
+
+    /**
+     * Gathering and depositing cost only the unit's action, as in alternating turns
+     */
+    resolveResourceOrder(entry) {
+        const { order } = entry;
+        const result = order.type === 'gather'
+            ? this.resourceManager.gatherResources(order.unitId)
+            : this.resourceManager.depositResources(order.unitId);
+        if (!result.success) {
+            this.failOrder(entry, result.reason);
+        }
+    }
+
+    clearPhaseAdvance() {
+        if (this.phaseAdvanceTimeout) {
+            clearTimeout(this.phaseAdvanceTimeout);
+            this.phaseAdvanceTimeout = null;
+        }
+    }
+
+    /**
+     * Give the current player the full time for the turn or phase that just began.
+     * 'turnClockStarted' carries the clock to mirrors of the state.
+     */
+    startClock() {
+        const { clock } = this.gameState;
+        clock.remaining = this.gameState.getPeriodTime();
+        if (clock.remaining === null) {
+            return;
+        }
+
+        this.gameState.emit('turnClockStarted', {
+            player: this.gameState.currentPlayer,
+            phase: this.gameState.currentPhase,
+            remaining: clock.remaining,
+            banks: clock.banks && { ...clock.banks }
+        });
+        this.startTimer();
+    }
+
+    /**
+     * Put what is left of a chess clock back in the player's bank, plus the increment
+     */
+    settleClock() {
+        const { clock, settings } = this.gameState;
+        if (settings.timeControl.mode === TIME_CONTROLS.CHESS) {
+            clock.banks[this.gameState.currentPlayer] = clock.remaining + settings.timeControl.increment;
+        }
+    }
+
+    /**
+     * Take time off the current turn or phase
+     * @param {number} ms
+     * @returns {number|null} time left, null when untimed
+     */
+    spendTime(ms) {
+        const { clock } = this.gameState;
+        if (clock.remaining !== null) {
+            clock.remaining = Math.max(0, clock.remaining - ms);
+        }
+        return clock.remaining;
+    }
+
+    /**
+     * The current turn or phase is out of time: end the turn, move on a phase, or with a
+     * chess clock lose the game on time
+     */
+    expireTime() {
+        const player = this.gameState.currentPlayer;
+        this.stopTimer();
+        this.gameState.emit('turnTimeExpired', { player });
+
+        switch (this.gameState.settings.timeControl.mode) {
+        case TIME_CONTROLS.PHASE:
+            if (this.gameState.isSimultaneous()) {
+                this.completePhase();
+            } else {
+                this.nextPhase();
+            }
+            break;
+        case TIME_CONTROLS.CHESS:
+            this.clearPhaseAdvance();
+            this.gameState.clock.banks[player] = 0;
+            this.gameState.endGame(player % this.gameState.players.size + 1, 'time_forfeit');
+            break;
+        default:
+            // Orders already given are still carried out
+            if (this.gameState.isSimultaneous() && this.gameState.currentPhase === 'action') {
+                this.resolveOrders();
+                if (this.gameState.status === GAME_STATES.ENDED) {
+                    return;
+                }
+            }
+            this.endTurn();
+        }
+    }
+
+    /**
+     * Count the clock down every second from what it has left
+     */
+    startTimer() {
+        this.stopTimer();
+        const totalTime = this.gameState.getPeriodTime();
+
+        // Untimed games have no limit to count down
+        if (!this.useTimers || totalTime === null) {
+            return;
+        }
+
+        this.turnTimer = setInterval(() => {
+            this.spendTime(1000);
+
+            this.gameState.emit('turnTimerTick', {
+                timeRemaining: this.timeRemaining,
+                totalTime
+            });
+
+            if (this.timeRemaining === 0) {
+                if (TURN_CONFIG.AUTO_END_TURN) {
+                    this.expireTime();
+                } else {
+                    this.stopTimer();
+                    this.gameState.emit('turnTimeExpired', {
+                        player: this.gameState.currentPlayer
+                    });
+                }
+            }
+        }, 1000);
+    }
+
+    stopTimer() {
+        if (this.turnTimer) {
+            clearInterval(this.turnTimer);
+            this.turnTimer = null;
+        }
+    }
+
+    getCurrentPhaseInfo() {
+        return {
+            phase: this.gameState.currentPhase,
+            phaseIndex: this.currentPhaseIndex,
+            totalPhases: this.phases.length,
+            player: this.gameState.currentPlayer,
+            timeRemaining: this.timeRemaining
+        };
+    }
+
+    destroy() {
+        this.stopTimer();
+        this.clearPhaseAdvance();
+        if (this.gameState) {
+            this.gameState.off('gameStarted', this.handleGameStarted);
+        }
+        this.gameState = null;
+    }
+}
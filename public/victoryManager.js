@@ -0,0 +1,106 @@
+import { GAME_STATES, VICTORY_CONFIG } from '../shared/constants.js';
+
+/**
+ * Watches the game state after every event and ends the game once a player has won:
+ * - an enemy base is destroyed
+ * - every enemy unit has been destroyed in combat (a player who has never lost a unit
+ *   is not eliminated just because they have not built one yet)
+ * - the turn limit is reached; the player who gathered the most resources wins, ties are a draw.
+ *   The limit counts player turns, so simultaneous games, whose turns are whole rounds, last
+ *   as many rounds as alternating ones.
+ */
+export class VictoryManager {
+    /**
+     * @param {GameState} gameState
+     * @param {TurnManager} [turnManager] - its timers are stopped when the game ends
+     * @param {Object} [options]
+     * @param {number} [options.turnLimit=VICTORY_CONFIG.TURN_LIMIT] - player turns before the tiebreak
+     */
+    constructor(gameState, turnManager = null, options = {}) {
+        this.gameState = gameState;
+        this.turnManager = turnManager;
+        this.turnLimit = options.turnLimit || VICTORY_CONFIG.TURN_LIMIT;
+
+        this.handleEvent = (event) => {
+            if (event !== 'gameEnded') {
+                this.update();
+            }
+        };
+        this.gameState.on('*', this.handleEvent);
+    }
+
+    /**
+     * End the game if a victory condition is met
+     * @returns {{winner: number|null, reason: string}|null} the result, if the game ended
+     */
+    update() {
+        if (this.gameState.status !== GAME_STATES.PLAYING) {
+            return null;
+        }
+
+        const result = this.checkVictory();
+        if (!result) {
+            return null;
+        }
+
+        if (this.turnManager) {
+            this.turnManager.stopTimer();
+            this.turnManager.clearPhaseAdvance();
+        }
+        this.gameState.endGame(result.winner, result.reason);
+        return result;
+    }
+
+    checkVictory() {
+        const players = Array.from(this.gameState.players.values());
+
+        const defeatedByBase = players.find(player => {
+            const base = this.gameState.getPlayerBase(player.id);
+            return base && base.isDestroyed();
+        });
+        if (defeatedByBase) {
+            return { winner: this.getOpponentId(defeatedByBase.id), reason: 'base_destroyed' };
+        }
+
+        const eliminated = players.find(player => player.unitsOwned.size === 0 && player.stats.unitsLost > 0);
+        if (eliminated) {
+            return { winner: this.getOpponentId(eliminated.id), reason: 'elimination' };
+        }
+
+        if (this.gameState.turnNumber > this.getTurnNumberLimit()) {
+            return { winner: this.getResourceLeader(players), reason: 'turn_limit' };
+        }
+
+        return null;
+    }
+
+    /**
+     * The last turnNumber before the tiebreak, in the game's own turns
+     */
+    getTurnNumberLimit() {
+        return this.gameState.isSimultaneous()
+            ? Math.ceil(this.turnLimit / this.gameState.players.size)
+            : this.turnLimit;
+    }
+
+    getOpponentId(playerId) {
+        return playerId % this.gameState.players.size + 1;
+    }
+
+    /**
+     * @returns {number|null} the player with the most resources gathered, or null on a tie
+     */
+    getResourceLeader(players) {
+        const best = Math.max(...players.map(player => player.resourcesGathered));
+        const leaders = players.filter(player => player.resourcesGathered === best);
+        return leaders.length === 1 ? leaders[0].id : null;
+    }
+
+    destroy() {
+        if (this.gameState) {
+            this.gameState.off('*', this.handleEvent);
+        }
+        this.gameState = null;
+        this.turnManager = null;
+    }
+}
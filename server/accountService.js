@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @returns {string} "scrypt$<salt>$<hash>"
+ */
+export function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Local player accounts and their login sessions, stored in SQLite.
+ * Sessions are opaque random tokens handed to the browser in a cookie.
+ */
+export class AccountService {
+  constructor(db) {
+    this.db = db;
+
+    this.statements = {
+      insertUser: db.prepare(`
+        INSERT INTO users (username, password_hash, created_at) VALUES (@username, @passwordHash, @now)
+      `),
+      selectUser: db.prepare('SELECT * FROM users WHERE id = ?'),
+      selectUserByName: db.prepare('SELECT * FROM users WHERE username = ?'),
+      selectLeaderboard: db.prepare(`
+        SELECT users.*,
+               COUNT(p.match_id) AS games,
+               COALESCE(SUM(p.result = 'win'), 0) AS wins,
+               COALESCE(SUM(p.result = 'loss'), 0) AS losses,
+               COALESCE(SUM(p.result = 'draw'), 0) AS draws
+        FROM users
+        JOIN match_participants p ON p.user_id = users.id AND p.rating_change IS NOT NULL
+        GROUP BY users.id
+        ORDER BY users.rating DESC, games DESC, users.username
+        LIMIT ?
+      `),
+      insertSession: db.prepare(`
+        INSERT INTO sessions (token, user_id, created_at, expires_at) VALUES (@token, @userId, @now, @expiresAt)
+      `),
+      selectSession: db.prepare('SELECT * FROM sessions WHERE token = ?'),
+      deleteSession: db.prepare('DELETE FROM sessions WHERE token = ?')
+    };
+  }
+
+  /**
+   * @returns {{success: boolean, reason?: string, user?: Object}}
+   */
+  register(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      return { success: false, reason: 'Username must be 3 to 20 letters, digits, dashes or underscores' };
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return { success: false, reason: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+    if (this.statements.selectUserByName.get(username)) {
+      return { success: false, reason: 'Username is already taken' };
+    }
+
+    const { lastInsertRowid } = this.statements.insertUser.run({
+      username,
+      passwordHash: hashPassword(password),
+      now: new Date().toISOString()
+    });
+    return { success: true, user: this.getUser(lastInsertRowid) };
+  }
+
+  /**
+   * Check a username and password and open a session
+   * @returns {{success: boolean, reason?: string, user?: Object, session?: {token: string, expiresAt: string}}}
+   */
+  login(username, password) {
+    const row = typeof username === 'string' ? this.statements.selectUserByName.get(username) : null;
+    if (!row || typeof password !== 'string' || !verifyPassword(password, row.password_hash)) {
+      return { success: false, reason: 'Invalid username or password' };
+    }
+    return { success: true, user: AccountService.toUser(row), session: this.createSession(row.id) };
+  }
+
+  createSession(userId) {
+    const now = Date.now();
+    const session = {
+      token: crypto.randomBytes(32).toString('hex'),
+      expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+    };
+    this.statements.insertSession.run({
+      token: session.token,
+      userId,
+      now: new Date(now).toISOString(),
+      expiresAt: session.expiresAt
+    });
+    return session;
+  }
+
+  logout(token) {
+    if (token) {
+      this.statements.deleteSession.run(token);
+    }
+  }
+
+  /**
+   * @returns {Object|null} the signed-in user, or null if the session is unknown or expired
+   */
+  getUserBySession(token) {
+    const session = token ? this.statements.selectSession.get(token) : null;
+    if (!session) {
+      return null;
+    }
+    if (session.expires_at <= new Date().toISOString()) {
+      this.statements.deleteSession.run(token);
+      return null;
+    }
+    return this.getUser(session.user_id);
+  }
+
+  getUser(userId) {
+    const row = this.statements.selectUser.get(userId);
+    return row ? AccountService.toUser(row) : null;
+  }
+
+  /**
+   * Players with at least one rated game, highest rating first
+   */
+  getLeaderboard(limit = 50) {
+    return this.statements.selectLeaderboard.all(limit).map((row, index) => ({
+      rank: index + 1,
+      ...AccountService.toUser(row),
+      games: row.games,
+      wins: row.wins,
+      losses: row.losses,
+      draws: row.draws
+    }));
+  }
+
+  static toUser(row) {
+    return { id: row.id, username: row.username, rating: row.rating, createdAt: row.created_at };
+  }
+}
@@ -0,0 +1,56 @@
+import express from 'express';
+import { MatchService } from './matchService.js';
+import { SaveService } from './saveService.js';
+import { AccountService } from './accountService.js';
+import { MatchmakingQueue } from './matchmaking.js';
+import { RoomService } from './roomService.js';
+import { TurnTimers } from './turnTimers.js';
+import { RulesetService } from './rulesetService.js';
+import { createSessionMiddleware } from './session.js';
+import { createGamesRouter } from './routes/games.js';
+import { createSavesRouter } from './routes/saves.js';
+import { createAccountsRouter } from './routes/accounts.js';
+import { createMatchmakingRouter } from './routes/matchmaking.js';
+import { createLeaderboardRouter } from './routes/leaderboard.js';
+import { createRoomsRouter } from './routes/rooms.js';
+import { createRulesetsRouter } from './routes/rulesets.js';
+
+/**
+ * Build the Express app. Kept separate from index.js so tests can run it against an in-memory database.
+ * Without a rulesetDirectory only the standard rule set is offered.
+ */
+export function createApp({ db, rulesetDirectory = null }) {
+  const app = express();
+  const rulesetService = new RulesetService(rulesetDirectory);
+  const matchService = new MatchService(db);
+  const saveService = new SaveService(db);
+  const accountService = new AccountService(db);
+  // Pairs players whenever one joins; index.js also starts its timer so waiting windows widen
+  const matchmaking = new MatchmakingQueue(matchService, accountService);
+  const roomService = new RoomService(db, matchService, rulesetService);
+  // Enforces turn time limits once index.js starts it
+  const turnTimers = new TurnTimers(matchService);
+
+  // Saves of large boards run past the default 100kb body limit
+  app.use(express.json({ limit: '1mb' }));
+  app.use(createSessionMiddleware(accountService));
+
+  app.get('/api/health', (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  });
+
+  app.use('/api/games', createGamesRouter(matchService));
+  app.use('/api/saves', createSavesRouter(saveService));
+  app.use('/api/accounts', createAccountsRouter(accountService, matchService));
+  app.use('/api/matchmaking', createMatchmakingRouter(matchmaking));
+  app.use('/api/leaderboard', createLeaderboardRouter(accountService));
+  app.use('/api/rooms', createRoomsRouter(roomService));
+  app.use('/api/rulesets', createRulesetsRouter(rulesetService));
+
+  app.locals.matchService = matchService;
+  app.locals.accountService = accountService;
+  app.locals.matchmaking = matchmaking;
+  app.locals.roomService = roomService;
+  app.locals.turnTimers = turnTimers;
+  return app;
+}
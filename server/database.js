@@ -0,0 +1,148 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Schema migrations, applied in order. PRAGMA user_version tracks how many have run,
+ * so new tables are added by appending to this list - never by editing an earlier entry.
+ */
+const MIGRATIONS = [
+  `
+  CREATE TABLE matches (
+    id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    state TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE match_actions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    match_id TEXT NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+    sequence INTEGER NOT NULL,
+    player_id INTEGER NOT NULL,
+    action TEXT NOT NULL,
+    accepted INTEGER NOT NULL,
+    result TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    UNIQUE (match_id, sequence)
+  );
+  `,
+  `
+  CREATE TABLE saves (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    schema_version INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  `,
+  `
+  CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE sessions (
+    token TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+
+  CREATE TABLE match_participants (
+    match_id TEXT NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+    player_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    joined_at TEXT NOT NULL,
+    result TEXT,
+    turns INTEGER,
+    stats TEXT,
+    finished_at TEXT,
+    PRIMARY KEY (match_id, player_id),
+    UNIQUE (match_id, user_id)
+  );
+  `,
+  `
+  ALTER TABLE users ADD COLUMN rating INTEGER NOT NULL DEFAULT 1200;
+  ALTER TABLE match_participants ADD COLUMN rating_change INTEGER;
+  `,
+  `
+  CREATE TABLE rooms (
+    code TEXT PRIMARY KEY,
+    match_id TEXT NOT NULL UNIQUE REFERENCES matches(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    options TEXT NOT NULL,
+    host_user_id INTEGER REFERENCES users(id),
+    seats_taken INTEGER NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  `,
+  `
+  CREATE TABLE guest_seats (
+    match_id TEXT NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+    player_id INTEGER NOT NULL,
+    token TEXT NOT NULL,
+    claimed_at TEXT NOT NULL,
+    PRIMARY KEY (match_id, player_id)
+  );
+  `,
+  `
+  CREATE TABLE owned_saves (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner TEXT NOT NULL,
+    name TEXT NOT NULL,
+    schema_version INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    turn_number INTEGER,
+    current_player INTEGER,
+    status TEXT,
+    size INTEGER,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE (owner, name)
+  );
+
+  -- Nothing tells whose the older saves were, so they are kept without an owner
+  INSERT INTO owned_saves (id, owner, name, schema_version, data, created_at, updated_at)
+  SELECT id, '', name, schema_version, data, created_at, updated_at FROM saves;
+  DROP TABLE saves;
+  ALTER TABLE owned_saves RENAME TO saves;
+  `,
+  `
+  ALTER TABLE rooms DROP COLUMN seats_taken;
+  `,
+  `
+  ALTER TABLE matches ADD COLUMN ranked INTEGER NOT NULL DEFAULT 0;
+  `
+];
+
+function migrate(db) {
+  const currentVersion = db.pragma('user_version', { simple: true });
+
+  MIGRATIONS.slice(currentVersion).forEach((sql, index) => {
+    db.transaction(() => {
+      db.exec(sql);
+      db.pragma(`user_version = ${currentVersion + index + 1}`);
+    })();
+  });
+}
+
+/**
+ * Open (or create) the SQLite database and bring its schema up to date
+ * @param {string} filename - database file, or ':memory:' for tests
+ */
+export function openDatabase(filename = process.env.DATABASE_PATH || 'data/gridgame.db') {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+  return db;
+}
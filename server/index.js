@@ -1,14 +1,17 @@
 import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createApp } from './app.js';
+import { openDatabase } from './database.js';
+import { MultiplayerServer } from './multiplayer.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const app = express();
+const db = openDatabase();
+const app = createApp({ db, rulesetDirectory: process.env.RULESETS_PATH || 'rulesets' });
 const port = process.env.PORT || 3000;
 
-app.use(express.json());
 app.use(express.static(path.join(__dirname, '../public')));
 app.use('/shared', express.static(path.join(__dirname, '../shared')));
 
@@ -16,11 +19,16 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
 });
 
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
-
-app.listen(port, () => {
+const server = app.listen(port, () => {
   console.log(`Grid Game server running at http://localhost:${port}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-});
\ No newline at end of file
+});
+
+const { matchService, accountService, roomService, turnTimers } = app.locals;
+const multiplayer = new MultiplayerServer(server, matchService, accountService, roomService, turnTimers);
+app.locals.matchmaking.start();
+
+// Turn clocks wait for players whose connection dropped
+multiplayer.on('seatDisconnected', ({ matchId, playerId }) => turnTimers.setConnected(matchId, playerId, false));
+multiplayer.on('seatConnected', ({ matchId, playerId }) => turnTimers.setConnected(matchId, playerId, true));
+turnTimers.start();
@@ -0,0 +1,386 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { GameState } from '../public/gameState.js';
+import { TurnManager } from '../public/turnManager.js';
+import { ResourceManager } from '../public/resourceManager.js';
+import { ActionProcessor } from '../public/actionProcessor.js';
+import { VictoryManager } from '../public/victoryManager.js';
+import { createDefaultMap, createGameFromMap } from '../public/mapDefinition.js';
+import { STANDARD_RULESET } from '../public/ruleset.js';
+import { GAME_STATES } from '../shared/constants.js';
+import { getRatingChange } from './rating.js';
+
+/**
+ * Server-authoritative matches. Every action is replayed through the shared
+ * GameState rules and stored in SQLite together with the resulting state.
+ *
+ * Emits 'matchCreated' ({ match }) for each new match, and
+ * 'actionApplied' ({ matchId, sequence, playerId, action, events, match, previousState })
+ * after each accepted action so transports such as WebSockets can broadcast it.
+ * Events and states are unfiltered; transports hide what each player cannot see.
+ *
+ * Signed-in players own the seats they take (match_participants); guests are handed a
+ * secret seat token for the seat they take (guest_seats) and prove the seat is theirs with it.
+ * When a match ends
+ * each participant's result and the final player stats are recorded for match history,
+ * and ranked matches (those matchmaking pairs) are rated (see rating.js).
+ *
+ * Timed matches keep their clock in the state. The time keeper (TurnTimers, while running)
+ * reports how long the clock has run since the state was saved, and that time is taken off
+ * before each action is applied, so a chess clock is charged for exactly the time a turn took.
+ */
+export class MatchService extends EventEmitter {
+  constructor(db) {
+    super();
+    this.db = db;
+    // { getElapsed(matchId) } - set by TurnTimers.start
+    this.timeKeeper = null;
+
+    this.statements = {
+      insertMatch: db.prepare(`
+        INSERT INTO matches (id, status, state, ranked, created_at, updated_at)
+        VALUES (@id, @status, @state, @ranked, @now, @now)
+      `),
+      updateMatch: db.prepare(`
+        UPDATE matches SET status = @status, state = @state, updated_at = @now WHERE id = @id
+      `),
+      selectMatch: db.prepare('SELECT * FROM matches WHERE id = ?'),
+      selectMatchIdsByStatus: db.prepare('SELECT id FROM matches WHERE status = ? ORDER BY created_at'),
+      nextSequence: db.prepare(`
+        SELECT COALESCE(MAX(sequence), 0) + 1 AS sequence FROM match_actions WHERE match_id = ?
+      `),
+      insertAction: db.prepare(`
+        INSERT INTO match_actions (match_id, sequence, player_id, action, accepted, result, created_at)
+        VALUES (@matchId, @sequence, @playerId, @action, @accepted, @result, @now)
+      `),
+      selectActions: db.prepare(`
+        SELECT sequence, player_id, action, accepted, result, created_at
+        FROM match_actions WHERE match_id = ? ORDER BY sequence
+      `),
+      insertParticipant: db.prepare(`
+        INSERT INTO match_participants (match_id, player_id, user_id, joined_at)
+        VALUES (@matchId, @playerId, @userId, @now)
+      `),
+      selectParticipants: db.prepare('SELECT * FROM match_participants WHERE match_id = ? ORDER BY player_id'),
+      selectTakenSeats: db.prepare(`
+        SELECT player_id FROM match_participants WHERE match_id = @matchId
+        UNION SELECT player_id FROM guest_seats WHERE match_id = @matchId
+        ORDER BY player_id
+      `),
+      insertGuestSeat: db.prepare(`
+        INSERT INTO guest_seats (match_id, player_id, token, claimed_at)
+        VALUES (@matchId, @playerId, @token, @now)
+      `),
+      selectGuestSeat: db.prepare('SELECT token FROM guest_seats WHERE match_id = ? AND player_id = ?'),
+      finishParticipant: db.prepare(`
+        UPDATE match_participants
+        SET result = @result, turns = @turns, stats = @stats, rating_change = @ratingChange, finished_at = @now
+        WHERE match_id = @matchId AND player_id = @playerId
+      `),
+      selectRating: db.prepare('SELECT rating FROM users WHERE id = ?'),
+      updateRating: db.prepare('UPDATE users SET rating = rating + @change WHERE id = @userId'),
+      selectHistory: db.prepare(`
+        SELECT p.match_id, p.player_id, p.result, p.turns, p.stats, p.rating_change, p.finished_at,
+               opponent.player_id AS opponent_player_id, users.username AS opponent_username
+        FROM match_participants p
+        LEFT JOIN match_participants opponent
+          ON opponent.match_id = p.match_id AND opponent.player_id != p.player_id
+        LEFT JOIN users ON users.id = opponent.user_id
+        WHERE p.user_id = ? AND p.result IS NOT NULL
+        ORDER BY p.finished_at DESC
+      `)
+    };
+  }
+
+  /**
+   * Rebuild the live rule objects from a stored state snapshot.
+   * onEvent is subscribed to every event before the rule objects, so it sees events
+   * in the order they happen even when a rule reacts to one by emitting another.
+   */
+  static createContext(state, onEvent = null) {
+    const gameState = GameState.deserialize(state.gameState);
+    if (onEvent) {
+      gameState.on('*', onEvent);
+    }
+    const resourceManager = ResourceManager.deserialize(state.resourceManager, gameState);
+    const turnManager = new TurnManager(gameState, { resourceManager, useTimers: false });
+    const victoryManager = new VictoryManager(gameState, turnManager);
+    const actionProcessor = new ActionProcessor(gameState, turnManager, resourceManager);
+    return { gameState, resourceManager, turnManager, victoryManager, actionProcessor };
+  }
+
+  static destroyContext(context) {
+    context.victoryManager.destroy();
+    context.turnManager.destroy();
+  }
+
+  static snapshot({ gameState, resourceManager }) {
+    return {
+      gameState: gameState.serialize(),
+      resourceManager: resourceManager.serialize()
+    };
+  }
+
+  /**
+   * @param {Object} [options.map] - a validated map definition; defaults to the standard map
+   * @param {number} [options.userId] - signed-in creator, who takes seat 1
+   * @param {Object} [options.settings] - rule options (see GameState.createSettings);
+   *   online games are untimed unless a time control or time limit is given
+   * @param {Object} [options.ruleset] - the unit types to play with; defaults to the standard rule set
+   * @param {boolean} [options.ranked] - rate the match when it ends; only matchmaking's matches are
+   */
+  createMatch({ map = createDefaultMap(), userId = null, settings = {}, ruleset = STANDARD_RULESET, ranked = false } = {}) {
+    const { gameState, resourceManager } = createGameFromMap(map, { turnTimeLimit: null, ...settings }, ruleset);
+    const turnManager = new TurnManager(gameState, { resourceManager, useTimers: false });
+    gameState.startGame();
+
+    const state = MatchService.snapshot({ gameState, resourceManager });
+    turnManager.destroy();
+
+    this.statements.insertMatch.run({
+      id: gameState.gameId,
+      status: gameState.status,
+      state: JSON.stringify(state),
+      ranked: ranked ? 1 : 0,
+      now: new Date().toISOString()
+    });
+    if (userId !== null) {
+      this.takeSeat(gameState.gameId, 1, userId);
+    }
+
+    const match = this.getMatch(gameState.gameId);
+    this.emit('matchCreated', { match });
+    return match;
+  }
+
+  getMatch(matchId) {
+    const row = this.statements.selectMatch.get(matchId);
+    if (!row) {
+      return null;
+    }
+
+    return {
+      id: row.id,
+      status: row.status,
+      state: JSON.parse(row.state),
+      ranked: row.ranked === 1,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Ids of matches still being played, oldest first
+   */
+  getActiveMatchIds() {
+    return this.statements.selectMatchIdsByStatus.all(GAME_STATES.PLAYING).map(row => row.id);
+  }
+
+  getParticipants(matchId) {
+    return this.statements.selectParticipants.all(matchId).map(row => ({
+      playerId: row.player_id,
+      userId: row.user_id,
+      joinedAt: row.joined_at,
+      result: row.result
+    }));
+  }
+
+  /**
+   * Check that a player may use a seat, taking it if it is free. A signed-in player takes
+   * a free seat for good; a guest taking one is handed a seat token, which they need for
+   * the seat from then on.
+   * @param {number|null} userId - null for guests
+   * @param {string|null} [seatToken] - the token of a guest seat
+   * @returns {{success: boolean, reason?: string, seatToken?: string}} seatToken for guest seats
+   */
+  takeSeat(matchId, playerId, userId, seatToken = null) {
+    const participants = this.getParticipants(matchId);
+    const owner = participants.find(participant => participant.playerId === playerId);
+    if (owner) {
+      return owner.userId === userId
+        ? { success: true }
+        : { success: false, reason: 'This seat belongs to another player' };
+    }
+    const guestSeat = this.statements.selectGuestSeat.get(matchId, playerId);
+    if (guestSeat) {
+      return seatToken === guestSeat.token
+        ? { success: true, seatToken }
+        : { success: false, reason: 'This seat belongs to another player' };
+    }
+    if (userId === null) {
+      const token = crypto.randomBytes(16).toString('hex');
+      this.statements.insertGuestSeat.run({ matchId, playerId, token, now: new Date().toISOString() });
+      return { success: true, seatToken: token };
+    }
+    if (participants.some(participant => participant.userId === userId)) {
+      return { success: false, reason: 'You already have a seat in this match' };
+    }
+
+    this.statements.insertParticipant.run({ matchId, playerId, userId, now: new Date().toISOString() });
+    return { success: true };
+  }
+
+  /**
+   * Seats someone has taken, by account or as a guest, in order
+   * @returns {number[]}
+   */
+  getTakenSeats(matchId) {
+    return this.statements.selectTakenSeats.all({ matchId }).map(row => row.player_id);
+  }
+
+  /**
+   * Whether a signed-in user or the holder of a guest seat token has already taken the seat
+   * @param {string|null} [seatToken]
+   */
+  holdsSeat(matchId, playerId, userId, seatToken = null) {
+    const owner = this.getParticipants(matchId).find(participant => participant.playerId === playerId);
+    if (owner) {
+      return userId !== null && owner.userId === userId;
+    }
+    const guestSeat = this.statements.selectGuestSeat.get(matchId, playerId);
+    return !!guestSeat && seatToken === guestSeat.token;
+  }
+
+  /**
+   * Finished matches a user played, most recent first
+   */
+  getMatchHistory(userId) {
+    return this.statements.selectHistory.all(userId).map(row => {
+      const stats = JSON.parse(row.stats);
+      return {
+        matchId: row.match_id,
+        playerId: row.player_id,
+        result: row.result,
+        turns: row.turns,
+        // null for unrated games
+        ratingChange: row.rating_change,
+        finishedAt: row.finished_at,
+        // Guests have no participant row, so the opponent is only named if they had an account
+        opponent: row.opponent_username || null,
+        stats: stats.find(player => player.playerId === row.player_id),
+        opponentStats: stats.find(player => player.playerId !== row.player_id) || null
+      };
+    });
+  }
+
+  /**
+   * Record each participant's result and the final player stats of a match that just ended,
+   * and update both ratings if it was a ranked match between two accounts
+   */
+  recordResults(matchId, gameState, now) {
+    const stats = JSON.stringify(gameState.getPlayerStats());
+    const participants = this.getParticipants(matchId).map(participant => {
+      let result = 'loss';
+      if (gameState.winner === null) {
+        result = 'draw';
+      } else if (gameState.winner === participant.playerId) {
+        result = 'win';
+      }
+      return { ...participant, result, ratingChange: null };
+    });
+
+    if (participants.length === 2 && this.statements.selectMatch.get(matchId).ranked === 1) {
+      const [first, second] = participants;
+      const change = getRatingChange(
+        this.statements.selectRating.get(first.userId).rating,
+        this.statements.selectRating.get(second.userId).rating,
+        first.result
+      );
+      first.ratingChange = change;
+      second.ratingChange = -change;
+    }
+
+    participants.forEach(({ playerId, userId, result, ratingChange }) => {
+      this.statements.finishParticipant.run({
+        matchId, playerId, result, turns: gameState.turnNumber, stats, ratingChange, now
+      });
+      if (ratingChange !== null) {
+        this.statements.updateRating.run({ userId, change: ratingChange });
+      }
+    });
+  }
+
+  /**
+   * Sequence number of the latest action, accepted or not; 0 before the first
+   */
+  getLastSequence(matchId) {
+    return this.statements.nextSequence.get(matchId).sequence - 1;
+  }
+
+  getActions(matchId) {
+    return this.statements.selectActions.all(matchId).map(row => ({
+      sequence: row.sequence,
+      playerId: row.player_id,
+      action: JSON.parse(row.action),
+      accepted: row.accepted === 1,
+      result: JSON.parse(row.result),
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Validate and apply one action. Rejected actions are recorded too, so the log is a full audit trail.
+   * @returns {{success: boolean, reason?: string, events?: Array, match?: Object, previousState?: Object}|null}
+   *   null if the match does not exist; events are the serialized GameState events the action produced
+   *   and previousState the match state before it
+   */
+  applyAction(matchId, playerId, action) {
+    const result = this.db.transaction(() => {
+      const match = this.getMatch(matchId);
+      if (!match) {
+        return null;
+      }
+
+      const events = [];
+      const context = MatchService.createContext(match.state, (event, data) => {
+        events.push({ event, data: JSON.parse(JSON.stringify(data)) });
+      });
+
+      context.turnManager.spendTime(this.timeKeeper ? this.timeKeeper.getElapsed(matchId) : 0);
+      const outcome = context.actionProcessor.process(playerId, action);
+      MatchService.destroyContext(context);
+
+      const now = new Date().toISOString();
+      const sequence = this.statements.nextSequence.get(matchId).sequence;
+      this.statements.insertAction.run({
+        matchId,
+        sequence,
+        playerId,
+        action: JSON.stringify(action),
+        accepted: outcome.success ? 1 : 0,
+        result: JSON.stringify(outcome),
+        now
+      });
+
+      if (!outcome.success) {
+        return outcome;
+      }
+
+      this.statements.updateMatch.run({
+        id: matchId,
+        status: context.gameState.status,
+        state: JSON.stringify(MatchService.snapshot(context)),
+        now
+      });
+      if (context.gameState.status === GAME_STATES.ENDED && match.status !== GAME_STATES.ENDED) {
+        this.recordResults(matchId, context.gameState, now);
+      }
+
+      return { ...outcome, sequence, events, match: this.getMatch(matchId), previousState: match.state };
+    })();
+
+    // Notify listeners only once the transaction has committed
+    if (result && result.success) {
+      this.emit('actionApplied', {
+        matchId,
+        sequence: result.sequence,
+        playerId,
+        action,
+        events: result.events,
+        match: result.match,
+        previousState: result.previousState
+      });
+    }
+    return result;
+  }
+}
@@ -0,0 +1,166 @@
+import { EventEmitter } from 'events';
+
+export const MATCHMAKING_CONFIG = {
+  INITIAL_RANGE: 100, // rating difference accepted as soon as a player queues
+  RANGE_GROWTH_PER_SECOND: 10, // the window widens while a player waits...
+  MAX_RANGE: 800, // ...up to this
+  TICK_INTERVAL_MS: 1000
+};
+
+/**
+ * Ranked matchmaking. Signed-in players wait in a queue and are paired with the
+ * closest-rated player inside both players' rating windows; each window widens the
+ * longer its player waits, so nobody waits forever for an exact match.
+ *
+ * The queue has no transport of its own: routes (or tests acting as clients) call
+ * join/leave/getStatus, and tick() runs the pairing. start() ticks on a timer.
+ * `now` can be replaced to control time in tests.
+ *
+ * Emits 'matched' ({ matchId, players: [{ userId, playerId }] }) for each new pairing.
+ */
+export class MatchmakingQueue extends EventEmitter {
+  constructor(matchService, accountService, { now = () => Date.now(), ...config } = {}) {
+    super();
+    this.matchService = matchService;
+    this.accountService = accountService;
+    this.now = now;
+    this.config = { ...MATCHMAKING_CONFIG, ...config };
+    this.queue = [];
+    this.matched = new Map(); // userId -> { matchId, playerId, opponent }
+    this.timer = null;
+  }
+
+  /**
+   * Put a player in the queue and try to pair them straight away.
+   * Joining again while queued keeps the original place in the queue.
+   * @returns {{success: boolean, reason?: string, status?: string}}
+   */
+  join(userId) {
+    const user = this.accountService.getUser(userId);
+    if (!user) {
+      return { success: false, reason: 'Unknown player' };
+    }
+
+    if (!this.getEntry(userId)) {
+      this.matched.delete(userId);
+      this.queue.push({ userId, username: user.username, rating: user.rating, joinedAt: this.now() });
+      this.tick();
+    }
+    return { success: true, ...this.getStatus(userId) };
+  }
+
+  /**
+   * @returns {boolean} whether the player was waiting in the queue
+   */
+  leave(userId) {
+    const queued = !!this.getEntry(userId);
+    this.queue = this.queue.filter(entry => entry.userId !== userId);
+    this.matched.delete(userId);
+    return queued;
+  }
+
+  /**
+   * @returns {{status: 'idle'}|{status: 'queued', rating, range, waitSeconds}|
+   *   {status: 'matched', matchId, playerId, opponent}}
+   */
+  getStatus(userId) {
+    if (this.matched.has(userId)) {
+      return { status: 'matched', ...this.matched.get(userId) };
+    }
+    const entry = this.getEntry(userId);
+    if (!entry) {
+      return { status: 'idle' };
+    }
+    return {
+      status: 'queued',
+      rating: entry.rating,
+      range: this.getRange(entry),
+      waitSeconds: Math.floor(this.getWaitSeconds(entry))
+    };
+  }
+
+  getEntry(userId) {
+    return this.queue.find(entry => entry.userId === userId) || null;
+  }
+
+  getWaitSeconds(entry) {
+    return Math.max(0, this.now() - entry.joinedAt) / 1000;
+  }
+
+  /**
+   * Largest rating difference the player currently accepts
+   */
+  getRange(entry) {
+    const { INITIAL_RANGE, RANGE_GROWTH_PER_SECOND, MAX_RANGE } = this.config;
+    return Math.min(MAX_RANGE, Math.round(INITIAL_RANGE + RANGE_GROWTH_PER_SECOND * this.getWaitSeconds(entry)));
+  }
+
+  /**
+   * Pair waiting players, longest-waiting first
+   * @returns {Array} the matches created
+   */
+  tick() {
+    const waiting = [...this.queue].sort((a, b) => a.joinedAt - b.joinedAt);
+    const paired = new Set();
+    const created = [];
+
+    waiting.forEach(entry => {
+      if (paired.has(entry.userId)) {
+        return;
+      }
+      let best = null;
+      waiting.forEach(other => {
+        if (other === entry || paired.has(other.userId)) {
+          return;
+        }
+        const difference = Math.abs(entry.rating - other.rating);
+        if (difference > Math.min(this.getRange(entry), this.getRange(other))) {
+          return;
+        }
+        if (!best || difference < Math.abs(entry.rating - best.rating)) {
+          best = other;
+        }
+      });
+
+      if (best) {
+        paired.add(entry.userId);
+        paired.add(best.userId);
+        created.push(this.createMatch(entry, best));
+      }
+    });
+
+    this.queue = this.queue.filter(entry => !paired.has(entry.userId));
+    return created;
+  }
+
+  /**
+   * Start a match for two queued players; the one who waited longer moves first
+   */
+  createMatch(first, second) {
+    const match = this.matchService.createMatch({ userId: first.userId, ranked: true });
+    this.matchService.takeSeat(match.id, 2, second.userId);
+
+    this.matched.set(first.userId, { matchId: match.id, playerId: 1, opponent: second.username });
+    this.matched.set(second.userId, { matchId: match.id, playerId: 2, opponent: first.username });
+
+    const pairing = {
+      matchId: match.id,
+      players: [{ userId: first.userId, playerId: 1 }, { userId: second.userId, playerId: 2 }]
+    };
+    this.emit('matched', pairing);
+    return pairing;
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.tick(), this.config.TICK_INTERVAL_MS);
+      // Don't keep the process alive just for matchmaking
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
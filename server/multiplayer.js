@@ -0,0 +1,396 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { WebSocketServer, WebSocket } from 'ws';
+import { filterStateForPlayer, filterEventsForPlayer } from '../public/fogOfWar.js';
+import { GAME_STATES } from '../shared/constants.js';
+import { getSessionToken } from './session.js';
+
+// Accepted actions kept per match so a briefly disconnected client can catch up without a snapshot
+const EVENT_BUFFER_SIZE = 100;
+// Sockets that miss a ping for this long are treated as dropped
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+function isMatchId(value) {
+  return typeof value === 'string' && value !== '';
+}
+
+/**
+ * WebSocket layer for online matches. Clients join a match as player 1 or 2,
+ * submit actions, and receive the events produced by every accepted action.
+ * States and events are filtered per seat so fog of war hides the same things online.
+ * The session cookie sent with the upgrade request identifies signed-in players,
+ * who take their seat for good (see MatchService.takeSeat).
+ * Spectators watch without a seat and cannot send actions. Anyone may spectate, a player
+ * in another tab included, so while the match is on they get the seatless view (see
+ * filterStateForPlayer): no units, resource values or orders. Once it is over a spectator
+ * joining sees the whole board.
+ *
+ * Guests hold their seat with a seat token (see MatchService.takeSeat): they join a seat they
+ * took in the lobby with the token it handed them, and need it for every later join.
+ *
+ * Reconnecting: 'joined' hands each seat a resumeToken (a guest's seat token). A client
+ * that lost its connection joins again with the token (which takes the seat over from a
+ * socket the server still thinks is open) and the sequence of the last events it applied.
+ * If the missed events are still buffered it gets 'joined' with resumed: true followed by
+ * those events; otherwise (a page refresh, or a gap the buffer no longer covers) it gets
+ * a fresh snapshot.
+ *
+ * Client -> server messages:
+ *   { type: 'join', matchId, playerId, resumeToken?, lastSequence? }
+ *   { type: 'spectate', matchId, lastSequence? }
+ *   { type: 'action', action }
+ * Server -> client messages:
+ *   { type: 'joined', matchId, playerId, spectator, room, resumeToken, sequence, connectedSeats, clock, resumed, state }
+ *     (playerId and resumeToken are null for spectators, room null for matches without one,
+ *      clock null for untimed matches, state only sent when not resumed)
+ *   { type: 'events', matchId, sequence, events }
+ *   { type: 'presence', matchId, playerId, connected }   another seat dropped or came back
+ *   { type: 'clock', matchId, remaining, paused }   the turn clock started, stopped or was reset
+ *   { type: 'actionRejected', action, reason }
+ *   { type: 'error', reason }
+ *
+ * Emits 'seatConnected' and 'seatDisconnected' ({ matchId, playerId }) as seats gain and lose
+ * their only connection, so turn timers can wait for dropped players.
+ */
+export class MultiplayerServer extends EventEmitter {
+  /**
+   * @param {TurnTimers} [turnTimers] - the clocks of timed matches, relayed to their clients
+   */
+  constructor(httpServer, matchService, accountService = null, roomService = null, turnTimers = null) {
+    super();
+    this.matchService = matchService;
+    this.accountService = accountService;
+    this.roomService = roomService;
+    this.turnTimers = turnTimers;
+    this.clients = new Map(); // socket -> { matchId, playerId }, playerId null for spectators
+    this.users = new Map(); // socket -> signed-in user id
+    this.seatTokens = new Map(); // `${matchId}:${playerId}` -> resume token
+    this.buffers = new Map(); // matchId -> { since, entries: [{ sequence, views }] }
+    this.wss = new WebSocketServer({ server: httpServer, path: '/ws' });
+
+    this.wss.on('connection', (socket, request) => this.handleConnection(socket, request));
+
+    this.handleActionApplied = (payload) => this.broadcastEvents(payload);
+    this.matchService.on('actionApplied', this.handleActionApplied);
+    this.handleClockChanged = ({ matchId, ...clock }) => this.broadcast(matchId, { type: 'clock', matchId, ...clock });
+    if (this.turnTimers) {
+      this.turnTimers.on('clockChanged', this.handleClockChanged);
+    }
+
+    this.heartbeat = setInterval(() => this.checkHeartbeats(), HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+  }
+
+  handleConnection(socket, request) {
+    const user = this.accountService ? this.accountService.getUserBySession(getSessionToken(request)) : null;
+    if (user) {
+      this.users.set(socket, user.id);
+    }
+
+    socket.isAlive = true;
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        this.send(socket, { type: 'error', reason: 'Malformed message' });
+        return;
+      }
+      // One bad message must not take the server down with it
+      try {
+        this.handleMessage(socket, message);
+      } catch (error) {
+        console.error('WebSocket message failed:', error);
+        this.send(socket, { type: 'error', reason: 'Could not handle the message' });
+      }
+    });
+
+    socket.on('close', () => {
+      const client = this.clients.get(socket);
+      this.clients.delete(socket);
+      this.users.delete(socket);
+      if (!client) {
+        return;
+      }
+      if (client.playerId !== null && !this.findSeatSocket(client.matchId, client.playerId)) {
+        this.announcePresence(client.matchId, client.playerId, false);
+      }
+      this.forgetEndedMatch(client.matchId);
+    });
+  }
+
+  /**
+   * Drop sockets that stopped answering pings; their close handler frees the seat
+   */
+  checkHeartbeats() {
+    this.wss.clients.forEach(socket => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }
+
+  /**
+   * Drop the buffer and resume tokens of a finished match once nobody is watching it
+   */
+  forgetEndedMatch(matchId) {
+    if (Array.from(this.clients.values()).some(client => client.matchId === matchId)) {
+      return;
+    }
+    const match = this.matchService.getMatch(matchId);
+    if (!match || match.status === GAME_STATES.ENDED) {
+      this.buffers.delete(matchId);
+      Array.from(this.seatTokens.keys())
+        .filter(key => key.startsWith(`${matchId}:`))
+        .forEach(key => this.seatTokens.delete(key));
+    }
+  }
+
+  handleMessage(socket, message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message) || typeof message.type !== 'string') {
+      this.send(socket, { type: 'error', reason: 'Malformed message' });
+      return;
+    }
+    if ((message.type === 'join' || message.type === 'spectate') && !isMatchId(message.matchId)) {
+      this.send(socket, { type: 'error', reason: 'matchId must be a match id' });
+      return;
+    }
+    if (message.type === 'join' && !Number.isInteger(message.playerId)) {
+      this.send(socket, { type: 'error', reason: 'Invalid player seat' });
+      return;
+    }
+
+    switch (message.type) {
+    case 'join':
+      this.join(socket, message);
+      break;
+    case 'spectate':
+      this.spectate(socket, message);
+      break;
+    case 'action':
+      this.submitAction(socket, message.action);
+      break;
+    default:
+      this.send(socket, { type: 'error', reason: `Unknown message type: ${message.type}` });
+    }
+  }
+
+  findSeatSocket(matchId, playerId, except = null) {
+    const entry = Array.from(this.clients.entries()).find(([other, client]) =>
+      other !== except && client.matchId === matchId && client.playerId === playerId
+    );
+    return entry ? entry[0] : null;
+  }
+
+  join(socket, { matchId, playerId, resumeToken = null, lastSequence = null }) {
+    const match = this.matchService.getMatch(matchId);
+    if (!match) {
+      this.send(socket, { type: 'error', reason: 'Match not found' });
+      return;
+    }
+
+    const seatExists = match.state.gameState.players.some(player => player.id === playerId);
+    if (!seatExists) {
+      this.send(socket, { type: 'error', reason: 'Invalid player seat' });
+      return;
+    }
+
+    const seatKey = `${matchId}:${playerId}`;
+    const holder = this.findSeatSocket(matchId, playerId, socket);
+    if (holder && (!resumeToken || resumeToken !== this.seatTokens.get(seatKey))) {
+      this.send(socket, { type: 'error', reason: 'Player seat already taken' });
+      return;
+    }
+
+    const seat = this.matchService.takeSeat(matchId, playerId, this.users.get(socket) ?? null, resumeToken);
+    if (!seat.success) {
+      this.send(socket, { type: 'error', reason: seat.reason });
+      return;
+    }
+
+    // The holder's connection has dropped without the server noticing yet
+    if (holder) {
+      this.clients.delete(holder);
+      holder.terminate();
+    }
+    if (seat.seatToken) {
+      this.seatTokens.set(seatKey, seat.seatToken);
+    } else if (!this.seatTokens.has(seatKey)) {
+      this.seatTokens.set(seatKey, crypto.randomBytes(16).toString('hex'));
+    }
+
+    this.clients.set(socket, { matchId, playerId });
+    this.sendJoined(socket, match, playerId, lastSequence);
+    if (!holder) {
+      this.announcePresence(matchId, playerId, true);
+    }
+  }
+
+  spectate(socket, { matchId, lastSequence = null }) {
+    const match = this.matchService.getMatch(matchId);
+    if (!match) {
+      this.send(socket, { type: 'error', reason: 'Match not found' });
+      return;
+    }
+
+    if (this.roomService) {
+      const allowed = this.roomService.canSpectate(matchId, this.users.get(socket) ?? null);
+      if (!allowed.success) {
+        this.send(socket, { type: 'error', reason: allowed.reason });
+        return;
+      }
+    }
+
+    this.clients.set(socket, { matchId, playerId: null });
+    this.sendJoined(socket, match, null, lastSequence);
+  }
+
+  /**
+   * Send 'joined', then any buffered events the client missed since lastSequence.
+   * Without a usable lastSequence the client gets the current state instead.
+   */
+  sendJoined(socket, match, playerId, lastSequence) {
+    const missed = this.getMissedEntries(match.id, lastSequence);
+    const message = {
+      type: 'joined',
+      matchId: match.id,
+      playerId,
+      spectator: playerId === null,
+      room: this.roomService ? this.roomService.getRoomByMatch(match.id) : null,
+      resumeToken: playerId === null ? null : this.seatTokens.get(`${match.id}:${playerId}`),
+      sequence: this.matchService.getLastSequence(match.id),
+      connectedSeats: this.getConnectedSeats(match.id),
+      clock: this.turnTimers ? this.turnTimers.getClock(match.id) : null,
+      resumed: missed !== null
+    };
+    if (missed === null) {
+      const wholeBoard = playerId === null && match.status === GAME_STATES.ENDED;
+      message.state = wholeBoard ? match.state : filterStateForPlayer(match.state, playerId);
+    }
+    this.send(socket, message);
+
+    (missed || []).forEach(({ sequence, views }) => {
+      this.send(socket, { type: 'events', matchId: match.id, sequence, events: MultiplayerServer.viewFor(views, playerId) });
+    });
+  }
+
+  /**
+   * @returns {Array|null} buffered entries after lastSequence, or null if the buffer cannot vouch for all of them
+   */
+  getMissedEntries(matchId, lastSequence) {
+    const buffer = this.buffers.get(matchId);
+    if (!Number.isInteger(lastSequence)) {
+      return null;
+    }
+    if (!buffer) {
+      // Nothing has been played since the server started, so nothing can have been missed
+      return lastSequence === this.matchService.getLastSequence(matchId) ? [] : null;
+    }
+    if (lastSequence < buffer.since) {
+      return null;
+    }
+    return buffer.entries.filter(entry => entry.sequence > lastSequence);
+  }
+
+  getConnectedSeats(matchId) {
+    const seats = new Set();
+    this.clients.forEach(client => {
+      if (client.matchId === matchId && client.playerId !== null) {
+        seats.add(client.playerId);
+      }
+    });
+    return Array.from(seats).sort((a, b) => a - b);
+  }
+
+  announcePresence(matchId, playerId, connected) {
+    this.emit(connected ? 'seatConnected' : 'seatDisconnected', { matchId, playerId });
+    this.clients.forEach((client, socket) => {
+      if (client.matchId === matchId && client.playerId !== playerId) {
+        this.send(socket, { type: 'presence', matchId, playerId, connected });
+      }
+    });
+  }
+
+  submitAction(socket, action) {
+    const client = this.clients.get(socket);
+    if (!client) {
+      this.send(socket, { type: 'error', reason: 'Join a match before sending actions' });
+      return;
+    }
+    if (client.playerId === null) {
+      this.send(socket, { type: 'error', reason: 'Spectators cannot send actions' });
+      return;
+    }
+
+    const result = this.matchService.applyAction(client.matchId, client.playerId, action);
+    if (!result) {
+      this.send(socket, { type: 'error', reason: 'Match not found' });
+    } else if (!result.success) {
+      this.send(socket, { type: 'actionRejected', action, reason: result.reason });
+    }
+    // Accepted actions reach every client through the 'actionApplied' broadcast
+  }
+
+  static viewFor(views, playerId) {
+    return playerId === null ? views.spectator : views.players[playerId];
+  }
+
+  /**
+   * Filter an accepted action's events for every seat (and spectators) once, buffer them,
+   * and send each connected client its view
+   */
+  broadcastEvents({ matchId, sequence, events, match, previousState }) {
+    const views = { spectator: filterEventsForPlayer(events, null, previousState, match.state), players: {} };
+    match.state.gameState.players.forEach(({ id }) => {
+      views.players[id] = filterEventsForPlayer(events, id, previousState, match.state);
+    });
+
+    if (!this.buffers.has(matchId)) {
+      this.buffers.set(matchId, { since: sequence - 1, entries: [] });
+    }
+    const buffer = this.buffers.get(matchId);
+    buffer.entries.push({ sequence, views });
+    if (buffer.entries.length > EVENT_BUFFER_SIZE) {
+      buffer.since = buffer.entries.shift().sequence;
+    }
+
+    this.clients.forEach((client, socket) => {
+      if (client.matchId === matchId) {
+        this.send(socket, { type: 'events', matchId, sequence, events: MultiplayerServer.viewFor(views, client.playerId) });
+      }
+    });
+  }
+
+  broadcast(matchId, message) {
+    this.clients.forEach((client, socket) => {
+      if (client.matchId === matchId) {
+        this.send(socket, message);
+      }
+    });
+  }
+
+  send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  close() {
+    clearInterval(this.heartbeat);
+    this.matchService.off('actionApplied', this.handleActionApplied);
+    if (this.turnTimers) {
+      this.turnTimers.off('clockChanged', this.handleClockChanged);
+    }
+    // Shutting down is not a disconnect: skip the close handlers' presence updates
+    this.clients.clear();
+    this.wss.clients.forEach(socket => socket.terminate());
+    this.wss.close();
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * Elo ratings. A game between two accounts moves rating from the loser to the winner;
+ * beating a stronger opponent is worth more than beating a weaker one.
+ */
+export const RATING_CONFIG = {
+  INITIAL: 1200, // also the users.rating column default
+  K_FACTOR: 32
+};
+
+// Score for each result, from the point of view of the player who got it
+export const RESULT_SCORES = { win: 1, draw: 0.5, loss: 0 };
+
+/**
+ * Chance of winning (0-1) against an opponent, draws counting as half
+ */
+export function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+/**
+ * Points a player gains (or loses, if negative) from a result. The opponent's change
+ * is the negation, so ratings are zero-sum.
+ */
+export function getRatingChange(rating, opponentRating, result, kFactor = RATING_CONFIG.K_FACTOR) {
+  return Math.round(kFactor * (RESULT_SCORES[result] - expectedScore(rating, opponentRating)));
+}
@@ -0,0 +1,326 @@
+import crypto from 'crypto';
+import { GameState } from '../public/gameState.js';
+import { parseMap } from '../public/mapDefinition.js';
+import { RulesetService } from './rulesetService.js';
+import {
+  GAME_CONFIG,
+  GAME_STATES,
+  TURN_CONFIG,
+  TIME_CONTROLS,
+  TURN_MODES,
+  RULESET_CONFIG
+} from '../shared/constants.js';
+
+const CODE_LENGTH = 6;
+// No 0/O or 1/I, so codes can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const NAME_MAX_LENGTH = 40;
+const TURN_TIME_LIMIT = { MIN: 15000, MAX: 900000 };
+const PHASE_TIME_LIMIT = { MIN: 5000, MAX: 900000 };
+const CLOCK_BANK = { MIN: 60000, MAX: 7200000 };
+const CLOCK_INCREMENT = { MIN: 0, MAX: 300000 };
+const MAX_ACTIONS = { MIN: 1, MAX: 10 };
+const OPEN_ROOMS_LIMIT = 50;
+
+/**
+ * Lobby rooms: a match with a name, a join code and the options it was created with.
+ * The host takes seat 1 and the next player to join takes seat 2. Rooms with a free
+ * seat are listed in the lobby; anyone else may watch as a spectator if the room allows it.
+ */
+export class RoomService {
+  constructor(db, matchService, rulesetService = new RulesetService()) {
+    this.db = db;
+    this.matchService = matchService;
+    this.rulesetService = rulesetService;
+
+    // Seats are counted from who holds them, however they were taken
+    const selectRooms = `
+      SELECT rooms.*, users.username AS host_username, matches.status AS match_status,
+        (SELECT COUNT(*) FROM match_participants WHERE match_participants.match_id = rooms.match_id) +
+        (SELECT COUNT(*) FROM guest_seats WHERE guest_seats.match_id = rooms.match_id) AS seats_taken
+      FROM rooms
+      JOIN matches ON matches.id = rooms.match_id
+      LEFT JOIN users ON users.id = rooms.host_user_id
+    `;
+    this.statements = {
+      insertRoom: db.prepare(`
+        INSERT INTO rooms (code, match_id, name, options, host_user_id, created_at)
+        VALUES (@code, @matchId, @name, @options, @hostUserId, @now)
+      `),
+      selectRoom: db.prepare(`${selectRooms} WHERE rooms.code = ?`),
+      selectRoomByMatch: db.prepare(`${selectRooms} WHERE rooms.match_id = ?`),
+      selectOpenRooms: db.prepare(`
+        ${selectRooms}
+        WHERE seats_taken < @maxPlayers AND matches.status = @status
+        ORDER BY rooms.created_at DESC
+        LIMIT @limit
+      `)
+    };
+  }
+
+  static toRoom(row) {
+    const { turnTimeLimit, ...options } = JSON.parse(row.options);
+    // Rooms made before time controls only had a per-turn limit
+    if (!options.timeControl) {
+      options.timeControl = GameState.createSettings({ turnTimeLimit }).timeControl;
+    }
+    // and before simultaneous turns always alternated, with the standard units
+    options.turnMode = options.turnMode || TURN_MODES.ALTERNATING;
+    options.ruleset = options.ruleset || RULESET_CONFIG.DEFAULT_ID;
+    return {
+      code: row.code,
+      matchId: row.match_id,
+      name: row.name,
+      // Rooms made by guests have no host name
+      host: row.host_username || null,
+      options,
+      seatsTaken: row.seats_taken,
+      status: row.match_status,
+      createdAt: row.created_at
+    };
+  }
+
+  static normalizeCode(code) {
+    return String(code).trim().toUpperCase();
+  }
+
+  createCode() {
+    let code;
+    do {
+      code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+    } while (this.statements.selectRoom.get(code));
+    return code;
+  }
+
+  static isInRange(value, { MIN, MAX }) {
+    return Number.isInteger(value) && value >= MIN && value <= MAX;
+  }
+
+  /**
+   * Check a time control (see GameState.createTimeControl), filling in defaults.
+   * Without one, turnTimeLimit gives a per-turn limit, or an untimed game when null.
+   * @returns {{timeControl?: Object, reason?: string}}
+   */
+  static validateTimeControl(timeControl, turnTimeLimit = null) {
+    if (timeControl === undefined) {
+      timeControl = turnTimeLimit === null
+        ? { mode: TIME_CONTROLS.UNTIMED }
+        : { mode: TIME_CONTROLS.TURN, turnTime: turnTimeLimit };
+    }
+    const modes = Object.values(TIME_CONTROLS);
+    if (!timeControl || typeof timeControl !== 'object' || !modes.includes(timeControl.mode)) {
+      return { reason: `Time control must be one of: ${modes.join(', ')}` };
+    }
+
+    const checked = GameState.createTimeControl(timeControl);
+    const phases = Object.keys(TURN_CONFIG.PHASE_TIME_LIMITS);
+    switch (checked.mode) {
+    case TIME_CONTROLS.TURN:
+      if (!RoomService.isInRange(checked.turnTime, TURN_TIME_LIMIT)) {
+        return {
+          reason: `Turn time limit must be ${TURN_TIME_LIMIT.MIN / 1000} to ${TURN_TIME_LIMIT.MAX / 1000} seconds`
+        };
+      }
+      break;
+    case TIME_CONTROLS.PHASE:
+      if (Object.keys(checked.phaseTimes).length !== phases.length ||
+          !phases.every(phase => RoomService.isInRange(checked.phaseTimes[phase], PHASE_TIME_LIMIT))) {
+        return {
+          reason: `Phase time limits must be ${PHASE_TIME_LIMIT.MIN / 1000} to ${PHASE_TIME_LIMIT.MAX / 1000} seconds each`
+        };
+      }
+      break;
+    case TIME_CONTROLS.CHESS:
+      if (!RoomService.isInRange(checked.bank, CLOCK_BANK)) {
+        return { reason: `Clock time must be ${CLOCK_BANK.MIN / 60000} to ${CLOCK_BANK.MAX / 60000} minutes` };
+      }
+      if (!RoomService.isInRange(checked.increment, CLOCK_INCREMENT)) {
+        return { reason: `Increment must be ${CLOCK_INCREMENT.MIN / 1000} to ${CLOCK_INCREMENT.MAX / 1000} seconds` };
+      }
+      break;
+    default:
+      break;
+    }
+    return { timeControl: checked };
+  }
+
+  /**
+   * Check room options, filling in defaults. The rule set is given by id and looked up
+   * in rulesetService; the room's options get the rule set itself.
+   * @returns {{options?: Object, reason?: string}}
+   */
+  static validateOptions({
+    name,
+    map,
+    timeControl,
+    turnTimeLimit = null,
+    turnMode = TURN_MODES.ALTERNATING,
+    ruleset: rulesetId = RULESET_CONFIG.DEFAULT_ID,
+    maxActions = TURN_CONFIG.MAX_ACTIONS,
+    allowSpectators = true
+  }, rulesetService) {
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (!trimmedName || trimmedName.length > NAME_MAX_LENGTH) {
+      return { reason: `Room name must be 1 to ${NAME_MAX_LENGTH} characters` };
+    }
+
+    const ruleset = rulesetService.getRuleset(rulesetId);
+    if (!ruleset) {
+      return { reason: `Unknown rule set: ${rulesetId}` };
+    }
+
+    // Starting units have to be of the rule set's types
+    let parsedMap;
+    if (map !== undefined) {
+      try {
+        parsedMap = parseMap(map, ruleset);
+      } catch (error) {
+        return { reason: error.message };
+      }
+    }
+
+    const checkedTime = RoomService.validateTimeControl(timeControl, turnTimeLimit);
+    if (checkedTime.reason) {
+      return { reason: checkedTime.reason };
+    }
+    const turnModes = Object.values(TURN_MODES);
+    if (!turnModes.includes(turnMode)) {
+      return { reason: `Turn mode must be one of: ${turnModes.join(', ')}` };
+    }
+    if (turnMode === TURN_MODES.SIMULTANEOUS && checkedTime.timeControl.mode === TIME_CONTROLS.CHESS) {
+      return { reason: 'Chess clocks need alternating turns' };
+    }
+    if (!Number.isInteger(maxActions) || maxActions < MAX_ACTIONS.MIN || maxActions > MAX_ACTIONS.MAX) {
+      return { reason: `Actions per turn must be ${MAX_ACTIONS.MIN} to ${MAX_ACTIONS.MAX}` };
+    }
+    if (typeof allowSpectators !== 'boolean') {
+      return { reason: 'allowSpectators must be true or false' };
+    }
+
+    return {
+      options: {
+        name: trimmedName,
+        map: parsedMap,
+        timeControl: checkedTime.timeControl,
+        turnMode,
+        ruleset,
+        maxActions,
+        allowSpectators
+      }
+    };
+  }
+
+  /**
+   * Create a room and its match. The creator takes seat 1.
+   * @param {Object} options - { name, map?, timeControl?, turnTimeLimit?, turnMode?, ruleset?, maxActions?, allowSpectators? }
+   * @param {number|null} userId - null for guests
+   * @returns {{success: boolean, reason?: string, room?: Object, playerId?: number}}
+   */
+  createRoom(options, userId = null) {
+    const { options: checked, reason } = RoomService.validateOptions(options || {}, this.rulesetService);
+    if (reason) {
+      return { success: false, reason };
+    }
+
+    const { name, map, timeControl, turnMode, ruleset, maxActions, allowSpectators } = checked;
+    return this.db.transaction(() => {
+      const match = this.matchService.createMatch({
+        map,
+        userId,
+        settings: { timeControl, turnMode, maxActions },
+        ruleset
+      });
+      const code = this.createCode();
+      this.statements.insertRoom.run({
+        code,
+        matchId: match.id,
+        name,
+        options: JSON.stringify({
+          mapName: map ? map.name : 'Standard',
+          size: match.state.gameState.size,
+          timeControl,
+          turnMode,
+          ruleset: ruleset.id,
+          maxActions,
+          allowSpectators
+        }),
+        hostUserId: userId,
+        now: new Date().toISOString()
+      });
+      // A signed-in host took seat 1 with the match; a guest host takes it now
+      const seat = userId === null ? this.matchService.takeSeat(match.id, 1, null) : {};
+      return { success: true, room: this.getRoom(code), playerId: 1, seatToken: seat.seatToken || null };
+    })();
+  }
+
+  getRoom(code) {
+    const row = this.statements.selectRoom.get(RoomService.normalizeCode(code));
+    return row ? RoomService.toRoom(row) : null;
+  }
+
+  getRoomByMatch(matchId) {
+    const row = this.statements.selectRoomByMatch.get(matchId);
+    return row ? RoomService.toRoom(row) : null;
+  }
+
+  /**
+   * Rooms still being played with a seat free, newest first
+   */
+  listOpenRooms() {
+    return this.statements.selectOpenRooms.all({
+      maxPlayers: GAME_CONFIG.MAX_PLAYERS,
+      status: GAME_STATES.PLAYING,
+      limit: OPEN_ROOMS_LIMIT
+    }).map(RoomService.toRoom);
+  }
+
+  /**
+   * Take the next free seat. Signed-in players who already have a seat get it back.
+   * @returns {{success: boolean, reason?: string, room?: Object, playerId?: number, seatToken?: string|null}|null}
+   *   null if there is no such room; seatToken is what a guest joins the seat with
+   */
+  joinRoom(code, userId = null) {
+    return this.db.transaction(() => {
+      const room = this.getRoom(code);
+      if (!room) {
+        return null;
+      }
+
+      const ownSeat = userId === null ? null : this.matchService.getParticipants(room.matchId)
+        .find(participant => participant.userId === userId);
+      if (ownSeat) {
+        return { success: true, room, playerId: ownSeat.playerId, seatToken: null };
+      }
+      if (room.status !== GAME_STATES.PLAYING) {
+        return { success: false, reason: 'This game has ended' };
+      }
+      const takenSeats = this.matchService.getTakenSeats(room.matchId);
+      const playerId = Array.from({ length: GAME_CONFIG.MAX_PLAYERS }, (_, index) => index + 1)
+        .find(seat => !takenSeats.includes(seat));
+      if (!playerId) {
+        return { success: false, reason: 'Room is full' };
+      }
+
+      const seat = this.matchService.takeSeat(room.matchId, playerId, userId);
+      if (!seat.success) {
+        return seat;
+      }
+      return { success: true, room: this.getRoom(room.code), playerId, seatToken: seat.seatToken || null };
+    })();
+  }
+
+  /**
+   * Whether someone may watch a match. Signed-in players watch their own match from their seat.
+   * @returns {{success: boolean, reason?: string}}
+   */
+  canSpectate(matchId, userId = null) {
+    const room = this.getRoomByMatch(matchId);
+    if (room && !room.options.allowSpectators) {
+      return { success: false, reason: 'This room does not allow spectators' };
+    }
+    if (userId !== null && this.matchService.getParticipants(matchId).some(participant => participant.userId === userId)) {
+      return { success: false, reason: 'You have a seat in this match' };
+    }
+    return { success: true };
+  }
+}
@@ -0,0 +1,50 @@
+import express from 'express';
+import { getSessionToken, requireUser, setSessionCookie, clearSessionCookie } from '../session.js';
+
+/**
+ * REST API for local accounts. Signing in sets an HttpOnly session cookie.
+ *   POST /api/accounts/register      create an account and sign in: { username, password }
+ *   POST /api/accounts/login         sign in: { username, password }
+ *   POST /api/accounts/logout        sign out
+ *   GET  /api/accounts/me            the signed-in user
+ *   GET  /api/accounts/me/matches    the signed-in user's finished matches
+ */
+export function createAccountsRouter(accountService, matchService) {
+  const router = express.Router();
+
+  router.post('/register', (req, res) => {
+    const { username, password } = req.body || {};
+    const result = accountService.register(username, password);
+    if (!result.success) {
+      return res.status(400).json({ error: result.reason });
+    }
+    setSessionCookie(res, accountService.createSession(result.user.id));
+    res.status(201).json(result.user);
+  });
+
+  router.post('/login', (req, res) => {
+    const { username, password } = req.body || {};
+    const result = accountService.login(username, password);
+    if (!result.success) {
+      return res.status(401).json({ error: result.reason });
+    }
+    setSessionCookie(res, result.session);
+    res.json(result.user);
+  });
+
+  router.post('/logout', (req, res) => {
+    accountService.logout(getSessionToken(req));
+    clearSessionCookie(res);
+    res.status(204).end();
+  });
+
+  router.get('/me', requireUser, (req, res) => {
+    res.json(req.user);
+  });
+
+  router.get('/me/matches', requireUser, (req, res) => {
+    res.json(matchService.getMatchHistory(req.user.id));
+  });
+
+  return router;
+}
@@ -0,0 +1,126 @@
+import express from 'express';
+import { filterStateForPlayer, filterEventsForPlayer } from '../../public/fogOfWar.js';
+import { parseMap } from '../../public/mapDefinition.js';
+
+/**
+ * REST API for server-authoritative matches
+ *   POST /api/games                 create a match: { map } (optional, defaults to the standard map)
+ *   GET  /api/games/:id             current state of a match (?playerId= for that seat's view)
+ *   GET  /api/games/:id/actions     a seat's own actions (?playerId=)
+ *   POST /api/games/:id/actions     submit an action: { playerId, action }
+ *
+ * States and events are filtered by fog of war; requests without a seat see no units.
+ * Signed-in players take seat 1 of the matches they create and own any seat they act in.
+ * A guest's first action takes the seat and answers with a seatToken, which every later
+ * request for the seat sends in the X-Seat-Token header. A seat's view and actions are only
+ * shown to whoever holds the seat; signed-in players get their own seat's without ?playerId=.
+ */
+function viewFor(match, playerId) {
+  return { ...match, state: filterStateForPlayer(match.state, playerId) };
+}
+
+function parsePlayerId(value) {
+  const playerId = Number(value);
+  return Number.isInteger(playerId) ? playerId : null;
+}
+
+/**
+ * The seat a read is for: the one asked for, which the caller has to hold, or else
+ * the signed-in caller's own seat
+ * @returns {{playerId: number|null, error?: string}} playerId null for no seat
+ */
+function getReadSeat(matchService, matchId, req) {
+  const userId = req.user ? req.user.id : null;
+  if (req.query.playerId === undefined) {
+    const own = userId === null ? null : matchService.getParticipants(matchId).find(participant => participant.userId === userId);
+    return { playerId: own ? own.playerId : null };
+  }
+  const playerId = parsePlayerId(req.query.playerId);
+  if (playerId === null || !matchService.holdsSeat(matchId, playerId, userId, req.get('X-Seat-Token') || null)) {
+    return { playerId: null, error: 'You do not hold this seat' };
+  }
+  return { playerId };
+}
+
+export function createGamesRouter(matchService) {
+  const router = express.Router();
+
+  router.post('/', (req, res) => {
+    let map;
+    if (req.body && req.body.map !== undefined) {
+      try {
+        map = parseMap(req.body.map);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+    const match = matchService.createMatch({ map, userId: req.user ? req.user.id : null });
+    res.status(201).json(viewFor(match, null));
+  });
+
+  router.get('/:id', (req, res) => {
+    const match = matchService.getMatch(req.params.id);
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+    const { playerId, error } = getReadSeat(matchService, match.id, req);
+    if (error) {
+      return res.status(403).json({ error });
+    }
+    res.json(viewFor(match, playerId));
+  });
+
+  router.get('/:id/actions', (req, res) => {
+    if (!matchService.getMatch(req.params.id)) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+    const { playerId, error } = getReadSeat(matchService, req.params.id, req);
+    if (error) {
+      return res.status(403).json({ error });
+    }
+    if (playerId === null) {
+      return res.status(400).json({ error: 'playerId is required' });
+    }
+    // Other seats' actions name unit positions, so each seat only sees its own
+    res.json(matchService.getActions(req.params.id).filter(entry => entry.playerId === playerId));
+  });
+
+  router.post('/:id/actions', (req, res) => {
+    const { playerId, action } = req.body || {};
+    if (!Number.isInteger(playerId) || !action) {
+      return res.status(400).json({ error: 'playerId and action are required' });
+    }
+
+    const match = matchService.getMatch(req.params.id);
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+    if (!match.state.gameState.players.some(player => player.id === playerId)) {
+      return res.status(400).json({ error: 'Invalid player seat' });
+    }
+    const seat = matchService.takeSeat(req.params.id, playerId, req.user ? req.user.id : null, req.get('X-Seat-Token') || null);
+    if (!seat.success) {
+      return res.status(403).json({ error: seat.reason });
+    }
+    // Sent back even when the action is rejected, since the seat is taken either way
+    const seatToken = seat.seatToken ? { seatToken: seat.seatToken } : {};
+
+    const result = matchService.applyAction(req.params.id, playerId, action);
+    if (!result) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+    if (!result.success) {
+      return res.status(400).json({ error: result.reason, result, ...seatToken });
+    }
+
+    const { previousState, ...accepted } = result;
+    res.json({
+      ...accepted,
+      ...seatToken,
+      events: filterEventsForPlayer(result.events, playerId, previousState, result.match.state),
+      match: viewFor(result.match, playerId)
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,18 @@
+import express from 'express';
+
+const MAX_LIMIT = 100;
+
+/**
+ * REST API for the ranked leaderboard
+ *   GET /api/leaderboard?limit=50    players with rated games, highest rating first
+ */
+export function createLeaderboardRouter(accountService) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    const limit = Number.parseInt(req.query.limit, 10);
+    res.json(accountService.getLeaderboard(limit > 0 ? Math.min(limit, MAX_LIMIT) : undefined));
+  });
+
+  return router;
+}
@@ -0,0 +1,34 @@
+import express from 'express';
+import { requireUser } from '../session.js';
+
+/**
+ * REST API for the ranked matchmaking queue. Clients poll GET until they are matched,
+ * then play the match through the games API or WebSocket like any other.
+ *   POST   /api/matchmaking    join the queue
+ *   GET    /api/matchmaking    queue status: idle, queued or matched (with matchId and playerId)
+ *   DELETE /api/matchmaking    leave the queue
+ */
+export function createMatchmakingRouter(matchmaking) {
+  const router = express.Router();
+  router.use(requireUser);
+
+  router.post('/', (req, res) => {
+    const result = matchmaking.join(req.user.id);
+    if (!result.success) {
+      return res.status(400).json({ error: result.reason });
+    }
+    const { success, ...status } = result;
+    res.json(status);
+  });
+
+  router.get('/', (req, res) => {
+    res.json(matchmaking.getStatus(req.user.id));
+  });
+
+  router.delete('/', (req, res) => {
+    matchmaking.leave(req.user.id);
+    res.status(204).end();
+  });
+
+  return router;
+}
@@ -0,0 +1,62 @@
+import express from 'express';
+
+/**
+ * REST API for lobby rooms. Creating and joining return the seat to take over the WebSocket
+ * ({ type: 'join', matchId, playerId, resumeToken: seatToken }), with the seat token guests
+ * hold it with (null for signed-in players); spectating returns the match to watch
+ * ({ type: 'spectate', matchId }).
+ *   GET  /api/rooms                  rooms with a free seat
+ *   POST /api/rooms                  create a room: { name, map?, timeControl?, turnMode?, ruleset?, maxActions?, allowSpectators? }
+ *   GET  /api/rooms/:code            one room
+ *   POST /api/rooms/:code/join       take the next free seat
+ *   POST /api/rooms/:code/spectate   watch the room's match
+ */
+export function createRoomsRouter(roomService) {
+  const router = express.Router();
+  const userIdOf = req => (req.user ? req.user.id : null);
+
+  router.get('/', (req, res) => {
+    res.json(roomService.listOpenRooms());
+  });
+
+  router.post('/', (req, res) => {
+    const result = roomService.createRoom(req.body, userIdOf(req));
+    if (!result.success) {
+      return res.status(400).json({ error: result.reason });
+    }
+    res.status(201).json({ room: result.room, playerId: result.playerId, seatToken: result.seatToken });
+  });
+
+  router.get('/:code', (req, res) => {
+    const room = roomService.getRoom(req.params.code);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    res.json(room);
+  });
+
+  router.post('/:code/join', (req, res) => {
+    const result = roomService.joinRoom(req.params.code, userIdOf(req));
+    if (!result) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    if (!result.success) {
+      return res.status(400).json({ error: result.reason });
+    }
+    res.json({ room: result.room, playerId: result.playerId, seatToken: result.seatToken });
+  });
+
+  router.post('/:code/spectate', (req, res) => {
+    const room = roomService.getRoom(req.params.code);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    const result = roomService.canSpectate(room.matchId, userIdOf(req));
+    if (!result.success) {
+      return res.status(403).json({ error: result.reason });
+    }
+    res.json({ room });
+  });
+
+  return router;
+}
@@ -0,0 +1,24 @@
+import express from 'express';
+
+/**
+ * REST API for rule sets (see public/ruleset.js)
+ *   GET /api/rulesets        every rule set, the standard one first
+ *   GET /api/rulesets/:id    one rule set
+ */
+export function createRulesetsRouter(rulesetService) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.json(rulesetService.listRulesets());
+  });
+
+  router.get('/:id', (req, res) => {
+    const ruleset = rulesetService.getRuleset(req.params.id);
+    if (!ruleset) {
+      return res.status(404).json({ error: 'Rule set not found' });
+    }
+    res.json(ruleset);
+  });
+
+  return router;
+}
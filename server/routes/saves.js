@@ -0,0 +1,81 @@
+import express from 'express';
+
+/**
+ * REST API for named save slots
+ *   GET    /api/saves          list saves (without their game data)
+ *   POST   /api/saves          create a save: { name, data }
+ *   GET    /api/saves/:id      a save with its data, migrated to the current version
+ *   PUT    /api/saves/:id      overwrite a save: { data, name? }
+ *   DELETE /api/saves/:id      delete a save
+ * Every request works on the caller's own saves: the signed-in user's, or for guests
+ * those of the anonymous id the browser sends in the X-Client-Id header.
+ */
+function parseSaveId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) ? id : null;
+}
+
+/**
+ * @returns {string|null} whose saves the request is about, null if it does not say
+ */
+function ownerOf(req) {
+  if (req.user) {
+    return `user:${req.user.id}`;
+  }
+  const clientId = req.get('X-Client-Id');
+  return clientId && /^[\w-]{8,64}$/.test(clientId) ? `client:${clientId}` : null;
+}
+
+export function createSavesRouter(saveService) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    req.saveOwner = ownerOf(req);
+    if (!req.saveOwner) {
+      return res.status(401).json({ error: 'Sign in or send an X-Client-Id header to use saves' });
+    }
+    next();
+  });
+
+  router.get('/', (req, res) => {
+    res.json(saveService.listSaves(req.saveOwner));
+  });
+
+  router.post('/', (req, res) => {
+    const { name, data } = req.body || {};
+    const result = saveService.createSave(req.saveOwner, name, data);
+    if (!result.success) {
+      return res.status(400).json({ error: result.reason });
+    }
+    res.status(201).json(result.save);
+  });
+
+  router.get('/:id', (req, res) => {
+    const save = saveService.getSave(req.saveOwner, parseSaveId(req.params.id));
+    if (!save) {
+      return res.status(404).json({ error: 'Save not found' });
+    }
+    res.json(save);
+  });
+
+  router.put('/:id', (req, res) => {
+    const { name, data } = req.body || {};
+    const result = saveService.overwriteSave(req.saveOwner, parseSaveId(req.params.id), data, name === undefined ? null : name);
+    if (!result) {
+      return res.status(404).json({ error: 'Save not found' });
+    }
+    if (!result.success) {
+      return res.status(400).json({ error: result.reason });
+    }
+    res.json(result.save);
+  });
+
+  router.delete('/:id', (req, res) => {
+    if (!saveService.deleteSave(req.saveOwner, parseSaveId(req.params.id))) {
+      return res.status(404).json({ error: 'Save not found' });
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
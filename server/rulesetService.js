@@ -0,0 +1,54 @@
+import fs from 'fs';
+import path from 'path';
+import { STANDARD_RULESET, parseRuleset } from '../public/ruleset.js';
+
+/**
+ * The rule sets games can be played with: the standard one, plus one per JSON file in the
+ * rule set directory, named by the file (rulesets/blitz.json is the rule set 'blitz').
+ * A file named standard.json replaces the built-in standard rule set. Files are read once,
+ * at startup; one that does not validate stops the server rather than being skipped.
+ */
+export class RulesetService {
+  /**
+   * @param {string|null} directory - where rule set files are; null for the standard rule set only
+   */
+  constructor(directory = null) {
+    this.rulesets = new Map([[STANDARD_RULESET.id, STANDARD_RULESET]]);
+    if (directory && fs.existsSync(directory)) {
+      this.loadDirectory(directory);
+    }
+  }
+
+  /**
+   * @throws {Error} naming the file, if a rule set is malformed or invalid
+   */
+  loadDirectory(directory) {
+    fs.readdirSync(directory)
+      .filter(file => path.extname(file) === '.json')
+      .sort()
+      .forEach(file => {
+        const id = path.basename(file, '.json');
+        let ruleset;
+        try {
+          ruleset = parseRuleset({ ...JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')), id });
+        } catch (error) {
+          throw new Error(`Cannot load rule set ${file}: ${error.message}`);
+        }
+        this.rulesets.set(id, ruleset);
+      });
+  }
+
+  /**
+   * Every rule set, the standard one first
+   */
+  listRulesets() {
+    return Array.from(this.rulesets.values());
+  }
+
+  /**
+   * @returns {Object|null} null if there is no such rule set
+   */
+  getRuleset(id) {
+    return this.rulesets.get(id) || null;
+  }
+}
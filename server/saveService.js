@@ -0,0 +1,173 @@
+import { GameState } from '../public/gameState.js';
+import { ResourceManager } from '../public/resourceManager.js';
+import { SAVE_VERSION, migrateSaveData } from '../public/persistence.js';
+
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * Named save slots for local games, stored in SQLite. Every save belongs to an owner
+ * (see ownerOf in routes/saves.js), who alone can list, load, overwrite or delete it, and
+ * names only have to be unique per owner. Each row records the save format version it was
+ * written with; older saves are migrated when loaded, and rewritten in the current format
+ * the next time they are overwritten. The summary the save browser shows is kept in
+ * columns of its own, so listing never reads the game data.
+ */
+export class SaveService {
+  constructor(db) {
+    this.db = db;
+
+    this.statements = {
+      insertSave: db.prepare(`
+        INSERT INTO saves (owner, name, schema_version, data, turn_number, current_player, status, size, created_at, updated_at)
+        VALUES (@owner, @name, @schemaVersion, @data, @turnNumber, @currentPlayer, @status, @size, @now, @now)
+      `),
+      updateSave: db.prepare(`
+        UPDATE saves SET name = @name, schema_version = @schemaVersion, data = @data, turn_number = @turnNumber,
+          current_player = @currentPlayer, status = @status, size = @size, updated_at = @now
+        WHERE id = @id
+      `),
+      deleteSave: db.prepare('DELETE FROM saves WHERE id = ? AND owner = ?'),
+      selectSave: db.prepare('SELECT * FROM saves WHERE id = ? AND owner = ?'),
+      selectSaveByName: db.prepare('SELECT id FROM saves WHERE owner = ? AND name = ?'),
+      selectSaves: db.prepare(`
+        SELECT id, name, schema_version, turn_number, current_player, status, size, created_at, updated_at
+        FROM saves WHERE owner = ? ORDER BY updated_at DESC, id DESC
+      `)
+    };
+  }
+
+  /**
+   * Every save of an owner without its game data, most recently saved first
+   */
+  listSaves(owner) {
+    return this.statements.selectSaves.all(owner).map(row => ({
+      id: row.id,
+      name: row.name,
+      schemaVersion: row.schema_version,
+      summary: {
+        turnNumber: row.turn_number,
+        currentPlayer: row.current_player,
+        status: row.status,
+        size: row.size
+      },
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  /**
+   * @returns {Object|null} the save with its data migrated to the current version, or null if the owner has no such save
+   */
+  getSave(owner, id) {
+    const row = this.statements.selectSave.get(id, owner);
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * @returns {{success: boolean, reason?: string, save?: Object}}
+   */
+  createSave(owner, name, data) {
+    const checked = this.check(name, data);
+    if (!checked.success) {
+      return checked;
+    }
+    if (this.statements.selectSaveByName.get(owner, checked.name)) {
+      return { success: false, reason: `A save named "${checked.name}" already exists` };
+    }
+
+    const { lastInsertRowid } = this.statements.insertSave.run({
+      owner,
+      name: checked.name,
+      schemaVersion: SAVE_VERSION,
+      data: JSON.stringify(checked.data),
+      ...SaveService.summarize(checked.data),
+      now: new Date().toISOString()
+    });
+    return { success: true, save: this.getSave(owner, lastInsertRowid) };
+  }
+
+  /**
+   * Replace a save's game data, and its name if one is given
+   * @returns {{success: boolean, reason?: string, save?: Object}|null} null if the owner has no such save
+   */
+  overwriteSave(owner, id, data, name = null) {
+    const existing = this.statements.selectSave.get(id, owner);
+    if (!existing) {
+      return null;
+    }
+
+    const checked = this.check(name === null ? existing.name : name, data);
+    if (!checked.success) {
+      return checked;
+    }
+    const sameName = this.statements.selectSaveByName.get(owner, checked.name);
+    if (sameName && sameName.id !== existing.id) {
+      return { success: false, reason: `A save named "${checked.name}" already exists` };
+    }
+
+    this.statements.updateSave.run({
+      id: existing.id,
+      name: checked.name,
+      schemaVersion: SAVE_VERSION,
+      data: JSON.stringify(checked.data),
+      ...SaveService.summarize(checked.data),
+      now: new Date().toISOString()
+    });
+    return { success: true, save: this.getSave(owner, existing.id) };
+  }
+
+  /**
+   * @returns {boolean} false if the owner had no such save
+   */
+  deleteSave(owner, id) {
+    return this.statements.deleteSave.run(id, owner).changes > 0;
+  }
+
+  /**
+   * Validate a name and bring the data to the current version, making sure it loads
+   */
+  check(name, data) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+      return { success: false, reason: `Save name must be 1 to ${MAX_NAME_LENGTH} characters` };
+    }
+
+    let migrated;
+    try {
+      migrated = migrateSaveData(data);
+    } catch (error) {
+      return { success: false, reason: error.message };
+    }
+    try {
+      const gameState = GameState.deserialize(migrated.gameState);
+      ResourceManager.deserialize(migrated.resourceManager, gameState);
+    } catch (error) {
+      return { success: false, reason: `Invalid save data: ${error.message}` };
+    }
+    return { success: true, name: trimmed, data: migrated };
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      schemaVersion: row.schema_version,
+      data: migrateSaveData(JSON.parse(row.data)),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * What the save browser shows about a game without loading it
+   */
+  static summarize(data) {
+    const { gameState } = data;
+    return {
+      turnNumber: gameState.turnNumber,
+      currentPlayer: gameState.currentPlayer,
+      status: gameState.status,
+      size: gameState.size
+    };
+  }
+}
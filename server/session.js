@@ -0,0 +1,55 @@
+export const SESSION_COOKIE = 'gridgame_session';
+
+/**
+ * Parse a Cookie header into { name: value }
+ */
+export function parseCookies(header = '') {
+  return header.split(';').reduce((cookies, part) => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      try {
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        // Ignore cookies that are not valid URI encoding
+      }
+    }
+    return cookies;
+  }, {});
+}
+
+export function getSessionToken(req) {
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+/**
+ * Express middleware that sets req.user to the signed-in user, or null
+ */
+export function createSessionMiddleware(accountService) {
+  return (req, res, next) => {
+    req.user = accountService.getUserBySession(getSessionToken(req));
+    next();
+  };
+}
+
+/**
+ * Express middleware that turns away guests with 401
+ */
+export function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Not signed in' });
+  }
+  next();
+}
+
+export function setSessionCookie(res, session) {
+  res.cookie(SESSION_COOKIE, session.token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    path: '/',
+    expires: new Date(session.expiresAt)
+  });
+}
+
+export function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', path: '/' });
+}
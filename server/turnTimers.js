@@ -0,0 +1,217 @@
+import { EventEmitter } from 'events';
+import { GameState } from '../public/gameState.js';
+import { GAME_STATES } from '../shared/constants.js';
+
+export const TURN_TIMER_CONFIG = {
+  // How long a disconnected player's turn clock stands still waiting for them before
+  // it runs again; null waits for as long as they are gone
+  DISCONNECT_GRACE_PERIOD: 60000
+};
+
+/**
+ * Runs the clocks of timed server matches. The clock of the turn or phase being played
+ * counts down in real time; when it runs out the server applies a timeExpired action on
+ * the player's behalf, with the same result as on a local clock (see TurnManager.expireTime).
+ *
+ * The time left is part of the match state. While running, this is MatchService's time
+ * keeper: the time that passed is taken off the stored clock with every action (see
+ * getElapsed), so clients never report their own time, and after a restart each clock
+ * carries on from the time stored with the last action.
+ *
+ * While the player on turn is disconnected (see setConnected) their clock is paused,
+ * for at most the grace period per disconnection, so a dropped connection does not cost them the turn.
+ * In simultaneous play the clock is everyone's who is not yet done with the phase, and any of
+ * them dropping pauses it.
+ *
+ * Emits 'clockChanged' ({ matchId, remaining, paused }) whenever a clock starts or stops.
+ * Nothing is scheduled until start().
+ */
+export class TurnTimers extends EventEmitter {
+  /**
+   * @param {MatchService} matchService
+   * @param {Object} [options]
+   * @param {number|null} [options.gracePeriod] - ms a disconnected player's clock is paused; null for no limit
+   */
+  constructor(matchService, { gracePeriod = TURN_TIMER_CONFIG.DISCONNECT_GRACE_PERIOD } = {}) {
+    super();
+    this.matchService = matchService;
+    this.gracePeriod = gracePeriod;
+    // matchId -> { currentPlayer, players, base, remaining, deadline, paused, timeout, graceTimeout }
+    // players are those the clock runs for
+    // base is the time the stored state has left; remaining is only kept up to date while paused
+    this.clocks = new Map();
+    // matchId -> Map of disconnected player id -> whether their grace period is used up
+    this.disconnected = new Map();
+
+    this.handleMatchCreated = ({ match }) => this.schedule(match);
+    this.handleActionApplied = ({ match }) => this.schedule(match);
+  }
+
+  start() {
+    this.matchService.timeKeeper = this;
+    this.matchService.on('matchCreated', this.handleMatchCreated);
+    this.matchService.on('actionApplied', this.handleActionApplied);
+    this.matchService.getActiveMatchIds().forEach(matchId => this.schedule(this.matchService.getMatch(matchId)));
+  }
+
+  stop() {
+    if (this.matchService.timeKeeper === this) {
+      this.matchService.timeKeeper = null;
+    }
+    this.matchService.off('matchCreated', this.handleMatchCreated);
+    this.matchService.off('actionApplied', this.handleActionApplied);
+    Array.from(this.clocks.keys()).forEach(matchId => this.clear(matchId));
+  }
+
+  /**
+   * Start the clock again from the time the match state has left
+   */
+  schedule(match) {
+    const gameState = GameState.deserialize(match.state.gameState);
+    const { status, clock, currentPlayer } = gameState;
+    this.clear(match.id);
+    if (status !== GAME_STATES.PLAYING || clock.remaining === null) {
+      this.disconnected.delete(match.id);
+      return;
+    }
+
+    const entry = {
+      currentPlayer,
+      players: gameState.isSimultaneous() ? gameState.getWaitingPlayers() : [currentPlayer],
+      base: clock.remaining,
+      remaining: clock.remaining,
+      deadline: null,
+      paused: false,
+      timeout: null,
+      graceTimeout: null
+    };
+    this.clocks.set(match.id, entry);
+    if (entry.players.some(playerId => this.isWaitedFor(match.id, playerId))) {
+      this.pause(match.id, entry);
+    } else {
+      this.run(match.id, entry);
+    }
+  }
+
+  run(matchId, entry) {
+    entry.paused = false;
+    entry.deadline = Date.now() + entry.remaining;
+    entry.timeout = setTimeout(() => this.expire(matchId, entry), entry.remaining);
+    // Don't keep the process alive just for a turn timer
+    entry.timeout.unref();
+    this.emitClock(matchId);
+  }
+
+  pause(matchId, entry) {
+    if (entry.paused) {
+      return;
+    }
+    if (entry.timeout) {
+      clearTimeout(entry.timeout);
+      entry.timeout = null;
+      entry.remaining = Math.max(0, entry.deadline - Date.now());
+    }
+    entry.paused = true;
+
+    if (this.gracePeriod !== null) {
+      entry.graceTimeout = setTimeout(() => {
+        entry.graceTimeout = null;
+        // Later turns and phases of the same disconnection are not paused again
+        entry.players
+          .filter(playerId => this.isDisconnected(matchId, playerId))
+          .forEach(playerId => this.disconnected.get(matchId).set(playerId, true));
+        this.run(matchId, entry);
+      }, this.gracePeriod);
+      entry.graceTimeout.unref();
+    }
+    this.emitClock(matchId);
+  }
+
+  isDisconnected(matchId, playerId) {
+    return this.disconnected.has(matchId) && this.disconnected.get(matchId).has(playerId);
+  }
+
+  /**
+   * Whether the player is disconnected with their grace period still to use
+   */
+  isWaitedFor(matchId, playerId) {
+    return this.isDisconnected(matchId, playerId) && !this.disconnected.get(matchId).get(playerId);
+  }
+
+  /**
+   * Record a player's connection dropping or coming back, pausing or resuming their clock
+   */
+  setConnected(matchId, playerId, connected) {
+    if (!this.disconnected.has(matchId)) {
+      this.disconnected.set(matchId, new Map());
+    }
+    const disconnected = this.disconnected.get(matchId);
+    if (connected) {
+      disconnected.delete(playerId);
+    } else if (!disconnected.has(playerId)) {
+      disconnected.set(playerId, false);
+    }
+
+    const entry = this.clocks.get(matchId);
+    if (!entry || !entry.players.includes(playerId)) {
+      return;
+    }
+    if (!connected) {
+      this.pause(matchId, entry);
+    } else if (entry.paused && !entry.players.some(id => this.isWaitedFor(matchId, id))) {
+      clearTimeout(entry.graceTimeout);
+      entry.graceTimeout = null;
+      this.run(matchId, entry);
+    }
+  }
+
+  /**
+   * @returns {{remaining: number, paused: boolean}|null} the clock of the turn or phase being played, if it is timed
+   */
+  getClock(matchId) {
+    const entry = this.clocks.get(matchId);
+    if (!entry) {
+      return null;
+    }
+    const remaining = entry.timeout ? Math.max(0, entry.deadline - Date.now()) : entry.remaining;
+    return { remaining, paused: entry.paused };
+  }
+
+  /**
+   * Time the clock has run since the match state was last saved
+   */
+  getElapsed(matchId) {
+    const entry = this.clocks.get(matchId);
+    return entry ? entry.base - this.getClock(matchId).remaining : 0;
+  }
+
+  emitClock(matchId) {
+    this.emit('clockChanged', { matchId, ...this.getClock(matchId) });
+  }
+
+  expire(matchId, entry) {
+    if (this.clocks.get(matchId) !== entry) {
+      return;
+    }
+    // The time is up even if the wall clock lags the timer by a millisecond
+    entry.timeout = null;
+    entry.remaining = 0;
+
+    const match = this.matchService.getMatch(matchId);
+    if (!match || match.status !== GAME_STATES.PLAYING) {
+      this.clear(matchId);
+      return;
+    }
+    // The accepted action restarts the clock for what comes next through 'actionApplied'
+    this.matchService.applyAction(matchId, entry.currentPlayer, { type: 'timeExpired' });
+  }
+
+  clear(matchId) {
+    const entry = this.clocks.get(matchId);
+    if (entry) {
+      clearTimeout(entry.timeout);
+      clearTimeout(entry.graceTimeout);
+      this.clocks.delete(matchId);
+    }
+  }
+}
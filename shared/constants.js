@@ -2,6 +2,7 @@
 export const GAME_CONFIG = {
     GRID_SIZE: 25,
     CELL_SIZE: 32,
+    MAX_BOARD_PIXELS: 800, // cells shrink below CELL_SIZE on maps larger than this
     MAX_PLAYERS: 2,
     STARTING_ENERGY: 100
 };
@@ -15,6 +16,8 @@ export const UNIT_TYPES = {
         health: 50,
         attack: 5,
         movement: 2,
+        sight: 2,
+        carryCapacity: 10, // resources carried per trip back to base
         abilities: ['build', 'gather']
     },
     SCOUT: {
@@ -24,6 +27,7 @@ export const UNIT_TYPES = {
         health: 30,
         attack: 10,
         movement: 4,
+        sight: 5,
         abilities: ['scout', 'fast_move']
     },
     INFANTRY: {
@@ -33,6 +37,7 @@ export const UNIT_TYPES = {
         health: 100,
         attack: 20,
         movement: 2,
+        sight: 3,
         abilities: ['attack', 'defend']
     },
     HEAVY: {
@@ -42,10 +47,120 @@ export const UNIT_TYPES = {
         health: 200,
         attack: 40,
         movement: 1,
+        sight: 2,
         abilities: ['heavy_attack', 'siege']
     }
 };
 
+// Abilities a unit type may list (see public/ruleset.js)
+export const UNIT_ABILITIES = ['build', 'gather', 'scout', 'fast_move', 'attack', 'defend', 'heavy_attack', 'siege'];
+
+// What the abilities do (see public/abilities.js)
+export const ABILITY_CONFIG = {
+    SIEGE_DAMAGE_MULTIPLIER: 1.5, // damage dealt to bases
+    HEAVY_ATTACK_MULTIPLIER: 2,
+    REPAIR_AMOUNT: 20 // base health restored per repair
+};
+
+// Timed buffs and debuffs on units (see public/statusEffects.js)
+export const STATUS_EFFECT_CONFIG = {
+    FORTIFIED_DAMAGE_MODIFIER: 0.5, // damage taken while fortified
+    LOOKOUT_SIGHT_BONUS: 2,
+    SLOWED_MOVEMENT_PENALTY: 1, // movement lost per stack
+    SLOWED_MAX_STACKS: 2
+};
+
+// Rule sets: the unit types a game is played with (see public/ruleset.js). UNIT_TYPES and
+// UNIT_CHARACTERS make up the standard rule set; the server loads others from rulesets/.
+export const RULESET_CONFIG = {
+    VERSION: 1,
+    DEFAULT_ID: 'standard',
+    MAX_UNIT_TYPES: 12,
+    // Allowed range of each unit stat, inclusive
+    STAT_LIMITS: {
+        cost: { MIN: 1, MAX: 1000 },
+        health: { MIN: 1, MAX: 1000 },
+        attack: { MIN: 0, MAX: 500 },
+        movement: { MIN: 1, MAX: 10 },
+        sight: { MIN: 0, MAX: 15 },
+        carryCapacity: { MIN: 0, MAX: 100 }
+    }
+};
+
+// Bases: one per player in opposing corners; all units are built next to them
+export const BASE_CONFIG = {
+    HEALTH: 200,
+    POSITIONS: {
+        1: { x: 1, y: 1 },
+        2: { x: 23, y: 23 }
+    }
+};
+
+// Terrain. Entering a cell costs movementCost movement points; damage taken by a unit
+// standing on the cell is multiplied by damageModifier. Impassable cells cannot be entered.
+export const TERRAIN_TYPES = {
+    PLAINS: {
+        id: 'plains',
+        name: 'Plains',
+        movementCost: 1,
+        damageModifier: 1,
+        passable: true,
+        color: '#f4f6ec'
+    },
+    FOREST: {
+        id: 'forest',
+        name: 'Forest',
+        movementCost: 2,
+        damageModifier: 0.75,
+        passable: true,
+        color: '#b9d7a8'
+    },
+    HILLS: {
+        id: 'hills',
+        name: 'Hills',
+        movementCost: 3,
+        damageModifier: 0.5,
+        passable: true,
+        color: '#dcc9a3'
+    },
+    WATER: {
+        id: 'water',
+        name: 'Water',
+        movementCost: null,
+        damageModifier: 1,
+        passable: false,
+        color: '#8fbfe0'
+    }
+};
+
+// Default map terrain: every cell not listed is plains. The layout is mirrored through
+// the center and across the diagonal so neither player has the better side.
+export const TERRAIN_CONFIG = {
+    DEFAULT_TERRAIN: 'plains',
+    DEFAULT_LAYOUT: [
+        // Woods on the flanks and in front of each base
+        { x: 7, y: 7, type: 'forest' }, { x: 8, y: 7, type: 'forest' }, { x: 7, y: 8, type: 'forest' },
+        { x: 17, y: 17, type: 'forest' }, { x: 16, y: 17, type: 'forest' }, { x: 17, y: 16, type: 'forest' },
+        { x: 16, y: 4, type: 'forest' }, { x: 17, y: 4, type: 'forest' }, { x: 16, y: 5, type: 'forest' },
+        { x: 4, y: 16, type: 'forest' }, { x: 4, y: 17, type: 'forest' }, { x: 5, y: 16, type: 'forest' },
+        { x: 8, y: 20, type: 'forest' }, { x: 7, y: 20, type: 'forest' }, { x: 8, y: 19, type: 'forest' },
+        { x: 20, y: 8, type: 'forest' }, { x: 20, y: 7, type: 'forest' }, { x: 19, y: 8, type: 'forest' },
+        // High ground around the contested center node
+        { x: 12, y: 9, type: 'hills' }, { x: 9, y: 12, type: 'hills' },
+        { x: 12, y: 15, type: 'hills' }, { x: 15, y: 12, type: 'hills' },
+        // Lakes along the edges
+        { x: 2, y: 10, type: 'water' }, { x: 2, y: 11, type: 'water' }, { x: 3, y: 10, type: 'water' },
+        { x: 10, y: 2, type: 'water' }, { x: 11, y: 2, type: 'water' }, { x: 10, y: 3, type: 'water' },
+        { x: 22, y: 14, type: 'water' }, { x: 22, y: 13, type: 'water' }, { x: 21, y: 14, type: 'water' },
+        { x: 14, y: 22, type: 'water' }, { x: 13, y: 22, type: 'water' }, { x: 14, y: 21, type: 'water' }
+    ]
+};
+
+// Fog of war: sight radii are in cells, measured as straight-line distance
+export const VISION_CONFIG = {
+    BASE_SIGHT: 3
+};
+
 // Game States
 export const GAME_STATES = {
     READY: 'ready',
@@ -68,6 +183,16 @@ export const UNIT_CHARACTERS = {
     heavy: '♖'      // Rook
 };
 
+// Base Unicode Character
+export const BASE_CHARACTER = '♔'; // King
+
+// Terrain glyphs drawn faintly over the cell color (plains have none)
+export const TERRAIN_GLYPHS = {
+    forest: '♣',
+    hills: '▲',
+    water: '≈'
+};
+
 // UI Constants
 export const UI_COLORS = {
     GRID_LINE: '#95a5a6',
@@ -77,7 +202,9 @@ export const UI_COLORS = {
     SELECTION: 'rgba(52, 152, 219, 0.3)',
     SELECTION_BORDER: '#3498db',
     HOVER: 'rgba(52, 152, 219, 0.1)',
-    RESOURCE_NODE: '#32cd32'
+    RESOURCE_NODE: '#32cd32',
+    FOG_EXPLORED: 'rgba(44, 62, 80, 0.35)',
+    FOG_UNEXPLORED: 'rgba(44, 62, 80, 0.75)'
 };
 
 // Action Types
@@ -92,23 +219,79 @@ export const ACTION_TYPES = {
 export const TURN_CONFIG = {
     MAX_ACTIONS: 3,
     TIME_LIMIT: 120000, // 2 minutes in milliseconds
-    AUTO_END_TURN: true
+    AUTO_END_TURN: true,
+    // Defaults for the other time controls, in milliseconds
+    PHASE_TIME_LIMITS: { resource: 15000, action: 90000, build: 30000 },
+    CLOCK_BANK: 600000, // 10 minutes per player
+    CLOCK_INCREMENT: 0
+};
+
+// Time controls a game can be played with (GameState.settings.timeControl.mode):
+// untimed, a fixed limit per turn, a limit per phase, or a chess clock - a bank of time per
+// player that only runs on their turns, optionally topped up by a Fischer increment after each turn
+export const TIME_CONTROLS = {
+    UNTIMED: 'untimed',
+    TURN: 'turn',
+    PHASE: 'phase',
+    CHESS: 'chess'
+};
+
+// How players take their turns (GameState.settings.turnMode): one after the other, or both
+// at once - every round each player queues orders for the action phase, and the orders of all
+// players are then carried out together (see OrderQueue and TurnManager.resolveOrders)
+export const TURN_MODES = {
+    ALTERNATING: 'alternating',
+    SIMULTANEOUS: 'simultaneous'
+};
+
+// Victory Configuration
+export const VICTORY_CONFIG = {
+    // Player turns (not rounds) before the game is decided on resources gathered;
+    // a simultaneous round is a turn for every player
+    TURN_LIMIT: 100
 };
 
 // Resource Node Configuration
 export const RESOURCE_CONFIG = {
     INITIAL_VALUE: 100,
     NODE_COUNT: 9,
-    // Symmetric positions for 9 resource nodes on 25x25 grid
-    NODE_POSITIONS: [
-        { x: 4, y: 4 },   // Top-left quadrant
-        { x: 12, y: 4 },  // Top-center
-        { x: 20, y: 4 },  // Top-right quadrant
-        { x: 4, y: 12 },  // Middle-left
-        { x: 12, y: 12 }, // Center
-        { x: 20, y: 12 }, // Middle-right
-        { x: 4, y: 20 },  // Bottom-left quadrant
-        { x: 12, y: 20 }, // Bottom-center
-        { x: 20, y: 20 }  // Bottom-right quadrant
+    // The standard map's 9 symmetric nodes: corners are worth the least, the contested center the most
+    NODE_LAYOUT: [
+        { x: 5, y: 5, value: 15, regenerationRate: 2 },
+        { x: 12, y: 5, value: 20, regenerationRate: 3 },
+        { x: 19, y: 5, value: 15, regenerationRate: 2 },
+        { x: 5, y: 12, value: 20, regenerationRate: 3 },
+        { x: 12, y: 12, value: 25, regenerationRate: 4 },
+        { x: 19, y: 12, value: 20, regenerationRate: 3 },
+        { x: 5, y: 19, value: 15, regenerationRate: 2 },
+        { x: 12, y: 19, value: 20, regenerationRate: 3 },
+        { x: 19, y: 19, value: 15, regenerationRate: 2 }
+    ]
+};
+
+// Map definitions (see public/mapDefinition.js)
+export const MAP_CONFIG = {
+    VERSION: 1,
+    MIN_SIZE: 10,
+    MAX_SIZE: 50
+};
+
+// Seeded procedural maps (see public/mapGenerator.js)
+export const MAP_GENERATOR_CONFIG = {
+    SYMMETRIES: ['rotate', 'mirror'],
+    DEFAULT_SYMMETRY: 'rotate',
+    MAX_ATTEMPTS: 10, // layouts that cut the bases off from each other are regenerated
+    CLEAR_RADIUS: 3, // no terrain this close to a base
+    CELLS_PER_CLUSTER: 60, // one terrain cluster (plus its mirror image) per this many cells
+    CLUSTER_SIZE: { MIN: 2, MAX: 5 },
+    TERRAIN_WEIGHTS: { forest: 5, hills: 3, water: 2 },
+    CELLS_PER_NODE: 70,
+    NODE_MIN_BASE_DISTANCE: 5,
+    NODE_SPACING: 4,
+    // Node tiers by distance from the nearer base: close nodes are safe but poor
+    NODE_TIERS: [
+        { value: 15, regenerationRate: 2 },
+        { value: 20, regenerationRate: 3 },
+        { value: 25, regenerationRate: 4 }
     ]
 };
\ No newline at end of file
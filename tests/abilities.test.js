@@ -0,0 +1,188 @@
+/**
+ * Tests for unit abilities: passive rules, active abilities and their orders
+ */
+
+import { GameState } from '../public/gameState.js';
+import { TurnManager } from '../public/turnManager.js';
+import { ActionProcessor } from '../public/actionProcessor.js';
+import { ResourceManager } from '../public/resourceManager.js';
+import { Pathfinder } from '../public/pathfinding.js';
+import { createGameFromMap } from '../public/mapDefinition.js';
+import { applyGameEvent } from '../public/eventApplier.js';
+import { getActiveAbilities, getSight } from '../public/abilities.js';
+
+describe('Abilities', () => {
+  let gameState;
+  let turnManager;
+  let processor;
+
+  // Player 1 in the action phase with the given units
+  const startGame = (options = {}) => {
+    gameState = new GameState(options);
+    const resourceManager = new ResourceManager(gameState);
+    turnManager = new TurnManager(gameState, { resourceManager, useTimers: false });
+    processor = new ActionProcessor(gameState, turnManager, resourceManager);
+    gameState.startGame();
+    processor.process(1, { type: 'nextPhase' });
+  };
+
+  // Hand the turn to the next player and skip to their action phase
+  const passTurn = () => {
+    processor.process(gameState.currentPlayer, { type: 'endTurn' });
+    processor.process(gameState.currentPlayer, { type: 'nextPhase' });
+  };
+
+  afterEach(() => {
+    turnManager.destroy();
+  });
+
+  test('should list the abilities a unit can use as actions', () => {
+    startGame({ units: [{ type: 'heavy', playerId: 1, x: 5, y: 5 }, { type: 'worker', playerId: 1, x: 2, y: 1 }] });
+
+    expect(getActiveAbilities(gameState.units.get('unit_1'))).toEqual(['heavy_attack']);
+    expect(getActiveAbilities(gameState.units.get('unit_2'))).toEqual(['build']);
+  });
+
+  test('should halve damage to a defending unit until its owner\'s next turn', () => {
+    startGame({ units: [{ type: 'infantry', playerId: 1, x: 5, y: 5 }, { type: 'infantry', playerId: 2, x: 5, y: 6 }] });
+    const mirror = GameState.deserialize(gameState.serialize());
+    gameState.on('*', (event, data) => applyGameEvent(mirror, null, event, JSON.parse(JSON.stringify(data))));
+    const defender = gameState.units.get('unit_1');
+
+    expect(processor.process(1, { type: 'useAbility', unitId: 'unit_1', ability: 'defend' })).toEqual({ success: true });
+    expect(defender.actionsUsed).toBe(1);
+    expect(gameState.players.get(1).actionsRemaining).toBe(2);
+    expect(processor.process(1, { type: 'useAbility', unitId: 'unit_1', ability: 'defend' }).reason)
+      .toBe('Defend is already in effect');
+    expect(defender.hasStatusEffect('fortified')).toBe(true);
+    expect(mirror.units.get('unit_1').hasStatusEffect('fortified')).toBe(true);
+
+    passTurn();
+    expect(processor.process(2, { type: 'attack', attackerId: 'unit_2', targetId: 'unit_1' }).damage).toBe(10);
+
+    passTurn();
+    expect(defender.hasStatusEffect('fortified')).toBe(false);
+    expect(mirror.units.get('unit_1').hasStatusEffect('fortified')).toBe(false);
+    expect(mirror.units.get('unit_1').health).toBe(90);
+  });
+
+  test('should spend both of a heavy unit\'s actions on a heavy attack for double damage', () => {
+    startGame({
+      units: [
+        { type: 'heavy', playerId: 1, x: 5, y: 5 },
+        { type: 'infantry', playerId: 2, x: 5, y: 6 },
+        { type: 'heavy', playerId: 1, x: 8, y: 5 },
+        { type: 'infantry', playerId: 2, x: 8, y: 6 }
+      ]
+    });
+
+    const result = processor.process(1, { type: 'useAbility', unitId: 'unit_1', ability: 'heavy_attack', targetId: 'unit_2' });
+
+    expect(result).toEqual({ success: true, damage: 80, destroyed: false });
+    expect(gameState.units.get('unit_1').actionsUsed).toBe(2);
+    expect(gameState.players.get(1).actionsRemaining).toBe(2);
+
+    processor.process(1, { type: 'attack', attackerId: 'unit_3', targetId: 'unit_4' });
+    expect(processor.process(1, { type: 'useAbility', unitId: 'unit_3', ability: 'heavy_attack', targetId: 'unit_4' }).reason)
+      .toBe('Heavy Attack needs 2 of the unit\'s actions');
+  });
+
+  test('should deal siege damage to bases only', () => {
+    startGame({ units: [{ type: 'heavy', playerId: 1, x: 22, y: 23 }, { type: 'infantry', playerId: 1, x: 23, y: 22 }] });
+
+    expect(processor.process(1, { type: 'attack', attackerId: 'unit_1', targetId: 'base_2' }).damage).toBe(60);
+    expect(processor.process(1, { type: 'attack', attackerId: 'unit_2', targetId: 'base_2' }).damage).toBe(20);
+    expect(gameState.bases.get('base_2').health).toBe(120);
+  });
+
+  test('should move fast units across rough terrain at one point per cell', () => {
+    startGame({
+      terrain: [{ x: 6, y: 5, type: 'forest' }, { x: 7, y: 5, type: 'hills' }],
+      units: [{ type: 'scout', playerId: 1, x: 5, y: 5 }, { type: 'infantry', playerId: 1, x: 5, y: 4 }]
+    });
+    const pathfinder = new Pathfinder(gameState);
+
+    expect(pathfinder.findPath(gameState.units.get('unit_1'), 8, 5)).toEqual([{ x: 6, y: 5 }, { x: 7, y: 5 }, { x: 8, y: 5 }]);
+    expect(pathfinder.getStepCost(gameState.units.get('unit_2'), { distance: 1 }, 6, 5)).toBe(2);
+  });
+
+  test('should widen a scout\'s sight while on lookout', () => {
+    startGame({ units: [{ type: 'scout', playerId: 1, x: 5, y: 5 }] });
+    const scout = gameState.units.get('unit_1');
+
+    processor.process(1, { type: 'useAbility', unitId: 'unit_1', ability: 'scout' });
+
+    expect(getSight(scout)).toBe(7);
+  });
+
+  test('should repair the worker\'s own damaged base', () => {
+    startGame({ units: [{ type: 'worker', playerId: 1, x: 2, y: 1 }] });
+    const mirror = GameState.deserialize(gameState.serialize());
+    gameState.on('*', (event, data) => applyGameEvent(mirror, null, event, JSON.parse(JSON.stringify(data))));
+    const repair = { type: 'useAbility', unitId: 'unit_1', ability: 'build', targetId: 'base_1' };
+
+    expect(processor.process(1, repair).reason).toBe('Base is not damaged');
+    gameState.bases.get('base_1').health = 190;
+
+    expect(processor.process(1, repair)).toEqual({ success: true, amount: 10 });
+    expect(gameState.bases.get('base_1').health).toBe(200);
+    expect(mirror.bases.get('base_1').health).toBe(200);
+    expect(processor.process(1, { ...repair, targetId: 'base_2' }).reason).toBe('Target must be your own base');
+  });
+
+  test('should refuse abilities the unit cannot use now', () => {
+    startGame({ units: [{ type: 'infantry', playerId: 1, x: 5, y: 5 }, { type: 'heavy', playerId: 1, x: 8, y: 5 }] });
+
+    expect(processor.process(1, { type: 'useAbility', unitId: 'unit_1', ability: 'heavy_attack' }).reason)
+      .toBe('Unit does not have that ability');
+    expect(processor.process(1, { type: 'useAbility', unitId: 'unit_2', ability: 'siege' }).reason)
+      .toBe('Siege is always in effect');
+    expect(processor.process(1, { type: 'useAbility', unitId: 'unit_2', ability: 'heavy_attack', targetId: 'base_2' }).reason)
+      .toBe('Target is not adjacent');
+
+    processor.process(1, { type: 'nextPhase' });
+    expect(processor.process(1, { type: 'useAbility', unitId: 'unit_1', ability: 'defend' }).reason)
+      .toBe('Abilities can only be used during the action phase');
+  });
+});
+
+describe('Ability orders in simultaneous turns', () => {
+  let gameState;
+  let processor;
+
+  beforeEach(() => {
+    const map = {
+      size: 12,
+      bases: [{ playerId: 1, x: 0, y: 0 }, { playerId: 2, x: 11, y: 11 }],
+      units: [{ type: 'infantry', playerId: 1, x: 5, y: 5 }, { type: 'heavy', playerId: 2, x: 5, y: 6 }],
+      resourceNodes: []
+    };
+    const game = createGameFromMap(map, { turnMode: 'simultaneous', turnTimeLimit: null });
+    gameState = game.gameState;
+    const turnManager = new TurnManager(gameState, { resourceManager: game.resourceManager, useTimers: false });
+    processor = new ActionProcessor(gameState, turnManager, game.resourceManager);
+    gameState.startGame();
+  });
+
+  test('should defend before the step\'s attacks land', () => {
+    processor.process(1, { type: 'useAbility', unitId: 'unit_1', ability: 'defend' });
+    processor.process(2, { type: 'useAbility', unitId: 'unit_2', ability: 'heavy_attack', targetId: 'unit_1' });
+
+    processor.process(1, { type: 'nextPhase' });
+    processor.process(2, { type: 'nextPhase' });
+
+    // 40 attack, doubled, then halved by the defence
+    expect(gameState.units.get('unit_1').health).toBe(60);
+    expect(gameState.units.get('unit_1').hasStatusEffect('stunned')).toBe(true);
+    expect(gameState.units.get('unit_2').actionsUsed).toBe(2);
+  });
+
+  test('should count an ability\'s action cost against the unit\'s orders', () => {
+    expect(processor.process(2, { type: 'move', unitId: 'unit_2', x: 6, y: 6 })).toEqual({ success: true, queued: true });
+
+    expect(processor.process(2, { type: 'useAbility', unitId: 'unit_2', ability: 'heavy_attack', targetId: 'unit_1' }).reason)
+      .toBe('Unit has no actions left');
+    expect(processor.process(1, { type: 'useAbility', unitId: 'unit_1', ability: 'heavy_attack', targetId: 'unit_2' }).reason)
+      .toBe('Unit does not have that ability');
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for local accounts, sessions, seat ownership and match history
+ */
+
+import { openDatabase } from '../server/database.js';
+import { createApp } from '../server/app.js';
+import { AccountService, hashPassword, verifyPassword } from '../server/accountService.js';
+import { MatchService } from '../server/matchService.js';
+import { parseCookies } from '../server/session.js';
+import { finishMatch } from './helpers/matches.js';
+
+describe('Password hashing', () => {
+  test('should verify the right password only', () => {
+    const stored = hashPassword('correct horse');
+
+    expect(stored).toMatch(/^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+    expect(verifyPassword('correct horse', stored)).toBe(true);
+    expect(verifyPassword('wrong horse', stored)).toBe(false);
+    expect(hashPassword('correct horse')).not.toBe(stored);
+  });
+});
+
+describe('AccountService', () => {
+  let db;
+  let accounts;
+
+  beforeEach(() => {
+    db = openDatabase(':memory:');
+    accounts = new AccountService(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('should register accounts with unique usernames', () => {
+    const result = accounts.register('alice', 'password1');
+
+    expect(result.success).toBe(true);
+    expect(result.user).toEqual({
+      id: expect.any(Number), username: 'alice', rating: 1200, createdAt: expect.any(String)
+    });
+    expect(accounts.register('ALICE', 'password2').reason).toBe('Username is already taken');
+    expect(accounts.register('a', 'password1').success).toBe(false);
+    expect(accounts.register('bob', 'short').reason).toBe('Password must be at least 8 characters');
+  });
+
+  test('should never store the plain password', () => {
+    accounts.register('alice', 'password1');
+
+    const row = db.prepare('SELECT password_hash FROM users WHERE username = ?').get('alice');
+    expect(row.password_hash).not.toContain('password1');
+  });
+
+  test('should open sessions on login and close them on logout', () => {
+    const { user } = accounts.register('alice', 'password1');
+
+    expect(accounts.login('alice', 'wrong-password').reason).toBe('Invalid username or password');
+    expect(accounts.login('nobody', 'password1').reason).toBe('Invalid username or password');
+
+    const { session } = accounts.login('alice', 'password1');
+    expect(accounts.getUserBySession(session.token)).toEqual(user);
+
+    accounts.logout(session.token);
+    expect(accounts.getUserBySession(session.token)).toBe(null);
+  });
+
+  test('should reject expired sessions', () => {
+    const { user } = accounts.register('alice', 'password1');
+    const { token } = accounts.createSession(user.id);
+    db.prepare('UPDATE sessions SET expires_at = ? WHERE token = ?').run('2000-01-01T00:00:00.000Z', token);
+
+    expect(accounts.getUserBySession(token)).toBe(null);
+  });
+});
+
+describe('Match participants and history', () => {
+  let db;
+  let accounts;
+  let matchService;
+  let alice;
+  let bob;
+
+  beforeEach(() => {
+    db = openDatabase(':memory:');
+    accounts = new AccountService(db);
+    matchService = new MatchService(db);
+    alice = accounts.register('alice', 'password1').user;
+    bob = accounts.register('bob', 'password1').user;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('should give the creator seat 1 and keep seats for their owners', () => {
+    const match = matchService.createMatch({ userId: alice.id });
+
+    expect(matchService.takeSeat(match.id, 1, bob.id).reason).toBe('This seat belongs to another player');
+    expect(matchService.takeSeat(match.id, 1, null).reason).toBe('This seat belongs to another player');
+    expect(matchService.takeSeat(match.id, 2, alice.id).reason).toBe('You already have a seat in this match');
+    expect(matchService.takeSeat(match.id, 2, bob.id).success).toBe(true);
+    expect(matchService.takeSeat(match.id, 2, bob.id).success).toBe(true);
+    expect(matchService.getParticipants(match.id).map(({ playerId, userId }) => ({ playerId, userId })))
+      .toEqual([{ playerId: 1, userId: alice.id }, { playerId: 2, userId: bob.id }]);
+  });
+
+  test('should let guests use seats no account has taken', () => {
+    const match = matchService.createMatch();
+
+    expect(matchService.takeSeat(match.id, 1, null).success).toBe(true);
+    expect(matchService.getParticipants(match.id)).toEqual([]);
+  });
+
+  test('should record results and final stats when a match ends', () => {
+    const match = matchService.createMatch({ userId: alice.id });
+    matchService.takeSeat(match.id, 2, bob.id);
+
+    const finished = finishMatch(db, matchService, match.id);
+    expect(finished.status).toBe('ended');
+
+    const [aliceEntry] = matchService.getMatchHistory(alice.id);
+    expect(aliceEntry).toEqual(expect.objectContaining({
+      matchId: match.id,
+      playerId: 1,
+      result: 'win',
+      opponent: 'bob',
+      turns: finished.state.gameState.turnNumber
+    }));
+    expect(aliceEntry.stats.resourcesGathered).toBeGreaterThanOrEqual(30);
+    expect(aliceEntry.opponentStats.playerId).toBe(2);
+
+    const [bobEntry] = matchService.getMatchHistory(bob.id);
+    expect(bobEntry).toEqual(expect.objectContaining({ result: 'loss', opponent: 'alice' }));
+  });
+
+  test('should leave unfinished matches out of the history', () => {
+    matchService.createMatch({ userId: alice.id });
+
+    expect(matchService.getMatchHistory(alice.id)).toEqual([]);
+  });
+
+  test('should show guest opponents as unnamed', () => {
+    const match = matchService.createMatch({ userId: alice.id });
+
+    finishMatch(db, matchService, match.id);
+
+    expect(matchService.getMatchHistory(alice.id)[0].opponent).toBe(null);
+  });
+});
+
+describe('Accounts API', () => {
+  let db;
+  let server;
+  let baseUrl;
+
+  // A minimal cookie jar: each simulated browser keeps the session cookie it was given
+  const createBrowser = () => {
+    const cookies = {};
+    return async (method, url, body) => {
+      const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          Cookie: Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; ')
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      // Cleared cookies come back empty
+      response.headers.getSetCookie().forEach(header => {
+        Object.entries(parseCookies(header.split(';')[0])).forEach(([name, value]) => {
+          if (value) {
+            cookies[name] = value;
+          } else {
+            delete cookies[name];
+          }
+        });
+      });
+      return { status: response.status, body: response.status === 204 ? null : await response.json() };
+    };
+  };
+
+  beforeEach((done) => {
+    db = openDatabase(':memory:');
+    server = createApp({ db }).listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    server.close(() => {
+      db.close();
+      done();
+    });
+  });
+
+  test('should sign in with a session cookie and sign out again', async () => {
+    const browser = createBrowser();
+
+    expect((await browser('GET', '/api/accounts/me')).status).toBe(401);
+
+    const registered = await browser('POST', '/api/accounts/register', { username: 'alice', password: 'password1' });
+    expect(registered.status).toBe(201);
+    expect((await browser('GET', '/api/accounts/me')).body.username).toBe('alice');
+
+    expect((await browser('POST', '/api/accounts/logout')).status).toBe(204);
+    expect((await browser('GET', '/api/accounts/me')).status).toBe(401);
+
+    expect((await browser('POST', '/api/accounts/login', { username: 'alice', password: 'nope' })).status).toBe(401);
+    expect((await browser('POST', '/api/accounts/login', { username: 'alice', password: 'password1' })).status)
+      .toBe(200);
+    expect((await browser('GET', '/api/accounts/me')).body.username).toBe('alice');
+  });
+
+  test('should keep a signed-in player\'s seat from other players', async () => {
+    const alice = createBrowser();
+    const guest = createBrowser();
+    await alice('POST', '/api/accounts/register', { username: 'alice', password: 'password1' });
+
+    const { body: match } = await alice('POST', '/api/games');
+    const stolen = await guest('POST', `/api/games/${match.id}/actions`, { playerId: 1, action: { type: 'nextPhase' } });
+    const own = await alice('POST', `/api/games/${match.id}/actions`, { playerId: 1, action: { type: 'nextPhase' } });
+
+    expect(stolen.status).toBe(403);
+    expect(stolen.body.error).toBe('This seat belongs to another player');
+    expect(own.status).toBe(200);
+  });
+
+  test('should list the signed-in player\'s finished matches', async () => {
+    const alice = createBrowser();
+    await alice('POST', '/api/accounts/register', { username: 'alice', password: 'password1' });
+    const { body: match } = await alice('POST', '/api/games');
+
+    finishMatch(db, new MatchService(db), match.id);
+
+    const history = await alice('GET', '/api/accounts/me/matches');
+    expect(history.status).toBe(200);
+    expect(history.body).toEqual([expect.objectContaining({ matchId: match.id, result: 'win' })]);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Tests for the AI opponent, run headlessly without a Web Worker
+ */
+
+import { AIPlayer, Simulation } from '../public/aiPlayer.js';
+import { AIController } from '../public/aiController.js';
+import { handleAIRequest } from '../public/aiWorker.js';
+import { GameState } from '../public/gameState.js';
+import { ResourceManager } from '../public/resourceManager.js';
+import { TurnManager } from '../public/turnManager.js';
+import { VictoryManager } from '../public/victoryManager.js';
+import { ActionProcessor } from '../public/actionProcessor.js';
+
+const createGame = (options = {}) => {
+  const gameState = new GameState();
+  const resourceManager = new ResourceManager(gameState);
+  const turnManager = new TurnManager(gameState, { resourceManager, useTimers: false });
+  const victoryManager = new VictoryManager(gameState, turnManager, options);
+  const actionProcessor = new ActionProcessor(gameState, turnManager, resourceManager);
+  return { gameState, resourceManager, turnManager, victoryManager, actionProcessor };
+};
+
+/**
+ * Let the AI act until the seat passes to the other player
+ */
+const playTurn = (game, ai) => {
+  const actions = [];
+  while (game.gameState.status === 'playing' && game.gameState.currentPlayer === ai.playerId) {
+    const action = ai.chooseAction(Simulation.snapshot(game));
+    const result = game.actionProcessor.process(ai.playerId, action);
+    expect(result.reason).toBeUndefined();
+    actions.push(action);
+    expect(actions.length).toBeLessThan(50);
+  }
+  return actions;
+};
+
+describe('AIPlayer', () => {
+  let game;
+
+  beforeEach(() => {
+    game = createGame();
+    game.gameState.startGame();
+  });
+
+  afterEach(() => {
+    game.turnManager.destroy();
+  });
+
+  test('should reject unknown difficulty levels', () => {
+    expect(() => new AIPlayer(2, 'impossible')).toThrow('Unknown AI difficulty: impossible');
+  });
+
+  test('should not act outside its own turn', () => {
+    const ai = new AIPlayer(2, 'easy');
+
+    expect(ai.chooseAction(Simulation.snapshot(game))).toBe(null);
+  });
+
+  test.each(['easy', 'hard'])('should play a full %s turn through every phase', (difficulty) => {
+    const ai = new AIPlayer(1, difficulty);
+
+    const actions = playTurn(game, ai);
+
+    expect(actions[0]).toEqual({ type: 'nextPhase' });
+    expect(actions[actions.length - 1]).toEqual({ type: 'endTurn' });
+    expect(actions.some(action => action.type === 'createUnit')).toBe(true);
+    expect(game.gameState.currentPlayer).toBe(2);
+    expect(game.gameState.getPlayerUnits(1).length).toBeGreaterThan(0);
+  });
+
+  test.each(['easy', 'hard'])('should attack an adjacent enemy on %s', (difficulty) => {
+    const ai = new AIPlayer(1, difficulty);
+    game.turnManager.nextPhase();
+    const infantry = game.gameState.createUnit('infantry', 1, 10, 10);
+    const enemy = game.gameState.createUnit('worker', 2, 11, 10);
+    enemy.health = 20;
+
+    const action = ai.chooseAction(Simulation.snapshot(game));
+
+    expect(action).toEqual({ type: 'attack', attackerId: infantry.id, targetId: enemy.id });
+  });
+
+  test('should move combat units towards the enemy', () => {
+    const ai = new AIPlayer(1, 'easy');
+    game.turnManager.nextPhase();
+    const scout = game.gameState.createUnit('scout', 1, 5, 10);
+
+    const action = ai.chooseAction(Simulation.snapshot(game));
+
+    expect(action.type).toBe('move');
+    expect(action.unitId).toBe(scout.id);
+    const before = Math.abs(23 - 5) + Math.abs(23 - 10);
+    const after = Math.abs(23 - action.x) + Math.abs(23 - action.y);
+    expect(after).toBeLessThan(before);
+  });
+
+  test('should deposit a full load when standing next to its base', () => {
+    game.turnManager.nextPhase();
+    const ai = new AIPlayer(1, 'easy');
+    const worker = game.gameState.createUnit('worker', 1, 2, 1);
+    worker.cargo = worker.getCarryCapacity();
+
+    expect(ai.chooseAction(Simulation.snapshot(game))).toEqual({ type: 'deposit', unitId: worker.id });
+  });
+
+  test('should find a win that needs more than one action on hard', () => {
+    game.turnManager.nextPhase();
+    const heavy = game.gameState.createUnit('heavy', 1, 23, 21);
+    game.gameState.bases.get('base_2').health = 40;
+
+    const hard = new AIPlayer(1, 'hard');
+    const action = hard.chooseAction(Simulation.snapshot(game));
+
+    expect(action).toEqual({ type: 'move', unitId: heavy.id, x: 23, y: 22 });
+    game.actionProcessor.process(1, action);
+    game.actionProcessor.process(1, hard.chooseAction(Simulation.snapshot(game)));
+    expect(game.gameState.winner).toBe(1);
+  });
+
+  test('should not modify the state it is given', () => {
+    const ai = new AIPlayer(1, 'hard');
+    const state = Simulation.snapshot(game);
+    const copy = JSON.parse(JSON.stringify(state));
+
+    ai.chooseAction(state);
+
+    expect(state).toEqual(copy);
+  });
+
+  test('should play a short AI versus AI game to a result', () => {
+    const short = createGame({ turnLimit: 8 });
+    short.gameState.startGame();
+    const players = { 1: new AIPlayer(1, 'easy'), 2: new AIPlayer(2, 'hard') };
+
+    while (short.gameState.status === 'playing') {
+      playTurn(short, players[short.gameState.currentPlayer]);
+    }
+
+    expect(short.gameState.status).toBe('ended');
+    expect(short.gameState.endReason).toBe('turn_limit');
+    short.turnManager.destroy();
+  });
+});
+
+describe('AI worker', () => {
+  test('should answer requests with the chosen action', () => {
+    const game = createGame();
+    game.gameState.startGame();
+
+    const response = handleAIRequest({
+      requestId: 7,
+      state: Simulation.snapshot(game),
+      playerId: 1,
+      difficulty: 'easy'
+    });
+
+    expect(response).toEqual({ requestId: 7, action: { type: 'nextPhase' } });
+    game.turnManager.destroy();
+  });
+});
+
+describe('AIController', () => {
+  let game;
+  let controller;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    game = createGame();
+    controller = new AIController({ playerId: 2, difficulty: 'easy', delay: 10 });
+    controller.attach(game.gameState, game.resourceManager, action => game.actionProcessor.process(2, action));
+  });
+
+  afterEach(() => {
+    controller.destroy();
+    game.turnManager.destroy();
+    jest.useRealTimers();
+  });
+
+  test('should wait while it is the human player\'s turn', () => {
+    game.gameState.startGame();
+    jest.advanceTimersByTime(1000);
+
+    expect(game.gameState.currentPlayer).toBe(1);
+    expect(game.gameState.currentPhase).toBe('resource');
+  });
+
+  test('should play its turn and hand control back', () => {
+    const turnCallback = jest.fn();
+    game.gameState.on('turnStarted', turnCallback);
+    game.gameState.startGame();
+
+    game.turnManager.endTurn();
+    expect(game.gameState.currentPlayer).toBe(2);
+
+    jest.advanceTimersByTime(5000);
+
+    expect(game.gameState.currentPlayer).toBe(1);
+    expect(game.gameState.getPlayerUnits(2).length).toBeGreaterThan(0);
+    expect(turnCallback).toHaveBeenLastCalledWith(expect.objectContaining({ player: 1 }));
+  });
+
+  test('should use a worker when one is provided and ignore stale answers', () => {
+    const worker = { postMessage: jest.fn(), terminate: jest.fn() };
+    const workerController = new AIController({ playerId: 2, delay: 0, createWorker: () => worker });
+    const submit = jest.fn(() => ({ success: true }));
+    game.gameState.startGame();
+    game.turnManager.endTurn();
+    workerController.attach(game.gameState, game.resourceManager, submit);
+
+    jest.advanceTimersByTime(0);
+    expect(worker.postMessage).toHaveBeenCalledWith(expect.objectContaining({ requestId: 1, playerId: 2 }));
+
+    // The phase moved on before the answer arrived
+    game.turnManager.nextPhase();
+    worker.onmessage({ data: { requestId: 1, action: { type: 'nextPhase' } } });
+    expect(submit).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(0);
+    worker.onmessage({ data: { requestId: 2, action: { type: 'nextPhase' } } });
+    expect(submit).toHaveBeenCalledWith({ type: 'nextPhase' });
+
+    workerController.destroy();
+    expect(worker.terminate).toHaveBeenCalled();
+  });
+});
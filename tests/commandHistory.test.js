@@ -0,0 +1,223 @@
+/**
+ * Unit tests for the in-turn undo/redo history
+ */
+
+import { CommandHistory } from '../public/commandHistory.js';
+import { GameState } from '../public/gameState.js';
+import { ResourceManager } from '../public/resourceManager.js';
+import { TurnManager } from '../public/turnManager.js';
+import { ActionProcessor } from '../public/actionProcessor.js';
+import { applyGameEvent } from '../public/eventApplier.js';
+
+describe('CommandHistory', () => {
+  let gameState;
+  let resourceManager;
+  let turnManager;
+  let history;
+  let player;
+
+  beforeEach(() => {
+    gameState = new GameState();
+    resourceManager = new ResourceManager(gameState);
+    turnManager = new TurnManager(gameState, { resourceManager, useTimers: false });
+    history = new CommandHistory(gameState, turnManager, new ActionProcessor(gameState, turnManager, resourceManager));
+    gameState.startGame();
+    player = gameState.players.get(1);
+  });
+
+  afterEach(() => {
+    history.destroy();
+    turnManager.destroy();
+  });
+
+  const build = (unitType = 'infantry', x = 2, y = 1) => {
+    return history.execute(1, { type: 'createUnit', unitType, x, y });
+  };
+
+  test('should undo unit creation and refund its cost', () => {
+    history.execute(1, { type: 'nextPhase' });
+    history.execute(1, { type: 'nextPhase' });
+    const energy = player.energy;
+
+    const { unitId } = build();
+    expect(player.energy).toBe(energy - 25);
+
+    expect(history.undo()).toEqual({ success: true, action: { type: 'createUnit', unitType: 'infantry', x: 2, y: 1 } });
+    expect(gameState.units.has(unitId)).toBe(false);
+    expect(gameState.board[2][1]).toBe(null);
+    expect(player.unitsOwned.has(unitId)).toBe(false);
+    expect(player.energy).toBe(energy);
+    expect(player.stats.unitsCreated).toBe(0);
+    expect(gameState.nextUnitId).toBe(1);
+  });
+
+  test('should undo moves and restore action counters', () => {
+    const unit = gameState.createUnit('infantry', 1, 10, 10);
+    history.execute(1, { type: 'nextPhase' });
+
+    history.execute(1, { type: 'move', unitId: unit.id, x: 11, y: 11 });
+    expect(player.actionsRemaining).toBe(2);
+
+    history.undo();
+
+    expect(unit.position).toEqual({ x: 10, y: 10 });
+    expect(gameState.board[10][10]).toBe(unit.id);
+    expect(gameState.board[11][11]).toBe(null);
+    expect(unit.actionsUsed).toBe(0);
+    expect(player.actionsRemaining).toBe(3);
+  });
+
+  test('should return to the action phase when undoing the move that used the last action', () => {
+    const units = [10, 12, 14].map(x => gameState.createUnit('infantry', 1, x, 10));
+    history.execute(1, { type: 'nextPhase' });
+    units.forEach(unit => history.execute(1, { type: 'move', unitId: unit.id, x: unit.position.x, y: 11 }));
+    expect(gameState.currentPhase).toBe('build');
+
+    history.undo();
+
+    expect(gameState.currentPhase).toBe('action');
+    expect(turnManager.currentPhaseIndex).toBe(1);
+    expect(player.actionsRemaining).toBe(1);
+  });
+
+  test('should stop the pending move to the build phase when the last action is undone in time', () => {
+    jest.useFakeTimers();
+    const timedState = new GameState({ settings: { maxActions: 1, turnTimeLimit: null } });
+    const timedResources = new ResourceManager(timedState);
+    const timedTurns = new TurnManager(timedState, { resourceManager: timedResources });
+    const timedHistory = new CommandHistory(timedState, timedTurns, new ActionProcessor(timedState, timedTurns, timedResources));
+    timedState.startGame();
+    const unit = timedState.createUnit('infantry', 1, 10, 10);
+
+    try {
+      timedHistory.execute(1, { type: 'nextPhase' });
+      timedHistory.execute(1, { type: 'move', unitId: unit.id, x: 11, y: 11 });
+      jest.advanceTimersByTime(200);
+      timedHistory.undo();
+      jest.advanceTimersByTime(600);
+
+      expect(timedState.currentPhase).toBe('action');
+      expect(timedState.players.get(1).actionsRemaining).toBe(1);
+    } finally {
+      timedHistory.destroy();
+      timedTurns.destroy();
+      jest.useRealTimers();
+    }
+  });
+
+  test('should undo phase changes', () => {
+    history.execute(1, { type: 'nextPhase' });
+
+    history.undo();
+
+    expect(gameState.currentPhase).toBe('resource');
+    expect(turnManager.currentPhaseIndex).toBe(0);
+  });
+
+  test('should put the clock back when undoing a phase change', () => {
+    const timedState = new GameState({
+      settings: { timeControl: { mode: 'phase', phaseTimes: { resource: 5000, action: 30000, build: 10000 } } }
+    });
+    const timedResources = new ResourceManager(timedState);
+    const timedTurns = new TurnManager(timedState, { resourceManager: timedResources, useTimers: false });
+    const timedHistory = new CommandHistory(timedState, timedTurns, new ActionProcessor(timedState, timedTurns, timedResources));
+    const mirror = GameState.deserialize(timedState.serialize());
+    timedState.on('*', (event, data) => applyGameEvent(mirror, null, event, JSON.parse(JSON.stringify(data))));
+    timedState.startGame();
+
+    try {
+      timedTurns.spendTime(2000);
+      timedHistory.execute(1, { type: 'nextPhase' });
+      expect(timedState.clock.remaining).toBe(30000);
+
+      timedHistory.undo();
+
+      expect(timedState.currentPhase).toBe('resource');
+      expect(timedState.clock).toEqual({ remaining: 3000, banks: null });
+      expect(mirror.clock).toEqual(timedState.clock);
+    } finally {
+      timedHistory.destroy();
+      timedTurns.destroy();
+    }
+  });
+
+  test('should redo undone actions in order', () => {
+    history.execute(1, { type: 'nextPhase' });
+    history.execute(1, { type: 'nextPhase' });
+    const first = build('worker', 2, 1);
+    build('scout', 1, 2);
+
+    history.undo();
+    history.undo();
+    expect(history.canRedo()).toBe(true);
+
+    const redone = history.redo();
+    expect(redone.success).toBe(true);
+    expect(redone.unitId).toBe(first.unitId);
+    expect(gameState.getUnitAt(2, 1).type).toBe('worker');
+
+    history.redo();
+    expect(gameState.getUnitAt(1, 2).type).toBe('scout');
+    expect(history.canRedo()).toBe(false);
+  });
+
+  test('should drop the redo stack when a new action is taken', () => {
+    history.execute(1, { type: 'nextPhase' });
+    history.execute(1, { type: 'nextPhase' });
+    build();
+    history.undo();
+
+    build('worker', 1, 2);
+
+    expect(history.canRedo()).toBe(false);
+    expect(history.redo()).toEqual({ success: false, reason: 'Nothing to redo' });
+  });
+
+  test('should not record rejected actions', () => {
+    const result = build();
+
+    expect(result.success).toBe(false);
+    expect(history.canUndo()).toBe(false);
+    expect(history.undo()).toEqual({ success: false, reason: 'Nothing to undo' });
+  });
+
+  test('should clear when a new turn starts', () => {
+    history.execute(1, { type: 'nextPhase' });
+    history.execute(1, { type: 'nextPhase' });
+    build();
+
+    history.execute(1, { type: 'nextPhase' });
+
+    expect(gameState.currentPlayer).toBe(2);
+    expect(history.canUndo()).toBe(false);
+  });
+
+  test('should commit the turn so far after an action that cannot be undone', () => {
+    const attacker = gameState.createUnit('infantry', 1, 10, 10);
+    const target = gameState.createUnit('worker', 2, 11, 11);
+    history.execute(1, { type: 'nextPhase' });
+    history.execute(1, { type: 'move', unitId: attacker.id, x: 10, y: 11 });
+
+    expect(history.execute(1, { type: 'attack', attackerId: attacker.id, targetId: target.id }).success).toBe(true);
+
+    expect(history.canUndo()).toBe(false);
+  });
+
+  test('should keep a mirror in sync through undo events', () => {
+    const mirror = GameState.deserialize(gameState.serialize());
+    const mirrorResources = ResourceManager.deserialize(resourceManager.serialize(), mirror);
+    gameState.on('*', (event, data) => {
+      applyGameEvent(mirror, mirrorResources, event, JSON.parse(JSON.stringify(data)));
+    });
+    const unit = gameState.createUnit('infantry', 1, 10, 10);
+
+    history.execute(1, { type: 'nextPhase' });
+    history.execute(1, { type: 'move', unitId: unit.id, x: 11, y: 11 });
+    history.undo();
+    history.execute(1, { type: 'nextPhase' });
+    build();
+    history.undo();
+
+    expect(mirror.serialize()).toEqual(gameState.serialize());
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for fog of war: vision, explored cells and per-player state filtering
+ */
+
+import { FogOfWar, filterStateForPlayer, filterEventsForPlayer } from '../public/fogOfWar.js';
+import { GameState } from '../public/gameState.js';
+import { ResourceManager } from '../public/resourceManager.js';
+import { applyGameEvent } from '../public/eventApplier.js';
+import { openDatabase } from '../server/database.js';
+import { MatchService } from '../server/matchService.js';
+
+describe('FogOfWar', () => {
+  let gameState;
+  let fog;
+
+  beforeEach(() => {
+    gameState = new GameState();
+    fog = new FogOfWar(gameState);
+  });
+
+  afterEach(() => {
+    fog.destroy();
+  });
+
+  test('should let each player see around their own base', () => {
+    expect(fog.isVisible(1, 1, 1)).toBe(true);
+    expect(fog.isVisible(1, 4, 1)).toBe(true);
+    expect(fog.isVisible(1, 4, 4)).toBe(false);
+    expect(fog.isVisible(1, 23, 23)).toBe(false);
+    expect(fog.isVisible(2, 23, 23)).toBe(true);
+  });
+
+  test('should use the sight radius of each unit type', () => {
+    gameState.createUnit('scout', 1, 12, 12);
+    gameState.createUnit('worker', 1, 5, 20);
+
+    expect(fog.isVisible(1, 17, 12)).toBe(true);
+    expect(fog.isVisible(1, 18, 12)).toBe(false);
+    expect(fog.isVisible(1, 5, 22)).toBe(true);
+    expect(fog.isVisible(1, 5, 23)).toBe(false);
+  });
+
+  test('should keep cells explored after units move away', () => {
+    const scout = gameState.createUnit('scout', 1, 12, 12);
+
+    gameState.moveUnit(scout.id, 12, 5);
+
+    expect(fog.isVisible(1, 12, 16)).toBe(false);
+    expect(fog.isExplored(1, 12, 16)).toBe(true);
+    expect(fog.isExplored(1, 20, 20)).toBe(false);
+  });
+
+  test('should only show enemy units inside vision', () => {
+    gameState.createUnit('infantry', 1, 10, 10);
+    const near = gameState.createUnit('worker', 2, 12, 10);
+    const far = gameState.createUnit('worker', 2, 20, 10);
+
+    expect(fog.isUnitVisible(1, near)).toBe(true);
+    expect(fog.isUnitVisible(1, far)).toBe(false);
+    expect(fog.isUnitVisible(2, far)).toBe(true);
+  });
+});
+
+describe('filterStateForPlayer', () => {
+  const createState = () => {
+    const gameState = new GameState();
+    const resourceManager = new ResourceManager(gameState);
+    gameState.createUnit('infantry', 1, 12, 14);
+    gameState.createUnit('worker', 2, 12, 12);
+    gameState.createUnit('heavy', 2, 20, 20);
+    return { gameState: gameState.serialize(), resourceManager: resourceManager.serialize() };
+  };
+
+  test('should remove enemy units outside vision', () => {
+    const view = filterStateForPlayer(createState(), 1);
+
+    expect(view.gameState.units.map(unit => unit.id)).toEqual(['unit_1', 'unit_2']);
+    expect(view.gameState.players[1].unitsOwned).toEqual(['unit_2']);
+  });
+
+  test('should hide the values of resource nodes outside vision', () => {
+    const view = filterStateForPlayer(createState(), 1);
+    const values = Object.fromEntries(view.resourceManager.resourceNodes.map(node => [`${node.x},${node.y}`, node.value]));
+
+    expect(values['12,12']).toBe(25);
+    expect(values['19,19']).toBe(null);
+  });
+
+  test('should show no units or node values without a seat', () => {
+    const view = filterStateForPlayer(createState(), null);
+
+    expect(view.gameState.units).toEqual([]);
+    expect(view.resourceManager.resourceNodes.every(node => node.value === null)).toBe(true);
+  });
+});
+
+describe('filterEventsForPlayer', () => {
+  let db;
+  let matchService;
+
+  beforeEach(() => {
+    db = openDatabase(':memory:');
+    matchService = new MatchService(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  const mirrorOf = (state) => {
+    const gameState = GameState.deserialize(state.gameState);
+    const resourceManager = ResourceManager.deserialize(state.resourceManager, gameState);
+    return { gameState, resourceManager };
+  };
+
+  test('should keep each player\'s mirror equal to their filtered view', () => {
+    const match = matchService.createMatch();
+    const mirrors = {
+      1: mirrorOf(filterStateForPlayer(match.state, 1)),
+      2: mirrorOf(filterStateForPlayer(match.state, 2))
+    };
+
+    const actions = [
+      [1, { type: 'nextPhase' }],
+      [1, { type: 'nextPhase' }],
+      [1, { type: 'createUnit', unitType: 'scout', x: 2, y: 1 }],
+      [1, { type: 'endTurn' }],
+      [2, { type: 'nextPhase' }],
+      [2, { type: 'nextPhase' }],
+      [2, { type: 'createUnit', unitType: 'worker', x: 22, y: 23 }],
+      [2, { type: 'endTurn' }],
+      [1, { type: 'nextPhase' }],
+      [1, { type: 'move', unitId: 'unit_1', x: 6, y: 1 }]
+    ];
+
+    let latest;
+    actions.forEach(([playerId, action]) => {
+      latest = matchService.applyAction(match.id, playerId, action);
+      expect(latest.success).toBe(true);
+      [1, 2].forEach(viewerId => {
+        const events = filterEventsForPlayer(latest.events, viewerId, latest.previousState, latest.match.state);
+        events.forEach(({ event, data }) => {
+          applyGameEvent(mirrors[viewerId].gameState, mirrors[viewerId].resourceManager, event, data);
+        });
+      });
+    });
+
+    [1, 2].forEach(viewerId => {
+      const view = filterStateForPlayer(latest.match.state, viewerId);
+      expect(mirrors[viewerId].gameState.serialize()).toEqual(view.gameState);
+      expect(mirrors[viewerId].resourceManager.serialize().resourceNodes).toEqual(view.resourceManager.resourceNodes);
+    });
+    expect(mirrors[1].gameState.units.has('unit_2')).toBe(false);
+    expect(mirrors[2].gameState.units.has('unit_1')).toBe(false);
+  });
+
+  test('should not send hidden enemy units or their moves', () => {
+    const match = matchService.createMatch();
+    matchService.applyAction(match.id, 1, { type: 'nextPhase' });
+    matchService.applyAction(match.id, 1, { type: 'nextPhase' });
+
+    const result = matchService.applyAction(match.id, 1, { type: 'createUnit', unitType: 'scout', x: 2, y: 1 });
+    const events = filterEventsForPlayer(result.events, 2, result.previousState, result.match.state);
+
+    expect(events.map(entry => entry.event)).not.toContain('unitCreated');
+    expect(JSON.stringify(events)).not.toContain(result.unitId);
+    expect(events[events.length - 1].event).toBe('fogSync');
+  });
+
+  test('should reveal enemy units that come into vision', () => {
+    const gameState = new GameState();
+    const resourceManager = new ResourceManager(gameState);
+    gameState.createUnit('scout', 1, 10, 10);
+    const enemy = gameState.createUnit('infantry', 2, 17, 10);
+    const before = { gameState: gameState.serialize(), resourceManager: resourceManager.serialize() };
+    const mirror = mirrorOf(filterStateForPlayer(before, 1));
+
+    gameState.moveUnit(enemy.id, 15, 10);
+    const after = { gameState: gameState.serialize(), resourceManager: resourceManager.serialize() };
+    const events = filterEventsForPlayer([], 1, before, after);
+    events.forEach(({ event, data }) => applyGameEvent(mirror.gameState, mirror.resourceManager, event, data));
+
+    expect(mirror.gameState.getUnitAt(15, 10).id).toBe(enemy.id);
+  });
+
+  test('should not name an attacker the player never saw', () => {
+    const gameState = new GameState();
+    const resourceManager = new ResourceManager(gameState);
+    const target = gameState.createUnit('infantry', 1, 12, 12);
+    const attacker = gameState.createUnit('heavy', 2, 20, 12);
+    // Lets player 2 watch the target, so player 2 is told about the kill
+    gameState.createUnit('scout', 2, 12, 16);
+    const before = { gameState: gameState.serialize(), resourceManager: resourceManager.serialize() };
+    const events = [];
+    gameState.on('*', (event, data) => events.push({ event, data: JSON.parse(JSON.stringify(data)) }));
+
+    // The attacker closes in from out of sight and destroys the only unit that could have seen it
+    gameState.moveUnit(attacker.id, 13, 12);
+    gameState.destroyUnit(target, attacker);
+    const after = { gameState: gameState.serialize(), resourceManager: resourceManager.serialize() };
+    const destroyedFor = playerId => filterEventsForPlayer(events, playerId, before, after)
+      .find(entry => entry.event === 'unitDestroyed');
+
+    expect(destroyedFor(1).data).toEqual(expect.objectContaining({ destroyedBy: null }));
+    expect(JSON.stringify(filterEventsForPlayer(events, 1, before, after))).not.toContain(attacker.id);
+    expect(destroyedFor(2).data.destroyedBy).toBe(attacker.id);
+  });
+});
@@ -299,4 +299,210 @@ describe('GameState', () => {
     expect(deserialized.board[5][5]).toBeTruthy();
     expect(deserialized.board[10][10]).toBeTruthy();
   });
-});
\ No newline at end of file
+});
+
+describe('GameState combat', () => {
+  let gameState;
+  let attacker;
+  let target;
+
+  beforeEach(() => {
+    gameState = new GameState();
+    gameState.startGame();
+    gameState.currentPhase = 'action';
+    attacker = gameState.createUnit('infantry', 1, 5, 5);
+    target = gameState.createUnit('worker', 2, 6, 5);
+  });
+
+  test('should deal the attacker\'s attack stat as damage', () => {
+    const result = gameState.attackUnit(attacker.id, target.id);
+
+    expect(result).toEqual({ success: true, damage: 20, destroyed: false });
+    expect(target.health).toBe(30);
+    expect(attacker.actionsUsed).toBe(1);
+  });
+
+  test('should emit unitAttacked with the resulting health', () => {
+    const attackCallback = jest.fn();
+    gameState.on('unitAttacked', attackCallback);
+
+    gameState.attackUnit(attacker.id, target.id);
+
+    expect(attackCallback).toHaveBeenCalledWith({
+      attacker,
+      target,
+      damage: 20,
+      targetHealth: 30
+    });
+  });
+
+  test('should remove destroyed units from the board, unit list and owner', () => {
+    const destroyedCallback = jest.fn();
+    gameState.on('unitDestroyed', destroyedCallback);
+    target.health = 15;
+
+    const result = gameState.attackUnit(attacker.id, target.id);
+
+    expect(result.destroyed).toBe(true);
+    expect(gameState.units.has(target.id)).toBe(false);
+    expect(gameState.board[6][5]).toBe(null);
+    expect(gameState.players.get(2).unitsOwned.has(target.id)).toBe(false);
+    expect(destroyedCallback).toHaveBeenCalledWith({
+      unit: target,
+      position: { x: 6, y: 5 },
+      destroyedBy: attacker.id
+    });
+  });
+
+  test('should reject attacks on units that are not orthogonally adjacent', () => {
+    const diagonal = gameState.createUnit('worker', 2, 6, 6);
+
+    const result = gameState.attackUnit(attacker.id, diagonal.id);
+
+    expect(result).toEqual({ success: false, reason: 'Target is not adjacent' });
+    expect(diagonal.health).toBe(50);
+  });
+
+  test('should reject attacks on friendly units and by the inactive player', () => {
+    const friendly = gameState.createUnit('worker', 1, 4, 5);
+
+    expect(gameState.attackUnit(attacker.id, friendly.id).reason).toBe('Cannot attack your own unit');
+    expect(gameState.attackUnit(target.id, attacker.id).reason).toBe('Attacker belongs to another player');
+  });
+
+  test('should only allow attacks during the action phase', () => {
+    gameState.currentPhase = 'build';
+
+    const result = gameState.attackUnit(attacker.id, target.id);
+
+    expect(result.reason).toBe('Units can only attack during the action phase');
+  });
+
+  test('should respect unit and player action budgets', () => {
+    attacker.actionsUsed = attacker.maxActions;
+    expect(gameState.attackUnit(attacker.id, target.id).reason).toBe('Unit has no actions left');
+
+    attacker.resetActions();
+    gameState.getCurrentPlayer().actionsRemaining = 0;
+    expect(gameState.attackUnit(attacker.id, target.id).reason).toBe('No actions remaining');
+  });
+});
+
+describe('Base', () => {
+  let gameState;
+
+  beforeEach(() => {
+    gameState = new GameState();
+  });
+
+  test('should place one base per player in opposing corners', () => {
+    const base1 = gameState.getPlayerBase(1);
+    const base2 = gameState.getPlayerBase(2);
+
+    expect(base1.position).toEqual({ x: 1, y: 1 });
+    expect(base2.position).toEqual({ x: 23, y: 23 });
+    expect(base1.health).toBe(200);
+    expect(gameState.getBaseAt(23, 23)).toBe(base2);
+  });
+
+  test('should treat base cells as occupied', () => {
+    expect(gameState.isPositionEmpty(1, 1)).toBe(false);
+    expect(gameState.createUnit('worker', 1, 1, 1)).toBe(null);
+  });
+
+  test('should only allow production on empty cells orthogonally adjacent to the own base', () => {
+    expect(gameState.canProduceAt(1, 2, 1)).toBe(true);
+    expect(gameState.canProduceAt(1, 2, 2)).toBe(false); // diagonal
+    expect(gameState.canProduceAt(2, 2, 1)).toBe(false); // enemy base
+
+    gameState.createUnit('worker', 1, 2, 1);
+    expect(gameState.canProduceAt(1, 2, 1)).toBe(false);
+    expect(gameState.getProductionCells(1)).toEqual([{ x: 1, y: 0 }, { x: 1, y: 2 }, { x: 0, y: 1 }]);
+  });
+
+  test('should take damage from adjacent enemy units and emit baseDestroyed', () => {
+    const destroyedCallback = jest.fn();
+    gameState.on('baseDestroyed', destroyedCallback);
+    gameState.startGame();
+    gameState.currentPhase = 'action';
+    const heavy = gameState.createUnit('heavy', 1, 22, 23);
+    const base2 = gameState.getPlayerBase(2);
+
+    // Heavy units lay siege: 1.5x damage to bases
+    expect(gameState.attackBase(heavy.id, base2.id)).toEqual({ success: true, damage: 60, destroyed: false });
+    expect(base2.health).toBe(140);
+
+    base2.health = 30;
+    heavy.resetActions();
+    expect(gameState.attackBase(heavy.id, base2.id).destroyed).toBe(true);
+    expect(base2.isDestroyed()).toBe(true);
+    expect(destroyedCallback).toHaveBeenCalledWith({ base: base2, destroyedBy: heavy.id });
+  });
+
+  test('should serialize bases with the game state', () => {
+    gameState.getPlayerBase(2).takeDamage(50);
+
+    const deserialized = GameState.deserialize(gameState.serialize());
+
+    expect(deserialized.getPlayerBase(2).health).toBe(150);
+    expect(deserialized.getPlayerBase(1).position).toEqual({ x: 1, y: 1 });
+  });
+});
+
+
+describe('GameState terrain', () => {
+  let gameState;
+
+  beforeEach(() => {
+    gameState = new GameState({
+      terrain: [
+        { x: 10, y: 10, type: 'forest' },
+        { x: 11, y: 10, type: 'hills' },
+        { x: 12, y: 10, type: 'water' }
+      ]
+    });
+  });
+
+  test('should default every other cell to plains', () => {
+    expect(gameState.getTerrainAt(0, 0).id).toBe('plains');
+    expect(gameState.getTerrainAt(10, 10).id).toBe('forest');
+    expect(gameState.getTerrainAt(-1, 0)).toBe(null);
+  });
+
+  test('should not place units on impassable terrain', () => {
+    expect(gameState.isPassable(12, 10)).toBe(false);
+    expect(gameState.isPositionEmpty(12, 10)).toBe(false);
+    expect(gameState.createUnit('worker', 1, 12, 10)).toBe(null);
+    expect(gameState.getMovementCost(12, 10)).toBe(null);
+    expect(gameState.getMovementCost(11, 10)).toBe(3);
+  });
+
+  test('should reduce damage taken on forest and hills', () => {
+    gameState.currentPhase = 'action';
+    const attacker = gameState.createUnit('heavy', 1, 10, 9);
+    const inForest = gameState.createUnit('infantry', 2, 10, 10);
+    const onHills = gameState.createUnit('infantry', 2, 11, 9);
+    onHills.moveTo(11, 10);
+    gameState.board[11][9] = null;
+    gameState.board[11][10] = onHills.id;
+
+    expect(gameState.attackUnit(attacker.id, inForest.id).damage).toBe(30);
+
+    attacker.moveTo(11, 9);
+    expect(gameState.attackUnit(attacker.id, onHills.id).damage).toBe(20);
+  });
+
+  test('should serialize only the cells that are not plains', () => {
+    const data = gameState.serialize();
+
+    expect(data.terrain).toEqual([
+      { x: 10, y: 10, type: 'forest' },
+      { x: 11, y: 10, type: 'hills' },
+      { x: 12, y: 10, type: 'water' }
+    ]);
+    expect(GameState.deserialize(data).getTerrainAt(11, 10).id).toBe('hills');
+
+    delete data.terrain;
+    expect(GameState.deserialize(data).getTerrainAt(11, 10).id).toBe('plains');
+  });
+});
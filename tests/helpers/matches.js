@@ -0,0 +1,19 @@
+/**
+ * Shared helpers for tests of server matches
+ */
+
+import { VICTORY_CONFIG } from '../../shared/constants.js';
+
+// Move a match to its last turn with player 1 ahead on resources, then play until it ends
+export function finishMatch(db, matchService, matchId) {
+  const match = matchService.getMatch(matchId);
+  match.state.gameState.turnNumber = VICTORY_CONFIG.TURN_LIMIT;
+  match.state.gameState.players.find(player => player.id === 1).resourcesGathered = 30;
+  db.prepare('UPDATE matches SET state = ? WHERE id = ?').run(JSON.stringify(match.state), matchId);
+
+  for (let i = 0; i < 10 && matchService.getMatch(matchId).status !== 'ended'; i++) {
+    const { currentPlayer } = matchService.getMatch(matchId).state.gameState;
+    matchService.applyAction(matchId, currentPlayer, { type: 'nextPhase' });
+  }
+  return matchService.getMatch(matchId);
+}
@@ -0,0 +1,48 @@
+/**
+ * Shared WebSocket client for tests of the multiplayer server
+ */
+
+import { WebSocket } from 'ws';
+
+/**
+ * Open a client that hands out messages by type, waiting for them if needed.
+ * The socket is added to sockets so the test can terminate whatever is left open.
+ */
+export function connect(url, sockets) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(url);
+    const messages = [];
+    const waiters = [];
+
+    socket.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      const waiter = waiters.find(candidate => candidate.type === message.type);
+      if (waiter) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        waiter.resolve(message);
+      } else {
+        messages.push(message);
+      }
+    });
+
+    const client = {
+      socket,
+      send: (message) => socket.send(JSON.stringify(message)),
+      next: (type) => {
+        const queued = messages.find(message => message.type === type);
+        if (queued) {
+          messages.splice(messages.indexOf(queued), 1);
+          return Promise.resolve(queued);
+        }
+        return new Promise(resolveMessage => waiters.push({ type, resolve: resolveMessage }));
+      },
+      close: () => socket.close(),
+      // Simulate a dropped connection: no close handshake, just a dead socket
+      drop: () => socket.terminate()
+    };
+
+    sockets.push(socket);
+    socket.on('open', () => resolve(client));
+    socket.on('error', reject);
+  });
+}
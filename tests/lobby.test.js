@@ -0,0 +1,421 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for lobby rooms, server-side turn clocks and spectators
+ */
+
+import { openDatabase } from '../server/database.js';
+import { createApp } from '../server/app.js';
+import { AccountService } from '../server/accountService.js';
+import { MatchService } from '../server/matchService.js';
+import { RoomService } from '../server/roomService.js';
+import { TurnTimers } from '../server/turnTimers.js';
+import { MultiplayerServer } from '../server/multiplayer.js';
+import { createEmptyMap } from '../public/mapDefinition.js';
+import { connect } from './helpers/sockets.js';
+
+describe('RoomService', () => {
+  let db;
+  let matchService;
+  let rooms;
+
+  beforeEach(() => {
+    db = openDatabase(':memory:');
+    matchService = new MatchService(db);
+    rooms = new RoomService(db, matchService);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('should create a room whose match follows its options', () => {
+    const result = rooms.createRoom({
+      name: '  Friday game ',
+      map: createEmptyMap(31, 'Open Field'),
+      turnTimeLimit: 60000,
+      maxActions: 5,
+      allowSpectators: false
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.playerId).toBe(1);
+    expect(result.room).toEqual(expect.objectContaining({
+      name: 'Friday game',
+      host: null,
+      seatsTaken: 1,
+      status: 'playing',
+      options: {
+        mapName: 'Open Field',
+        size: 31,
+        timeControl: { mode: 'turn', turnTime: 60000 },
+        turnMode: 'alternating',
+        ruleset: 'standard',
+        maxActions: 5,
+        allowSpectators: false
+      }
+    }));
+    expect(result.room.code).toMatch(/^[A-HJ-NP-Z2-9]{6}$/);
+
+    const { gameState } = matchService.getMatch(result.room.matchId).state;
+    expect(gameState.size).toBe(31);
+    expect(gameState.settings).toEqual({ maxActions: 5, timeControl: { mode: 'turn', turnTime: 60000 }, turnMode: 'alternating' });
+    expect(gameState.players.find(player => player.id === 1).actionsRemaining).toBe(5);
+  });
+
+  test('should default to the standard map, untimed turns and spectators allowed', () => {
+    const { room } = rooms.createRoom({ name: 'Quick game' });
+
+    expect(room.options).toEqual({
+      mapName: 'Standard',
+      size: 25,
+      timeControl: { mode: 'untimed' },
+      turnMode: 'alternating',
+      ruleset: 'standard',
+      maxActions: 3,
+      allowSpectators: true
+    });
+  });
+
+  test('should reject invalid options', () => {
+    expect(rooms.createRoom({ name: ' ' }).reason).toBe('Room name must be 1 to 40 characters');
+    expect(rooms.createRoom({ name: 'Game', turnTimeLimit: 1000 }).reason)
+      .toBe('Turn time limit must be 15 to 900 seconds');
+    expect(rooms.createRoom({ name: 'Game', maxActions: 0 }).reason).toBe('Actions per turn must be 1 to 10');
+    expect(rooms.createRoom({ name: 'Game', map: { version: 1 } }).success).toBe(false);
+  });
+
+  test('should hand out the free seat once and then report the room full', () => {
+    const { room } = rooms.createRoom({ name: 'Game' });
+    expect(rooms.listOpenRooms().map(open => open.code)).toEqual([room.code]);
+
+    const joined = rooms.joinRoom(room.code.toLowerCase());
+    expect(joined).toEqual(expect.objectContaining({ success: true, playerId: 2 }));
+    expect(joined.room.seatsTaken).toBe(2);
+    expect(rooms.listOpenRooms()).toEqual([]);
+
+    expect(rooms.joinRoom(room.code).reason).toBe('Room is full');
+    expect(rooms.joinRoom('NOPE42')).toBe(null);
+  });
+
+  test('should give signed-in players their own seat back', () => {
+    const accounts = new AccountService(db);
+    const alice = accounts.register('alice', 'password1').user;
+    const bob = accounts.register('bob', 'password1').user;
+    const { room } = rooms.createRoom({ name: 'Game' }, alice.id);
+
+    expect(room.host).toBe('alice');
+    expect(rooms.joinRoom(room.code, bob.id).playerId).toBe(2);
+    expect(rooms.joinRoom(room.code, alice.id).playerId).toBe(1);
+    expect(rooms.joinRoom(room.code, bob.id).playerId).toBe(2);
+  });
+
+  test('should accept each time control and reject ones out of range', () => {
+    const timeControlOf = timeControl => rooms.createRoom({ name: 'Game', timeControl });
+
+    expect(timeControlOf({ mode: 'chess', bank: 300000, increment: 10000 }).room.options.timeControl)
+      .toEqual({ mode: 'chess', bank: 300000, increment: 10000 });
+    expect(timeControlOf({ mode: 'phase', phaseTimes: { action: 60000 } }).room.options.timeControl)
+      .toEqual({ mode: 'phase', phaseTimes: { resource: 15000, action: 60000, build: 30000 } });
+    expect(timeControlOf({ mode: 'untimed' }).room.options.timeControl).toEqual({ mode: 'untimed' });
+
+    expect(timeControlOf({ mode: 'hourglass' }).reason).toBe('Time control must be one of: untimed, turn, phase, chess');
+    expect(timeControlOf({ mode: 'phase', phaseTimes: { build: 1000 } }).reason)
+      .toBe('Phase time limits must be 5 to 900 seconds each');
+    expect(timeControlOf({ mode: 'phase', phaseTimes: { upkeep: 10000 } }).reason)
+      .toBe('Phase time limits must be 5 to 900 seconds each');
+    expect(timeControlOf({ mode: 'chess', bank: 1000 }).reason).toBe('Clock time must be 1 to 120 minutes');
+    expect(timeControlOf({ mode: 'chess', increment: -1 }).reason).toBe('Increment must be 0 to 300 seconds');
+  });
+
+  test('should create simultaneous-turn rooms but not with chess clocks', () => {
+    const result = rooms.createRoom({ name: 'Game', turnMode: 'simultaneous' });
+
+    expect(result.room.options.turnMode).toBe('simultaneous');
+    expect(matchService.getMatch(result.room.matchId).state.gameState.settings.turnMode).toBe('simultaneous');
+    expect(rooms.createRoom({ name: 'Game', turnMode: 'relay' }).reason)
+      .toBe('Turn mode must be one of: alternating, simultaneous');
+    expect(rooms.createRoom({ name: 'Game', turnMode: 'simultaneous', timeControl: { mode: 'chess' } }).reason)
+      .toBe('Chess clocks need alternating turns');
+  });
+
+  test('should count seats taken straight through the match', () => {
+    const { room } = rooms.createRoom({ name: 'Game' });
+    expect(matchService.takeSeat(room.matchId, 2, null).success).toBe(true);
+
+    expect(rooms.getRoom(room.code).seatsTaken).toBe(2);
+    expect(rooms.listOpenRooms()).toEqual([]);
+    expect(rooms.joinRoom(room.code, null).reason).toBe('Room is full');
+  });
+
+  test('should only let people without a seat watch rooms that allow it', () => {
+    const accounts = new AccountService(db);
+    const alice = accounts.register('alice', 'password1').user;
+    const open = rooms.createRoom({ name: 'Open' }, alice.id).room;
+    const closed = rooms.createRoom({ name: 'Closed', allowSpectators: false }).room;
+
+    expect(rooms.canSpectate(open.matchId, null).success).toBe(true);
+    expect(rooms.canSpectate(open.matchId, alice.id).reason).toBe('You have a seat in this match');
+    expect(rooms.canSpectate(closed.matchId, null).reason).toBe('This room does not allow spectators');
+  });
+});
+
+describe('TurnTimers', () => {
+  let db;
+  let matchService;
+  let rooms;
+  let timers;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    db = openDatabase(':memory:');
+    matchService = new MatchService(db);
+    rooms = new RoomService(db, matchService);
+    timers = new TurnTimers(matchService);
+    timers.start();
+  });
+
+  afterEach(() => {
+    timers.stop();
+    db.close();
+    jest.useRealTimers();
+  });
+
+  const stateOf = matchId => matchService.getMatch(matchId).state.gameState;
+
+  test('should end a turn when its time runs out', () => {
+    const { room } = rooms.createRoom({ name: 'Blitz', turnTimeLimit: 30000 });
+
+    jest.advanceTimersByTime(29999);
+    expect(stateOf(room.matchId).currentPlayer).toBe(1);
+
+    jest.advanceTimersByTime(1);
+    expect(stateOf(room.matchId)).toEqual(expect.objectContaining({ currentPlayer: 2, turnNumber: 2 }));
+    expect(matchService.getActions(room.matchId)[0].action).toEqual({ type: 'timeExpired' });
+
+    jest.advanceTimersByTime(30000);
+    expect(stateOf(room.matchId).currentPlayer).toBe(1);
+  });
+
+  test('should give each new turn its full time', () => {
+    const { room } = rooms.createRoom({ name: 'Blitz', turnTimeLimit: 30000 });
+
+    jest.advanceTimersByTime(20000);
+    matchService.applyAction(room.matchId, 1, { type: 'nextPhase' });
+    jest.advanceTimersByTime(10000);
+    expect(stateOf(room.matchId).currentPlayer).toBe(2);
+
+    jest.advanceTimersByTime(20000);
+    matchService.applyAction(room.matchId, 2, { type: 'endTurn' });
+    jest.advanceTimersByTime(20000);
+    expect(stateOf(room.matchId).currentPlayer).toBe(1);
+  });
+
+  test('should charge chess clocks for the time each turn took on the server', () => {
+    const { room } = rooms.createRoom({ name: 'Rapid', timeControl: { mode: 'chess', bank: 120000, increment: 2000 } });
+
+    jest.advanceTimersByTime(15000);
+    matchService.applyAction(room.matchId, 1, { type: 'nextPhase' });
+    expect(stateOf(room.matchId).clock.remaining).toBe(105000);
+    jest.advanceTimersByTime(5000);
+    matchService.applyAction(room.matchId, 1, { type: 'endTurn' });
+
+    expect(stateOf(room.matchId).clock).toEqual({ remaining: 120000, banks: { 1: 102000, 2: 120000 } });
+    expect(timers.getClock(room.matchId)).toEqual({ remaining: 120000, paused: false });
+  });
+
+  test('should end a match on time when a chess clock runs out', () => {
+    const { room } = rooms.createRoom({ name: 'Bullet', timeControl: { mode: 'chess', bank: 60000 } });
+
+    jest.advanceTimersByTime(30000);
+    expect(matchService.applyAction(room.matchId, 1, { type: 'timeExpired' }).reason).toBe('Time has not run out');
+    jest.advanceTimersByTime(30000);
+
+    const match = matchService.getMatch(room.matchId);
+    expect(match.status).toBe('ended');
+    expect(match.state.gameState).toEqual(expect.objectContaining({ winner: 2, endReason: 'time_forfeit' }));
+    expect(timers.clocks.size).toBe(0);
+  });
+
+  test('should move on a phase when a per-phase limit runs out', () => {
+    const { room } = rooms.createRoom({
+      name: 'Phased',
+      timeControl: { mode: 'phase', phaseTimes: { resource: 5000, action: 30000, build: 10000 } }
+    });
+
+    jest.advanceTimersByTime(5000);
+    expect(stateOf(room.matchId).currentPhase).toBe('action');
+    jest.advanceTimersByTime(40000);
+    expect(stateOf(room.matchId)).toEqual(expect.objectContaining({ currentPlayer: 2, currentPhase: 'resource' }));
+  });
+
+  test('should leave untimed matches alone', () => {
+    const { room } = rooms.createRoom({ name: 'Relaxed' });
+    matchService.createMatch();
+
+    expect(timers.clocks.size).toBe(0);
+    jest.advanceTimersByTime(3600000);
+    expect(stateOf(room.matchId).currentPlayer).toBe(1);
+  });
+
+  test('should resume timing matches already in progress', () => {
+    const { room } = rooms.createRoom({ name: 'Blitz', turnTimeLimit: 30000 });
+    timers.stop();
+
+    const restarted = new TurnTimers(matchService);
+    restarted.start();
+    jest.advanceTimersByTime(30000);
+    restarted.stop();
+
+    expect(stateOf(room.matchId).currentPlayer).toBe(2);
+  });
+});
+
+describe('Rooms API and spectators', () => {
+  let db;
+  let app;
+  let server;
+  let multiplayer;
+  let baseUrl;
+  let socketUrl;
+  let sockets;
+
+  const request = async (method, url, body) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeEach((done) => {
+    sockets = [];
+    db = openDatabase(':memory:');
+    app = createApp({ db });
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      socketUrl = `ws://127.0.0.1:${server.address().port}/ws`;
+      done();
+    });
+    multiplayer = new MultiplayerServer(server, app.locals.matchService, null, app.locals.roomService);
+  });
+
+  afterEach((done) => {
+    sockets.forEach(socket => socket.terminate());
+    multiplayer.close();
+    server.close(() => {
+      db.close();
+      done();
+    });
+  });
+
+  test('should create, list and join rooms by code', async () => {
+    const created = await request('POST', '/api/rooms', { name: 'Lunch game', maxActions: 4 });
+    expect(created.status).toBe(201);
+    expect(created.body.playerId).toBe(1);
+    const { code } = created.body.room;
+
+    expect((await request('GET', '/api/rooms')).body.map(room => room.code)).toEqual([code]);
+    expect((await request('GET', `/api/rooms/${code}`)).body.options.maxActions).toBe(4);
+
+    const joined = await request('POST', `/api/rooms/${code.toLowerCase()}/join`);
+    expect(joined.status).toBe(200);
+    expect(joined.body.playerId).toBe(2);
+    expect((await request('GET', '/api/rooms')).body).toEqual([]);
+
+    expect((await request('POST', `/api/rooms/${code}/join`)).body.error).toBe('Room is full');
+    expect((await request('POST', '/api/rooms/ZZZZZZ/join')).status).toBe(404);
+    expect((await request('POST', '/api/rooms', { name: '' })).status).toBe(400);
+  });
+
+  test('should send players the clock of timed matches as it starts and stops', async () => {
+    const { matchService, roomService, turnTimers } = app.locals;
+    multiplayer.close();
+    multiplayer = new MultiplayerServer(server, matchService, null, roomService, turnTimers);
+    turnTimers.start();
+
+    try {
+      const { body } = await request('POST', '/api/rooms', {
+        name: 'Clocked', timeControl: { mode: 'chess', bank: 300000, increment: 0 }
+      });
+      const player = await connect(socketUrl, sockets);
+      player.send({ type: 'join', matchId: body.room.matchId, playerId: 1, resumeToken: body.seatToken });
+      const { clock } = await player.next('joined');
+      expect(clock.paused).toBe(false);
+      expect(clock.remaining).toBeLessThanOrEqual(300000);
+
+      turnTimers.setConnected(body.room.matchId, 1, false);
+      expect(await player.next('clock')).toEqual(expect.objectContaining({ matchId: body.room.matchId, paused: true }));
+    } finally {
+      turnTimers.stop();
+    }
+  });
+
+  test('should only let a guest back into their seat with its seat token', async () => {
+    const { body } = await request('POST', '/api/rooms', { name: 'Guests' });
+    const joined = (await request('POST', `/api/rooms/${body.room.code}/join`)).body;
+    expect(joined.seatToken).toMatch(/^[0-9a-f]{32}$/);
+
+    const intruder = await connect(socketUrl, sockets);
+    intruder.send({ type: 'join', matchId: body.room.matchId, playerId: 2 });
+    expect((await intruder.next('error')).reason).toBe('This seat belongs to another player');
+    intruder.send({ type: 'join', matchId: body.room.matchId, playerId: 1, resumeToken: joined.seatToken });
+    expect((await intruder.next('error')).reason).toBe('This seat belongs to another player');
+
+    const player = await connect(socketUrl, sockets);
+    player.send({ type: 'join', matchId: body.room.matchId, playerId: 2, resumeToken: joined.seatToken });
+    expect((await player.next('joined')).resumeToken).toBe(joined.seatToken);
+  });
+
+  test('should refuse spectators where the host turned them off', async () => {
+    const { body } = await request('POST', '/api/rooms', { name: 'Private', allowSpectators: false });
+
+    const response = await request('POST', `/api/rooms/${body.room.code}/spectate`);
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('This room does not allow spectators');
+
+    const spectator = await connect(socketUrl, sockets);
+    spectator.send({ type: 'spectate', matchId: body.room.matchId });
+    expect((await spectator.next('error')).reason).toBe('This room does not allow spectators');
+  });
+
+  test('should stream the seatless view of a match to read-only spectators', async () => {
+    const { body } = await request('POST', '/api/rooms', { name: 'Showmatch' });
+    const { room } = (await request('POST', `/api/rooms/${body.room.code}/spectate`)).body;
+    const service = app.locals.matchService;
+    service.applyAction(room.matchId, 1, { type: 'nextPhase' });
+    service.applyAction(room.matchId, 1, { type: 'nextPhase' });
+    service.applyAction(room.matchId, 1, { type: 'createUnit', unitType: 'scout', x: 2, y: 1 });
+
+    const spectator = await connect(socketUrl, sockets);
+    spectator.send({ type: 'spectate', matchId: room.matchId });
+    const joined = await spectator.next('joined');
+    expect(joined).toEqual(expect.objectContaining({ playerId: null, spectator: true }));
+    expect(joined.room.code).toBe(room.code);
+    expect(joined.state.gameState.units).toHaveLength(0);
+
+    service.applyAction(room.matchId, 1, { type: 'createUnit', unitType: 'worker', x: 1, y: 2 });
+    const message = await spectator.next('events');
+    expect(message.events.map(entry => entry.event)).not.toContain('unitCreated');
+    expect(message.events[message.events.length - 1].data.units).toHaveLength(0);
+
+    spectator.send({ type: 'action', action: { type: 'endTurn' } });
+    expect((await spectator.next('error')).reason).toBe('Spectators cannot send actions');
+  });
+
+  test('should keep simultaneous orders from spectators', async () => {
+    const { body } = await request('POST', '/api/rooms', { name: 'Showmatch', turnMode: 'simultaneous' });
+    const service = app.locals.matchService;
+    const spectator = await connect(socketUrl, sockets);
+    spectator.send({ type: 'spectate', matchId: body.room.matchId });
+    await spectator.next('joined');
+
+    service.applyAction(body.room.matchId, 1, { type: 'cancelOrders' });
+
+    const message = await spectator.next('events');
+    expect(message.events.map(entry => entry.event)).toEqual(['fogSync']);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the JSON map format: validation, parsing and setting up games from maps
+ */
+
+import {
+  MAP_VERSION,
+  createDefaultMap,
+  createEmptyMap,
+  validateMap,
+  parseMap,
+  createGameFromMap
+} from '../public/mapDefinition.js';
+import { GameState } from '../public/gameState.js';
+import { RESOURCE_CONFIG, TERRAIN_CONFIG } from '../shared/constants.js';
+
+describe('Map definitions', () => {
+  test('should describe the standard map', () => {
+    const map = createDefaultMap();
+
+    expect(map.version).toBe(MAP_VERSION);
+    expect(map.size).toBe(25);
+    expect(map.bases).toEqual([{ playerId: 1, x: 1, y: 1 }, { playerId: 2, x: 23, y: 23 }]);
+    expect(map.resourceNodes).toHaveLength(RESOURCE_CONFIG.NODE_LAYOUT.length);
+    expect(map.terrain).toHaveLength(TERRAIN_CONFIG.DEFAULT_LAYOUT.length);
+    expect(validateMap(map)).toEqual([]);
+  });
+
+  test('should accept an empty map of any allowed size', () => {
+    expect(validateMap(createEmptyMap(10))).toEqual([]);
+    expect(validateMap(createEmptyMap(50))).toEqual([]);
+    expect(validateMap(createEmptyMap(9))[0]).toMatch(/Map size must be/);
+  });
+
+  test('should reject unsupported versions and malformed lists', () => {
+    expect(validateMap({ ...createEmptyMap(), version: 99 })).toEqual(['Unsupported map version: 99']);
+    expect(validateMap({ ...createEmptyMap(), units: 'none' })).toEqual(['units must be a list']);
+    expect(validateMap(null)).toEqual(['Map must be an object']);
+  });
+
+  test('should report items outside the board, overlapping or on impassable terrain', () => {
+    const map = createEmptyMap(12);
+    map.terrain.push({ x: 5, y: 5, type: 'water' });
+    map.resourceNodes.push({ x: 5, y: 5, value: 10, regenerationRate: 1 });
+    map.resourceNodes.push({ x: 12, y: 3, value: 10, regenerationRate: 1 });
+    map.units.push({ type: 'worker', playerId: 1, x: 1, y: 1 });
+
+    const errors = validateMap(map);
+    expect(errors).toContain('Resource node at (5, 5) is on impassable terrain');
+    expect(errors).toContain('Resource node at (12, 3) is outside the board');
+    expect(errors).toContain('Unit at (1, 1) overlaps a base');
+  });
+
+  test('should require one base per player with room to build', () => {
+    const missing = createEmptyMap();
+    missing.bases = missing.bases.filter(base => base.playerId === 1);
+    expect(validateMap(missing)).toContain('Player 2 needs exactly one base');
+
+    const walled = createEmptyMap();
+    walled.terrain.push(
+      { x: 1, y: 0, type: 'water' },
+      { x: 0, y: 1, type: 'water' },
+      { x: 2, y: 1, type: 'water' },
+      { x: 1, y: 2, type: 'water' }
+    );
+    expect(validateMap(walled)).toContain('Base at (1, 1) has no free cell next to it to build on');
+  });
+
+  test('should reject bad node values and unknown unit types', () => {
+    const map = createEmptyMap();
+    map.resourceNodes.push({ x: 5, y: 5, value: 0, regenerationRate: -1 });
+    map.units.push({ type: 'dragon', playerId: 3, x: 6, y: 6 });
+
+    const errors = validateMap(map);
+    expect(errors).toContain('Resource node at (5, 5) needs a positive whole value');
+    expect(errors).toContain('Resource node at (5, 5) needs a regeneration rate of 0 or more');
+    expect(errors).toContain('Unit at (6, 6) has unknown type: dragon');
+    expect(errors).toContain('Unit at (6, 6) belongs to unknown player: 3');
+  });
+
+  test('should parse map JSON and throw on invalid maps', () => {
+    const map = createEmptyMap(15, 'Duel');
+
+    expect(parseMap(JSON.stringify(map))).toEqual(map);
+    expect(() => parseMap('{not json')).toThrow('Map file is not valid JSON');
+    expect(() => parseMap({ ...map, name: '' })).toThrow('Invalid map: Map needs a name');
+  });
+
+  test('should set up a game from a map', () => {
+    const map = createEmptyMap(15, 'Duel');
+    map.terrain.push({ x: 7, y: 7, type: 'hills' });
+    map.resourceNodes.push({ x: 7, y: 3, value: 30, regenerationRate: 5 });
+    map.units.push({ type: 'scout', playerId: 2, x: 12, y: 13 });
+
+    const { gameState, resourceManager } = createGameFromMap(map);
+
+    expect(gameState.size).toBe(15);
+    expect(gameState.isValidPosition(14, 14)).toBe(true);
+    expect(gameState.isValidPosition(15, 0)).toBe(false);
+    expect(gameState.bases.get('base_2').position).toEqual({ x: 13, y: 13 });
+    expect(gameState.getTerrainAt(7, 7).id).toBe('hills');
+    expect(resourceManager.resourceNodes).toEqual([
+      expect.objectContaining({ x: 7, y: 3, value: 30, maxValue: 30, regenerationRate: 5 })
+    ]);
+
+    const [scout] = gameState.getPlayerUnits(2);
+    expect(scout.type).toBe('scout');
+    expect(gameState.board[12][13]).toBe(scout.id);
+    expect(gameState.players.get(2).stats.unitsCreated).toBe(0);
+  });
+
+  test('should keep the board size through serialization', () => {
+    const { gameState } = createGameFromMap(createEmptyMap(40));
+
+    const restored = GameState.deserialize(gameState.serialize());
+
+    expect(restored.size).toBe(40);
+    expect(restored.board).toHaveLength(40);
+    expect(restored.bases.get('base_2').position).toEqual({ x: 38, y: 38 });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests for the map editor's editing operations
+ */
+
+import { MapEditor } from '../public/mapEditor.js';
+import { createEmptyMap } from '../public/mapDefinition.js';
+import { createStandardRuleset } from '../public/ruleset.js';
+
+describe('MapEditor', () => {
+  let editor;
+
+  beforeEach(() => {
+    editor = new MapEditor(createEmptyMap(15, 'Test'));
+  });
+
+  test('should not modify the map it was created from', () => {
+    const map = createEmptyMap(15);
+    const copy = new MapEditor(map);
+
+    copy.setTool({ kind: 'terrain', type: 'forest' });
+    copy.applyAt(5, 5);
+
+    expect(map.terrain).toEqual([]);
+    expect(copy.getTerrainAt(5, 5)).toBe('forest');
+  });
+
+  test('should paint terrain and store only cells that are not plains', () => {
+    editor.setTool({ kind: 'terrain', type: 'water' });
+    expect(editor.applyAt(4, 4)).toEqual({ success: true });
+    expect(editor.map.terrain).toEqual([{ x: 4, y: 4, type: 'water' }]);
+
+    editor.setTool({ kind: 'terrain', type: 'plains' });
+    editor.applyAt(4, 4);
+    expect(editor.map.terrain).toEqual([]);
+  });
+
+  test('should not put water under bases, nodes or units', () => {
+    editor.setTool({ kind: 'terrain', type: 'water' });
+
+    const result = editor.applyAt(1, 1);
+
+    expect(result.success).toBe(false);
+    expect(result.reason).toBe('Water cannot be placed under a base');
+  });
+
+  test('should place and update resource nodes with the node settings', () => {
+    editor.setTool({ kind: 'node' });
+    editor.applyAt(7, 7);
+    editor.nodeSettings = { value: 40, regenerationRate: 6 };
+    editor.applyAt(7, 7);
+
+    expect(editor.map.resourceNodes).toEqual([{ x: 7, y: 7, value: 40, regenerationRate: 6 }]);
+  });
+
+  test('should move bases and place units only on free passable cells', () => {
+    editor.setTool({ kind: 'base', playerId: 2 });
+    expect(editor.applyAt(10, 3).success).toBe(true);
+    expect(editor.map.bases).toEqual([{ playerId: 1, x: 1, y: 1 }, { playerId: 2, x: 10, y: 3 }]);
+
+    editor.setTool({ kind: 'unit', type: 'infantry', playerId: 1 });
+    expect(editor.applyAt(10, 3)).toEqual({ success: false, reason: 'Cell is occupied' });
+    expect(editor.applyAt(2, 2).success).toBe(true);
+    expect(editor.map.units).toEqual([{ type: 'infantry', playerId: 1, x: 2, y: 2 }]);
+  });
+
+  test('should erase units and nodes before terrain, and never bases', () => {
+    editor.map.terrain.push({ x: 6, y: 6, type: 'forest' });
+    editor.map.units.push({ type: 'worker', playerId: 1, x: 6, y: 6 });
+    editor.setTool({ kind: 'erase' });
+
+    editor.applyAt(6, 6);
+    expect(editor.map.units).toEqual([]);
+    expect(editor.getTerrainAt(6, 6)).toBe('forest');
+
+    editor.applyAt(6, 6);
+    expect(editor.getTerrainAt(6, 6)).toBe('plains');
+
+    expect(editor.applyAt(1, 1)).toEqual({ success: false, reason: 'Bases can only be moved' });
+  });
+
+  test('should drop content outside the board when shrinking and keep bases inside', () => {
+    editor.map.resourceNodes.push({ x: 12, y: 2, value: 10, regenerationRate: 1 });
+
+    expect(editor.resize(10).success).toBe(true);
+    expect(editor.map.resourceNodes).toEqual([]);
+    expect(editor.map.bases[1]).toEqual({ playerId: 2, x: 8, y: 8 });
+    expect(editor.getErrors()).toEqual([]);
+
+    expect(editor.resize(200).success).toBe(false);
+  });
+
+  test('should round-trip maps through JSON', () => {
+    editor.setTool({ kind: 'terrain', type: 'hills' });
+    editor.applyAt(3, 8);
+
+    const loaded = MapEditor.fromJSON(editor.toJSON());
+
+    expect(loaded.map).toEqual(editor.map);
+    expect(() => MapEditor.fromJSON('{"version": 2}')).toThrow('Invalid map');
+  });
+
+  test('should place the unit types of its rule set', () => {
+    const ruleset = createStandardRuleset();
+    ruleset.id = 'modded';
+    ruleset.units.push({ ...ruleset.units[2], id: 'raider', name: 'Raider', glyph: '♘' });
+    editor.setTool({ kind: 'unit', type: 'raider', playerId: 1 });
+    editor.applyAt(5, 5);
+
+    expect(editor.getUnitTypes().map(unitType => unitType.id)).not.toContain('raider');
+    expect(editor.getErrors()).toEqual(['Unit at (5, 5) has unknown type: raider']);
+
+    editor.setRuleset(ruleset);
+    expect(editor.getUnitTypes().map(unitType => unitType.id)).toContain('raider');
+    expect(editor.getErrors()).toEqual([]);
+    expect(MapEditor.fromJSON(editor.toJSON(), ruleset).map.units).toHaveLength(1);
+    expect(() => MapEditor.fromJSON(editor.toJSON())).toThrow('Invalid map');
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the seeded symmetric map generator
+ */
+
+import {
+  generateMap,
+  generateMapFromSeed,
+  createRandom,
+  getMirrorCell,
+  toSeedString,
+  parseSeedString
+} from '../public/mapGenerator.js';
+import { validateMap, createGameFromMap } from '../public/mapDefinition.js';
+
+const distance = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+
+describe('Map generator', () => {
+  test('should produce the same random stream for the same seed', () => {
+    const first = createRandom('abc');
+    const second = createRandom('abc');
+    const other = createRandom('abd');
+
+    const values = Array.from({ length: 5 }, () => first());
+    expect(Array.from({ length: 5 }, () => second())).toEqual(values);
+    expect(Array.from({ length: 5 }, () => other())).not.toEqual(values);
+    values.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  test('should generate identical maps from identical seeds', () => {
+    const map = generateMap({ seed: 'k3x9qa', size: 31, symmetry: 'mirror' });
+
+    expect(generateMap({ seed: 'k3x9qa', size: 31, symmetry: 'mirror' })).toEqual(map);
+    expect(generateMapFromSeed(map.seed)).toEqual(map);
+    expect(generateMap({ seed: 'other', size: 31, symmetry: 'mirror' })).not.toEqual(map);
+  });
+
+  test('should write and read seed strings', () => {
+    expect(toSeedString({ seed: 'abc', size: 40, symmetry: 'mirror' })).toBe('40-mirror-abc');
+    expect(parseSeedString('40-mirror-abc')).toEqual({ seed: 'abc', size: 40, symmetry: 'mirror' });
+    expect(parseSeedString(' abc ')).toEqual({ seed: 'abc', size: 25, symmetry: 'rotate' });
+  });
+
+  test('should produce valid maps for every supported size and symmetry', () => {
+    [10, 24, 25, 40, 50].forEach(size => {
+      ['rotate', 'mirror'].forEach(symmetry => {
+        for (let i = 0; i < 5; i++) {
+          const map = generateMap({ seed: `seed${i}`, size, symmetry });
+          expect(validateMap(map)).toEqual([]);
+          expect(map.size).toBe(size);
+        }
+      });
+    });
+  });
+
+  test('should mirror terrain, bases and nodes onto the other player\'s half', () => {
+    ['rotate', 'mirror'].forEach(symmetry => {
+      const map = generateMap({ seed: 'fair', size: 30, symmetry });
+      const mirror = ({ x, y }) => getMirrorCell(x, y, map.size, symmetry);
+
+      expect(mirror(map.bases[0])).toEqual({ x: map.bases[1].x, y: map.bases[1].y });
+      map.terrain.forEach(cell => {
+        expect(map.terrain).toContainEqual({ ...mirror(cell), type: cell.type });
+      });
+      map.resourceNodes.forEach(node => {
+        expect(map.resourceNodes).toContainEqual({ ...node, ...mirror(node) });
+      });
+    });
+  });
+
+  test('should balance node value and distance between the players', () => {
+    const map = generateMap({ seed: 'balance', size: 40 });
+    const [base1, base2] = map.bases;
+    const nearestBase = node => (distance(node, base1) < distance(node, base2) ? 1 : 2);
+    const side = playerId => map.resourceNodes.filter(node => nearestBase(node) === playerId &&
+      distance(node, base1) !== distance(node, base2));
+    const summary = (nodes, base) => ({
+      value: nodes.reduce((sum, node) => sum + node.value, 0),
+      distances: nodes.map(node => distance(node, base)).sort((a, b) => a - b)
+    });
+
+    expect(side(1).length).toBeGreaterThan(0);
+    expect(summary(side(1), base1)).toEqual(summary(side(2), base2));
+  });
+
+  test('should support boards larger than the standard size', () => {
+    const map = generateMap({ seed: 'large', size: 50 });
+    const { gameState, resourceManager } = createGameFromMap(map);
+
+    expect(gameState.size).toBe(50);
+    expect(gameState.bases.get('base_2').position).toEqual({ x: 48, y: 48 });
+    expect(resourceManager.resourceNodes.length).toBeGreaterThan(9);
+  });
+
+  test('should reject unsupported sizes and symmetries', () => {
+    expect(() => generateMap({ size: 60 })).toThrow('Map size must be');
+    expect(() => generateMap({ symmetry: 'spiral' })).toThrow('Unknown symmetry: spiral');
+    expect(() => generateMapFromSeed('8-rotate-abc')).toThrow('Map size must be');
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the server-authoritative match API
+ */
+
+import { openDatabase } from '../server/database.js';
+import { createApp } from '../server/app.js';
+import { MatchService } from '../server/matchService.js';
+import { createEmptyMap } from '../public/mapDefinition.js';
+
+describe('MatchService', () => {
+  let db;
+  let matchService;
+
+  beforeEach(() => {
+    db = openDatabase(':memory:');
+    matchService = new MatchService(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('should create a started match and persist it', () => {
+    const match = matchService.createMatch();
+
+    expect(match.id).toBeTruthy();
+    expect(match.status).toBe('playing');
+    expect(match.state.gameState.currentPlayer).toBe(1);
+    expect(match.state.gameState.currentPhase).toBe('resource');
+    expect(match.state.resourceManager.resourceNodes).toHaveLength(9);
+
+    expect(matchService.getMatch(match.id)).toEqual(match);
+  });
+
+  test('should return null for unknown matches', () => {
+    expect(matchService.getMatch('missing')).toBe(null);
+    expect(matchService.applyAction('missing', 1, { type: 'nextPhase' })).toBe(null);
+  });
+
+  test('should apply phase changes and unit creation through the game rules', () => {
+    const { id } = matchService.createMatch();
+
+    expect(matchService.applyAction(id, 1, { type: 'nextPhase' }).success).toBe(true);
+    expect(matchService.applyAction(id, 1, { type: 'nextPhase' }).success).toBe(true);
+
+    const result = matchService.applyAction(id, 1, { type: 'createUnit', unitType: 'worker', x: 2, y: 1 });
+    expect(result.success).toBe(true);
+
+    const { gameState } = result.match.state;
+    expect(gameState.currentPhase).toBe('build');
+    expect(gameState.units).toHaveLength(1);
+    expect(gameState.units[0]).toMatchObject({ id: result.unitId, type: 'worker', position: { x: 2, y: 1 } });
+  });
+
+  test('should only build units next to the player\'s base', () => {
+    const { id } = matchService.createMatch();
+    matchService.applyAction(id, 1, { type: 'nextPhase' });
+    matchService.applyAction(id, 1, { type: 'nextPhase' });
+
+    const result = matchService.applyAction(id, 1, { type: 'createUnit', unitType: 'worker', x: 10, y: 10 });
+
+    expect(result.success).toBe(false);
+    expect(result.reason).toBe('Units must be built on an empty cell next to your base');
+  });
+
+  test('should reject actions from the player who is not on turn', () => {
+    const { id } = matchService.createMatch();
+
+    const result = matchService.applyAction(id, 2, { type: 'nextPhase' });
+
+    expect(result.success).toBe(false);
+    expect(result.reason).toBe('Not your turn');
+    expect(matchService.getMatch(id).state.gameState.currentPhase).toBe('resource');
+  });
+
+  test('should reject moves outside the action phase and of enemy units', () => {
+    const { id } = matchService.createMatch();
+    matchService.applyAction(id, 1, { type: 'nextPhase' });
+    matchService.applyAction(id, 1, { type: 'nextPhase' });
+    const { unitId } = matchService.applyAction(id, 1, { type: 'createUnit', unitType: 'scout', x: 2, y: 1 });
+
+    expect(matchService.applyAction(id, 1, { type: 'move', unitId, x: 3, y: 1 }).reason)
+      .toBe('Units can only move during the action phase');
+
+    matchService.applyAction(id, 1, { type: 'endTurn' });
+    matchService.applyAction(id, 2, { type: 'nextPhase' });
+
+    expect(matchService.applyAction(id, 2, { type: 'move', unitId, x: 3, y: 1 }).reason)
+      .toBe('Unit belongs to another player');
+  });
+
+  test('should move units and spend player actions', () => {
+    const { id } = matchService.createMatch();
+    matchService.applyAction(id, 1, { type: 'nextPhase' });
+    matchService.applyAction(id, 1, { type: 'nextPhase' });
+    const { unitId } = matchService.applyAction(id, 1, { type: 'createUnit', unitType: 'scout', x: 2, y: 1 });
+    matchService.applyAction(id, 1, { type: 'endTurn' });
+    matchService.applyAction(id, 2, { type: 'endTurn' });
+    matchService.applyAction(id, 1, { type: 'nextPhase' });
+
+    const result = matchService.applyAction(id, 1, { type: 'move', unitId, x: 3, y: 1 });
+
+    expect(result.success).toBe(true);
+    const { gameState } = result.match.state;
+    expect(gameState.units[0].position).toEqual({ x: 3, y: 1 });
+    expect(gameState.players[0].actionsRemaining).toBe(2);
+  });
+
+  test('should record accepted and rejected actions in order', () => {
+    const { id } = matchService.createMatch();
+    matchService.applyAction(id, 2, { type: 'endTurn' });
+    matchService.applyAction(id, 1, { type: 'nextPhase' });
+
+    const actions = matchService.getActions(id);
+
+    expect(actions.map(entry => entry.sequence)).toEqual([1, 2]);
+    expect(actions[0]).toMatchObject({ playerId: 2, accepted: false, result: { reason: 'Not your turn' } });
+    expect(actions[1]).toMatchObject({ playerId: 1, accepted: true, action: { type: 'nextPhase' } });
+  });
+});
+
+describe('Games API', () => {
+  let db;
+  let app;
+  let server;
+  let baseUrl;
+
+  const request = async (method, url, body, headers = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeEach((done) => {
+    db = openDatabase(':memory:');
+    app = createApp({ db });
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    server.close(() => {
+      db.close();
+      done();
+    });
+  });
+
+  test('POST /api/games should create a match', async () => {
+    const { status, body } = await request('POST', '/api/games');
+
+    expect(status).toBe(201);
+    expect(body.status).toBe('playing');
+  });
+
+  test('POST /api/games should create a match on a custom map or reject an invalid one', async () => {
+    const map = createEmptyMap(12, 'Small');
+
+    const { status, body } = await request('POST', '/api/games', { map });
+    expect(status).toBe(201);
+    expect(body.state.gameState.size).toBe(12);
+    expect(body.state.resourceManager.resourceNodes).toEqual([]);
+
+    const invalid = await request('POST', '/api/games', { map: { ...map, size: 5 } });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toMatch(/^Invalid map: Map size must be/);
+  });
+
+  test('GET /api/games/:id should return the match or 404', async () => {
+    const { body: created } = await request('POST', '/api/games');
+
+    const found = await request('GET', `/api/games/${created.id}`);
+    expect(found.status).toBe(200);
+    expect(found.body.id).toBe(created.id);
+
+    const missing = await request('GET', '/api/games/unknown');
+    expect(missing.status).toBe(404);
+  });
+
+  test('GET /api/games/:id should filter the state for the requesting seat', async () => {
+    const { body: created } = await request('POST', '/api/games');
+    const { seatToken } = (await request('POST', `/api/games/${created.id}/actions`, {
+      playerId: 1,
+      action: { type: 'nextPhase' }
+    })).body;
+    const service = app.locals.matchService;
+    service.applyAction(created.id, 1, { type: 'nextPhase' });
+    service.applyAction(created.id, 1, { type: 'createUnit', unitType: 'scout', x: 2, y: 1 });
+
+    const own = await request('GET', `/api/games/${created.id}?playerId=1`, undefined, { 'X-Seat-Token': seatToken });
+    const unseated = await request('GET', `/api/games/${created.id}`);
+
+    expect(own.body.state.gameState.units).toHaveLength(1);
+    expect(unseated.body.state.gameState.units).toHaveLength(0);
+  });
+
+  test('GET /api/games/:id should refuse the view of a seat the caller does not hold', async () => {
+    const { body: created } = await request('POST', '/api/games');
+    const url = `/api/games/${created.id}/actions`;
+    const { seatToken } = (await request('POST', url, { playerId: 2, action: { type: 'nextPhase' } })).body;
+    await request('POST', url, { playerId: 1, action: { type: 'nextPhase' } });
+
+    const opponentView = await request('GET', `/api/games/${created.id}?playerId=1`, undefined, { 'X-Seat-Token': seatToken });
+    expect(opponentView.status).toBe(403);
+    expect(opponentView.body.error).toBe('You do not hold this seat');
+    expect((await request('GET', `${url}?playerId=1`, undefined, { 'X-Seat-Token': seatToken })).status).toBe(403);
+    // Free seats are not anyone's to read either
+    expect((await request('GET', `/api/games/${created.id}?playerId=3`)).status).toBe(403);
+  });
+
+  test('GET /api/games/:id/actions should only list the seat\'s own actions', async () => {
+    const { body: created } = await request('POST', '/api/games');
+    const url = `/api/games/${created.id}/actions`;
+    const { seatToken } = (await request('POST', url, { playerId: 1, action: { type: 'nextPhase' } })).body;
+    const { seatToken: otherToken } = (await request('POST', url, { playerId: 2, action: { type: 'nextPhase' } })).body;
+
+    expect((await request('GET', url)).status).toBe(400);
+    expect((await request('GET', `${url}?playerId=1`, undefined, { 'X-Seat-Token': seatToken })).body).toHaveLength(1);
+    const other = (await request('GET', `${url}?playerId=2`, undefined, { 'X-Seat-Token': otherToken })).body;
+    expect(other).toHaveLength(1);
+    expect(other[0]).toMatchObject({ playerId: 2, accepted: false });
+  });
+
+  test('POST /api/games/:id/actions should validate and apply actions', async () => {
+    const { body: created } = await request('POST', '/api/games');
+
+    const invalid = await request('POST', `/api/games/${created.id}/actions`, { action: { type: 'nextPhase' } });
+    expect(invalid.status).toBe(400);
+
+    const rejected = await request('POST', `/api/games/${created.id}/actions`, {
+      playerId: 2,
+      action: { type: 'nextPhase' }
+    });
+    expect(rejected.status).toBe(400);
+    expect(rejected.body.error).toBe('Not your turn');
+
+    const accepted = await request('POST', `/api/games/${created.id}/actions`, {
+      playerId: 1,
+      action: { type: 'nextPhase' }
+    });
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.match.state.gameState.currentPhase).toBe('action');
+  });
+
+  test('POST /api/games/:id/actions should keep a guest\'s seat for the holder of its token', async () => {
+    const { body: created } = await request('POST', '/api/games');
+    const url = `/api/games/${created.id}/actions`;
+
+    const first = await request('POST', url, { playerId: 1, action: { type: 'nextPhase' } });
+    expect(first.body.seatToken).toMatch(/^[0-9a-f]{32}$/);
+
+    const intruder = await request('POST', url, { playerId: 1, action: { type: 'nextPhase' } });
+    expect(intruder.status).toBe(403);
+    expect(intruder.body.error).toBe('This seat belongs to another player');
+    const guess = await request('POST', url, { playerId: 1, action: { type: 'nextPhase' } }, { 'X-Seat-Token': 'guess' });
+    expect(guess.status).toBe(403);
+
+    const holder = await request('POST', url, { playerId: 1, action: { type: 'nextPhase' } }, { 'X-Seat-Token': first.body.seatToken });
+    expect(holder.status).toBe(200);
+    expect(holder.body.seatToken).toBe(first.body.seatToken);
+    expect((await request('POST', url, { playerId: 3, action: { type: 'nextPhase' } })).body.error).toBe('Invalid player seat');
+  });
+});
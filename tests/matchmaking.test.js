@@ -0,0 +1,281 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for Elo ratings, the ranked matchmaking queue and the leaderboard.
+ * The queue is driven by simulated clients calling it directly, with a fake clock.
+ */
+
+import { openDatabase } from '../server/database.js';
+import { createApp } from '../server/app.js';
+import { AccountService } from '../server/accountService.js';
+import { MatchService } from '../server/matchService.js';
+import { MatchmakingQueue } from '../server/matchmaking.js';
+import { expectedScore, getRatingChange } from '../server/rating.js';
+import { finishMatch } from './helpers/matches.js';
+
+describe('Elo ratings', () => {
+  test('should expect evenly rated players to score half', () => {
+    expect(expectedScore(1200, 1200)).toBe(0.5);
+    expect(expectedScore(1600, 1200) + expectedScore(1200, 1600)).toBeCloseTo(1);
+    expect(expectedScore(1600, 1200)).toBeCloseTo(0.909, 3);
+  });
+
+  test('should reward upsets more than expected wins', () => {
+    expect(getRatingChange(1200, 1200, 'win')).toBe(16);
+    expect(getRatingChange(1200, 1200, 'draw')).toBe(0);
+    expect(getRatingChange(1200, 1600, 'win')).toBe(29);
+    expect(getRatingChange(1600, 1200, 'win')).toBe(3);
+    expect(getRatingChange(1600, 1200, 'draw')).toBe(-13);
+  });
+});
+
+describe('Rated matches and leaderboard', () => {
+  let db;
+  let accounts;
+  let matchService;
+  let alice;
+  let bob;
+
+  beforeEach(() => {
+    db = openDatabase(':memory:');
+    accounts = new AccountService(db);
+    matchService = new MatchService(db);
+    alice = accounts.register('alice', 'password1').user;
+    bob = accounts.register('bob', 'password1').user;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('should move rating from the loser to the winner', () => {
+    const match = matchService.createMatch({ userId: alice.id, ranked: true });
+    matchService.takeSeat(match.id, 2, bob.id);
+
+    finishMatch(db, matchService, match.id);
+
+    expect(accounts.getUser(alice.id).rating).toBe(1216);
+    expect(accounts.getUser(bob.id).rating).toBe(1184);
+    expect(matchService.getMatchHistory(alice.id)[0].ratingChange).toBe(16);
+    expect(matchService.getMatchHistory(bob.id)[0].ratingChange).toBe(-16);
+  });
+
+  test('should not rate games against guests', () => {
+    const match = matchService.createMatch({ userId: alice.id });
+
+    finishMatch(db, matchService, match.id);
+
+    expect(accounts.getUser(alice.id).rating).toBe(1200);
+    expect(matchService.getMatchHistory(alice.id)[0].ratingChange).toBe(null);
+    expect(accounts.getLeaderboard()).toEqual([]);
+  });
+
+  test('should not rate unranked games between accounts', () => {
+    const match = matchService.createMatch({ userId: alice.id });
+    matchService.takeSeat(match.id, 2, bob.id);
+
+    finishMatch(db, matchService, match.id);
+
+    expect(match.ranked).toBe(false);
+    expect(accounts.getUser(alice.id).rating).toBe(1200);
+    expect(accounts.getUser(bob.id).rating).toBe(1200);
+    expect(matchService.getMatchHistory(alice.id)[0]).toEqual(expect.objectContaining({ result: 'win', ratingChange: null }));
+    expect(accounts.getLeaderboard()).toEqual([]);
+  });
+
+  test('should rank players with rated games by rating', () => {
+    const carol = accounts.register('carol', 'password1').user;
+    const match = matchService.createMatch({ userId: alice.id, ranked: true });
+    matchService.takeSeat(match.id, 2, bob.id);
+    finishMatch(db, matchService, match.id);
+
+    const leaderboard = accounts.getLeaderboard();
+
+    expect(leaderboard.map(({ rank, username, rating }) => ({ rank, username, rating }))).toEqual([
+      { rank: 1, username: 'alice', rating: 1216 },
+      { rank: 2, username: 'bob', rating: 1184 }
+    ]);
+    expect(leaderboard[0]).toEqual(expect.objectContaining({ games: 1, wins: 1, losses: 0, draws: 0 }));
+    expect(leaderboard.some(player => player.id === carol.id)).toBe(false);
+    expect(accounts.getLeaderboard(1)).toHaveLength(1);
+  });
+});
+
+describe('MatchmakingQueue', () => {
+  let db;
+  let accounts;
+  let matchService;
+  let clock;
+  let queue;
+
+  // A simulated client: an account with a given rating
+  const createPlayer = (username, rating) => {
+    const { user } = accounts.register(username, 'password1');
+    db.prepare('UPDATE users SET rating = ? WHERE id = ?').run(rating, user.id);
+    return user;
+  };
+
+  beforeEach(() => {
+    db = openDatabase(':memory:');
+    accounts = new AccountService(db);
+    matchService = new MatchService(db);
+    clock = 0;
+    queue = new MatchmakingQueue(matchService, accounts, { now: () => clock });
+  });
+
+  afterEach(() => {
+    queue.stop();
+    db.close();
+  });
+
+  test('should pair two similarly rated players into a new match', () => {
+    const alice = createPlayer('alice', 1200);
+    const bob = createPlayer('bob', 1250);
+    const matched = jest.fn();
+    queue.on('matched', matched);
+
+    expect(queue.join(alice.id)).toEqual({ success: true, status: 'queued', rating: 1200, range: 100, waitSeconds: 0 });
+    clock += 1000;
+    const bobStatus = queue.join(bob.id);
+
+    expect(bobStatus).toEqual(expect.objectContaining({ status: 'matched', playerId: 2, opponent: 'alice' }));
+    expect(queue.getStatus(alice.id)).toEqual(expect.objectContaining({
+      status: 'matched', matchId: bobStatus.matchId, playerId: 1, opponent: 'bob'
+    }));
+    expect(matched).toHaveBeenCalledWith({
+      matchId: bobStatus.matchId,
+      players: [{ userId: alice.id, playerId: 1 }, { userId: bob.id, playerId: 2 }]
+    });
+    expect(matchService.getMatch(bobStatus.matchId).status).toBe('playing');
+    expect(matchService.getMatch(bobStatus.matchId).ranked).toBe(true);
+    expect(matchService.getParticipants(bobStatus.matchId).map(({ playerId, userId }) => ({ playerId, userId })))
+      .toEqual([{ playerId: 1, userId: alice.id }, { playerId: 2, userId: bob.id }]);
+  });
+
+  test('should widen the rating window while players wait', () => {
+    const alice = createPlayer('alice', 1200);
+    const bob = createPlayer('bob', 1500);
+
+    queue.join(alice.id);
+    queue.join(bob.id);
+    expect(queue.getStatus(bob.id).status).toBe('queued');
+
+    clock += 10000;
+    expect(queue.tick()).toEqual([]);
+    expect(queue.getStatus(alice.id).range).toBe(200);
+
+    clock += 10000;
+    expect(queue.tick()).toHaveLength(1);
+    expect(queue.getStatus(alice.id).status).toBe('matched');
+    expect(queue.getStatus(bob.id).status).toBe('matched');
+  });
+
+  test('should pair each player with the closest rating', () => {
+    const players = [['ann', 1000], ['ben', 1400], ['cat', 1030], ['dan', 1380]]
+      .map(([username, rating]) => createPlayer(username, rating));
+
+    // Nobody is within range of anyone when they join, so the pairing happens on one tick
+    queue.config.INITIAL_RANGE = 0;
+    players.forEach(player => queue.join(player.id));
+    clock += 5000;
+    const pairings = queue.tick();
+
+    const opponents = pairings.map(({ players: [first, second] }) => [first.userId, second.userId].sort());
+    expect(opponents).toEqual([[players[0].id, players[2].id], [players[1].id, players[3].id]]);
+  });
+
+  test('should let players leave the queue', () => {
+    const alice = createPlayer('alice', 1200);
+    const bob = createPlayer('bob', 1200);
+
+    queue.join(alice.id);
+    expect(queue.leave(alice.id)).toBe(true);
+    expect(queue.leave(alice.id)).toBe(false);
+    expect(queue.getStatus(alice.id)).toEqual({ status: 'idle' });
+
+    expect(queue.join(bob.id).status).toBe('queued');
+    expect(queue.join(12345)).toEqual({ success: false, reason: 'Unknown player' });
+  });
+
+  test('should keep a player\'s place when they join twice', () => {
+    const alice = createPlayer('alice', 1200);
+
+    queue.join(alice.id);
+    clock += 3000;
+    queue.join(alice.id);
+
+    expect(queue.queue).toHaveLength(1);
+    expect(queue.getStatus(alice.id).waitSeconds).toBe(3);
+  });
+});
+
+describe('Matchmaking and leaderboard API', () => {
+  let db;
+  let server;
+  let baseUrl;
+
+  // Each simulated browser registers an account and keeps its session cookie
+  const createBrowser = async (username) => {
+    const response = await fetch(`${baseUrl}/api/accounts/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password: 'password1' })
+    });
+    const cookie = response.headers.getSetCookie()[0].split(';')[0];
+    return async (method, url) => {
+      const reply = await fetch(`${baseUrl}${url}`, { method, headers: { Cookie: cookie } });
+      return { status: reply.status, body: reply.status === 204 ? null : await reply.json() };
+    };
+  };
+
+  beforeEach((done) => {
+    db = openDatabase(':memory:');
+    server = createApp({ db }).listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    server.close(() => {
+      db.close();
+      done();
+    });
+  });
+
+  test('should require an account to queue', async () => {
+    const response = await fetch(`${baseUrl}/api/matchmaking`, { method: 'POST' });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should match two queued players and rank them once the game is played', async () => {
+    const alice = await createBrowser('alice');
+    const bob = await createBrowser('bob');
+
+    expect((await alice('POST', '/api/matchmaking')).body.status).toBe('queued');
+    const bobStatus = (await bob('POST', '/api/matchmaking')).body;
+    const aliceStatus = (await alice('GET', '/api/matchmaking')).body;
+
+    expect(bobStatus).toEqual(expect.objectContaining({ status: 'matched', playerId: 2, opponent: 'alice' }));
+    expect(aliceStatus).toEqual(expect.objectContaining({ status: 'matched', playerId: 1, matchId: bobStatus.matchId }));
+
+    finishMatch(db, new MatchService(db), aliceStatus.matchId);
+
+    const leaderboard = await alice('GET', '/api/leaderboard');
+    expect(leaderboard.body.map(({ username, rating }) => ({ username, rating }))).toEqual([
+      { username: 'alice', rating: 1216 },
+      { username: 'bob', rating: 1184 }
+    ]);
+  });
+
+  test('should leave the queue', async () => {
+    const alice = await createBrowser('alice');
+
+    await alice('POST', '/api/matchmaking');
+    expect((await alice('DELETE', '/api/matchmaking')).status).toBe(204);
+    expect((await alice('GET', '/api/matchmaking')).body).toEqual({ status: 'idle' });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for online multiplayer: the WebSocket server and client-side event application
+ */
+
+import { openDatabase } from '../server/database.js';
+import { createApp } from '../server/app.js';
+import { MultiplayerServer } from '../server/multiplayer.js';
+import { MatchService } from '../server/matchService.js';
+import { GameState } from '../public/gameState.js';
+import { ResourceManager } from '../public/resourceManager.js';
+import { applyGameEvent } from '../public/eventApplier.js';
+import { connect } from './helpers/sockets.js';
+
+describe('applyGameEvent', () => {
+  let db;
+  let matchService;
+
+  beforeEach(() => {
+    db = openDatabase(':memory:');
+    matchService = new MatchService(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  const mirrorOf = (state) => {
+    const gameState = GameState.deserialize(state.gameState);
+    const resourceManager = ResourceManager.deserialize(state.resourceManager, gameState);
+    return { gameState, resourceManager };
+  };
+
+  test('should keep a mirror in sync with the authoritative state', () => {
+    const match = matchService.createMatch();
+    const mirror = mirrorOf(match.state);
+
+    const actions = [
+      [1, { type: 'nextPhase' }],
+      [1, { type: 'nextPhase' }],
+      [1, { type: 'createUnit', unitType: 'scout', x: 2, y: 1 }],
+      [1, { type: 'endTurn' }],
+      [2, { type: 'endTurn' }],
+      [1, { type: 'nextPhase' }],
+      [1, { type: 'move', unitId: 'unit_1', x: 3, y: 1 }]
+    ];
+
+    let latest;
+    actions.forEach(([playerId, action]) => {
+      latest = matchService.applyAction(match.id, playerId, action);
+      expect(latest.success).toBe(true);
+      latest.events.forEach(({ event, data }) => {
+        applyGameEvent(mirror.gameState, mirror.resourceManager, event, data);
+      });
+    });
+
+    expect(mirror.gameState.serialize()).toEqual(latest.match.state.gameState);
+    expect(mirror.resourceManager.serialize().resourceNodes).toEqual(latest.match.state.resourceManager.resourceNodes);
+  });
+
+  test('should re-emit applied events for UI listeners', () => {
+    const match = matchService.createMatch();
+    const mirror = mirrorOf(match.state);
+    const phaseCallback = jest.fn();
+    mirror.gameState.on('phaseChanged', phaseCallback);
+
+    applyGameEvent(mirror.gameState, mirror.resourceManager, 'phaseChanged', { phase: 'action', player: 1 });
+
+    expect(mirror.gameState.currentPhase).toBe('action');
+    expect(phaseCallback).toHaveBeenCalledWith({ phase: 'action', player: 1 });
+  });
+});
+
+describe('MultiplayerServer', () => {
+  let db;
+  let app;
+  let server;
+  let multiplayer;
+  let url;
+  let sockets;
+
+  beforeEach((done) => {
+    sockets = [];
+    db = openDatabase(':memory:');
+    app = createApp({ db });
+    server = app.listen(0, () => {
+      url = `ws://127.0.0.1:${server.address().port}/ws`;
+      done();
+    });
+    multiplayer = new MultiplayerServer(server, app.locals.matchService);
+  });
+
+  afterEach((done) => {
+    sockets.forEach(socket => socket.terminate());
+    multiplayer.close();
+    server.close(() => {
+      db.close();
+      done();
+    });
+  });
+
+  test('should answer malformed messages with an error and keep serving', async () => {
+    const match = app.locals.matchService.createMatch();
+    const client = await connect(url, sockets);
+
+    client.send(null);
+    expect((await client.next('error')).reason).toBe('Malformed message');
+    client.send({ type: 'join', matchId: {}, playerId: 1 });
+    expect((await client.next('error')).reason).toBe('matchId must be a match id');
+    client.send({ type: 'spectate', matchId: ['x'] });
+    expect((await client.next('error')).reason).toBe('matchId must be a match id');
+    client.send({ type: 'join', matchId: match.id, playerId: '1' });
+    expect((await client.next('error')).reason).toBe('Invalid player seat');
+
+    client.send({ type: 'join', matchId: match.id, playerId: 1 });
+    expect((await client.next('joined')).playerId).toBe(1);
+  });
+
+  test('should let two players join and broadcast accepted actions to both', async () => {
+    const match = app.locals.matchService.createMatch();
+    const player1 = await connect(url, sockets);
+    const player2 = await connect(url, sockets);
+
+    player1.send({ type: 'join', matchId: match.id, playerId: 1 });
+    player2.send({ type: 'join', matchId: match.id, playerId: 2 });
+    const joined = await player1.next('joined');
+    await player2.next('joined');
+
+    expect(joined.playerId).toBe(1);
+    expect(joined.state.gameState.gameId).toBe(match.id);
+
+    player1.send({ type: 'action', action: { type: 'nextPhase' } });
+
+    const [events1, events2] = await Promise.all([player1.next('events'), player2.next('events')]);
+    [events1, events2].forEach(message => {
+      expect(message.sequence).toBe(1);
+      expect(message.events).toContainEqual({ event: 'phaseChanged', data: { phase: 'action', player: 1 } });
+    });
+  });
+
+  test('should only send each seat what it can see', async () => {
+    const service = app.locals.matchService;
+    const match = service.createMatch();
+    service.applyAction(match.id, 1, { type: 'nextPhase' });
+    service.applyAction(match.id, 1, { type: 'nextPhase' });
+    const { unitId } = service.applyAction(match.id, 1, { type: 'createUnit', unitType: 'scout', x: 2, y: 1 });
+    const player2 = await connect(url, sockets);
+
+    player2.send({ type: 'join', matchId: match.id, playerId: 2 });
+    const joined = await player2.next('joined');
+    expect(joined.state.gameState.units).toEqual([]);
+
+    service.applyAction(match.id, 1, { type: 'createUnit', unitType: 'worker', x: 1, y: 2 });
+    const message = await player2.next('events');
+    expect(JSON.stringify(message)).not.toContain(unitId);
+    expect(message.events.map(entry => entry.event)).not.toContain('unitCreated');
+  });
+
+  test('should reject actions from the player who is not on turn', async () => {
+    const match = app.locals.matchService.createMatch();
+    const player2 = await connect(url, sockets);
+
+    player2.send({ type: 'join', matchId: match.id, playerId: 2 });
+    await player2.next('joined');
+    player2.send({ type: 'action', action: { type: 'nextPhase' } });
+
+    const rejected = await player2.next('actionRejected');
+    expect(rejected.reason).toBe('Not your turn');
+  });
+
+  test('should not allow two connections in the same seat', async () => {
+    const match = app.locals.matchService.createMatch();
+    const first = await connect(url, sockets);
+    const second = await connect(url, sockets);
+
+    first.send({ type: 'join', matchId: match.id, playerId: 1 });
+    await first.next('joined');
+    second.send({ type: 'join', matchId: match.id, playerId: 1 });
+
+    const error = await second.next('error');
+    expect(error.reason).toBe('Player seat already taken');
+  });
+
+  test('should broadcast actions submitted through the REST API', async () => {
+    const match = app.locals.matchService.createMatch();
+    const player2 = await connect(url, sockets);
+    player2.send({ type: 'join', matchId: match.id, playerId: 2 });
+    await player2.next('joined');
+
+    app.locals.matchService.applyAction(match.id, 1, { type: 'endTurn' });
+
+    const message = await player2.next('events');
+    const turnStarted = message.events.find(entry => entry.event === 'turnStarted');
+    expect(turnStarted.data).toEqual({ player: 2, turnNumber: 2, phase: 'resource' });
+  });
+});
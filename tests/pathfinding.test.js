@@ -0,0 +1,193 @@
+/**
+ * Unit tests for movement range and pathfinding
+ */
+
+import { Pathfinder } from '../public/pathfinding.js';
+import { GameState } from '../public/gameState.js';
+import { ResourceManager } from '../public/resourceManager.js';
+import { TurnManager } from '../public/turnManager.js';
+import { ActionProcessor } from '../public/actionProcessor.js';
+import { createStandardRuleset } from '../public/ruleset.js';
+
+describe('Pathfinder', () => {
+  let gameState;
+  let resourceManager;
+  let pathfinder;
+
+  beforeEach(() => {
+    gameState = new GameState();
+    resourceManager = new ResourceManager(gameState);
+    pathfinder = new Pathfinder(gameState, resourceManager);
+  });
+
+  test('should reach every cell within the unit\'s movement on an open board', () => {
+    const unit = gameState.createUnit('infantry', 1, 10, 8); // movement 2
+
+    const reachable = pathfinder.getReachableCells(unit);
+
+    // Diamond of radius 2 minus the unit's own cell
+    expect(reachable).toHaveLength(12);
+    expect(reachable).toContainEqual({ x: 12, y: 8, distance: 2 });
+    expect(reachable).toContainEqual({ x: 11, y: 9, distance: 2 });
+    expect(reachable).not.toContainEqual(expect.objectContaining({ x: 10, y: 8 }));
+  });
+
+  test('should use the movement stat of each unit type', () => {
+    const heavy = gameState.createUnit('heavy', 1, 10, 8);
+    const scout = gameState.createUnit('scout', 1, 15, 15);
+
+    expect(pathfinder.getReachableCells(heavy)).toHaveLength(4);
+    expect(pathfinder.getReachableCells(scout)).toHaveLength(40);
+  });
+
+  test('should not pass through occupied cells', () => {
+    const unit = gameState.createUnit('infantry', 1, 10, 8);
+    gameState.createUnit('worker', 2, 11, 8);
+
+    const reachable = pathfinder.getReachableCells(unit);
+
+    expect(reachable).not.toContainEqual(expect.objectContaining({ x: 11, y: 8 }));
+    expect(reachable).not.toContainEqual(expect.objectContaining({ x: 12, y: 8 }));
+  });
+
+  test('should route around blocked cells when movement allows', () => {
+    const scout = gameState.createUnit('scout', 1, 10, 8);
+    gameState.createUnit('worker', 2, 11, 8);
+
+    const path = pathfinder.findPath(scout, 12, 8);
+
+    expect(path).toHaveLength(4);
+    expect(path[path.length - 1]).toEqual({ x: 12, y: 8 });
+    expect(path).not.toContainEqual({ x: 11, y: 8 });
+  });
+
+  test('should only let gathering units enter resource nodes', () => {
+    const infantry = gameState.createUnit('infantry', 1, 4, 5);
+    const worker = gameState.createUnit('worker', 1, 6, 5);
+
+    expect(pathfinder.findPath(infantry, 5, 5)).toBe(null);
+    expect(pathfinder.findPath(worker, 5, 5)).toEqual([{ x: 5, y: 5 }]);
+  });
+
+  test('should not treat resource nodes as obstacles without a resource manager', () => {
+    const infantry = gameState.createUnit('infantry', 1, 4, 5);
+
+    expect(new Pathfinder(gameState).findPath(infantry, 5, 5)).toEqual([{ x: 5, y: 5 }]);
+  });
+
+  test('should return null paths to unreachable cells', () => {
+    const unit = gameState.createUnit('infantry', 1, 10, 8);
+
+    expect(pathfinder.findPath(unit, 15, 15)).toBe(null);
+    expect(pathfinder.findPath(unit, 10, 8)).toBe(null);
+  });
+
+  test('should explain why a move is not allowed', () => {
+    const unit = gameState.createUnit('infantry', 1, 10, 8);
+    gameState.createUnit('worker', 2, 11, 8);
+    gameState.createUnit('worker', 2, 9, 8);
+    gameState.createUnit('worker', 2, 10, 7);
+    gameState.createUnit('worker', 2, 10, 9);
+
+    expect(pathfinder.getMoveError(unit, -1, 8)).toBe('Target is outside the board');
+    expect(pathfinder.getMoveError(unit, 11, 8)).toBe('Target cell is occupied');
+    expect(pathfinder.getMoveError(unit, 14, 8)).toBe('Target is out of range (movement 2)');
+    expect(pathfinder.getMoveError(unit, 12, 8)).toBe('No path to target');
+  });
+});
+
+describe('ActionProcessor movement', () => {
+  let gameState;
+  let turnManager;
+  let actionProcessor;
+  let unit;
+
+  beforeEach(() => {
+    gameState = new GameState();
+    const resourceManager = new ResourceManager(gameState);
+    turnManager = new TurnManager(gameState, { resourceManager, useTimers: false });
+    actionProcessor = new ActionProcessor(gameState, turnManager, resourceManager);
+    gameState.startGame();
+    turnManager.nextPhase();
+    unit = gameState.createUnit('infantry', 1, 10, 8);
+  });
+
+  afterEach(() => {
+    turnManager.destroy();
+  });
+
+  test('should move units anywhere within their reach', () => {
+    const result = actionProcessor.process(1, { type: 'move', unitId: unit.id, x: 11, y: 9 });
+
+    expect(result.success).toBe(true);
+    expect(unit.position).toEqual({ x: 11, y: 9 });
+  });
+
+  test('should reject moves to unreachable cells with a reason', () => {
+    const result = actionProcessor.process(1, { type: 'move', unitId: unit.id, x: 13, y: 8 });
+
+    expect(result).toEqual({ success: false, reason: 'Target is out of range (movement 2)' });
+    expect(unit.position).toEqual({ x: 10, y: 8 });
+    expect(gameState.getCurrentPlayer().actionsRemaining).toBe(3);
+  });
+
+  test('should reject moves by units that have used their actions', () => {
+    unit.actionsUsed = unit.maxActions;
+
+    const result = actionProcessor.process(1, { type: 'move', unitId: unit.id, x: 11, y: 8 });
+
+    expect(result.reason).toBe('Unit has no actions left');
+  });
+});
+
+
+describe('Pathfinder terrain', () => {
+  const terrain = [
+    { x: 10, y: 9, type: 'forest' },
+    { x: 9, y: 10, type: 'hills' },
+    { x: 11, y: 10, type: 'water' }
+  ];
+  let gameState;
+  let pathfinder;
+
+  beforeEach(() => {
+    gameState = new GameState({ terrain });
+    pathfinder = new Pathfinder(gameState);
+  });
+
+  test('should charge the terrain movement cost for each cell entered', () => {
+    // A scout without fast_move, which would cross every cell for one point
+    const ruleset = createStandardRuleset();
+    ruleset.units.find(unitType => unitType.id === 'scout').abilities = ['scout'];
+    gameState = new GameState({ terrain, ruleset });
+    pathfinder = new Pathfinder(gameState);
+    const scout = gameState.createUnit('scout', 1, 10, 10); // movement 4
+
+    const reachable = pathfinder.getReachableCells(scout);
+
+    expect(reachable).toContainEqual({ x: 10, y: 9, distance: 2 });
+    expect(reachable).toContainEqual({ x: 9, y: 10, distance: 3 });
+    expect(reachable).toContainEqual({ x: 10, y: 8, distance: 3 });
+    expect(reachable.some(cell => cell.x === 11 && cell.y === 10)).toBe(false);
+  });
+
+  test('should always let a unit step one cell into rough terrain', () => {
+    const heavy = gameState.createUnit('heavy', 1, 10, 10); // movement 1
+
+    expect(pathfinder.findPath(heavy, 10, 9)).toEqual([{ x: 10, y: 9 }]);
+    expect(pathfinder.findPath(heavy, 9, 10)).toEqual([{ x: 9, y: 10 }]);
+  });
+
+  test('should reject moves onto impassable terrain', () => {
+    const infantry = gameState.createUnit('infantry', 1, 10, 10);
+
+    expect(pathfinder.getMoveError(infantry, 11, 10)).toBe('Target cell is impassable');
+  });
+
+  test('should not reach cells beyond the movement budget through rough terrain', () => {
+    const infantry = gameState.createUnit('infantry', 1, 10, 10); // movement 2
+
+    expect(pathfinder.findPath(infantry, 10, 8)).toBe(null);
+    expect(pathfinder.getMoveError(infantry, 10, 8)).toBe('No path to target');
+  });
+});
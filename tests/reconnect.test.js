@@ -0,0 +1,311 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for reconnecting to online matches: resuming a seat with the missed events,
+ * falling back to a snapshot, and turn clocks that wait for disconnected players
+ */
+
+import { WebSocket } from 'ws';
+import { openDatabase } from '../server/database.js';
+import { createApp } from '../server/app.js';
+import { MultiplayerServer } from '../server/multiplayer.js';
+import { MatchService } from '../server/matchService.js';
+import { TurnTimers } from '../server/turnTimers.js';
+import { NetworkClient } from '../public/networkClient.js';
+import { GameState } from '../public/gameState.js';
+import { ResourceManager } from '../public/resourceManager.js';
+import { applyGameEvent } from '../public/eventApplier.js';
+import { connect } from './helpers/sockets.js';
+
+describe('Reconnecting to a match', () => {
+  let db;
+  let app;
+  let server;
+  let multiplayer;
+  let url;
+  let sockets;
+
+  const joinSeat = async (matchId, playerId, extra = {}) => {
+    const client = await connect(url, sockets);
+    client.send({ type: 'join', matchId, playerId, ...extra });
+    return { client, joined: await client.next('joined') };
+  };
+
+  const nextEvent = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+  beforeEach((done) => {
+    sockets = [];
+    db = openDatabase(':memory:');
+    app = createApp({ db });
+    server = app.listen(0, () => {
+      url = `ws://127.0.0.1:${server.address().port}/ws`;
+      done();
+    });
+    multiplayer = new MultiplayerServer(server, app.locals.matchService);
+  });
+
+  afterEach((done) => {
+    sockets.forEach(socket => socket.terminate());
+    multiplayer.close();
+    server.close(() => {
+      db.close();
+      done();
+    });
+  });
+
+  test('should resume a seat dropped mid-phase with the events it missed', async () => {
+    const service = app.locals.matchService;
+    const match = service.createMatch();
+    const player1 = (await joinSeat(match.id, 1)).client;
+    const { client: player2, joined } = await joinSeat(match.id, 2);
+    expect(await player1.next('presence')).toEqual(expect.objectContaining({ playerId: 2, connected: true }));
+    const gameState = GameState.deserialize(joined.state.gameState);
+    const mirror = { gameState, resourceManager: ResourceManager.deserialize(joined.state.resourceManager, gameState) };
+
+    // Player 1 is in their action phase when player 2's connection drops
+    player1.send({ type: 'action', action: { type: 'nextPhase' } });
+    const first = await player2.next('events');
+    first.events.forEach(({ event, data }) => applyGameEvent(mirror.gameState, mirror.resourceManager, event, data));
+
+    const disconnected = nextEvent(multiplayer, 'seatDisconnected');
+    player2.drop();
+    expect(await disconnected).toEqual({ matchId: match.id, playerId: 2 });
+    expect(await player1.next('presence')).toEqual({ type: 'presence', matchId: match.id, playerId: 2, connected: false });
+
+    service.applyAction(match.id, 1, { type: 'nextPhase' });
+    service.applyAction(match.id, 1, { type: 'createUnit', unitType: 'scout', x: 2, y: 1 });
+    service.applyAction(match.id, 1, { type: 'endTurn' });
+
+    const { client: returned, joined: resumed } = await joinSeat(match.id, 2, {
+      resumeToken: joined.resumeToken,
+      lastSequence: first.sequence
+    });
+    expect(resumed).toEqual(expect.objectContaining({ resumed: true, sequence: 4, connectedSeats: [1, 2] }));
+    expect(resumed.state).toBeUndefined();
+
+    const missed = [await returned.next('events'), await returned.next('events'), await returned.next('events')];
+    expect(missed.map(message => message.sequence)).toEqual([2, 3, 4]);
+    missed.forEach(message => message.events.forEach(({ event, data }) => {
+      applyGameEvent(mirror.gameState, mirror.resourceManager, event, data);
+    }));
+
+    const authoritative = service.getMatch(match.id).state.gameState;
+    expect(mirror.gameState.currentPlayer).toBe(2);
+    expect(mirror.gameState.currentPhase).toBe(authoritative.currentPhase);
+    expect(mirror.gameState.turnNumber).toBe(authoritative.turnNumber);
+    expect(mirror.gameState.players.get(2).energy).toBe(authoritative.players.find(player => player.id === 2).energy);
+    // Fog of war still applies to what was missed
+    expect(mirror.gameState.units.size).toBe(0);
+    expect(await player1.next('presence')).toEqual(expect.objectContaining({ playerId: 2, connected: true }));
+  });
+
+  test('should send a fresh snapshot to a refreshed page', async () => {
+    const service = app.locals.matchService;
+    const match = service.createMatch();
+    const { client: first, joined } = await joinSeat(match.id, 1);
+    first.drop();
+    await nextEvent(multiplayer, 'seatDisconnected');
+    service.applyAction(match.id, 1, { type: 'nextPhase' });
+
+    const { joined: rejoined } = await joinSeat(match.id, 1, { resumeToken: joined.resumeToken });
+
+    expect(rejoined.resumed).toBe(false);
+    expect(rejoined.sequence).toBe(1);
+    expect(rejoined.state.gameState.currentPhase).toBe('action');
+    expect(rejoined.resumeToken).toBe(joined.resumeToken);
+  });
+
+  test('should fall back to a snapshot when the missed events are no longer buffered', async () => {
+    const service = app.locals.matchService;
+    const match = service.createMatch();
+    const { client, joined } = await joinSeat(match.id, 2);
+    client.drop();
+    await nextEvent(multiplayer, 'seatDisconnected');
+
+    // A server restart forgets the buffered events and resume tokens
+    multiplayer.close();
+    service.applyAction(match.id, 1, { type: 'nextPhase' });
+    service.applyAction(match.id, 1, { type: 'nextPhase' });
+    multiplayer = new MultiplayerServer(server, service);
+
+    const { joined: rejoined } = await joinSeat(match.id, 2, {
+      resumeToken: joined.resumeToken,
+      lastSequence: joined.sequence
+    });
+
+    expect(rejoined.resumed).toBe(false);
+    expect(rejoined.state.gameState.currentPhase).toBe('build');
+  });
+
+  test('should let the resume token take a seat back from a connection that has not closed yet', async () => {
+    const match = app.locals.matchService.createMatch();
+    const { client: stale, joined } = await joinSeat(match.id, 2);
+    const staleClosed = new Promise(resolve => stale.socket.once('close', resolve));
+
+    const intruder = await connect(url, sockets);
+    intruder.send({ type: 'join', matchId: match.id, playerId: 2, resumeToken: 'guess' });
+    expect((await intruder.next('error')).reason).toBe('Player seat already taken');
+
+    const { joined: taken } = await joinSeat(match.id, 2, { resumeToken: joined.resumeToken });
+    expect(taken.playerId).toBe(2);
+    await staleClosed;
+    expect(multiplayer.getConnectedSeats(match.id)).toEqual([2]);
+  });
+});
+
+describe('TurnTimers with disconnected players', () => {
+  let db;
+  let matchService;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    db = openDatabase(':memory:');
+    matchService = new MatchService(db);
+  });
+
+  afterEach(() => {
+    db.close();
+    jest.useRealTimers();
+  });
+
+  const createTimedMatch = () => matchService.createMatch({ settings: { turnTimeLimit: 30000 } });
+  const currentPlayerOf = matchId => matchService.getMatch(matchId).state.gameState.currentPlayer;
+
+  test('should pause the clock until the player on turn returns', () => {
+    const timers = new TurnTimers(matchService, { gracePeriod: null });
+    timers.start();
+    const match = createTimedMatch();
+
+    jest.advanceTimersByTime(10000);
+    matchService.applyAction(match.id, 1, { type: 'nextPhase' });
+    timers.setConnected(match.id, 1, false);
+    expect(timers.getClock(match.id)).toEqual({ remaining: 20000, paused: true });
+
+    jest.advanceTimersByTime(3600000);
+    expect(currentPlayerOf(match.id)).toBe(1);
+
+    timers.setConnected(match.id, 1, true);
+    jest.advanceTimersByTime(19999);
+    expect(currentPlayerOf(match.id)).toBe(1);
+    jest.advanceTimersByTime(1);
+    expect(currentPlayerOf(match.id)).toBe(2);
+    timers.stop();
+  });
+
+  test('should start the clock again once the grace period is over', () => {
+    const timers = new TurnTimers(matchService, { gracePeriod: 10000 });
+    timers.start();
+    const match = createTimedMatch();
+
+    jest.advanceTimersByTime(5000);
+    timers.setConnected(match.id, 1, false);
+    jest.advanceTimersByTime(10000);
+    expect(timers.getClock(match.id)).toEqual({ remaining: 25000, paused: false });
+
+    jest.advanceTimersByTime(25000);
+    expect(currentPlayerOf(match.id)).toBe(2);
+    timers.stop();
+  });
+
+  test('should hold the clock of a turn that starts while its player is away', () => {
+    const timers = new TurnTimers(matchService, { gracePeriod: null });
+    timers.start();
+    const match = createTimedMatch();
+    timers.setConnected(match.id, 2, false);
+
+    // Player 2 dropping does not stop player 1's clock
+    expect(timers.getClock(match.id).paused).toBe(false);
+    matchService.applyAction(match.id, 1, { type: 'endTurn' });
+
+    expect(timers.getClock(match.id)).toEqual({ remaining: 30000, paused: true });
+    timers.stop();
+  });
+});
+
+describe('NetworkClient reconnecting', () => {
+  let db;
+  let app;
+  let server;
+  let multiplayer;
+  let url;
+
+  const nextEvent = (client, event) => new Promise(resolve => {
+    const listener = (data) => {
+      client.eventListeners.set(event, client.eventListeners.get(event).filter(callback => callback !== listener));
+      resolve(data);
+    };
+    client.on(event, listener);
+  });
+
+  beforeAll(() => {
+    // The client is written against the browser WebSocket, which ws implements
+    global.WebSocket = WebSocket;
+  });
+
+  afterAll(() => {
+    delete global.WebSocket;
+  });
+
+  beforeEach((done) => {
+    db = openDatabase(':memory:');
+    app = createApp({ db });
+    server = app.listen(0, () => {
+      url = `ws://127.0.0.1:${server.address().port}/ws`;
+      done();
+    });
+    multiplayer = new MultiplayerServer(server, app.locals.matchService);
+  });
+
+  afterEach((done) => {
+    multiplayer.close();
+    server.close(() => {
+      db.close();
+      done();
+    });
+  });
+
+  test('should reconnect after a dropped connection and catch up on missed events', async () => {
+    const service = app.locals.matchService;
+    const match = service.createMatch();
+    const client = new NetworkClient(url, { reconnectDelay: 10 });
+    await client.connect();
+    client.join(match.id, 2);
+    await nextEvent(client, 'joined');
+
+    const reconnecting = nextEvent(client, 'reconnecting');
+    const rejoined = nextEvent(client, 'joined');
+    const [socket] = Array.from(multiplayer.clients.keys());
+    socket.terminate();
+    service.applyAction(match.id, 1, { type: 'nextPhase' });
+
+    expect(await reconnecting).toEqual({ attempt: 1, delay: 10 });
+    const events = nextEvent(client, 'events');
+    expect((await rejoined).resumed).toBe(true);
+    expect((await events).sequence).toBe(1);
+    expect(client.lastSequence).toBe(1);
+
+    const disconnected = nextEvent(client, 'disconnected');
+    client.disconnect();
+    await disconnected;
+    expect(client.reconnectTimeout).toBe(null);
+  });
+
+  test('should give up after the last reconnect attempt', async () => {
+    const match = app.locals.matchService.createMatch();
+    const client = new NetworkClient(url, { reconnectDelay: 10, maxReconnectAttempts: 2 });
+    await client.connect();
+    client.join(match.id, 1);
+    await nextEvent(client, 'joined');
+
+    const attempts = [];
+    client.on('reconnecting', ({ attempt }) => attempts.push(attempt));
+    const disconnected = nextEvent(client, 'disconnected');
+    client.url = 'ws://127.0.0.1:1/ws';
+    Array.from(multiplayer.clients.keys())[0].terminate();
+
+    await disconnected;
+    expect(attempts).toEqual([1, 2]);
+  });
+});
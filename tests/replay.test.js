@@ -0,0 +1,162 @@
+/**
+ * Tests for the action log recorder and replay player
+ */
+
+import { ReplayRecorder, ReplayPlayer, REPLAY_VERSION } from '../public/replay.js';
+import { AIPlayer, Simulation } from '../public/aiPlayer.js';
+import { GameState } from '../public/gameState.js';
+import { ResourceManager } from '../public/resourceManager.js';
+import { TurnManager } from '../public/turnManager.js';
+import { VictoryManager } from '../public/victoryManager.js';
+import { ActionProcessor } from '../public/actionProcessor.js';
+
+describe('Replay', () => {
+  let gameState;
+  let resourceManager;
+  let turnManager;
+  let actionProcessor;
+  let recorder;
+
+  const playTurns = (count) => {
+    const players = { 1: new AIPlayer(1, 'easy'), 2: new AIPlayer(2, 'easy') };
+    const lastTurn = gameState.turnNumber + count;
+    while (gameState.status === 'playing' && gameState.turnNumber < lastTurn) {
+      const playerId = gameState.currentPlayer;
+      const action = players[playerId].chooseAction(Simulation.snapshot({ gameState, resourceManager }));
+      expect(actionProcessor.process(playerId, action).success).toBe(true);
+    }
+  };
+
+  beforeEach(() => {
+    gameState = new GameState();
+    resourceManager = new ResourceManager(gameState);
+    turnManager = new TurnManager(gameState, { resourceManager, useTimers: false });
+    new VictoryManager(gameState, turnManager);
+    actionProcessor = new ActionProcessor(gameState, turnManager, resourceManager);
+    recorder = new ReplayRecorder(gameState, resourceManager);
+    gameState.startGame();
+  });
+
+  afterEach(() => {
+    recorder.stop();
+    turnManager.destroy();
+  });
+
+  test('should record a versioned log with the initial setup and ordered events', () => {
+    const log = recorder.getLog();
+
+    expect(log.version).toBe(REPLAY_VERSION);
+    expect(log.gameId).toBe(gameState.gameId);
+    expect(log.setup.gameState.status).toBe('ready');
+    expect(log.events[0]).toMatchObject({ sequence: 1, event: 'gameStarted' });
+    expect(log.events.map(entry => entry.sequence)).toEqual(log.events.map((entry, index) => index + 1));
+  });
+
+  test('should not record timer ticks', () => {
+    gameState.emit('turnTimerTick', { timeRemaining: 1000, totalTime: 120000 });
+
+    expect(recorder.getLog().events.some(entry => entry.event === 'turnTimerTick')).toBe(false);
+  });
+
+  test('should rebuild the final board from the log', () => {
+    playTurns(6);
+
+    const replay = new ReplayPlayer(recorder.getLog());
+    replay.seek(replay.length);
+
+    expect(replay.gameState.serialize()).toEqual(gameState.serialize());
+    expect(replay.resourceManager.serialize().resourceNodes).toEqual(resourceManager.serialize().resourceNodes);
+  });
+
+  test('should survive a JSON round trip', () => {
+    playTurns(4);
+
+    const replay = ReplayPlayer.fromJSON(JSON.stringify(recorder.getLog()));
+    replay.seek(replay.length);
+
+    expect(replay.gameState.serialize()).toEqual(gameState.serialize());
+  });
+
+  test('should step forwards and backwards through the log', () => {
+    playTurns(2);
+    const replay = new ReplayPlayer(recorder.getLog());
+
+    expect(replay.position).toBe(0);
+    expect(replay.gameState.status).toBe('ready');
+
+    expect(replay.step()).toBe(true);
+    expect(replay.getCurrentEvent().event).toBe('gameStarted');
+    expect(replay.gameState.status).toBe('playing');
+
+    replay.stepBack();
+    expect(replay.position).toBe(0);
+    expect(replay.gameState.status).toBe('ready');
+  });
+
+  test('should seek to the same state as stepping', () => {
+    playTurns(4);
+    const log = recorder.getLog();
+    const middle = Math.floor(log.events.length / 2);
+
+    const stepped = new ReplayPlayer(log);
+    for (let i = 0; i < middle; i++) {
+      stepped.step();
+    }
+    const seeked = new ReplayPlayer(log);
+    seeked.seek(log.events.length);
+    seeked.seek(middle);
+
+    expect(seeked.gameState.serialize()).toEqual(stepped.gameState.serialize());
+  });
+
+  test('should clamp seeks to the log and stop stepping at the end', () => {
+    const replay = new ReplayPlayer(recorder.getLog());
+
+    replay.seek(10000);
+    expect(replay.position).toBe(replay.length);
+    expect(replay.step()).toBe(false);
+
+    replay.seek(-5);
+    expect(replay.position).toBe(0);
+  });
+
+  test('should play and pause on a timer', () => {
+    jest.useFakeTimers();
+    playTurns(2);
+    const onUpdate = jest.fn();
+    const replay = new ReplayPlayer(recorder.getLog(), { onUpdate });
+
+    replay.play(100);
+    jest.advanceTimersByTime(300);
+    expect(replay.position).toBe(3);
+    expect(replay.isPlaying()).toBe(true);
+
+    replay.pause();
+    jest.advanceTimersByTime(300);
+    expect(replay.position).toBe(3);
+    expect(onUpdate).toHaveBeenCalled();
+
+    replay.play(1);
+    jest.advanceTimersByTime(replay.length * 2);
+    expect(replay.isAtEnd()).toBe(true);
+    expect(replay.isPlaying()).toBe(false);
+    jest.useRealTimers();
+  });
+
+  test('should reject logs from other versions', () => {
+    const log = { ...recorder.getLog(), version: 99 };
+
+    expect(() => new ReplayPlayer(log)).toThrow('Unsupported replay version: 99');
+    expect(() => new ReplayPlayer({})).toThrow('Invalid replay log');
+  });
+
+  test('should leave the log untouched while replaying', () => {
+    playTurns(2);
+    const log = recorder.getLog();
+    const copy = JSON.parse(JSON.stringify(log));
+
+    new ReplayPlayer(log).seek(log.events.length);
+
+    expect(log).toEqual(copy);
+  });
+});
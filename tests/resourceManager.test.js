@@ -4,6 +4,8 @@
 
 import { ResourceManager } from '../public/resourceManager.js';
 import { GameState } from '../public/gameState.js';
+import { TurnManager } from '../public/turnManager.js';
+import { ActionProcessor } from '../public/actionProcessor.js';
 
 describe('ResourceManager', () => {
   let gameState;
@@ -57,8 +59,10 @@ describe('ResourceManager', () => {
     
     expect(result.success).toBe(true);
     expect(result.amount).toBe(5); // Base gather amount
-    expect(player.energy).toBe(initialEnergy + 5);
-    expect(player.resourcesGathered).toBe(5);
+    expect(worker.cargo).toBe(5);
+    // Gathered resources only reach the player once deposited at the base
+    expect(player.energy).toBe(initialEnergy);
+    expect(player.resourcesGathered).toBe(0);
     expect(worker.actionsUsed).toBe(1);
   });
 
@@ -292,4 +296,125 @@ describe('ResourceManager', () => {
       regeneratedAmount: 2
     }));
   });
-});
\ No newline at end of file
+});
+
+describe('Worker cargo', () => {
+  let gameState;
+  let resourceManager;
+  let now;
+
+  beforeEach(() => {
+    gameState = new GameState();
+    resourceManager = new ResourceManager(gameState);
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const gatherAgain = (worker) => {
+    now += resourceManager.gatherCooldown;
+    worker.resetActions();
+    return resourceManager.gatherResources(worker.id);
+  };
+
+  test('should stop gathering once the worker carries a full load', () => {
+    const worker = gameState.createUnit('worker', 1, 11, 12);
+
+    resourceManager.gatherResources(worker.id);
+    gatherAgain(worker);
+    const result = gatherAgain(worker);
+
+    expect(worker.cargo).toBe(10);
+    expect(worker.isFullyLoaded()).toBe(true);
+    expect(result).toEqual({ success: false, reason: 'Worker is fully loaded' });
+  });
+
+  test('should only load what fits in the remaining capacity', () => {
+    const worker = gameState.createUnit('worker', 1, 11, 12);
+    worker.cargo = 8;
+
+    const result = resourceManager.gatherResources(worker.id);
+
+    expect(result.amount).toBe(2);
+    expect(worker.cargo).toBe(10);
+    expect(resourceManager.getResourceNodeAt(12, 12).value).toBe(23);
+  });
+
+  test('should deposit cargo as energy next to the worker\'s base', () => {
+    const worker = gameState.createUnit('worker', 1, 2, 1);
+    const player = gameState.players.get(1);
+    const initialEnergy = player.energy;
+    const depositCallback = jest.fn();
+    gameState.on('resourcesDeposited', depositCallback);
+    worker.cargo = 10;
+
+    const result = resourceManager.depositResources(worker.id);
+
+    expect(result).toEqual({ success: true, amount: 10 });
+    expect(player.energy).toBe(initialEnergy + 10);
+    expect(player.resourcesGathered).toBe(10);
+    expect(worker.cargo).toBe(0);
+    expect(worker.actionsUsed).toBe(1);
+    expect(depositCallback).toHaveBeenCalledWith({ unitId: worker.id, playerId: 1, amount: 10 });
+  });
+
+  test('should reject deposits away from the base or without cargo', () => {
+    const farWorker = gameState.createUnit('worker', 1, 11, 12);
+    const emptyWorker = gameState.createUnit('worker', 1, 2, 1);
+    const scout = gameState.createUnit('scout', 1, 1, 2);
+    farWorker.cargo = 5;
+
+    expect(resourceManager.depositResources(farWorker.id).reason).toBe('Worker must be next to its base to deposit');
+    expect(resourceManager.depositResources(emptyWorker.id).reason).toBe('Worker is not carrying any resources');
+    expect(resourceManager.depositResources(scout.id).reason).toBe('Unit cannot deposit');
+  });
+
+  test('should not deposit at an enemy base', () => {
+    const worker = gameState.createUnit('worker', 2, 2, 1);
+    worker.cargo = 5;
+
+    expect(resourceManager.depositResources(worker.id).success).toBe(false);
+  });
+
+  test('should only gather and deposit as actions during the action phase', () => {
+    const turnManager = new TurnManager(gameState, { resourceManager, useTimers: false });
+    const processor = new ActionProcessor(gameState, turnManager, resourceManager);
+    gameState.startGame();
+    const gatherer = gameState.createUnit('worker', 1, 11, 12);
+    const depositor = gameState.createUnit('worker', 1, 2, 1);
+    depositor.cargo = 5;
+    const gather = () => processor.process(1, { type: 'gather', unitId: gatherer.id });
+    const deposit = () => processor.process(1, { type: 'deposit', unitId: depositor.id });
+
+    try {
+      expect(gameState.currentPhase).toBe('resource');
+      expect(gather().reason).toBe('Workers can only gather during the action phase');
+      expect(deposit().reason).toBe('Workers can only deposit during the action phase');
+
+      turnManager.nextPhase();
+      expect(gather().success).toBe(true);
+      expect(deposit()).toEqual({ success: true, amount: 5 });
+
+      turnManager.nextPhase();
+      expect(gameState.currentPhase).toBe('build');
+      depositor.cargo = 5;
+      expect(gather().reason).toBe('Workers can only gather during the action phase');
+      expect(deposit().reason).toBe('Workers can only deposit during the action phase');
+      expect(depositor.cargo).toBe(5);
+    } finally {
+      turnManager.destroy();
+    }
+  });
+
+  test('should serialize cargo with the unit', () => {
+    const worker = gameState.createUnit('worker', 1, 11, 12);
+    worker.cargo = 7;
+
+    const restored = GameState.deserialize(gameState.serialize());
+
+    expect(restored.units.get(worker.id).cargo).toBe(7);
+  });
+});
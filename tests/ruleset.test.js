@@ -0,0 +1,220 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for rule sets: validation, games played with them and loading them on the server
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  RULESET_VERSION,
+  STANDARD_RULESET,
+  createStandardRuleset,
+  validateRuleset,
+  parseRuleset
+} from '../public/ruleset.js';
+import { GameState } from '../public/gameState.js';
+import { applyGameEvent } from '../public/eventApplier.js';
+import { createEmptyMap } from '../public/mapDefinition.js';
+import { openDatabase } from '../server/database.js';
+import { createApp } from '../server/app.js';
+import { MatchService } from '../server/matchService.js';
+import { RoomService } from '../server/roomService.js';
+import { RulesetService } from '../server/rulesetService.js';
+import { UNIT_TYPES, UNIT_CHARACTERS } from '../shared/constants.js';
+
+const RULESET_DIRECTORY = path.join(__dirname, '../rulesets');
+
+// The standard rule set with a cheap, fast raider added
+function createModdedRuleset() {
+  const ruleset = createStandardRuleset();
+  ruleset.id = 'modded';
+  ruleset.name = 'Modded';
+  ruleset.units.push({
+    id: 'raider',
+    name: 'Raider',
+    cost: 20,
+    health: 60,
+    attack: 25,
+    movement: 4,
+    sight: 3,
+    glyph: '♘',
+    abilities: ['attack', 'fast_move']
+  });
+  return ruleset;
+}
+
+describe('Rule sets', () => {
+  test('should make the standard rule set from the unit constants', () => {
+    const ruleset = createStandardRuleset();
+
+    expect(ruleset.version).toBe(RULESET_VERSION);
+    expect(ruleset.id).toBe('standard');
+    expect(ruleset.units.map(unit => unit.id)).toEqual(['worker', 'scout', 'infantry', 'heavy']);
+    expect(ruleset.units[0]).toEqual({ ...UNIT_TYPES.WORKER, glyph: UNIT_CHARACTERS.worker });
+    expect(validateRuleset(ruleset)).toEqual([]);
+    expect(Object.isFrozen(STANDARD_RULESET.units[0])).toBe(true);
+  });
+
+  test('should report every problem with a unit type', () => {
+    const ruleset = createModdedRuleset();
+    Object.assign(ruleset.units[4], { health: 0, glyph: '♘♘', abilities: ['attack', 'teleport'] });
+    delete ruleset.units[0].carryCapacity;
+    ruleset.units.push({ ...ruleset.units[1] });
+
+    expect(validateRuleset(ruleset)).toEqual([
+      'Unit type worker gathers, so needs a carryCapacity above 0',
+      'Unit type raider needs a whole health from 1 to 1000',
+      'Unit type raider needs a glyph of a single character',
+      'Unit type raider has unknown ability: teleport',
+      'Unit type scout is listed twice'
+    ]);
+  });
+
+  test('should reject rule sets without a name, units or a supported version', () => {
+    expect(validateRuleset({ ...createStandardRuleset(), version: 2 })).toEqual(['Unsupported rule set version: 2']);
+    expect(validateRuleset({ ...createStandardRuleset(), id: 'My Rules', name: ' ', units: [] })).toEqual([
+      'Rule set id must be 1 to 40 lowercase letters, digits, dashes or underscores',
+      'Rule set needs a name',
+      'Rule set needs 1 to 12 unit types'
+    ]);
+  });
+
+  test('should parse rule sets from JSON and refuse invalid ones', () => {
+    const ruleset = createModdedRuleset();
+
+    expect(parseRuleset(JSON.stringify(ruleset))).toEqual(ruleset);
+    expect(() => parseRuleset('{ nope')).toThrow('Rule set file is not valid JSON');
+    expect(() => parseRuleset({ ...ruleset, units: 'all' })).toThrow('Invalid rule set: Rule set needs 1 to 12 unit types');
+  });
+});
+
+describe('Games with a rule set', () => {
+  test('should build units of the rule set with its stats', () => {
+    const gameState = new GameState({ ruleset: createModdedRuleset() });
+    gameState.startGame();
+
+    const raider = gameState.createUnit('raider', 1, 1, 2);
+    expect(raider.getStats().movement).toBe(4);
+    expect(raider.health).toBe(60);
+    expect(gameState.players.get(1).energy).toBe(80);
+    expect(gameState.getUnitTypes().map(unitType => unitType.id)).toContain('raider');
+
+    expect(new GameState().createUnit('raider', 1, 1, 2)).toBe(null);
+  });
+
+  test('should keep the rule set when the game is saved and mirrored', () => {
+    const gameState = new GameState({ ruleset: createModdedRuleset(), units: [{ type: 'raider', playerId: 1, x: 5, y: 5 }] });
+    gameState.startGame();
+    const mirror = GameState.deserialize(gameState.serialize());
+    gameState.on('*', (event, data) => applyGameEvent(mirror, null, event, JSON.parse(JSON.stringify(data))));
+
+    gameState.createUnit('raider', 2, 23, 22);
+
+    expect(mirror.ruleset.name).toBe('Modded');
+    expect(mirror.units.get('unit_1').getStats().glyph).toBe('♘');
+    expect(mirror.units.get('unit_2').health).toBe(60);
+    expect(mirror.players.get(2).energy).toBe(80);
+    // Units are sent without their type's stats
+    expect(JSON.parse(JSON.stringify(gameState.units.get('unit_2')))).toEqual(gameState.units.get('unit_2').serialize());
+  });
+
+  test('should play games saved before rule sets with the standard units', () => {
+    const data = new GameState({ units: [{ type: 'scout', playerId: 1, x: 5, y: 5 }] }).serialize();
+    delete data.ruleset;
+
+    const gameState = GameState.deserialize(data);
+
+    expect(gameState.ruleset).toBe(STANDARD_RULESET);
+    expect(gameState.units.get('unit_1').getStats().movement).toBe(UNIT_TYPES.SCOUT.movement);
+  });
+});
+
+describe('RulesetService', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rulesets-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should offer the standard rule set and each valid file, named by the file', () => {
+    const { id, ...modded } = createModdedRuleset();
+    fs.writeFileSync(path.join(directory, 'raiders.json'), JSON.stringify(modded));
+    fs.writeFileSync(path.join(directory, 'notes.txt'), 'not a rule set');
+
+    const service = new RulesetService(directory);
+
+    expect(service.listRulesets().map(ruleset => ruleset.id)).toEqual(['standard', 'raiders']);
+    expect(service.getRuleset('raiders').units).toHaveLength(5);
+    expect(service.getRuleset('missing')).toBe(null);
+    expect(new RulesetService(path.join(directory, 'missing')).listRulesets()).toEqual([STANDARD_RULESET]);
+  });
+
+  test('should refuse to start with a rule set that does not validate', () => {
+    fs.writeFileSync(path.join(directory, 'broken.json'), JSON.stringify({ ...createStandardRuleset(), units: [] }));
+
+    expect(() => new RulesetService(directory))
+      .toThrow('Cannot load rule set broken.json: Invalid rule set: Rule set needs 1 to 12 unit types');
+  });
+
+  test('should load the rule sets that ship with the game', () => {
+    const service = new RulesetService(RULESET_DIRECTORY);
+
+    expect(service.getRuleset('blitz').name).toBe('Blitz');
+  });
+});
+
+describe('Rooms with a rule set', () => {
+  let db;
+  let rooms;
+  let matchService;
+
+  beforeEach(() => {
+    db = openDatabase(':memory:');
+    matchService = new MatchService(db);
+    rooms = new RoomService(db, matchService, new RulesetService(RULESET_DIRECTORY));
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('should play the match with the chosen rule set', () => {
+    const { room } = rooms.createRoom({ name: 'Blitz game', ruleset: 'blitz' });
+
+    expect(room.options.ruleset).toBe('blitz');
+    const { gameState } = matchService.getMatch(room.matchId).state;
+    expect(gameState.ruleset.units.map(unit => unit.id)).toContain('raider');
+  });
+
+  test('should reject unknown rule sets and starting units the rule set does not have', () => {
+    const map = createEmptyMap(12, 'Raid');
+    map.units.push({ type: 'raider', playerId: 1, x: 5, y: 5 });
+
+    expect(rooms.createRoom({ name: 'Game', ruleset: 'chess' }).reason).toBe('Unknown rule set: chess');
+    expect(rooms.createRoom({ name: 'Game', map }).reason).toBe('Invalid map: Unit at (5, 5) has unknown type: raider');
+    expect(rooms.createRoom({ name: 'Game', map, ruleset: 'blitz' }).success).toBe(true);
+  });
+
+  test('should list rule sets over the API', async () => {
+    const server = createApp({ db, rulesetDirectory: RULESET_DIRECTORY }).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const list = await (await fetch(`${baseUrl}/api/rulesets`)).json();
+      expect(list.map(ruleset => ruleset.id)).toEqual(['standard', 'blitz']);
+      expect((await fetch(`${baseUrl}/api/rulesets/blitz`)).status).toBe(200);
+      expect((await fetch(`${baseUrl}/api/rulesets/chess`)).status).toBe(404);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
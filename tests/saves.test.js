@@ -0,0 +1,247 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for named save slots: the save format migrations, SaveService and the saves API
+ */
+
+import { openDatabase } from '../server/database.js';
+import { createApp } from '../server/app.js';
+import { SaveService } from '../server/saveService.js';
+import { PersistenceManager, SAVE_VERSION, migrateSaveData } from '../public/persistence.js';
+import { GameState } from '../public/gameState.js';
+import { ResourceManager } from '../public/resourceManager.js';
+
+function createGame() {
+  const gameState = new GameState();
+  const resourceManager = new ResourceManager(gameState);
+  gameState.startGame();
+  return { gameState, resourceManager };
+}
+
+function createSaveData() {
+  const { gameState, resourceManager } = createGame();
+  return new PersistenceManager().createSaveData(gameState, resourceManager);
+}
+
+// A save as the old single-slot localStorage format wrote it, before boards had a size, terrain or bases
+function createLegacySaveData() {
+  const { gameState: current, resourceManager } = createGame();
+  const { size, terrain, bases, ...gameState } = current.serialize();
+  return {
+    version: '1.0',
+    savedAt: '2025-01-01T00:00:00.000Z',
+    gameState,
+    resourceManager: resourceManager.serialize()
+  };
+}
+
+describe('Save format migrations', () => {
+  test('should upgrade old localStorage saves to the current version', () => {
+    const migrated = migrateSaveData(createLegacySaveData());
+
+    expect(migrated.version).toBe(SAVE_VERSION);
+    expect(migrated.savedAt).toBe('2025-01-01T00:00:00.000Z');
+    expect(migrated.gameState.size).toBe(25);
+    expect(migrated.gameState.terrain).toEqual([]);
+    expect(migrated.gameState.bases).toHaveLength(2);
+  });
+
+  test('should give version 2 saves a time control and a clock', () => {
+    const data = createSaveData();
+    const { clock, ...gameState } = data.gameState;
+    const migrated = migrateSaveData({
+      ...data,
+      version: 2,
+      gameState: { ...gameState, settings: { maxActions: 3, turnTimeLimit: 60000 } }
+    });
+
+    expect(migrated.version).toBe(SAVE_VERSION);
+    expect(migrated.gameState.settings).toEqual({ maxActions: 3, timeControl: { mode: 'turn', turnTime: 60000 }, turnMode: 'alternating' });
+    expect(migrated.gameState.clock).toEqual({ remaining: 60000, banks: null });
+  });
+
+  test('should leave current saves unchanged', () => {
+    const data = createSaveData();
+
+    expect(migrateSaveData(data)).toBe(data);
+  });
+
+  test('should reject unknown versions and malformed data', () => {
+    expect(() => migrateSaveData({ ...createSaveData(), version: 99 })).toThrow('Unsupported save version: 99');
+    expect(() => migrateSaveData({ version: SAVE_VERSION })).toThrow('Invalid save data');
+  });
+
+  test('should restore migrated saves into game objects', () => {
+    const { gameState, resourceManager } = new PersistenceManager().restoreSaveData(createLegacySaveData());
+
+    expect(gameState.currentPlayer).toBe(1);
+    expect(gameState.size).toBe(25);
+    expect(resourceManager.resourceNodes).toHaveLength(9);
+  });
+});
+
+describe('SaveService', () => {
+  const OWNER = 'client:alice-browser';
+  let db;
+  let saveService;
+
+  beforeEach(() => {
+    db = openDatabase(':memory:');
+    saveService = new SaveService(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('should create, list and load saves', () => {
+    const data = createSaveData();
+
+    const result = saveService.createSave(OWNER, '  First game ', data);
+
+    expect(result.success).toBe(true);
+    expect(result.save).toEqual(expect.objectContaining({ name: 'First game', schemaVersion: SAVE_VERSION, data }));
+    expect(saveService.listSaves(OWNER)).toEqual([expect.objectContaining({
+      id: result.save.id,
+      name: 'First game',
+      summary: { turnNumber: 1, currentPlayer: 1, status: 'playing', size: 25 }
+    })]);
+    expect(saveService.listSaves(OWNER)[0].data).toBeUndefined();
+    expect(saveService.getSave(OWNER, result.save.id)).toEqual(result.save);
+  });
+
+  test('should keep every owner to their own saves', () => {
+    const { save } = saveService.createSave(OWNER, 'Slot', createSaveData());
+    const other = 'user:2';
+
+    expect(saveService.listSaves(other)).toEqual([]);
+    expect(saveService.getSave(other, save.id)).toBe(null);
+    expect(saveService.overwriteSave(other, save.id, createSaveData())).toBe(null);
+    expect(saveService.deleteSave(other, save.id)).toBe(false);
+    expect(saveService.createSave(other, 'Slot', createSaveData()).success).toBe(true);
+    expect(saveService.getSave(OWNER, save.id).name).toBe('Slot');
+  });
+
+  test('should list saves without reading their game data', () => {
+    const { save } = saveService.createSave(OWNER, 'Slot', createSaveData());
+    db.prepare('UPDATE saves SET data = ? WHERE id = ?').run('{ not json', save.id);
+
+    expect(saveService.listSaves(OWNER).map(listed => listed.name)).toEqual(['Slot']);
+  });
+
+  test('should reject duplicate names, bad names and invalid data', () => {
+    saveService.createSave(OWNER, 'Slot', createSaveData());
+
+    expect(saveService.createSave(OWNER, 'Slot', createSaveData()).reason).toBe('A save named "Slot" already exists');
+    expect(saveService.createSave(OWNER, '  ', createSaveData()).reason).toBe('Save name must be 1 to 60 characters');
+    expect(saveService.createSave(OWNER, 'Broken', { version: SAVE_VERSION }).reason).toBe('Invalid save data');
+    expect(saveService.createSave(OWNER, 'Future', { ...createSaveData(), version: 4 }).reason)
+      .toBe('Unsupported save version: 4');
+  });
+
+  test('should overwrite and rename saves', () => {
+    const { save } = saveService.createSave(OWNER, 'Slot', createSaveData());
+    saveService.createSave(OWNER, 'Other', createSaveData());
+    const { gameState, resourceManager } = createGame();
+    gameState.currentPhase = 'action';
+    const data = new PersistenceManager().createSaveData(gameState, resourceManager);
+
+    const result = saveService.overwriteSave(OWNER, save.id, data, 'Renamed');
+
+    expect(result.success).toBe(true);
+    expect(result.save.name).toBe('Renamed');
+    expect(result.save.data.gameState.currentPhase).toBe('action');
+    expect(saveService.overwriteSave(OWNER, save.id, data, 'Other').success).toBe(false);
+    expect(saveService.overwriteSave(OWNER, 999, data)).toBe(null);
+  });
+
+  test('should migrate stored old saves when reading them', () => {
+    db.prepare(`
+      INSERT INTO saves (owner, name, schema_version, data, turn_number, current_player, status, size, created_at, updated_at)
+      VALUES (?, 'Old', 1, ?, 1, 1, 'playing', 25, '2025-01-01', '2025-01-01')
+    `).run(OWNER, JSON.stringify(createLegacySaveData()));
+
+    const [listed] = saveService.listSaves(OWNER);
+    const save = saveService.getSave(OWNER, listed.id);
+
+    expect(listed.schemaVersion).toBe(1);
+    expect(save.data.version).toBe(SAVE_VERSION);
+    expect(save.data.gameState.bases).toHaveLength(2);
+  });
+
+  test('should delete saves', () => {
+    const { save } = saveService.createSave(OWNER, 'Slot', createSaveData());
+
+    expect(saveService.deleteSave(OWNER, save.id)).toBe(true);
+    expect(saveService.deleteSave(OWNER, save.id)).toBe(false);
+    expect(saveService.getSave(OWNER, save.id)).toBe(null);
+  });
+});
+
+describe('Saves API', () => {
+  let db;
+  let server;
+  let persistence;
+
+  beforeEach((done) => {
+    db = openDatabase(':memory:');
+    server = createApp({ db }).listen(0, () => {
+      persistence = new PersistenceManager('gridGameSave', `http://127.0.0.1:${server.address().port}/api/saves`);
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    server.close(() => {
+      db.close();
+      done();
+    });
+  });
+
+  test('should create, overwrite, load and delete slots through the client', async () => {
+    const { gameState, resourceManager } = createGame();
+
+    const created = await persistence.createSlot('Slot', gameState, resourceManager);
+    expect(created.success).toBe(true);
+
+    gameState.currentPhase = 'action';
+    expect((await persistence.overwriteSlot(created.save.id, gameState, resourceManager)).success).toBe(true);
+
+    const loaded = await persistence.loadSlot(created.save.id);
+    expect(loaded.success).toBe(true);
+    expect(loaded.name).toBe('Slot');
+    expect(loaded.gameState.currentPhase).toBe('action');
+
+    const listed = await persistence.listSlots();
+    expect(listed.saves.map(save => save.name)).toEqual(['Slot']);
+
+    expect((await persistence.deleteSlot(created.save.id)).success).toBe(true);
+    expect((await persistence.listSlots()).saves).toEqual([]);
+  });
+
+  test('should report API errors', async () => {
+    const { gameState, resourceManager } = createGame();
+    await persistence.createSlot('Slot', gameState, resourceManager);
+
+    expect(await persistence.createSlot('Slot', gameState, resourceManager))
+      .toEqual({ success: false, error: 'A save named "Slot" already exists' });
+    expect(await persistence.loadSlot(999)).toEqual({ success: false, error: 'Save not found' });
+    expect(await persistence.deleteSlot('abc')).toEqual({ success: false, error: 'Save not found' });
+  });
+
+  test('should hide one browser\'s slots from another', async () => {
+    const { gameState, resourceManager } = createGame();
+    const { save } = await persistence.createSlot('Slot', gameState, resourceManager);
+    const stranger = new PersistenceManager('gridGameSave', persistence.apiBase);
+
+    expect((await stranger.listSlots()).saves).toEqual([]);
+    expect(await stranger.loadSlot(save.id)).toEqual({ success: false, error: 'Save not found' });
+    expect((await stranger.deleteSlot(save.id)).success).toBe(false);
+    expect((await persistence.listSlots()).saves).toHaveLength(1);
+
+    const anonymous = await fetch(persistence.apiBase);
+    expect(anonymous.status).toBe(401);
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * Tests for simultaneous turns: order queueing, readiness and deterministic resolution
+ */
+
+import { GameState } from '../public/gameState.js';
+import { TurnManager } from '../public/turnManager.js';
+import { ActionProcessor } from '../public/actionProcessor.js';
+import { createGameFromMap } from '../public/mapDefinition.js';
+import { applyGameEvent } from '../public/eventApplier.js';
+import { filterStateForPlayer, filterEventsForPlayer } from '../public/fogOfWar.js';
+import { ResourceManager } from '../public/resourceManager.js';
+
+const BASES = [{ playerId: 1, x: 0, y: 0 }, { playerId: 2, x: 11, y: 11 }];
+
+function createGame(units, settings = {}) {
+  const map = { size: 12, bases: BASES, units, resourceNodes: [] };
+  const { gameState, resourceManager } = createGameFromMap(map, {
+    turnMode: 'simultaneous',
+    turnTimeLimit: null,
+    ...settings
+  });
+  const turnManager = new TurnManager(gameState, { resourceManager, useTimers: false });
+  const processor = new ActionProcessor(gameState, turnManager, resourceManager);
+  gameState.startGame();
+  return { gameState, resourceManager, turnManager, processor };
+}
+
+function collect(gameState, eventName) {
+  const events = [];
+  gameState.on(eventName, data => events.push(data));
+  return events;
+}
+
+describe('Simultaneous turns', () => {
+  test('should start every round with both players collecting and planning at once', () => {
+    const { gameState, processor } = createGame([
+      { type: 'infantry', playerId: 1, x: 3, y: 3 },
+      { type: 'infantry', playerId: 2, x: 8, y: 8 }
+    ]);
+
+    expect(gameState.currentPhase).toBe('action');
+    expect(gameState.players.get(1).energy).toBe(110);
+    expect(gameState.players.get(2).energy).toBe(110);
+
+    expect(processor.process(2, { type: 'move', unitId: 'unit_2', x: 8, y: 7 })).toEqual({ success: true, queued: true });
+    expect(processor.process(1, { type: 'move', unitId: 'unit_1', x: 3, y: 4 })).toEqual({ success: true, queued: true });
+    // Nothing moves until everyone is ready
+    expect(gameState.units.get('unit_1').position).toEqual({ x: 3, y: 3 });
+    expect(gameState.units.get('unit_2').position).toEqual({ x: 8, y: 8 });
+  });
+
+  test('should resolve the orders once every player is ready and then build together', () => {
+    const { gameState, processor } = createGame([
+      { type: 'infantry', playerId: 1, x: 3, y: 3 },
+      { type: 'infantry', playerId: 2, x: 8, y: 8 }
+    ]);
+    processor.process(1, { type: 'move', unitId: 'unit_1', x: 3, y: 5 });
+    processor.process(2, { type: 'move', unitId: 'unit_2', x: 8, y: 6 });
+
+    expect(processor.process(1, { type: 'nextPhase' }).success).toBe(true);
+    expect(gameState.currentPlayer).toBe(2);
+    expect(gameState.currentPhase).toBe('action');
+    expect(processor.process(1, { type: 'move', unitId: 'unit_1', x: 4, y: 3 }))
+      .toEqual({ success: false, reason: 'Waiting for the other player' });
+
+    processor.process(2, { type: 'nextPhase' });
+    expect(gameState.units.get('unit_1').position).toEqual({ x: 3, y: 5 });
+    expect(gameState.units.get('unit_2').position).toEqual({ x: 8, y: 6 });
+    expect(gameState.players.get(1).actionsRemaining).toBe(2);
+    expect(gameState.players.get(2).actionsRemaining).toBe(2);
+    expect(gameState.currentPhase).toBe('build');
+    expect(gameState.currentPlayer).toBe(1);
+
+    expect(processor.process(2, { type: 'createUnit', unitType: 'worker', x: 10, y: 11 }).success).toBe(true);
+    expect(processor.process(1, { type: 'createUnit', unitType: 'worker', x: 1, y: 0 }).success).toBe(true);
+    processor.process(2, { type: 'endTurn' });
+    processor.process(1, { type: 'endTurn' });
+
+    expect(gameState.turnNumber).toBe(2);
+    expect(gameState.currentPlayer).toBe(1);
+    expect(gameState.currentPhase).toBe('action');
+    expect(gameState.players.get(1).actionsRemaining).toBe(3);
+    expect(gameState.players.get(2).actionsRemaining).toBe(3);
+  });
+
+  test('should check orders against the action budgets when they are given', () => {
+    const { gameState, processor } = createGame([
+      { type: 'scout', playerId: 1, x: 3, y: 3 },
+      { type: 'scout', playerId: 1, x: 5, y: 5 },
+      { type: 'scout', playerId: 2, x: 8, y: 8 }
+    ], { maxActions: 2 });
+
+    expect(processor.process(1, { type: 'move', unitId: 'unit_3', x: 8, y: 7 }).reason).toBe('Unit belongs to another player');
+    expect(processor.process(1, { type: 'attack', attackerId: 'unit_1', targetId: 'nowhere' }).reason).toBe('Target not found');
+    expect(processor.process(1, { type: 'move', unitId: 'unit_1', x: 3.5, y: 3 }).reason).toBe('Invalid target position');
+
+    processor.process(1, { type: 'move', unitId: 'unit_1', x: 3, y: 4 });
+    processor.process(1, { type: 'attack', attackerId: 'unit_1', targetId: 'unit_3' });
+    expect(processor.process(1, { type: 'gather', unitId: 'unit_1' }).reason).toBe('Unit has no actions left');
+    expect(processor.process(1, { type: 'move', unitId: 'unit_2', x: 5, y: 6 }).reason).toBe('No actions remaining');
+
+    expect(processor.process(1, { type: 'cancelOrders' }).success).toBe(true);
+    expect(gameState.orders.getOrders(1)).toEqual([]);
+    expect(processor.process(1, { type: 'move', unitId: 'unit_2', x: 5, y: 6 }).success).toBe(true);
+  });
+
+  test('should keep units ordered onto the same cell where they are', () => {
+    const { gameState, processor } = createGame([
+      { type: 'infantry', playerId: 1, x: 4, y: 5 },
+      { type: 'infantry', playerId: 2, x: 6, y: 5 }
+    ]);
+    const failed = collect(gameState, 'orderFailed');
+
+    processor.process(1, { type: 'move', unitId: 'unit_1', x: 5, y: 5 });
+    processor.process(2, { type: 'move', unitId: 'unit_2', x: 5, y: 5 });
+    processor.process(1, { type: 'nextPhase' });
+    processor.process(2, { type: 'nextPhase' });
+
+    expect(gameState.units.get('unit_1').position).toEqual({ x: 4, y: 5 });
+    expect(gameState.units.get('unit_2').position).toEqual({ x: 6, y: 5 });
+    expect(failed.map(({ player, reason }) => [player, reason])).toEqual([
+      [1, 'Another unit moved to the same cell'],
+      [2, 'Another unit moved to the same cell']
+    ]);
+    // Orders that failed cost nothing
+    expect(gameState.players.get(1).actionsRemaining).toBe(3);
+  });
+
+  test('should let a unit follow one moving out of its way but not swap places', () => {
+    const { gameState, processor } = createGame([
+      { type: 'infantry', playerId: 1, x: 4, y: 5 },
+      { type: 'infantry', playerId: 2, x: 5, y: 5 },
+      { type: 'infantry', playerId: 1, x: 7, y: 7 },
+      { type: 'infantry', playerId: 2, x: 7, y: 8 }
+    ]);
+    const failed = collect(gameState, 'orderFailed');
+
+    // First orders: unit_1 steps into the cell unit_2 leaves. Second orders: a swap.
+    processor.process(1, { type: 'move', unitId: 'unit_1', x: 5, y: 5 });
+    processor.process(1, { type: 'move', unitId: 'unit_3', x: 7, y: 8 });
+    processor.process(2, { type: 'move', unitId: 'unit_2', x: 5, y: 4 });
+    processor.process(2, { type: 'move', unitId: 'unit_4', x: 7, y: 7 });
+    processor.process(1, { type: 'nextPhase' });
+    processor.process(2, { type: 'nextPhase' });
+
+    expect(gameState.units.get('unit_1').position).toEqual({ x: 5, y: 5 });
+    expect(gameState.units.get('unit_2').position).toEqual({ x: 5, y: 4 });
+    expect(gameState.units.get('unit_3').position).toEqual({ x: 7, y: 7 });
+    expect(gameState.units.get('unit_4').position).toEqual({ x: 7, y: 8 });
+    expect(failed.map(({ reason }) => reason)).toEqual(['Blocked by another moving unit', 'Blocked by another moving unit']);
+  });
+
+  test('should miss an attack on a unit that moved out of reach', () => {
+    const { gameState, processor } = createGame([
+      { type: 'infantry', playerId: 1, x: 5, y: 5 },
+      { type: 'scout', playerId: 2, x: 6, y: 5 }
+    ]);
+    const failed = collect(gameState, 'orderFailed');
+
+    processor.process(1, { type: 'attack', attackerId: 'unit_1', targetId: 'unit_2' });
+    processor.process(2, { type: 'move', unitId: 'unit_2', x: 8, y: 5 });
+    processor.process(1, { type: 'nextPhase' });
+    processor.process(2, { type: 'nextPhase' });
+
+    expect(gameState.units.get('unit_2').health).toBe(30);
+    expect(gameState.units.get('unit_2').position).toEqual({ x: 8, y: 5 });
+    expect(failed).toEqual([{ player: 1, order: { type: 'attack', attackerId: 'unit_1', targetId: 'unit_2' }, reason: 'Target moved out of reach' }]);
+  });
+
+  test('should land attacks of the same step together so both units strike', () => {
+    const { gameState, processor } = createGame([
+      { type: 'infantry', playerId: 1, x: 5, y: 5 },
+      { type: 'infantry', playerId: 2, x: 6, y: 5 }
+    ]);
+    gameState.units.get('unit_1').health = 20;
+    gameState.units.get('unit_2').health = 20;
+    const attacks = collect(gameState, 'unitAttacked');
+
+    processor.process(1, { type: 'attack', attackerId: 'unit_1', targetId: 'unit_2' });
+    processor.process(2, { type: 'attack', attackerId: 'unit_2', targetId: 'unit_1' });
+    processor.process(1, { type: 'nextPhase' });
+    processor.process(2, { type: 'nextPhase' });
+
+    expect(attacks).toHaveLength(2);
+    expect(gameState.units.size).toBe(0);
+    expect(gameState.players.get(1).stats).toEqual(expect.objectContaining({ unitsDestroyed: 1, unitsLost: 1 }));
+    expect(gameState.players.get(2).stats).toEqual(expect.objectContaining({ unitsDestroyed: 1, unitsLost: 1 }));
+  });
+
+  test('should resolve orders in steps so a unit can move up and then attack', () => {
+    const { gameState, processor } = createGame([
+      { type: 'infantry', playerId: 1, x: 4, y: 5 },
+      { type: 'infantry', playerId: 2, x: 7, y: 5 }
+    ]);
+
+    processor.process(1, { type: 'move', unitId: 'unit_1', x: 6, y: 5 });
+    processor.process(1, { type: 'attack', attackerId: 'unit_1', targetId: 'unit_2' });
+    processor.process(1, { type: 'nextPhase' });
+    processor.process(2, { type: 'nextPhase' });
+
+    expect(gameState.units.get('unit_1').position).toEqual({ x: 6, y: 5 });
+    expect(gameState.units.get('unit_2').health).toBe(80);
+    expect(gameState.players.get(1).actionsRemaining).toBe(1);
+  });
+
+  test('should carry out queued orders when a phase runs out of time', () => {
+    const { gameState, turnManager, processor } = createGame([
+      { type: 'infantry', playerId: 1, x: 4, y: 5 }
+    ], { timeControl: { mode: 'phase' } });
+
+    processor.process(1, { type: 'move', unitId: 'unit_1', x: 5, y: 5 });
+    expect(processor.process(2, { type: 'timeExpired' }).reason).toBe('Time has not run out');
+    turnManager.spendTime(gameState.clock.remaining);
+    expect(processor.process(2, { type: 'timeExpired' }).success).toBe(true);
+
+    expect(gameState.units.get('unit_1').position).toEqual({ x: 5, y: 5 });
+    expect(gameState.currentPhase).toBe('build');
+    expect(gameState.clock.remaining).toBe(30000);
+  });
+
+  test('should give simultaneous games a per-turn limit instead of a chess clock', () => {
+    expect(GameState.createSettings({ turnMode: 'simultaneous', timeControl: { mode: 'chess' } }).timeControl)
+      .toEqual({ mode: 'turn', turnTime: 120000 });
+    expect(GameState.createSettings({ turnMode: 'sideways' }).turnMode).toBe('alternating');
+  });
+
+  test('should keep orders and readiness in the saved state', () => {
+    const { gameState, processor } = createGame([
+      { type: 'infantry', playerId: 1, x: 4, y: 5 }
+    ]);
+    processor.process(1, { type: 'move', unitId: 'unit_1', x: 5, y: 5 });
+    processor.process(1, { type: 'nextPhase' });
+
+    const restored = GameState.deserialize(JSON.parse(JSON.stringify(gameState.serialize())));
+    expect(restored.orders.getOrders(1)).toEqual([{ type: 'move', unitId: 'unit_1', x: 5, y: 5 }]);
+    expect(restored.orders.isReady(1)).toBe(true);
+    expect(restored.isPlayerToAct(1)).toBe(false);
+    expect(restored.isPlayerToAct(2)).toBe(true);
+  });
+
+  test('should keep each player\'s orders from the other player', () => {
+    const { gameState, resourceManager, processor } = createGame([
+      { type: 'infantry', playerId: 1, x: 4, y: 5 },
+      { type: 'infantry', playerId: 2, x: 7, y: 5 }
+    ]);
+    const snapshot = () => ({ gameState: gameState.serialize(), resourceManager: resourceManager.serialize() });
+    const events = [];
+    gameState.on('*', (event, data) => events.push({ event, data: JSON.parse(JSON.stringify(data)) }));
+
+    const before = snapshot();
+    processor.process(1, { type: 'move', unitId: 'unit_1', x: 5, y: 5 });
+    processor.process(1, { type: 'nextPhase' });
+    const after = snapshot();
+
+    const seenByPlayer2 = filterEventsForPlayer(events, 2, before, after).map(({ event }) => event);
+    expect(seenByPlayer2).toEqual(['playerReady', 'fogSync']);
+    expect(filterStateForPlayer(after, 2).gameState.orders).toEqual({ orders: [], ready: [1] });
+    expect(filterStateForPlayer(after, 1).gameState.orders.orders).toHaveLength(1);
+
+    // A mirror following player 1's view ends up with the same orders
+    const mirror = GameState.deserialize(before.gameState);
+    const mirrorResources = ResourceManager.deserialize(before.resourceManager, mirror);
+    filterEventsForPlayer(events, 1, before, after)
+      .forEach(({ event, data }) => applyGameEvent(mirror, mirrorResources, event, data));
+    expect(mirror.orders.serialize()).toEqual(after.gameState.orders);
+    expect(mirror.currentPlayer).toBe(2);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for status effects: stacking, ticking down with turns and saving with the unit
+ */
+
+import { GameState } from '../public/gameState.js';
+import { TurnManager } from '../public/turnManager.js';
+import { ActionProcessor } from '../public/actionProcessor.js';
+import { ResourceManager } from '../public/resourceManager.js';
+import { Pathfinder } from '../public/pathfinding.js';
+import { applyGameEvent } from '../public/eventApplier.js';
+import { stackStatusEffect } from '../public/statusEffects.js';
+
+describe('Status effects', () => {
+  let gameState;
+  let turnManager;
+  let processor;
+
+  beforeEach(() => {
+    gameState = new GameState({
+      units: [{ type: 'infantry', playerId: 1, x: 5, y: 5 }, { type: 'infantry', playerId: 2, x: 15, y: 15 }]
+    });
+    const resourceManager = new ResourceManager(gameState);
+    turnManager = new TurnManager(gameState, { resourceManager, useTimers: false });
+    processor = new ActionProcessor(gameState, turnManager, resourceManager);
+    gameState.startGame();
+  });
+
+  afterEach(() => {
+    turnManager.destroy();
+  });
+
+  const endTurn = () => processor.process(gameState.currentPlayer, { type: 'endTurn' });
+
+  test('should refresh an effect that does not stack and add up one that does', () => {
+    expect(stackStatusEffect({ turns: 1, stacks: 1 }, 'fortified', 3, 1)).toEqual({ turns: 3, stacks: 1 });
+    expect(stackStatusEffect({ turns: 3, stacks: 1 }, 'lookout', 2, 1)).toEqual({ turns: 3, stacks: 1 });
+    expect(stackStatusEffect(null, 'slowed', 2, 5)).toEqual({ turns: 2, stacks: 2 });
+
+    const unit = gameState.units.get('unit_1');
+    gameState.applyStatusEffect(unit, 'slowed');
+    expect(gameState.applyStatusEffect(unit, 'slowed', 1)).toEqual({ turns: 2, stacks: 2 });
+    expect(gameState.applyStatusEffect(unit, 'slowed')).toEqual({ turns: 2, stacks: 2 });
+    expect(gameState.applyStatusEffect(unit, 'cursed')).toBe(null);
+  });
+
+  test('should tick down at the start of the owner\'s turns only', () => {
+    const unit = gameState.units.get('unit_1');
+    gameState.applyStatusEffect(unit, 'slowed');
+
+    endTurn();
+    expect(unit.statusEffects.get('slowed').turns).toBe(2);
+
+    endTurn();
+    expect(unit.statusEffects.get('slowed').turns).toBe(1);
+
+    endTurn();
+    endTurn();
+    expect(unit.hasStatusEffect('slowed')).toBe(false);
+  });
+
+  test('should stun a unit hit by a heavy attack for its owner\'s next turn', () => {
+    const heavy = gameState.createUnit('heavy', 2, 5, 6);
+    endTurn();
+    processor.process(2, { type: 'nextPhase' });
+    processor.process(2, { type: 'useAbility', unitId: heavy.id, ability: 'heavy_attack', targetId: 'unit_1' });
+    const target = gameState.units.get('unit_1');
+    expect(target.statusEffects.get('stunned')).toEqual({ turns: 2, stacks: 1 });
+
+    endTurn();
+    processor.process(1, { type: 'nextPhase' });
+    expect(target.canAct()).toBe(false);
+    expect(processor.process(1, { type: 'move', unitId: 'unit_1', x: 4, y: 5 }).reason).toBe('Unit has no actions left');
+    expect(processor.process(1, { type: 'attack', attackerId: 'unit_1', targetId: heavy.id }).reason).toBe('Unit has no actions left');
+
+    endTurn();
+    endTurn();
+    expect(target.hasStatusEffect('stunned')).toBe(false);
+    expect(target.canAct()).toBe(true);
+    processor.process(1, { type: 'nextPhase' });
+    expect(processor.process(1, { type: 'move', unitId: 'unit_1', x: 4, y: 5 }).success).toBe(true);
+  });
+
+  test('should slow a unit a siege unit hits and leaves standing', () => {
+    const heavy = gameState.createUnit('heavy', 2, 5, 6);
+    endTurn();
+    processor.process(2, { type: 'nextPhase' });
+    processor.process(2, { type: 'attack', attackerId: heavy.id, targetId: 'unit_1' });
+    const target = gameState.units.get('unit_1');
+    expect(target.statusEffects.get('slowed')).toEqual({ turns: 2, stacks: 1 });
+
+    endTurn();
+    processor.process(1, { type: 'nextPhase' });
+    expect(processor.process(1, { type: 'move', unitId: 'unit_1', x: 5, y: 3 }).reason).toBe('Target is out of range (movement 1)');
+  });
+
+  test('should cut a slowed unit\'s movement by its stacks, down to one cell', () => {
+    const unit = gameState.units.get('unit_1'); // movement 2
+    const pathfinder = new Pathfinder(gameState);
+
+    gameState.applyStatusEffect(unit, 'slowed');
+    expect(pathfinder.getReachableCells(unit)).toHaveLength(4);
+    expect(pathfinder.getMoveError(unit, 5, 7)).toBe('Target is out of range (movement 1)');
+
+    gameState.applyStatusEffect(unit, 'slowed');
+    expect(pathfinder.getReachableCells(unit)).toHaveLength(4);
+  });
+
+  test('should save effects with the unit and mirror them from events', () => {
+    const mirror = GameState.deserialize(gameState.serialize());
+    gameState.on('*', (event, data) => applyGameEvent(mirror, null, event, JSON.parse(JSON.stringify(data))));
+    const unit = gameState.units.get('unit_1');
+
+    gameState.applyStatusEffect(unit, 'slowed', 3, 2);
+    gameState.applyStatusEffect(unit, 'fortified');
+
+    expect(unit.serialize().statusEffects).toEqual([
+      { id: 'slowed', turns: 3, stacks: 2 },
+      { id: 'fortified', turns: 1, stacks: 1 }
+    ]);
+    expect(GameState.deserialize(gameState.serialize()).units.get('unit_1').statusEffects).toEqual(unit.statusEffects);
+    expect(mirror.units.get('unit_1').statusEffects).toEqual(unit.statusEffects);
+
+    endTurn();
+    endTurn();
+    expect(mirror.units.get('unit_1').statusEffects).toEqual(new Map([['slowed', { turns: 2, stacks: 2 }]]));
+  });
+});
@@ -4,6 +4,7 @@
 
 import { TurnManager } from '../public/turnManager.js';
 import { GameState } from '../public/gameState.js';
+import { ActionProcessor } from '../public/actionProcessor.js';
 
 describe('TurnManager', () => {
   let gameState;
@@ -77,27 +78,25 @@ describe('TurnManager', () => {
     gameState.startGame();
     turnManager.executeResourcePhase();
     
-    // Should gain base energy (10) plus some resource bonus
-    expect(player.energy).toBeGreaterThanOrEqual(initialEnergy + 10);
+    // Base energy (10) for each of the two resource phases
+    expect(player.energy).toBe(initialEnergy + 20);
     expect(mockCallback).toHaveBeenCalledWith(expect.objectContaining({
       player: 1,
-      energyGained: expect.any(Number),
-      resourceBonus: expect.any(Number)
+      energyGained: 10
     }));
   });
 
-  test('should calculate resource bonus for workers near resource nodes', () => {
-    // Create a worker near a resource node (5, 5)
+  test('should only count a worker\'s harvest once it is deposited', () => {
     const worker = gameState.createUnit('worker', 1, 4, 5); // Adjacent to node at (5,5)
     const player = gameState.getCurrentPlayer();
     const initialEnergy = player.energy;
     
     gameState.startGame();
-    turnManager.executeResourcePhase();
     
-    // Should gain base energy + resource bonus
-    expect(player.energy).toBeGreaterThan(initialEnergy + 10);
-    expect(player.resourcesGathered).toBeGreaterThan(0);
+    // Base energy only; the harvest waits in the worker's cargo
+    expect(player.energy).toBe(initialEnergy + 10);
+    expect(player.resourcesGathered).toBe(0);
+    expect(worker.cargo).toBe(5);
   });
 
   test('should advance phases correctly', () => {
@@ -291,4 +290,221 @@ describe('TurnManager', () => {
       energy: expect.any(Number)
     });
   });
-});
\ No newline at end of file
+
+  test('should follow the game\'s action allowance and turn time limit', () => {
+    turnManager.destroy();
+    gameState = new GameState({ settings: { maxActions: 5, turnTimeLimit: 30000 } });
+    turnManager = new TurnManager(gameState);
+    const expired = jest.fn();
+    gameState.on('turnTimeExpired', expired);
+
+    gameState.startGame();
+
+    expect(gameState.getCurrentPlayer().actionsRemaining).toBe(5);
+    jest.advanceTimersByTime(30000);
+    expect(expired).toHaveBeenCalledWith({ player: 1 });
+    expect(gameState.currentPlayer).toBe(2);
+    expect(GameState.deserialize(gameState.serialize()).settings)
+      .toEqual({ maxActions: 5, timeControl: { mode: 'turn', turnTime: 30000 }, turnMode: 'alternating' });
+  });
+
+  test('should not time untimed games', () => {
+    turnManager.destroy();
+    gameState = new GameState({ settings: { turnTimeLimit: null } });
+    turnManager = new TurnManager(gameState);
+
+    gameState.startGame();
+
+    expect(turnManager.turnTimer).toBe(null);
+    jest.advanceTimersByTime(600000);
+    expect(gameState.currentPlayer).toBe(1);
+  });
+});
+
+describe('Automatic resource phase', () => {
+  let gameState;
+  let turnManager;
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    gameState = new GameState();
+    turnManager = new TurnManager(gameState, { useTimers: false });
+  });
+
+  afterEach(() => {
+    turnManager.destroy();
+    jest.restoreAllMocks();
+  });
+
+  test('should harvest into the cargo of every positioned worker without spending actions', () => {
+    const onNode = gameState.createUnit('worker', 1, 12, 12);
+    const nextToNode = gameState.createUnit('worker', 1, 11, 12);
+    const idle = gameState.createUnit('worker', 1, 8, 8);
+    const enemy = gameState.createUnit('worker', 2, 13, 12);
+
+    gameState.startGame();
+
+    expect(onNode.cargo).toBe(5);
+    expect(nextToNode.cargo).toBe(5);
+    expect(idle.cargo).toBe(0);
+    expect(enemy.cargo).toBe(0);
+    expect(onNode.actionsUsed).toBe(0);
+    expect(turnManager.resourceManager.getResourceNodeAt(12, 12).value).toBe(19); // 25 - 10 + 4 regenerated
+  });
+
+  test('should report a per-node harvest summary', () => {
+    const phaseCallback = jest.fn();
+    gameState.on('resourcePhaseComplete', phaseCallback);
+    gameState.createUnit('worker', 1, 12, 12);
+    gameState.createUnit('worker', 1, 11, 12);
+    gameState.createUnit('worker', 1, 4, 5);
+
+    gameState.startGame();
+
+    expect(phaseCallback.mock.calls[0][0].harvests).toEqual([
+      { nodeId: 'node_4', x: 12, y: 12, amount: 10, workers: 2 },
+      { nodeId: 'node_0', x: 5, y: 5, amount: 5, workers: 1 }
+    ]);
+  });
+
+  test('should skip depleted nodes, full workers and workers on cooldown', () => {
+    const nearDepleted = gameState.createUnit('worker', 1, 4, 5);
+    const full = gameState.createUnit('worker', 1, 12, 11);
+    const cooling = gameState.createUnit('worker', 1, 19, 11);
+    turnManager.resourceManager.getResourceNodeAt(5, 5).value = 0;
+    full.cargo = 10;
+    turnManager.resourceManager.gatheringCooldowns.set(cooling.id, now);
+
+    gameState.startGame();
+
+    expect(nearDepleted.cargo).toBe(0);
+    expect(full.cargo).toBe(10);
+    expect(cooling.cargo).toBe(0);
+  });
+
+  test('should respect the gathering cooldown between turns', () => {
+    const worker = gameState.createUnit('worker', 1, 12, 12);
+    gameState.startGame();
+
+    turnManager.endTurn();
+    turnManager.endTurn();
+    expect(worker.cargo).toBe(5);
+
+    now += turnManager.resourceManager.gatherCooldown;
+    turnManager.endTurn();
+    turnManager.endTurn();
+    expect(worker.cargo).toBe(10);
+  });
+});
+
+describe('Time controls', () => {
+  let gameState;
+  let turnManager;
+
+  const startGame = (timeControl) => {
+    gameState = new GameState({ settings: { timeControl } });
+    turnManager = new TurnManager(gameState);
+    gameState.startGame();
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    turnManager.destroy();
+    jest.useRealTimers();
+  });
+
+  test('should give each phase its own limit and move on when one runs out', () => {
+    startGame({ mode: 'phase', phaseTimes: { resource: 5000, action: 20000, build: 10000 } });
+    expect(turnManager.timeRemaining).toBe(5000);
+
+    jest.advanceTimersByTime(5000);
+    expect(gameState.currentPhase).toBe('action');
+    expect(turnManager.timeRemaining).toBe(20000);
+
+    turnManager.nextPhase();
+    expect(turnManager.timeRemaining).toBe(10000);
+    jest.advanceTimersByTime(10000);
+    expect(gameState.currentPlayer).toBe(2);
+    expect(gameState.currentPhase).toBe('resource');
+    expect(turnManager.timeRemaining).toBe(5000);
+  });
+
+  test('should run a chess clock bank per player with a Fischer increment', () => {
+    startGame({ mode: 'chess', bank: 60000, increment: 5000 });
+    const clockStarted = jest.fn();
+    gameState.on('turnClockStarted', clockStarted);
+
+    jest.advanceTimersByTime(20000);
+    turnManager.endTurn();
+    expect(gameState.clock.banks).toEqual({ 1: 45000, 2: 60000 });
+    expect(clockStarted).toHaveBeenLastCalledWith({
+      player: 2, phase: 'resource', remaining: 60000, banks: { 1: 45000, 2: 60000 }
+    });
+
+    jest.advanceTimersByTime(1000);
+    turnManager.endTurn();
+    expect(turnManager.timeRemaining).toBe(45000);
+    expect(gameState.clock.banks[2]).toBe(64000);
+  });
+
+  test('should lose the game on time when a chess clock runs out', () => {
+    startGame({ mode: 'chess', bank: 60000, increment: 0 });
+    const ended = jest.fn();
+    gameState.on('gameEnded', ended);
+
+    jest.advanceTimersByTime(60000);
+
+    expect(ended).toHaveBeenCalledWith(expect.objectContaining({ winner: 2, reason: 'time_forfeit' }));
+    expect(gameState.clock.banks[1]).toBe(0);
+    expect(turnManager.turnTimer).toBe(null);
+  });
+
+  test('should carry the clock through save and load', () => {
+    startGame({ mode: 'chess', bank: 60000, increment: 0 });
+    jest.advanceTimersByTime(25000);
+    turnManager.endTurn();
+    jest.advanceTimersByTime(10000);
+    turnManager.destroy();
+
+    gameState = GameState.deserialize(JSON.parse(JSON.stringify(gameState.serialize())));
+    turnManager = new TurnManager(gameState);
+    expect(gameState.clock).toEqual({ remaining: 50000, banks: { 1: 35000, 2: 60000 } });
+
+    // The loaded clock keeps counting down from where it was saved
+    jest.advanceTimersByTime(50000);
+    expect(gameState.winner).toBe(1);
+  });
+
+  test('should start states saved before clocks with a full turn', () => {
+    startGame({ mode: 'turn', turnTime: 30000 });
+    const data = gameState.serialize();
+    delete data.clock;
+    data.settings = { maxActions: 3, turnTimeLimit: 30000 };
+
+    const loaded = GameState.deserialize(data);
+    expect(loaded.settings.timeControl).toEqual({ mode: 'turn', turnTime: 30000 });
+    expect(loaded.clock).toEqual({ remaining: 30000, banks: null });
+  });
+
+  test('should only accept a timeExpired action once the time is up', () => {
+    startGame({ mode: 'turn', turnTime: 30000 });
+    const actionProcessor = new ActionProcessor(gameState, turnManager, turnManager.resourceManager);
+
+    expect(actionProcessor.process(1, { type: 'timeExpired' }).reason).toBe('Time has not run out');
+    turnManager.stopTimer();
+    turnManager.spendTime(30000);
+    expect(actionProcessor.process(1, { type: 'timeExpired' }).success).toBe(true);
+    expect(gameState.currentPlayer).toBe(2);
+
+    turnManager.destroy();
+    startGame({ mode: 'untimed' });
+    expect(turnManager.timeRemaining).toBe(null);
+    expect(new ActionProcessor(gameState, turnManager).process(1, { type: 'timeExpired' }).reason)
+      .toBe('This game is untimed');
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Unit tests for victory conditions and the game-over flow
+ */
+
+import { VictoryManager } from '../public/victoryManager.js';
+import { TurnManager } from '../public/turnManager.js';
+import { ActionProcessor } from '../public/actionProcessor.js';
+import { GameState } from '../public/gameState.js';
+import { applyGameEvent } from '../public/eventApplier.js';
+import { createGameFromMap, createEmptyMap } from '../public/mapDefinition.js';
+
+describe('VictoryManager', () => {
+  let gameState;
+  let turnManager;
+  let victoryManager;
+  let endedCallback;
+
+  beforeEach(() => {
+    gameState = new GameState();
+    turnManager = new TurnManager(gameState, { useTimers: false });
+    victoryManager = new VictoryManager(gameState, turnManager, { turnLimit: 10 });
+    endedCallback = jest.fn();
+    gameState.on('gameEnded', endedCallback);
+    gameState.startGame();
+  });
+
+  afterEach(() => {
+    victoryManager.destroy();
+    turnManager.destroy();
+  });
+
+  test('should not end a game that has just started', () => {
+    expect(gameState.status).toBe('playing');
+    expect(victoryManager.checkVictory()).toBe(null);
+    expect(endedCallback).not.toHaveBeenCalled();
+  });
+
+  test('should award the win when an enemy base is destroyed', () => {
+    gameState.currentPhase = 'action';
+    const attacker = gameState.createUnit('heavy', 1, 23, 22);
+    gameState.bases.get('base_2').health = 10;
+
+    gameState.attackBase(attacker.id, 'base_2');
+
+    expect(gameState.status).toBe('ended');
+    expect(gameState.winner).toBe(1);
+    expect(gameState.endReason).toBe('base_destroyed');
+    expect(endedCallback).toHaveBeenCalledTimes(1);
+    expect(endedCallback.mock.calls[0][0]).toMatchObject({ winner: 1, reason: 'base_destroyed' });
+  });
+
+  test('should award the win when the last enemy unit is destroyed', () => {
+    gameState.currentPhase = 'action';
+    const attacker = gameState.createUnit('infantry', 1, 5, 5);
+    const target = gameState.createUnit('worker', 2, 6, 5);
+    target.health = 5;
+
+    gameState.attackUnit(attacker.id, target.id);
+
+    expect(gameState.winner).toBe(1);
+    expect(gameState.endReason).toBe('elimination');
+  });
+
+  test('should not eliminate a player who has not built any units yet', () => {
+    gameState.createUnit('worker', 1, 5, 5);
+
+    expect(gameState.players.get(2).unitsOwned.size).toBe(0);
+    expect(victoryManager.checkVictory()).toBe(null);
+  });
+
+  test('should keep playing while the enemy still has units', () => {
+    gameState.currentPhase = 'action';
+    const attacker = gameState.createUnit('infantry', 1, 5, 5);
+    const target = gameState.createUnit('worker', 2, 6, 5);
+    gameState.createUnit('worker', 2, 10, 10);
+    target.health = 5;
+
+    gameState.attackUnit(attacker.id, target.id);
+
+    expect(gameState.status).toBe('playing');
+  });
+
+  test('should decide on resources gathered when the turn limit is reached', () => {
+    gameState.turnNumber = 10;
+    gameState.players.get(2).resourcesGathered = 40;
+    const turnStartedCallback = jest.fn();
+    gameState.on('turnStarted', turnStartedCallback);
+
+    turnManager.endTurn();
+
+    expect(gameState.winner).toBe(2);
+    expect(gameState.endReason).toBe('turn_limit');
+    expect(turnStartedCallback).not.toHaveBeenCalled();
+  });
+
+  test('should declare a draw when resources gathered are tied at the turn limit', () => {
+    gameState.turnNumber = 10;
+    gameState.players.forEach(player => {
+      player.resourcesGathered = 25;
+    });
+
+    turnManager.endTurn();
+
+    expect(gameState.status).toBe('ended');
+    expect(gameState.winner).toBe(null);
+    expect(endedCallback.mock.calls[0][0].winner).toBe(null);
+  });
+
+  test('should report per-player statistics when the game ends', () => {
+    gameState.currentPhase = 'action';
+    const attacker = gameState.createUnit('infantry', 1, 5, 5);
+    const target = gameState.createUnit('worker', 2, 6, 5);
+    target.health = 40;
+    gameState.attackUnit(attacker.id, target.id);
+    gameState.attackUnit(attacker.id, target.id);
+
+    const { stats } = endedCallback.mock.calls[0][0];
+    expect(stats).toHaveLength(2);
+    expect(stats[0]).toMatchObject({ playerId: 1, unitsCreated: 1, unitsDestroyed: 1, damageDealt: 40, unitsLost: 0 });
+    expect(stats[1]).toMatchObject({ playerId: 2, unitsCreated: 1, unitsDestroyed: 0, damageDealt: 0, unitsLost: 1 });
+  });
+
+  test('should reject further actions once the game has ended', () => {
+    const actionProcessor = new ActionProcessor(gameState, turnManager, turnManager.resourceManager);
+    gameState.endGame(1, 'base_destroyed');
+
+    expect(actionProcessor.process(1, { type: 'nextPhase' })).toEqual({
+      success: false,
+      reason: 'Game is not in progress'
+    });
+  });
+
+  test('should only end the game once', () => {
+    expect(gameState.endGame(1, 'base_destroyed')).toBe(true);
+    expect(gameState.endGame(2, 'elimination')).toBe(false);
+    expect(gameState.winner).toBe(1);
+    expect(endedCallback).toHaveBeenCalledTimes(1);
+  });
+
+  test('should stop the turn timer when the game ends', () => {
+    jest.useFakeTimers();
+    const timedState = new GameState();
+    const timedTurnManager = new TurnManager(timedState);
+    const timedVictoryManager = new VictoryManager(timedState, timedTurnManager);
+    timedState.startGame();
+    expect(timedTurnManager.turnTimer).not.toBe(null);
+
+    timedState.bases.get('base_1').takeDamage(200);
+    timedState.emit('baseDestroyed', { base: timedState.bases.get('base_1'), destroyedBy: null });
+
+    expect(timedState.winner).toBe(2);
+    expect(timedTurnManager.turnTimer).toBe(null);
+
+    timedVictoryManager.destroy();
+    timedTurnManager.destroy();
+    jest.useRealTimers();
+  });
+
+  test('should mirror the end of the game through applyGameEvent', () => {
+    const mirror = GameState.deserialize(gameState.serialize());
+    const events = [];
+    gameState.on('*', (event, data) => events.push({ event, data: JSON.parse(JSON.stringify(data)) }));
+    gameState.currentPhase = 'action';
+    mirror.currentPhase = 'action';
+    const attacker = gameState.createUnit('infantry', 1, 5, 5);
+    const target = gameState.createUnit('worker', 2, 6, 5);
+    target.health = 40;
+    gameState.attackUnit(attacker.id, target.id);
+    gameState.attackUnit(attacker.id, target.id);
+
+    events.forEach(({ event, data }) => applyGameEvent(mirror, null, event, data));
+
+    expect(mirror.serialize()).toEqual(gameState.serialize());
+    expect(mirror.status).toBe('ended');
+  });
+});
+
+describe('Turn limit across turn modes', () => {
+  // Rounds played before the turn limit of 10 player turns ends the game
+  const playUntilTurnLimit = (turnMode) => {
+    const { gameState, resourceManager } = createGameFromMap(createEmptyMap(12), { turnMode, turnTimeLimit: null });
+    const turnManager = new TurnManager(gameState, { resourceManager, useTimers: false });
+    const victoryManager = new VictoryManager(gameState, turnManager, { turnLimit: 10 });
+    const processor = new ActionProcessor(gameState, turnManager, resourceManager);
+    const rounds = new Set();
+    gameState.on('turnStarted', ({ turnNumber }) => {
+      rounds.add(turnMode === 'simultaneous' ? turnNumber : Math.ceil(turnNumber / 2));
+    });
+    gameState.startGame();
+
+    for (let i = 0; i < 100 && gameState.status === 'playing'; i++) {
+      [1, 2].forEach(playerId => processor.process(playerId, { type: 'endTurn' }));
+    }
+    victoryManager.destroy();
+    turnManager.destroy();
+    expect(gameState.endReason).toBe('turn_limit');
+    return rounds.size;
+  };
+
+  test('should end alternating and simultaneous games after the same number of rounds', () => {
+    expect(playUntilTurnLimit('alternating')).toBe(5);
+    expect(playUntilTurnLimit('simultaneous')).toBe(5);
+  });
+});